@@ -0,0 +1,52 @@
+// 登录页面
+const loginForm = document.getElementById('login-form');
+const loginError = document.getElementById('login-error');
+const loginSubmit = document.getElementById('login-submit');
+
+// 登录后返回的页面，只允许站内的管理页面地址
+function getNextUrl() {
+    const next = new URLSearchParams(location.search).get('next') || '';
+    return /^\/admin(?:[/?#]|$)/.test(next) ? next : '/admin';
+}
+
+// 显示登录错误
+function showLoginError(message) {
+    loginError.textContent = message;
+    loginError.hidden = false;
+}
+
+loginForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    loginError.hidden = true;
+    loginSubmit.disabled = true;
+    
+    try {
+        const response = await fetch('/admin/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('login-username').value,
+                password: document.getElementById('login-password').value
+            })
+        });
+        
+        if (response.ok) {
+            location.href = getNextUrl();
+            return;
+        }
+        
+        const result = await response.json().catch(() => ({}));
+        if (response.status === 429) {
+            showLoginError(`登录失败次数过多，请在 ${result.retryAfter || ''} 秒后重试`);
+        } else if (response.status === 401) {
+            showLoginError('用户名或密码错误');
+        } else {
+            showLoginError(result.message || '登录失败');
+        }
+    } catch (error) {
+        console.error('登录失败:', error);
+        showLoginError('登录失败，请检查网络连接');
+    } finally {
+        loginSubmit.disabled = false;
+    }
+});
@@ -5,10 +5,19 @@ const state = {
     totalImages: 0,
     totalPages: 0,
     currentDirectory: '',
+    currentTag: '',
     searchKeyword: '',
     sortOption: 'name',
+    csrfToken: '',
+    username: '',
+    auditPage: 1,
+    auditTotalPages: 0,
+    transferSource: null,
+    uploads: [],
+    uploading: false,
     images: [],
     directories: [],
+    tags: [],
     stats: {
         totalImages: 0,
         totalDirectories: 0,
@@ -28,6 +37,7 @@ const elements = {
     // 目录管理
     directoryList: document.getElementById('directory-list'),
     directoryFilter: document.getElementById('directory-filter'),
+    tagFilter: document.getElementById('tag-filter'),
     addDirBtn: document.getElementById('add-dir-btn'),
     
     // 图片管理
@@ -46,6 +56,10 @@ const elements = {
     // 系统操作
     updateBtn: document.getElementById('update-btn'),
     clearCacheBtn: document.getElementById('clear-cache-btn'),
+    trashBtn: document.getElementById('trash-btn'),
+    auditBtn: document.getElementById('audit-btn'),
+    currentUser: document.getElementById('current-user'),
+    logoutBtn: document.getElementById('logout-btn'),
     
     // 模态框
     modal: document.getElementById('modal'),
@@ -62,6 +76,18 @@ const elements = {
     dirNameInput: document.getElementById('dir-name'),
     createDirForm: document.getElementById('create-dir-form'),
     
+    // 移动、重命名或复制模态框
+    transferModal: document.getElementById('transfer-modal'),
+    transferModalTitle: document.getElementById('transfer-modal-title'),
+    closeTransferModal: document.getElementById('close-transfer-modal'),
+    cancelTransferBtn: document.getElementById('cancel-transfer-btn'),
+    submitTransferBtn: document.getElementById('submit-transfer-btn'),
+    transferForm: document.getElementById('transfer-form'),
+    transferTo: document.getElementById('transfer-to'),
+    transferMode: document.getElementById('transfer-mode'),
+    transferConflict: document.getElementById('transfer-conflict'),
+    transferRedirect: document.getElementById('transfer-redirect'),
+    
     // 图片详情模态框
     imageModal: document.getElementById('image-modal'),
     imageModalTitle: document.getElementById('image-modal-title'),
@@ -75,17 +101,82 @@ const elements = {
     submitUploadBtn: document.getElementById('submit-upload-btn'),
     uploadForm: document.getElementById('upload-form'),
     uploadFile: document.getElementById('upload-file'),
-    uploadDirectory: document.getElementById('upload-directory')
+    uploadDropzone: document.getElementById('upload-dropzone'),
+    uploadList: document.getElementById('upload-list'),
+    uploadDirectory: document.getElementById('upload-directory'),
+    
+    // 回收站模态框
+    trashModal: document.getElementById('trash-modal'),
+    closeTrashModal: document.getElementById('close-trash-modal'),
+    trashInfo: document.getElementById('trash-info'),
+    trashItems: document.getElementById('trash-items'),
+    emptyTrashBtn: document.getElementById('empty-trash-btn'),
+    
+    // 审计日志模态框
+    auditModal: document.getElementById('audit-modal'),
+    closeAuditModal: document.getElementById('close-audit-modal'),
+    auditFilterForm: document.getElementById('audit-filter-form'),
+    auditAction: document.getElementById('audit-action'),
+    auditResult: document.getElementById('audit-result'),
+    auditActor: document.getElementById('audit-actor'),
+    auditTarget: document.getElementById('audit-target'),
+    auditEntries: document.getElementById('audit-entries'),
+    auditPagination: document.getElementById('audit-pagination')
 };
 
+// 跳转到登录页面，登录后回到当前页面
+function redirectToLogin() {
+    location.href = `/admin/login?next=${encodeURIComponent(location.pathname + location.search)}`;
+}
+
+// 调用管理接口：修改请求携带 CSRF 令牌，返回401（未登录或会话过期）时跳转到登录页面
+async function apiFetch(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const headers = { ...(options.headers || {}) };
+    if (!['GET', 'HEAD'].includes(method) && state.csrfToken) {
+        headers['X-CSRF-Token'] = state.csrfToken;
+    }
+    
+    const response = await fetch(url, { ...options, headers, credentials: 'same-origin' });
+    if (response.status === 401) {
+        redirectToLogin();
+        // 页面即将跳转，不再继续处理（避免弹出错误提示）
+        return new Promise(() => {});
+    }
+    return response;
+}
+
+// 加载当前登录信息
+async function loadSession() {
+    const response = await apiFetch('/admin/api/session');
+    const session = await response.json();
+    state.csrfToken = session.csrfToken || '';
+    state.username = session.username || '';
+    elements.currentUser.textContent = state.username;
+}
+
+// 退出登录
+async function logout() {
+    try {
+        await apiFetch('/admin/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('退出登录失败:', error);
+    }
+    location.href = '/admin/login';
+}
+
 // 初始化应用
 async function init() {
     try {
+        // 登录信息（CSRF 令牌）需要在其他请求之前获取
+        await loadSession();
+        
         // 加载初始数据
         await Promise.all([
             loadDirectories(),
             loadStats(),
-            loadImages()
+            loadImages(),
+            loadTags()
         ]);
         
         // 绑定事件监听器
@@ -105,28 +196,11 @@ async function init() {
 // 加载目录列表
 async function loadDirectories() {
     try {
-        // 加载目录列表
-        const dirResponse = await fetch('/admin/api/directories');
+        // 加载目录列表（含图片数量和 _meta.json 中的元数据）
+        const dirResponse = await apiFetch('/admin/api/directories');
         if (!dirResponse.ok) throw new Error('加载目录失败');
         
-        const dirNames = await dirResponse.json();
-        
-        // 加载图片列表以计算每个目录的图片数量
-        const listResponse = await fetch('/list.json');
-        if (!listResponse.ok) throw new Error('加载图片列表失败');
-        
-        const imageList = await listResponse.json();
-        
-        // 转换目录数据格式
-        state.directories = dirNames.map(dirName => {
-            // 计算该目录下的图片数量
-            const count = imageList[dirName] ? imageList[dirName].length : 0;
-            
-            return {
-                name: dirName,
-                count: count
-            };
-        });
+        state.directories = await dirResponse.json();
         
         // 更新统计信息
         state.stats.totalDirectories = state.directories.length;
@@ -142,10 +216,23 @@ async function loadDirectories() {
     }
 }
 
+// 加载标签列表
+async function loadTags() {
+    try {
+        const response = await apiFetch('/admin/api/tags');
+        if (!response.ok) throw new Error('加载标签失败');
+        
+        state.tags = await response.json();
+        updateTagFilter();
+    } catch (error) {
+        console.error('加载标签失败:', error);
+    }
+}
+
 // 加载统计信息
 async function loadStats() {
     try {
-        const response = await fetch('/admin/api/stats');
+        const response = await apiFetch('/admin/api/stats');
         if (!response.ok) throw new Error('加载统计信息失败');
         
         const stats = await response.json();
@@ -188,11 +275,15 @@ async function loadImages(page = 1) {
             params.append('keyword', state.searchKeyword);
         }
         
+        if (state.currentTag) {
+            params.append('tag', state.currentTag);
+        }
+        
         if (state.sortOption) {
             params.append('sort', state.sortOption);
         }
         
-        const response = await fetch(`/admin/api/images?${params.toString()}`);
+        const response = await apiFetch(`/admin/api/images?${params.toString()}`);
         if (!response.ok) throw new Error('加载图片失败');
         
         const data = await response.json();
@@ -218,10 +309,14 @@ function bindEvents() {
     });
     elements.sortOption.addEventListener('change', handleSortChange);
     elements.directoryFilter.addEventListener('change', handleDirectoryFilterChange);
+    elements.tagFilter.addEventListener('change', handleTagFilterChange);
     
     // 系统操作事件
     elements.updateBtn.addEventListener('click', handleUpdate);
     elements.clearCacheBtn.addEventListener('click', handleClearCache);
+    elements.logoutBtn.addEventListener('click', logout);
+    elements.trashBtn.addEventListener('click', openTrashModal);
+    elements.auditBtn.addEventListener('click', openAuditModal);
     
     // 模态框事件
     elements.closeModal.addEventListener('click', closeModal);
@@ -240,6 +335,21 @@ function bindEvents() {
         handleCreateDir();
     });
     
+    elements.closeTransferModal.addEventListener('click', closeTransferModal);
+    elements.cancelTransferBtn.addEventListener('click', closeTransferModal);
+    elements.transferModal.addEventListener('click', (e) => {
+        if (e.target === elements.transferModal) closeTransferModal();
+    });
+    elements.submitTransferBtn.addEventListener('click', handleTransfer);
+    elements.transferForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        handleTransfer();
+    });
+    // 复制不会改变旧地址，不需要重定向
+    elements.transferMode.addEventListener('change', () => {
+        elements.transferRedirect.disabled = elements.transferMode.value === 'copy';
+    });
+    
     elements.closeImageModal.addEventListener('click', closeImageModal);
     elements.imageModal.addEventListener('click', (e) => {
         if (e.target === elements.imageModal) closeImageModal();
@@ -257,6 +367,41 @@ function bindEvents() {
         e.preventDefault();
         handleUpload();
     });
+    elements.uploadDropzone.addEventListener('click', () => elements.uploadFile.click());
+    elements.uploadFile.addEventListener('change', () => {
+        addUploadFiles(elements.uploadFile.files);
+        // 清空选择，以便再次选择同一个文件
+        elements.uploadFile.value = '';
+    });
+    elements.uploadDropzone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        elements.uploadDropzone.classList.add('dragover');
+    });
+    elements.uploadDropzone.addEventListener('dragleave', () => {
+        elements.uploadDropzone.classList.remove('dragover');
+    });
+    elements.uploadDropzone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        elements.uploadDropzone.classList.remove('dragover');
+        addUploadFiles(e.dataTransfer.files);
+    });
+    
+    // 回收站模态框事件
+    elements.closeTrashModal.addEventListener('click', closeTrashModal);
+    elements.trashModal.addEventListener('click', (e) => {
+        if (e.target === elements.trashModal) closeTrashModal();
+    });
+    elements.emptyTrashBtn.addEventListener('click', confirmEmptyTrash);
+    
+    // 审计日志模态框事件
+    elements.closeAuditModal.addEventListener('click', closeAuditModal);
+    elements.auditModal.addEventListener('click', (e) => {
+        if (e.target === elements.auditModal) closeAuditModal();
+    });
+    elements.auditFilterForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadAuditLog(1);
+    });
     
     // 窗口事件
     window.addEventListener('resize', handleResize);
@@ -280,21 +425,43 @@ function renderDirectories() {
     
     // 添加各个目录
     state.directories.forEach(dir => {
-        const dirItem = createDirectoryItem(dir.name, dir.name, dir.count);
+        const dirItem = createDirectoryItem(dir.name, dir.title || dir.name, dir.count, dir);
         elements.directoryList.appendChild(dirItem);
     });
 }
 
+// 目录显示名称：优先使用 _meta.json 中的标题
+function getDirectoryLabel(dir) {
+    return dir.title ? `${dir.title} (${dir.name})` : dir.name;
+}
+
+// 管理页面预览图片的地址（隐藏目录中的图片无法通过公开API访问）
+function getImageFileUrl(imagePath) {
+    return `/admin/api/images/${encodeURIComponent(imagePath)}/file`;
+}
+
 // 创建目录列表项
-function createDirectoryItem(value, displayName, count) {
+function createDirectoryItem(value, displayName, count, meta = {}) {
     const dirItem = document.createElement('div');
     dirItem.className = `directory-item ${state.currentDirectory === value ? 'active' : ''}`;
     dirItem.dataset.value = value;
+    if (value) {
+        dirItem.title = meta.description ? `${value}\n${meta.description}` : value;
+    }
     
     // 目录信息
     const dirInfo = document.createElement('div');
     dirInfo.className = 'directory-info';
     
+    if (meta.cover) {
+        const cover = document.createElement('img');
+        cover.className = 'directory-cover';
+        cover.src = getImageFileUrl(meta.cover);
+        cover.alt = '';
+        cover.loading = 'lazy';
+        dirInfo.appendChild(cover);
+    }
+    
     const dirName = document.createElement('span');
     dirName.className = 'directory-name';
     dirName.textContent = displayName;
@@ -306,11 +473,33 @@ function createDirectoryItem(value, displayName, count) {
     dirInfo.appendChild(dirName);
     dirInfo.appendChild(dirCount);
     
+    // 隐藏目录和内容分级标记
+    const badges = [];
+    if (meta.hidden) badges.push('隐藏');
+    if (meta.private) badges.push('私有');
+    if (meta.rating && meta.rating !== 'safe') badges.push(meta.rating);
+    badges.forEach(text => {
+        const badge = document.createElement('span');
+        badge.className = 'directory-badge';
+        badge.textContent = text;
+        dirInfo.appendChild(badge);
+    });
+    
     // 目录操作按钮
     const dirActions = document.createElement('div');
     dirActions.className = 'directory-actions';
     
-    // 删除按钮（仅非空目录显示）
+    // 移动和删除按钮（仅非空目录显示）
+    if (value && value !== '_root') {
+        const moveBtn = document.createElement('button');
+        moveBtn.className = 'btn btn-small btn-secondary';
+        moveBtn.textContent = '移动';
+        moveBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openTransferModal('directory', value);
+        });
+        dirActions.appendChild(moveBtn);
+    }
     if (value) {
         const deleteBtn = document.createElement('button');
         deleteBtn.className = 'btn btn-small btn-danger';
@@ -344,7 +533,7 @@ function updateDirectoryFilter() {
     state.directories.forEach(dir => {
         const option = document.createElement('option');
         option.value = dir.name;
-        option.textContent = dir.name;
+        option.textContent = getDirectoryLabel(dir);
         elements.directoryFilter.appendChild(option);
     });
     
@@ -352,6 +541,27 @@ function updateDirectoryFilter() {
     elements.directoryFilter.value = state.currentDirectory;
 }
 
+// 更新标签筛选下拉菜单
+function updateTagFilter() {
+    // 清空现有选项（保留第一个"所有标签"选项）
+    while (elements.tagFilter.options.length > 1) {
+        elements.tagFilter.remove(1);
+    }
+    
+    state.tags.forEach(({ tag, count }) => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = `${tag} (${count})`;
+        elements.tagFilter.appendChild(option);
+    });
+    
+    // 当前标签已不存在时回到所有标签
+    if (state.currentTag && !state.tags.some(item => item.tag === state.currentTag)) {
+        state.currentTag = '';
+    }
+    elements.tagFilter.value = state.currentTag;
+}
+
 // 渲染图片列表
 function renderImages() {
     elements.imagesGrid.innerHTML = '';
@@ -376,7 +586,7 @@ function createImageCard(image) {
     // 图片缩略图
     const thumbnail = document.createElement('img');
     thumbnail.className = 'image-thumbnail';
-    thumbnail.src = `/api/${image.path}`;
+    thumbnail.src = getImageFileUrl(image.path);
     thumbnail.alt = image.name;
     thumbnail.loading = 'lazy';
     
@@ -398,10 +608,31 @@ function createImageCard(image) {
     info.appendChild(name);
     info.appendChild(meta);
     
+    // 扫描时未通过内容检查（扩展名与内容不符或 SVG 包含脚本）
+    if (image.flagged) {
+        const warning = document.createElement('div');
+        warning.className = 'image-flagged';
+        warning.textContent = '⚠ 内容检查未通过';
+        warning.title = image.flagged;
+        info.appendChild(warning);
+    }
+    
+    if (image.tags && image.tags.length > 0) {
+        info.appendChild(createTagList(image.tags));
+    }
+    
     // 图片操作按钮
     const actions = document.createElement('div');
     actions.className = 'image-actions';
     
+    const moveBtn = document.createElement('button');
+    moveBtn.className = 'btn btn-small btn-secondary';
+    moveBtn.textContent = '移动';
+    moveBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openTransferModal('image', image.path);
+    });
+    
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'btn btn-small btn-danger';
     deleteBtn.textContent = '删除';
@@ -410,6 +641,7 @@ function createImageCard(image) {
         confirmDeleteImage(image);
     });
     
+    actions.appendChild(moveBtn);
     actions.appendChild(deleteBtn);
     
     // 点击卡片查看详情
@@ -511,6 +743,13 @@ function handleSortChange() {
     loadAndRender();
 }
 
+// 标签筛选处理
+function handleTagFilterChange() {
+    state.currentTag = elements.tagFilter.value;
+    state.currentPage = 1;
+    loadAndRender();
+}
+
 // 目录筛选处理
 function handleDirectoryFilterChange() {
     const directory = elements.directoryFilter.value;
@@ -562,7 +801,7 @@ async function handleCreateDir() {
     }
     
     try {
-        const response = await fetch('/admin/api/directories', {
+        const response = await apiFetch('/admin/api/directories', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -588,11 +827,87 @@ async function handleCreateDir() {
     }
 }
 
+// 打开移动、重命名或复制模态框
+function openTransferModal(type, sourcePath) {
+    state.transferSource = { type, path: sourcePath };
+    elements.transferModalTitle.textContent = `${type === 'image' ? '移动图片' : '移动目录'}：${sourcePath}`;
+    elements.transferTo.value = sourcePath;
+    elements.transferMode.value = 'move';
+    elements.transferConflict.value = 'fail';
+    elements.transferRedirect.checked = false;
+    elements.transferRedirect.disabled = false;
+    elements.transferModal.classList.add('show');
+    elements.transferTo.focus();
+}
+
+// 关闭移动、重命名或复制模态框
+function closeTransferModal() {
+    elements.transferModal.classList.remove('show');
+    state.transferSource = null;
+}
+
+// 处理移动、重命名或复制
+async function handleTransfer() {
+    const source = state.transferSource;
+    const to = elements.transferTo.value.trim();
+    if (!source) return;
+    if (!to || to === source.path) {
+        showMessage('请输入新的路径', 'error');
+        return;
+    }
+    
+    const mode = elements.transferMode.value;
+    const collection = source.type === 'image' ? 'images' : 'directories';
+    try {
+        const response = await apiFetch(`/admin/api/${collection}/${encodeURIComponent(source.path)}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                to,
+                mode,
+                onConflict: elements.transferConflict.value,
+                redirect: mode === 'move' && elements.transferRedirect.checked
+            })
+        });
+        
+        const result = await response.json().catch(() => ({}));
+        if (response.status === 409) {
+            showMessage(`目标 "${to}" 已存在`, 'error');
+            return;
+        }
+        if (!response.ok) throw new Error(result.message || '操作失败');
+        
+        closeTransferModal();
+        showMessage(`已${mode === 'copy' ? '复制' : '移动'}到 ${result.path}`, 'success');
+        
+        // 当前目录被移动后切换到新目录
+        if (source.type === 'directory' && mode === 'move' && state.currentDirectory === source.path) {
+            state.currentDirectory = result.path;
+        }
+        
+        await Promise.all([
+            loadImages(state.currentPage),
+            loadStats(),
+            loadDirectories(),
+            loadTags()
+        ]);
+        renderImages();
+        renderPagination();
+        updateStats();
+        renderDirectories();
+    } catch (error) {
+        console.error('操作失败:', error);
+        showMessage(`操作失败：${error.message}`, 'error');
+    }
+}
+
 // 确认删除目录
 function confirmDeleteDirectory(directoryName, displayName) {
     showModal({
         title: '确认删除目录',
-        body: `您确定要删除目录 "${displayName}" 吗？此操作将删除目录及其所有图片，无法恢复。`,
+        body: `您确定要删除目录 "${displayName}" 吗？目录及其所有图片将移入回收站，可在回收站中恢复。`,
         buttons: [
             { text: '取消', className: 'btn btn-secondary', action: closeModal },
             { 
@@ -607,14 +922,14 @@ function confirmDeleteDirectory(directoryName, displayName) {
 // 删除目录
 async function deleteDirectory(directoryName, displayName) {
     try {
-        const response = await fetch(`/admin/api/directories/${encodeURIComponent(directoryName)}`, {
+        const response = await apiFetch(`/admin/api/directories/${encodeURIComponent(directoryName)}`, {
             method: 'DELETE'
         });
         
         if (!response.ok) throw new Error('删除目录失败');
         
         closeModal();
-        showMessage('目录删除成功', 'success');
+        showMessage('目录已移入回收站', 'success');
         
         // 如果当前在删除的目录，切换到所有目录
         if (state.currentDirectory === directoryName) {
@@ -641,7 +956,7 @@ async function deleteDirectory(directoryName, displayName) {
 function confirmDeleteImage(image) {
     showModal({
         title: '确认删除图片',
-        body: `您确定要删除图片 "${image.name}" 吗？此操作无法恢复。`,
+        body: `您确定要删除图片 "${image.name}" 吗？图片将移入回收站，可在回收站中恢复。`,
         buttons: [
             { text: '取消', className: 'btn btn-secondary', action: closeModal },
             { 
@@ -656,14 +971,14 @@ function confirmDeleteImage(image) {
 // 删除图片
 async function deleteImage(image) {
     try {
-        const response = await fetch(`/admin/api/images/${encodeURIComponent(image.path)}`, {
+        const response = await apiFetch(`/admin/api/images/${encodeURIComponent(image.path)}`, {
             method: 'DELETE'
         });
         
         if (!response.ok) throw new Error('删除图片失败');
         
         closeModal();
-        showMessage('图片删除成功', 'success');
+        showMessage('图片已移入回收站', 'success');
         
         // 重新加载所有相关数据
         await Promise.all([
@@ -689,7 +1004,7 @@ function viewImageDetail(image) {
     
     elements.imageDetail.innerHTML = `
         <div class="image-preview">
-            <img src="/api/${image.path}" alt="${image.name}">
+            <img src="${getImageFileUrl(image.path)}" alt="${image.name}">
         </div>
         <div class="image-details">
             <div class="detail-item">
@@ -712,19 +1027,192 @@ function viewImageDetail(image) {
                 <div class="detail-label">目录</div>
                 <div class="detail-value">${image.directory}</div>
             </div>
+            <div class="detail-item">
+                <div class="detail-label">标签</div>
+                <div class="detail-value" id="tag-editor"></div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">签名链接</div>
+                <div class="detail-value" id="signed-url-editor"></div>
+            </div>
         </div>
     `;
     
+    renderTagEditor(image);
+    renderSignedUrlForm(image);
     elements.imageModal.classList.add('show');
 }
 
+// 渲染签名链接表单（私有目录中的图片只能通过签名链接访问）
+function renderSignedUrlForm(image) {
+    const container = document.getElementById('signed-url-editor');
+    if (!container) return;
+    
+    const form = document.createElement('form');
+    form.className = 'signed-url-form';
+    
+    const ttlSelect = document.createElement('select');
+    ttlSelect.className = 'form-input';
+    [['3600', '1小时'], ['86400', '1天'], ['604800', '7天'], ['2592000', '30天']].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        ttlSelect.appendChild(option);
+    });
+    
+    const createBtn = document.createElement('button');
+    createBtn.type = 'submit';
+    createBtn.className = 'btn btn-small btn-primary';
+    createBtn.textContent = '生成';
+    
+    const output = document.createElement('input');
+    output.type = 'text';
+    output.className = 'form-input signed-url-output';
+    output.readOnly = true;
+    output.placeholder = '选择有效期后生成链接';
+    output.addEventListener('focus', () => output.select());
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const response = await apiFetch('/admin/api/signed-urls', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ path: image.path, ttl: Number(ttlSelect.value) })
+            });
+            
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || '生成链接失败');
+            
+            output.value = result.url;
+            output.title = `有效期至 ${formatDate(result.expires)}`;
+            output.focus();
+        } catch (error) {
+            console.error('生成签名链接失败:', error);
+            showMessage(`生成签名链接失败: ${error.message}`, 'error');
+        }
+    });
+    
+    form.appendChild(ttlSelect);
+    form.appendChild(createBtn);
+    container.appendChild(form);
+    container.appendChild(output);
+}
+
+// 创建标签列表，提供 onRemove 时每个标签带删除按钮
+function createTagList(tags, onRemove) {
+    const list = document.createElement('div');
+    list.className = 'tag-list';
+    
+    tags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip';
+        chip.textContent = tag;
+        
+        if (onRemove) {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'tag-remove';
+            removeBtn.title = '移除标签';
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', () => onRemove(tag));
+            chip.appendChild(removeBtn);
+        }
+        
+        list.appendChild(chip);
+    });
+    
+    return list;
+}
+
+// 渲染标签编辑器
+function renderTagEditor(image) {
+    const container = document.getElementById('tag-editor');
+    if (!container) return;
+    container.innerHTML = '';
+    
+    const tags = image.tags || [];
+    if (tags.length > 0) {
+        container.appendChild(createTagList(tags, tag => updateImageTags(image, 'DELETE', [tag])));
+    } else {
+        const empty = document.createElement('span');
+        empty.textContent = '暂无标签';
+        container.appendChild(empty);
+    }
+    
+    const form = document.createElement('form');
+    form.className = 'tag-editor-form';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'form-input';
+    input.placeholder = '添加标签，多个用逗号分隔';
+    input.setAttribute('list', 'tag-suggestions');
+    
+    const suggestions = document.createElement('datalist');
+    suggestions.id = 'tag-suggestions';
+    state.tags.forEach(({ tag }) => {
+        const option = document.createElement('option');
+        option.value = tag;
+        suggestions.appendChild(option);
+    });
+    
+    const addBtn = document.createElement('button');
+    addBtn.type = 'submit';
+    addBtn.className = 'btn btn-small btn-primary';
+    addBtn.textContent = '添加';
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const newTags = input.value.split(',').map(tag => tag.trim()).filter(Boolean);
+        if (newTags.length === 0) return;
+        updateImageTags(image, 'POST', newTags);
+    });
+    
+    form.appendChild(input);
+    form.appendChild(suggestions);
+    form.appendChild(addBtn);
+    container.appendChild(form);
+}
+
+// 添加（POST）或移除（DELETE）图片标签
+async function updateImageTags(image, method, tags) {
+    try {
+        const response = await apiFetch(`/admin/api/images/${encodeURIComponent(image.path)}/tags`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ tags })
+        });
+        
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message || '更新标签失败');
+        
+        image.tags = result.tags;
+        renderTagEditor(image);
+        
+        // 刷新卡片和标签筛选
+        await loadTags();
+        renderImages();
+    } catch (error) {
+        console.error('更新标签失败:', error);
+        showMessage(`更新标签失败: ${error.message}`, 'error');
+    }
+}
+
 // 打开上传模态框
 function openUploadModal() {
-    elements.uploadForm.reset();
+    // 上传进行中时保留队列，以便继续查看进度
+    if (!state.uploading) {
+        elements.uploadForm.reset();
+        state.uploads = [];
+        elements.uploadList.innerHTML = '';
+    }
     // 更新目录选项
     updateUploadDirectoryOptions();
     elements.uploadModal.classList.add('show');
-    elements.uploadFile.focus();
 }
 
 // 关闭上传模态框
@@ -744,40 +1232,148 @@ function updateUploadDirectoryOptions() {
     state.directories.forEach(dir => {
         const option = document.createElement('option');
         option.value = dir.name;
-        option.textContent = dir.name;
+        option.textContent = getDirectoryLabel(dir);
         select.appendChild(option);
     });
 }
 
-// 处理图片上传
-async function handleUpload() {
-    try {
-        const file = elements.uploadFile.files[0];
-        if (!file) {
-            showMessage('请选择要上传的图片', 'error');
-            return;
-        }
+// 把选择或拖放的文件加入上传队列
+function addUploadFiles(files) {
+    Array.from(files).forEach(file => {
+        const item = document.createElement('li');
+        item.className = 'upload-item';
+        
+        const header = document.createElement('div');
+        header.className = 'upload-item-header';
+        const name = document.createElement('span');
+        name.className = 'upload-item-name';
+        name.textContent = `${file.name} (${formatSize(file.size)})`;
+        const status = document.createElement('span');
+        status.className = 'upload-item-status';
+        status.textContent = '等待上传';
+        header.appendChild(name);
+        header.appendChild(status);
+        
+        const progress = document.createElement('div');
+        progress.className = 'upload-progress';
+        const bar = document.createElement('div');
+        bar.className = 'upload-progress-bar';
+        progress.appendChild(bar);
         
-        const directory = elements.uploadDirectory.value;
+        const details = document.createElement('ul');
+        details.className = 'upload-item-details';
+        
+        item.appendChild(header);
+        item.appendChild(progress);
+        item.appendChild(details);
+        elements.uploadList.appendChild(item);
+        state.uploads.push({ file, item, status, bar, details, done: false });
+    });
+}
+
+// 上传单个文件，fetch 不支持上传进度，因此使用 XMLHttpRequest
+function uploadFileWithProgress(file, directory, onProgress) {
+    return new Promise((resolve, reject) => {
         const formData = new FormData();
-        formData.append('file', file);
         formData.append('directory', directory);
+        formData.append('files', file);
         
-        // 显示上传状态
-        elements.submitUploadBtn.disabled = true;
-        elements.submitUploadBtn.textContent = '上传中...';
-        
-        const response = await fetch('/admin/api/upload', {
-            method: 'POST',
-            body: formData
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', '/admin/api/upload');
+        if (state.csrfToken) {
+            xhr.setRequestHeader('X-CSRF-Token', state.csrfToken);
+        }
+        xhr.upload.addEventListener('progress', (e) => {
+            if (e.lengthComputable) onProgress(e.loaded / e.total);
         });
+        xhr.addEventListener('load', () => {
+            if (xhr.status === 401) {
+                redirectToLogin();
+                return;
+            }
+            try {
+                resolve(JSON.parse(xhr.responseText));
+            } catch (error) {
+                reject(new Error(`服务器返回无效响应 (${xhr.status})`));
+            }
+        });
+        xhr.addEventListener('error', () => reject(new Error('网络错误')));
+        xhr.send(formData);
+    });
+}
+
+// 显示单个文件的上传结果
+function renderUploadResult(upload, result) {
+    const statusLabels = { uploaded: '已上传', skipped: '已跳过', failed: '失败' };
+    if (!result.results) {
+        upload.status.textContent = `失败: ${result.message || '未知错误'}`;
+        upload.item.classList.add('failed');
+        return;
+    }
+    
+    const entries = result.results.filter(entry => entry.entry !== null);
+    if (entries.length === 0 && result.results.length === 1) {
+        const [entry] = result.results;
+        upload.status.textContent = entry.status === 'uploaded' ? '已上传' : `失败: ${entry.error}`;
+    } else {
+        upload.status.textContent = `上传 ${result.uploaded}，跳过 ${result.skipped}，失败 ${result.failed}`;
+    }
+    upload.item.classList.add(result.failed > 0 ? 'failed' : 'succeeded');
+    
+    // 列出归档中未上传的条目，以及被清理过的 SVG
+    result.results
+        .filter(entry => (entry.status === 'uploaded' ? entry.sanitized : entry.entry !== null))
+        .forEach(entry => {
+            const line = document.createElement('li');
+            line.className = entry.status;
+            const label = entry.entry || entry.file;
+            line.textContent = entry.status === 'uploaded'
+                ? `${label}: 已删除 SVG 中的不安全内容 - ${entry.sanitized.join(', ')}`
+                : `${label}: ${statusLabels[entry.status]} - ${entry.error}`;
+            upload.details.appendChild(line);
+        });
+}
+
+// 处理图片上传，逐个上传队列中的文件
+async function handleUpload() {
+    const pending = state.uploads.filter(upload => !upload.done);
+    if (pending.length === 0) {
+        showMessage('请选择要上传的图片或归档', 'error');
+        return;
+    }
+    
+    const directory = elements.uploadDirectory.value;
+    let uploaded = 0;
+    let failed = 0;
+    
+    // 显示上传状态
+    state.uploading = true;
+    elements.submitUploadBtn.disabled = true;
+    elements.submitUploadBtn.textContent = '上传中...';
+    
+    try {
+        for (const upload of pending) {
+            upload.status.textContent = '上传中 0%';
+            try {
+                const result = await uploadFileWithProgress(upload.file, directory, (ratio) => {
+                    const percentage = Math.round(ratio * 100);
+                    upload.bar.style.width = `${percentage}%`;
+                    upload.status.textContent = percentage < 100 ? `上传中 ${percentage}%` : '处理中...';
+                });
+                upload.bar.style.width = '100%';
+                renderUploadResult(upload, result);
+                uploaded += result.uploaded || 0;
+                failed += result.results ? result.failed : 1;
+            } catch (error) {
+                console.error('上传失败:', error);
+                upload.status.textContent = `失败: ${error.message}`;
+                upload.item.classList.add('failed');
+                failed++;
+            }
+            upload.done = true;
+        }
         
-        const result = await response.json();
-        
-        if (result.success) {
-            showMessage('图片上传成功', 'success');
-            closeUploadModal();
-            
+        if (uploaded > 0) {
             // 重新加载数据
             await Promise.all([
                 loadImages(),
@@ -790,14 +1386,17 @@ async function handleUpload() {
             renderPagination();
             updateStats();
             renderDirectories();
+        }
+        
+        if (failed === 0) {
+            showMessage(`上传完成，共 ${uploaded} 张图片`, 'success');
+            closeUploadModal();
         } else {
-            showMessage(`上传失败: ${result.message || '未知错误'}`, 'error');
+            showMessage(`上传完成：${uploaded} 张成功，${failed} 项失败，详情见列表`, 'error');
         }
-    } catch (error) {
-        console.error('上传失败:', error);
-        showMessage(`上传失败: ${error.message}`, 'error');
     } finally {
         // 恢复按钮状态
+        state.uploading = false;
         elements.submitUploadBtn.disabled = false;
         elements.submitUploadBtn.textContent = '上传';
     }
@@ -808,6 +1407,272 @@ function closeImageModal() {
     elements.imageModal.classList.remove('show');
 }
 
+// 打开回收站模态框
+function openTrashModal() {
+    elements.trashModal.classList.add('show');
+    loadTrash();
+}
+
+// 关闭回收站模态框
+function closeTrashModal() {
+    elements.trashModal.classList.remove('show');
+}
+
+// 加载回收站项目
+async function loadTrash() {
+    try {
+        const response = await apiFetch('/admin/api/trash');
+        if (!response.ok) throw new Error('加载回收站失败');
+        
+        const data = await response.json();
+        elements.trashInfo.textContent = data.retentionDays > 0
+            ? `共 ${data.items.length} 项，删除 ${data.retentionDays} 天后自动永久删除`
+            : `共 ${data.items.length} 项`;
+        elements.emptyTrashBtn.disabled = data.items.length === 0;
+        renderTrashItems(data.items);
+    } catch (error) {
+        console.error('加载回收站失败:', error);
+        showMessage('加载回收站失败', 'error');
+    }
+}
+
+// 渲染回收站项目
+function renderTrashItems(items) {
+    elements.trashItems.innerHTML = '';
+    
+    if (items.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 7;
+        cell.className = 'audit-empty';
+        cell.textContent = '回收站是空的';
+        row.appendChild(cell);
+        elements.trashItems.appendChild(row);
+        return;
+    }
+    
+    items.forEach(item => {
+        const row = document.createElement('tr');
+        const values = [
+            item.path,
+            item.type === 'directory' ? '目录' : '图片',
+            item.images,
+            formatSize(item.size),
+            formatDate(item.deletedAt),
+            item.expiresAt ? formatDate(item.expiresAt) : '-'
+        ];
+        values.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        
+        const actions = document.createElement('td');
+        actions.className = 'trash-actions';
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'btn btn-small btn-primary';
+        restoreBtn.textContent = '恢复';
+        restoreBtn.addEventListener('click', () => restoreTrashItem(item));
+        const purgeBtn = document.createElement('button');
+        purgeBtn.className = 'btn btn-small btn-danger';
+        purgeBtn.textContent = '永久删除';
+        purgeBtn.addEventListener('click', () => purgeTrashItem(item));
+        actions.appendChild(restoreBtn);
+        actions.appendChild(purgeBtn);
+        row.appendChild(actions);
+        
+        elements.trashItems.appendChild(row);
+    });
+}
+
+// 恢复回收站项目到原路径
+async function restoreTrashItem(item) {
+    try {
+        const response = await apiFetch(`/admin/api/trash/${encodeURIComponent(item.id)}/restore`, {
+            method: 'POST'
+        });
+        
+        if (response.status === 409) {
+            showMessage(`无法恢复：原路径 "${item.path}" 已存在`, 'error');
+            return;
+        }
+        if (!response.ok) throw new Error('恢复失败');
+        
+        showMessage(`已恢复 ${item.path}`, 'success');
+        await Promise.all([
+            loadTrash(),
+            loadImages(state.currentPage),
+            loadStats(),
+            loadDirectories(),
+            loadTags()
+        ]);
+        renderImages();
+        renderPagination();
+        updateStats();
+        renderDirectories();
+    } catch (error) {
+        console.error('恢复失败:', error);
+        showMessage('恢复失败', 'error');
+    }
+}
+
+// 永久删除回收站项目
+async function purgeTrashItem(item) {
+    if (!confirm(`确定要永久删除 "${item.path}" 吗？此操作无法恢复。`)) return;
+    
+    try {
+        const response = await apiFetch(`/admin/api/trash/${encodeURIComponent(item.id)}`, {
+            method: 'DELETE'
+        });
+        if (!response.ok) throw new Error('永久删除失败');
+        await loadTrash();
+    } catch (error) {
+        console.error('永久删除失败:', error);
+        showMessage('永久删除失败', 'error');
+    }
+}
+
+// 确认清空回收站
+async function confirmEmptyTrash() {
+    if (!confirm('确定要清空回收站吗？其中的所有项目将被永久删除，无法恢复。')) return;
+    
+    try {
+        const response = await apiFetch('/admin/api/trash', { method: 'DELETE' });
+        if (!response.ok) throw new Error('清空回收站失败');
+        showMessage('回收站已清空', 'success');
+        await loadTrash();
+    } catch (error) {
+        console.error('清空回收站失败:', error);
+        showMessage('清空回收站失败', 'error');
+    }
+}
+
+// 打开审计日志模态框
+function openAuditModal() {
+    elements.auditModal.classList.add('show');
+    loadAuditLog(1);
+}
+
+// 关闭审计日志模态框
+function closeAuditModal() {
+    elements.auditModal.classList.remove('show');
+}
+
+// 加载审计日志
+async function loadAuditLog(page = 1) {
+    try {
+        const params = new URLSearchParams();
+        params.append('page', page);
+        params.append('limit', 50);
+        
+        const filters = {
+            action: elements.auditAction.value,
+            result: elements.auditResult.value,
+            actor: elements.auditActor.value.trim(),
+            target: elements.auditTarget.value.trim()
+        };
+        Object.entries(filters).forEach(([name, value]) => {
+            if (value) params.append(name, value);
+        });
+        
+        const response = await apiFetch(`/admin/api/audit?${params.toString()}`);
+        if (!response.ok) throw new Error('加载审计日志失败');
+        
+        const data = await response.json();
+        state.auditPage = data.page;
+        state.auditTotalPages = Math.ceil(data.total / data.limit);
+        renderAuditEntries(data.entries);
+        renderAuditPagination();
+    } catch (error) {
+        console.error('加载审计日志失败:', error);
+        showMessage('加载审计日志失败', 'error');
+    }
+}
+
+// 渲染审计记录（内容可能来自请求参数，只以文本方式插入）
+function renderAuditEntries(entries) {
+    elements.auditEntries.innerHTML = '';
+    
+    if (entries.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 7;
+        cell.className = 'audit-empty';
+        cell.textContent = '没有符合条件的记录';
+        row.appendChild(cell);
+        elements.auditEntries.appendChild(row);
+        return;
+    }
+    
+    const resultLabels = { success: '成功', failure: '失败', denied: '拒绝' };
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        const actor = entry.actor.type === 'anonymous' ? '匿名' : `${entry.actor.name || entry.actor.id}（${entry.actor.type}）`;
+        const values = [
+            formatDate(entry.time),
+            actor,
+            entry.ip,
+            entry.action,
+            entry.target || '-',
+            `${resultLabels[entry.result] || entry.result} ${entry.status}`
+        ];
+        values.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        row.children[5].className = `audit-result-${entry.result}`;
+        
+        // 错误说明及操作前后的元数据
+        const detailCell = document.createElement('td');
+        const detail = {};
+        if (entry.error) detail.error = entry.error;
+        if (entry.before) detail.before = entry.before;
+        if (entry.after) detail.after = entry.after;
+        if (Object.keys(detail).length > 0) {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = '查看';
+            const pre = document.createElement('pre');
+            pre.className = 'audit-detail';
+            pre.textContent = JSON.stringify(detail, null, 2);
+            details.appendChild(summary);
+            details.appendChild(pre);
+            detailCell.appendChild(details);
+        }
+        row.appendChild(detailCell);
+        
+        elements.auditEntries.appendChild(row);
+    });
+}
+
+// 渲染审计日志分页
+function renderAuditPagination() {
+    elements.auditPagination.innerHTML = '';
+    
+    if (state.auditTotalPages <= 1) {
+        return;
+    }
+    
+    const createButton = (text, page) => {
+        const btn = document.createElement('button');
+        btn.className = `pagination-btn ${page === null ? 'disabled' : ''}`;
+        btn.textContent = text;
+        if (page !== null) {
+            btn.addEventListener('click', () => loadAuditLog(page));
+        }
+        return btn;
+    };
+    
+    const info = document.createElement('span');
+    info.className = 'pagination-ellipsis';
+    info.textContent = `${state.auditPage} / ${state.auditTotalPages}`;
+    
+    elements.auditPagination.appendChild(createButton('上一页', state.auditPage > 1 ? state.auditPage - 1 : null));
+    elements.auditPagination.appendChild(info);
+    elements.auditPagination.appendChild(createButton('下一页', state.auditPage < state.auditTotalPages ? state.auditPage + 1 : null));
+}
+
 // 显示模态框
 function showModal(options) {
     elements.modalTitle.textContent = options.title || '操作确认';
@@ -839,13 +1704,32 @@ async function handleUpdate() {
         elements.updateBtn.disabled = true;
         elements.updateBtn.textContent = '更新中...';
         
-        const response = await fetch('/admin/api/update', {
+        const response = await apiFetch('/admin/api/update', {
             method: 'POST'
         });
         
         if (!response.ok) throw new Error('更新失败');
         
-        showMessage('图片列表更新成功', 'success');
+        // 扫描在后台执行，轮询任务状态直到结束
+        let { job } = await response.json();
+        while (job.status === 'queued' || job.status === 'running') {
+            elements.updateBtn.textContent = job.status === 'queued' ? '排队中...' : `更新中 ${job.progress.percentage}%`;
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            
+            const jobResponse = await apiFetch(`/admin/api/jobs/${job.id}`);
+            if (!jobResponse.ok) throw new Error('获取任务状态失败');
+            job = await jobResponse.json();
+        }
+        
+        if (job.status === 'failed') throw new Error(job.error || '更新失败');
+        
+        const { diff } = job.result;
+        const summary = `新增 ${diff.added}，删除 ${diff.removed}，修改 ${diff.modified}`;
+        if (job.errorCount > 0) {
+            showMessage(`图片列表已更新（${summary}），${job.errorCount} 个文件处理失败`, 'error');
+        } else {
+            showMessage(`图片列表更新成功（${summary}）`, 'success');
+        }
         
         // 重新加载数据
         await Promise.all([
@@ -859,7 +1743,7 @@ async function handleUpdate() {
         updateStats();
     } catch (error) {
         console.error('更新失败:', error);
-        showMessage('更新失败', 'error');
+        showMessage(`更新失败: ${error.message}`, 'error');
     } finally {
         elements.updateBtn.disabled = false;
         elements.updateBtn.textContent = '更新图片列表';
@@ -872,7 +1756,7 @@ async function handleClearCache() {
         elements.clearCacheBtn.disabled = true;
         elements.clearCacheBtn.textContent = '清空ing...';
         
-        const response = await fetch('/admin/api/cache/clear', {
+        const response = await apiFetch('/admin/api/cache/clear', {
             method: 'POST'
         });
         
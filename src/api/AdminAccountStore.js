@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const FileUtils = require('../utils/FileUtils');
+const logManager = require('../logging/LogManager');
+
+// scrypt 参数：N=2^15, r=8, p=1，约需 32MB 内存
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 1024;
+// 最多记录的登录失败（客户端地址和用户名的组合）数量，超出时优先丢弃最早的不存在的用户名
+const MAX_TRACKED_FAILURES = 10000;
+
+/**
+ * 计算 scrypt 摘要
+ * @param {string} password - 密码
+ * @param {Buffer} salt - 盐
+ * @param {{N: number, r: number, p: number}} params - scrypt 参数
+ * @returns {Promise<Buffer>} 摘要
+ */
+function scrypt(password, salt, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p, maxmem: 128 * N * r * 2 }, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+}
+
+/**
+ * 管理员账户存储
+ *
+ * 账户保存在 admin-accounts.json 中，密码以 scrypt（随机盐）摘要保存。
+ * 每个账户带有 version，修改密码时递增，登录会话记录登录时的 version，不一致即失效。
+ * 同一客户端地址对同一用户名连续登录失败达到上限后，该地址对该用户名的登录会被暂时锁定。
+ * 只按用户名统计时，任何人都可以用错误的密码把已知的管理员锁在外面；按地址和用户名统计则只影响尝试的一方。
+ */
+class AdminAccountStore {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.maxAttempts - 锁定前允许的连续失败次数
+   * @param {number} options.lockout - 锁定时长（秒）
+   */
+  constructor({ maxAttempts = 5, lockout = 300 } = {}) {
+    this.accountsPath = path.join(__dirname, '../../admin-accounts.json');
+    this.queue = Promise.resolve();
+    this.accounts = null;
+    this.mtime = 0;
+    this.maxAttempts = maxAttempts;
+    this.lockout = lockout;
+    this.failures = new Map();
+    // 用户名不存在时也计算一次摘要，使响应时间不泄露用户名是否存在
+    this.dummy = null;
+  }
+
+  /**
+   * 校验用户名
+   * @param {any} username - 用户名
+   * @returns {string|null} 规范化后的用户名（小写），无效时返回null
+   */
+  static normalizeUsername(username) {
+    if (typeof username !== 'string') {
+      return null;
+    }
+    const normalized = username.trim().toLowerCase();
+    return /^[a-z0-9][a-z0-9_.-]{0,63}$/.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * 校验密码强度
+   * @param {any} password - 密码
+   * @returns {string|null} 不符合要求的原因，符合时返回null
+   */
+  static checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      return `password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * 计算密码摘要
+   * @param {string} password - 密码
+   * @returns {Promise<Object>} { salt, hash, params }
+   */
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT_PARAMS);
+    return { salt: salt.toString('base64'), hash: hash.toString('base64'), params: { ...SCRYPT_PARAMS } };
+  }
+
+  /**
+   * 校验密码
+   * @param {string} password - 密码
+   * @param {Object} record - 账户中保存的 { salt, hash, params }
+   * @returns {Promise<boolean>} 是否匹配
+   */
+  static async verifyPassword(password, record) {
+    const expected = Buffer.from(record.hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(record.salt, 'base64'), record.params || SCRYPT_PARAMS);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * 读取全部账户，文件未变化时使用内存中的副本
+   * @returns {Promise<Array>} 账户记录
+   */
+  async load() {
+    const stat = await fs.stat(this.accountsPath).catch(() => null);
+    const mtime = stat ? stat.mtimeMs : 0;
+    if (!this.accounts || mtime !== this.mtime) {
+      const accounts = await FileUtils.safeReadJson(this.accountsPath, []);
+      this.accounts = Array.isArray(accounts) ? accounts : [];
+      this.mtime = mtime;
+    }
+    return this.accounts;
+  }
+
+  /**
+   * 串行执行修改，避免并发写入互相覆盖
+   * @param {Function} mutate - 修改函数，接收账户列表，返回值作为结果
+   * @returns {Promise<any>} 修改函数的返回值
+   */
+  async modify(mutate) {
+    const task = this.queue.then(async () => {
+      const accounts = await FileUtils.safeReadJson(this.accountsPath, []);
+      const result = await mutate(accounts);
+      if (!(await FileUtils.safeWriteJson(this.accountsPath, accounts))) {
+        throw new Error('Failed to save admin accounts');
+      }
+      this.accounts = null;
+      return result;
+    });
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 生成返回给客户端的账户信息（不含密码摘要）
+   * @param {Object} account - 账户记录
+   * @returns {Object} 账户信息
+   */
+  describe(account) {
+    return {
+      username: account.username,
+      createdAt: account.createdAt,
+      updatedAt: account.updatedAt,
+      lastLoginAt: account.lastLoginAt || null
+    };
+  }
+
+  /**
+   * 列出全部账户
+   * @returns {Promise<Object[]>} 账户信息
+   */
+  async list() {
+    const accounts = await this.load();
+    return accounts.map(account => this.describe(account));
+  }
+
+  /**
+   * 查找账户
+   * @param {string} username - 用户名
+   * @returns {Promise<Object|null>} 账户记录
+   */
+  async find(username) {
+    const accounts = await this.load();
+    return accounts.find(account => account.username === username) || null;
+  }
+
+  /**
+   * 是否已创建过账户
+   * @returns {Promise<boolean>} 是否存在账户
+   */
+  async isEmpty() {
+    return (await this.load()).length === 0;
+  }
+
+  /**
+   * 创建账户
+   * @param {any} username - 用户名
+   * @param {any} password - 密码
+   * @returns {Promise<Object>} 账户信息
+   */
+  async create(username, password) {
+    const name = AdminAccountStore.normalizeUsername(username);
+    const problem = name ? AdminAccountStore.checkPassword(password) : 'username must be 1-64 characters of letters, digits, "_", "." or "-"';
+    if (problem) {
+      const error = new Error(problem);
+      error.status = 400;
+      throw error;
+    }
+
+    const credentials = await AdminAccountStore.hashPassword(password);
+    const now = new Date().toISOString();
+    const account = await this.modify((accounts) => {
+      if (accounts.some(a => a.username === name)) {
+        const error = new Error(`Account already exists: ${name}`);
+        error.status = 409;
+        throw error;
+      }
+      const created = { username: name, ...credentials, version: 1, createdAt: now, updatedAt: now, lastLoginAt: null };
+      accounts.push(created);
+      return created;
+    });
+    logManager.info(`Admin account created: ${name}`, { module: 'ADMIN' });
+    return this.describe(account);
+  }
+
+  /**
+   * 修改密码，该账户已有的登录会话随之失效
+   * @param {string} username - 用户名
+   * @param {any} password - 新密码
+   * @returns {Promise<Object|null>} 账户信息，不存在时返回null
+   */
+  async setPassword(username, password) {
+    const problem = AdminAccountStore.checkPassword(password);
+    if (problem) {
+      const error = new Error(problem);
+      error.status = 400;
+      throw error;
+    }
+
+    const credentials = await AdminAccountStore.hashPassword(password);
+    const account = await this.modify((accounts) => {
+      const found = accounts.find(a => a.username === username);
+      if (found) {
+        Object.assign(found, credentials, { version: (found.version || 1) + 1, updatedAt: new Date().toISOString() });
+      }
+      return found || null;
+    });
+    if (account) {
+      logManager.info(`Password changed for admin account: ${username}`, { module: 'ADMIN' });
+    }
+    return account ? this.describe(account) : null;
+  }
+
+  /**
+   * 删除账户
+   * @param {string} username - 用户名
+   * @returns {Promise<boolean>} 是否存在并已删除
+   */
+  async remove(username) {
+    const removed = await this.modify((accounts) => {
+      const index = accounts.findIndex(a => a.username === username);
+      if (index === -1) {
+        return false;
+      }
+      accounts.splice(index, 1);
+      return true;
+    });
+    if (removed) {
+      logManager.info(`Admin account deleted: ${username}`, { module: 'ADMIN' });
+    }
+    return removed;
+  }
+
+  /**
+   * 校验用户名和密码
+   * @param {any} username - 用户名
+   * @param {any} password - 密码
+   * @param {string} client - 客户端标识（IP），与用户名一起统计失败次数
+   * @returns {Promise<{account: Object|null, error: string|null, retryAfter?: number}>} 账户记录，失败时附带原因
+   */
+  async authenticate(username, password, client) {
+    const name = AdminAccountStore.normalizeUsername(username) || '';
+    const failureKey = `${client}\n${name}`;
+    const failure = this.failures.get(failureKey);
+    if (failure && failure.lockedUntil > Date.now()) {
+      return { account: null, error: 'Too many failed login attempts', retryAfter: Math.ceil((failure.lockedUntil - Date.now()) / 1000) };
+    }
+
+    const account = name ? await this.find(name) : null;
+    let valid = false;
+    if (typeof password === 'string' && password.length <= MAX_PASSWORD_LENGTH) {
+      if (account) {
+        valid = await AdminAccountStore.verifyPassword(password, account);
+      } else {
+        this.dummy = this.dummy || await AdminAccountStore.hashPassword(crypto.randomBytes(16).toString('hex'));
+        await AdminAccountStore.verifyPassword(password, this.dummy);
+      }
+    }
+
+    if (!valid) {
+      // 锁定结束后重新计数
+      const count = (failure && !failure.lockedUntil ? failure.count : 0) + 1;
+      const lockedUntil = count >= this.maxAttempts ? Date.now() + this.lockout * 1000 : 0;
+      this.failures.delete(failureKey);
+      this.failures.set(failureKey, { count, lockedUntil, known: Boolean(account) });
+      if (this.failures.size > MAX_TRACKED_FAILURES) {
+        // 优先淘汰不存在的用户名，避免用大量随机用户名把真实账户的计数挤出；都是真实账户时淘汰最早的记录
+        let evicted = this.failures.keys().next().value;
+        for (const [key, entry] of this.failures) {
+          if (!entry.known) {
+            evicted = key;
+            break;
+          }
+        }
+        this.failures.delete(evicted);
+      }
+      if (lockedUntil) {
+        logManager.warn(`Admin login locked for ${name || '(invalid username)'} from ${client} after ${count} failed attempts`, { module: 'ADMIN' });
+      }
+      return { account: null, error: 'Invalid username or password' };
+    }
+
+    this.failures.delete(failureKey);
+    const now = new Date().toISOString();
+    this.modify((accounts) => {
+      const found = accounts.find(a => a.username === account.username);
+      if (found) {
+        found.lastLoginAt = now;
+      }
+    }).catch(error => logManager.warn(`Failed to record admin login: ${error.message}`, { module: 'ADMIN' }));
+    return { account, error: null };
+  }
+}
+
+module.exports = AdminAccountStore;
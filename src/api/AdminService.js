@@ -1,18 +1,41 @@
 const fs = require('fs-extra');
 const path = require('path');
 const logManager = require('../logging/LogManager');
-const UpdateService = require('../services/UpdateService');
 const FileUtils = require('../utils/FileUtils');
+const DirectoryMeta = require('../utils/DirectoryMeta');
+const ArchiveReader = require('../utils/ArchiveReader');
+const ImageProbe = require('../utils/ImageProbe');
+const SvgSanitizer = require('../utils/SvgSanitizer');
+const TagStore = require('./TagStore');
+const TrashStore = require('./TrashStore');
+const RedirectStore = require('./RedirectStore');
+
+// 检查回收站中过期项目的间隔
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+
+const TRANSFER_MODES = ['move', 'copy'];
+// 目标已存在时：fail 返回409，rename 在名称后追加时间戳，overwrite 先把已有的移入回收站
+const CONFLICT_POLICIES = ['fail', 'rename', 'overwrite'];
 
 /**
  * 管理服务类，处理图片管理相关的API请求
  */
 class AdminService {
-  constructor(config, cacheManager) {
+  /**
+   * @param {any} config - 应用配置
+   * @param {any} cacheManager - 缓存管理器
+   * @param {import('../services/UpdateService')} updateService - 更新服务
+   */
+  constructor(config, cacheManager, updateService) {
     this.config = config;
     this.cacheManager = cacheManager;
+    this.updateService = updateService;
     this.imagesPath = path.resolve(config.paths.images);
     this.supportedExtensions = config.update.supportedExtensions;
+    this.tagStore = new TagStore();
+    this.trash = new TrashStore(this.imagesPath, { retentionDays: config.trash.retention_days });
+    this.redirects = new RedirectStore();
+    this.purgeInterval = null;
   }
 
   /**
@@ -36,6 +59,8 @@ class AdminService {
       const limit = parseInt(query.limit) || 20;
       const directory = query.directory || '';
       const keyword = query.keyword || '';
+      const { tags } = TagStore.normalizeTags(query.tag || '');
+      const flagged = query.flagged === 'true';
       const offset = (page - 1) * limit;
 
       // 读取图片列表
@@ -66,6 +91,18 @@ class AdminService {
         );
       }
 
+      // 标签过滤（需同时包含所有指定标签）
+      if (tags.length > 0) {
+        filtered = filtered.filter(img => 
+          Array.isArray(img.tags) && tags.every(tag => img.tags.includes(tag))
+        );
+      }
+
+      // 只显示未通过内容检查的图片
+      if (flagged) {
+        filtered = filtered.filter(img => img.flagged);
+      }
+
       // 分页
       const paginated = filtered.slice(offset, offset + limit);
 
@@ -82,15 +119,23 @@ class AdminService {
   }
 
   /**
-   * 获取目录列表
-   * @returns {Promise<Array>}
+   * 获取目录列表及各目录生效的元数据（含从上级目录继承的字段）
+   * @returns {Promise<Array<{name: string, count: number}>>} 目录列表，元数据字段见 _meta.json
    */
   async getDirectories() {
     try {
-      // 读取图片列表
+      // 读取图片列表和目录元数据
       const listPath = path.join(__dirname, '../../list.json');
-      const imageList = await FileUtils.safeReadJson(listPath, {});
-      return Object.keys(imageList);
+      const metaPath = path.join(__dirname, '../../images-meta.json');
+      const [imageList, directoryMeta] = await Promise.all([
+        FileUtils.safeReadJson(listPath, {}),
+        FileUtils.safeReadJson(metaPath, {})
+      ]);
+      return Object.keys(imageList).map(name => ({
+        name,
+        count: Object.keys(imageList[name] || {}).length,
+        ...DirectoryMeta.resolve(directoryMeta, name)
+      }));
     } catch (error) {
       logManager.error(`Error getting directories: ${error.message}`, { module: 'ADMIN' });
       throw error;
@@ -108,7 +153,7 @@ class AdminService {
         throw new Error('Invalid directory name');
       }
 
-      const dirPath = path.join(this.imagesPath, directory);
+      const dirPath = path.join(this.imagesPath, this.trash.resolvePath(directory));
       await fs.ensureDir(dirPath);
       logManager.info(`Created directory: ${directory}`, { module: 'ADMIN' });
       return true;
@@ -119,9 +164,9 @@ class AdminService {
   }
 
   /**
-   * 删除目录
+   * 删除目录：连同其中的图片移入回收站
    * @param {string} directory - 目录名称
-   * @returns {Promise<boolean>}
+   * @returns {Promise<Object>} 回收站项目信息
    */
   async deleteDirectory(directory) {
     try {
@@ -129,10 +174,22 @@ class AdminService {
         throw new Error('Cannot delete root directory');
       }
 
-      const dirPath = path.join(this.imagesPath, directory);
-      await fs.remove(dirPath);
+      const key = this.trash.resolvePath(directory);
+      const stats = await fs.stat(path.join(this.imagesPath, key)).catch(() => null);
+      if (!stats || !stats.isDirectory()) {
+        const error = new Error(`Directory not found: ${directory}`);
+        error.status = 404;
+        throw error;
+      }
+
+      const images = await this.findImagesUnder(key);
+      const entry = await this.moveToTrash(key, {
+        type: 'directory',
+        images: images.length,
+        size: images.reduce((sum, image) => sum + (image.size || 0), 0)
+      }, images);
       logManager.info(`Deleted directory: ${directory}`, { module: 'ADMIN' });
-      return true;
+      return entry;
     } catch (error) {
       logManager.error(`Error deleting directory: ${error.message}`, { module: 'ADMIN' });
       throw error;
@@ -140,22 +197,523 @@ class AdminService {
   }
 
   /**
-   * 删除图片
+   * 删除图片：移入回收站
    * @param {string} imagePath - 图片路径
-   * @returns {Promise<boolean>}
+   * @returns {Promise<Object>} 回收站项目信息
    */
   async deleteImage(imagePath) {
     try {
-      const fullPath = path.join(this.imagesPath, imagePath);
-      await fs.remove(fullPath);
+      const key = this.trash.resolvePath(imagePath);
+      const stats = await fs.stat(path.join(this.imagesPath, key)).catch(() => null);
+      if (!stats || !stats.isFile()) {
+        const error = new Error(`Image not found: ${imagePath}`);
+        error.status = 404;
+        throw error;
+      }
+
+      const entry = await this.moveToTrash(key, { type: 'image', images: 1, size: stats.size }, [{ path: key }]);
       logManager.info(`Deleted image: ${imagePath}`, { module: 'ADMIN' });
-      return true;
+      return entry;
     } catch (error) {
       logManager.error(`Error deleting image: ${error.message}`, { module: 'ADMIN' });
       throw error;
     }
   }
 
+  /**
+   * 把图片或目录移入回收站，连同标签一起保存，并从图片列表和缓存中移除
+   * @param {string} key - 相对图片目录的路径
+   * @param {Object} details - 回收站记录的类型、图片数量和大小
+   * @param {Array} images - 受影响的图片详情
+   * @returns {Promise<Object>} 回收站项目信息
+   */
+  async moveToTrash(key, details, images) {
+    const tags = await this.tagStore.removePath(key);
+    let entry;
+    try {
+      entry = await this.trash.add(key, { ...details, tags });
+    } catch (error) {
+      await this.tagStore.restorePaths(tags);
+      throw error;
+    }
+    await this.refreshPaths([key], images);
+    return entry;
+  }
+
+  /**
+   * 移动、重命名或复制图片
+   * @param {string} imagePath - 图片路径
+   * @param {Object} options - 选项，见 transfer
+   * @returns {Promise<Object>} 操作结果
+   */
+  async transferImage(imagePath, options) {
+    return this.transfer('image', imagePath, options);
+  }
+
+  /**
+   * 移动、重命名或复制目录（连同其中的图片）
+   * @param {string} directory - 目录名称
+   * @param {Object} options - 选项，见 transfer
+   * @returns {Promise<Object>} 操作结果
+   */
+  async transferDirectory(directory, options) {
+    if (!directory || directory === '_root') {
+      const error = new Error('Cannot move root directory');
+      error.status = 400;
+      throw error;
+    }
+    return this.transfer('directory', directory, options);
+  }
+
+  /**
+   * 移动或复制图片、目录，同步标签、图片列表和缓存
+   * @param {string} type - image 或 directory
+   * @param {string} source - 原相对路径
+   * @param {Object} options - 选项
+   * @param {string} options.to - 目标相对路径（包含新名称）
+   * @param {string} [options.mode='move'] - move 或 copy
+   * @param {string} [options.onConflict='fail'] - 目标已存在时的处理方式：fail、rename 或 overwrite
+   * @param {boolean} [options.redirect=false] - 移动后是否保留旧路径到新路径的301重定向
+   * @returns {Promise<{type: string, mode: string, from: string, path: string, images: number, redirect: boolean, overwritten: Object|null}>}
+   */
+  async transfer(type, source, { to, mode = 'move', onConflict = 'fail', redirect = false } = {}) {
+    const fail = (status, message) => {
+      const error = new Error(message);
+      error.status = status;
+      return error;
+    };
+    const label = type === 'image' ? 'Image' : 'Directory';
+
+    try {
+      if (!TRANSFER_MODES.includes(mode)) {
+        throw fail(400, `Invalid mode: ${mode}. Supported: ${TRANSFER_MODES.join(', ')}`);
+      }
+      if (!CONFLICT_POLICIES.includes(onConflict)) {
+        throw fail(400, `Invalid onConflict: ${onConflict}. Supported: ${CONFLICT_POLICIES.join(', ')}`);
+      }
+
+      const key = this.trash.resolvePath(source);
+      const stats = await fs.stat(path.join(this.imagesPath, key)).catch(() => null);
+      if (!stats || (type === 'image' ? !stats.isFile() : !stats.isDirectory())) {
+        throw fail(404, `${label} not found: ${source}`);
+      }
+
+      if (typeof to !== 'string' || !to.trim()) {
+        throw fail(400, 'Destination path (to) is required');
+      }
+      let target = this.trash.resolvePath(to);
+      if (type === 'image' && !this.supportedExtensions.includes(path.extname(target).toLowerCase())) {
+        throw fail(400, `Unsupported file extension: ${path.extname(target) || '(none)'}. Supported: ${this.supportedExtensions.join(', ')}`);
+      }
+      if (target === key) {
+        throw fail(400, 'Source and destination are the same');
+      }
+      if (target.startsWith(`${key}/`)) {
+        throw fail(400, `Cannot move a directory into itself: ${target}`);
+      }
+
+      // 处理目标冲突
+      let overwritten = null;
+      const existing = await fs.stat(path.join(this.imagesPath, target)).catch(() => null);
+      if (existing) {
+        if (onConflict === 'fail') {
+          throw fail(409, `Destination already exists: ${target}`);
+        }
+        if (onConflict === 'rename') {
+          const ext = type === 'image' ? path.extname(target) : '';
+          target = `${target.slice(0, target.length - ext.length)}_${Date.now()}${ext}`;
+        } else if (existing.isDirectory() !== (type === 'directory')) {
+          throw fail(409, `Destination already exists and is not ${type === 'image' ? 'an image' : 'a directory'}: ${target}`);
+        } else if (key.startsWith(`${target}/`)) {
+          throw fail(400, `Cannot overwrite a directory containing the source: ${target}`);
+        } else {
+          overwritten = type === 'image' ? await this.deleteImage(target) : await this.deleteDirectory(target);
+        }
+      }
+
+      const images = await this.findImagesUnder(key);
+      const from = path.join(this.imagesPath, key);
+      const dest = path.join(this.imagesPath, target);
+      if (mode === 'copy') {
+        await fs.copy(from, dest, { overwrite: false, errorOnExist: true });
+      } else {
+        await fs.move(from, dest);
+      }
+      await this.tagStore.copyPath(key, target, { move: mode === 'move' });
+
+      const keepRedirect = mode === 'move' && Boolean(redirect);
+      if (keepRedirect) {
+        await this.redirects.add(key, target);
+      }
+
+      const copies = images.map(image => ({ path: target + image.path.slice(key.length) }));
+      await this.refreshPaths(mode === 'move' ? [key, target] : [target], [...images, ...copies]);
+
+      logManager.info(`${mode === 'move' ? 'Moved' : 'Copied'} ${type}: ${key} -> ${target}`, { module: 'ADMIN' });
+      return {
+        type,
+        mode,
+        from: key,
+        path: target,
+        images: images.length,
+        redirect: keepRedirect,
+        overwritten
+      };
+    } catch (error) {
+      logManager.error(`Error transferring ${type}: ${error.message}`, { module: 'ADMIN' });
+      throw error;
+    }
+  }
+
+  /**
+   * 列出旧路径重定向
+   * @returns {Promise<Array<{from: string, to: string, createdAt: string}>>}
+   */
+  async getRedirects() {
+    return this.redirects.list();
+  }
+
+  /**
+   * 删除旧路径重定向
+   * @param {string} from - 旧路径
+   * @returns {Promise<boolean>} 是否存在并已删除
+   */
+  async deleteRedirect(from) {
+    return this.redirects.remove(from);
+  }
+
+  /**
+   * 列出回收站中的项目
+   * @returns {Promise<Object[]>} 项目信息，最近删除的在前
+   */
+  async getTrash() {
+    return this.trash.list();
+  }
+
+  /**
+   * 从回收站恢复项目到原路径，恢复标签并重新加入图片列表
+   * @param {string} id - 项目ID
+   * @returns {Promise<Object|null>} 项目信息，不存在时返回null
+   */
+  async restoreTrash(id) {
+    try {
+      const entry = await this.trash.restore(id);
+      if (!entry) {
+        return null;
+      }
+      await this.tagStore.restorePaths(entry.tags || {});
+      await this.refreshPaths([entry.path], await this.findImagesUnder(entry.path));
+      return this.trash.describe(entry);
+    } catch (error) {
+      logManager.error(`Error restoring from trash: ${error.message}`, { module: 'ADMIN' });
+      throw error;
+    }
+  }
+
+  /**
+   * 永久删除回收站中的项目
+   * @param {string} [id] - 项目ID，未提供时清空回收站
+   * @returns {Promise<Object[]>} 被删除的项目信息
+   */
+  async purgeTrash(id) {
+    try {
+      return await this.trash.purgeWhere(entry => !id || entry.id === id);
+    } catch (error) {
+      logManager.error(`Error purging trash: ${error.message}`, { module: 'ADMIN' });
+      throw error;
+    }
+  }
+
+  /**
+   * 定时永久删除超过保留天数的回收站项目
+   */
+  startAutoPurge() {
+    const run = () => this.trash.purgeExpired().catch((error) => {
+      logManager.error(`Trash purge failed: ${error.message}`, { module: 'ADMIN' });
+    });
+    run();
+    this.purgeInterval = setInterval(run, TRASH_PURGE_INTERVAL);
+    this.purgeInterval.unref();
+  }
+
+  /**
+   * 停止定时任务
+   */
+  stop() {
+    if (this.purgeInterval) {
+      clearInterval(this.purgeInterval);
+      this.purgeInterval = null;
+    }
+  }
+
+  /**
+   * 按路径查找图片及目录下的所有图片
+   * @param {string} key - 图片或目录的相对路径
+   * @returns {Promise<Array>} 图片详情
+   */
+  async findImagesUnder(key) {
+    const detailsPath = path.join(__dirname, '../../images-details.json');
+    const imageDetails = await FileUtils.safeReadJson(detailsPath, []);
+    return imageDetails.filter(img => img.path === key || img.path.startsWith(`${key}/`));
+  }
+
+  /**
+   * 路径变化后更新图片列表和内存索引，并删除相关图片的缓存
+   * @param {string[]} keys - 变化的相对路径
+   * @param {Array} images - 受影响的图片详情
+   * @returns {Promise<void>}
+   */
+  async refreshPaths(keys, images) {
+    await this.updateService.applyChanges(keys);
+    for (const image of images) {
+      // 根目录中的图片通过 /api/_root/<文件名> 访问
+      const apiPaths = [`/api/${image.path}`];
+      if (!image.path.includes('/')) {
+        apiPaths.push(`/api/_root/${image.path}`);
+      }
+      for (const requestPath of new Set([...apiPaths, ...apiPaths.map(encodeURI)])) {
+        await this.cacheManager.del(`api:${requestPath}:json`);
+        await this.cacheManager.del(`api:${requestPath}:file`);
+      }
+    }
+  }
+
+  /**
+   * 按相对路径查找图片详情
+   * @param {string} imagePath - 图片相对路径
+   * @returns {Promise<Object|null>} 图片详情或null
+   */
+  async findImage(imagePath) {
+    const detailsPath = path.join(__dirname, '../../images-details.json');
+    const imageDetails = await FileUtils.safeReadJson(detailsPath, []);
+    return imageDetails.find(img => img.path === imagePath) || null;
+  }
+
+  /**
+   * 获取图片文件的完整路径，供管理页面预览（包括隐藏目录中的图片）
+   * @param {string} imagePath - 图片相对路径
+   * @returns {Promise<{filePath: string, flagged: string|null}|null>} 完整路径及内容检查的结果，图片不存在时返回null
+   */
+  async getImageFile(imagePath) {
+    const image = await this.findImage(imagePath);
+    if (!image) {
+      return null;
+    }
+    const fullPath = path.resolve(this.imagesPath, image.path);
+    return fullPath.startsWith(this.imagesPath + path.sep) ? { filePath: fullPath, flagged: image.flagged || null } : null;
+  }
+
+  /**
+   * 获取图片的标签
+   * @param {string} imagePath - 图片相对路径
+   * @returns {Promise<string[]|null>} 标签列表，图片不存在时返回null
+   */
+  async getImageTags(imagePath) {
+    if (!(await this.findImage(imagePath))) {
+      return null;
+    }
+    return this.tagStore.getTags(imagePath);
+  }
+
+  /**
+   * 修改图片的标签，并同步到图片详情
+   * @param {string} imagePath - 图片相对路径
+   * @param {Object} changes - 修改内容 { set, add, remove }
+   * @returns {Promise<string[]|null>} 修改后的标签列表，图片不存在时返回null
+   */
+  async updateImageTags(imagePath, changes) {
+    try {
+      if (!(await this.findImage(imagePath))) {
+        return null;
+      }
+
+      const tags = await this.tagStore.updateTags(imagePath, changes);
+
+      // 直接修改图片详情，无需等待下一次扫描
+      const detailsPath = path.join(__dirname, '../../images-details.json');
+      const imageDetails = await FileUtils.safeReadJson(detailsPath, []);
+      const image = imageDetails.find(img => img.path === imagePath);
+      if (image) {
+        TagStore.apply([image], { [imagePath]: tags });
+        await FileUtils.safeWriteJson(detailsPath, imageDetails);
+      }
+
+      logManager.info(`Updated tags of ${imagePath}: ${tags.join(', ') || '(none)'}`, { module: 'ADMIN' });
+      return tags;
+    } catch (error) {
+      logManager.error(`Error updating tags: ${error.message}`, { module: 'ADMIN' });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取所有标签及使用次数
+   * @returns {Promise<Array<{tag: string, count: number}>>}
+   */
+  async getTags() {
+    try {
+      return await this.tagStore.listTags();
+    } catch (error) {
+      logManager.error(`Error getting tags: ${error.message}`, { module: 'ADMIN' });
+      throw error;
+    }
+  }
+
+  /**
+   * 上传多个图片或归档文件，归档解压到目标目录并保留其中的目录结构
+   * @param {Array<{path: string, filename: string, archive: string|null}>} files - 上传的文件，path 为临时文件路径，
+   *   archive 为接收时按文件名确定的归档格式（见 UploadStorage），不是归档时为null
+   * @param {string} [directory] - 目标目录
+   * @returns {Promise<{results: Object[], archives: number, uploaded: number, skipped: number, failed: number}>}
+   *   每个图片或归档条目的结果，见 UploadResult
+   */
+  async uploadFiles(files, directory = '') {
+    const results = [];
+    let archives = 0;
+    for (const file of files) {
+      // 确保文件名是UTF-8编码
+      const filename = Buffer.from(file.filename, 'binary').toString('utf8');
+      // 按决定大小限制的文件名区分归档和图片，内容不符时拒绝，不能改按另一种方式处理
+      if (file.archive) {
+        archives++;
+        results.push(...await this.extractArchive(file.path, filename, file.archive, directory));
+        continue;
+      }
+      try {
+        // 图片逐个读入内存，同一时间只占用一个文件的内存；归档从文件中按需读取
+        const buffer = await fs.readFile(file.path);
+        const saved = await this.saveImage({ buffer, filename, directory });
+        results.push({ file: filename, entry: null, status: 'uploaded', ...this.savedDetails(saved) });
+      } catch (error) {
+        results.push({ file: filename, entry: null, status: 'failed', error: error.message });
+      }
+    }
+
+    // 新图片直接加入图片列表，无需等待下一次扫描
+    const paths = results.filter(result => result.status === 'uploaded').map(result => result.path);
+    if (paths.length > 0) {
+      await this.updateService.applyChanges(paths);
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    logManager.info(`Upload finished: ${count('uploaded')} uploaded, ${count('skipped')} skipped, ${count('failed')} failed`, { module: 'ADMIN' });
+    return { results, archives, uploaded: count('uploaded'), skipped: count('skipped'), failed: count('failed') };
+  }
+
+  /**
+   * 解压归档中的图片到目标目录
+   *
+   * 隐藏文件、__MACOSX 目录、符号链接和不支持的格式被跳过；包含 .. 或绝对路径的条目拒绝解压。
+   * @param {string} filePath - 归档文件路径
+   * @param {string} filename - 归档文件名
+   * @param {string} format - 按文件名确定的归档格式，见 ArchiveReader.formatOfName
+   * @param {string} directory - 目标目录
+   * @returns {Promise<Object[]>} 每个条目的结果；归档本身无效时只有一条 entry 为 null 的失败结果
+   */
+  async extractArchive(filePath, filename, format, directory) {
+    const limits = this.config.upload;
+    const result = (entry, status, details) => ({ file: filename, entry, status, ...details });
+
+    let archive;
+    try {
+      const { size } = await fs.stat(filePath);
+      if (size > limits.max_archive_size) {
+        throw new Error(`Archive exceeds ${limits.max_archive_size} bytes`);
+      }
+      const detected = await ArchiveReader.detectFile(filePath, filename);
+      if (detected !== format) {
+        throw new Error(detected
+          ? `File content is a ${detected} archive, which does not match the file extension`
+          : `File content is not a ${format} archive`);
+      }
+      archive = await ArchiveReader.open(filePath, format, {
+        maxEntries: limits.max_archive_entries,
+        maxEntrySize: limits.max_file_size,
+        maxTotalSize: limits.max_extracted_size
+      });
+    } catch (error) {
+      logManager.warn(`Rejected archive ${filename}: ${error.message}`, { module: 'ADMIN' });
+      return [result(null, 'failed', { error: error.message })];
+    }
+
+    try {
+      return await this.extractEntries(archive.entries, filename, directory);
+    } finally {
+      await archive.close();
+    }
+  }
+
+  /**
+   * 逐个保存归档条目中的图片，见 extractArchive
+   * @param {Array} entries - ArchiveReader.open 返回的条目
+   * @param {string} filename - 归档文件名
+   * @param {string} directory - 目标目录
+   * @returns {Promise<Object[]>} 每个条目的结果
+   */
+  async extractEntries(entries, filename, directory) {
+    const limits = this.config.upload;
+    const result = (entry, status, details) => ({ file: filename, entry, status, ...details });
+    const results = [];
+    let extracted = 0;
+    for (const entry of entries) {
+      if (entry.type === 'directory') {
+        continue;
+      }
+      const name = path.posix.normalize(entry.name.replace(/\\/g, '/'));
+      const segments = name.split('/');
+      if (path.posix.isAbsolute(name) || segments.includes('..')) {
+        results.push(result(entry.name, 'failed', { error: 'Unsafe path in archive' }));
+        continue;
+      }
+      if (segments.some(segment => segment.startsWith('.') || segment === '__MACOSX')) {
+        results.push(result(entry.name, 'skipped', { error: 'Hidden file' }));
+        continue;
+      }
+      if (entry.type !== 'file') {
+        results.push(result(entry.name, 'skipped', { error: 'Not a regular file' }));
+        continue;
+      }
+      if (!this.supportedExtensions.includes(path.extname(name).toLowerCase())) {
+        results.push(result(entry.name, 'skipped', { error: `Unsupported file extension: ${path.extname(name) || '(none)'}` }));
+        continue;
+      }
+      if (extracted + entry.size > limits.max_extracted_size) {
+        results.push(result(entry.name, 'failed', { error: `Archive exceeds ${limits.max_extracted_size} bytes when extracted` }));
+        continue;
+      }
+
+      try {
+        const data = await entry.read();
+        extracted += data.length;
+        const subdirectory = path.posix.dirname(name);
+        const saved = await this.saveImage({
+          buffer: data,
+          filename: path.posix.basename(name),
+          directory: [directory, subdirectory === '.' ? '' : subdirectory].filter(Boolean).join('/')
+        });
+        results.push(result(entry.name, 'uploaded', this.savedDetails(saved)));
+      } catch (error) {
+        results.push(result(entry.name, 'failed', { error: error.message }));
+      }
+    }
+
+    logManager.info(`Extracted archive ${filename}: ${results.filter(r => r.status === 'uploaded').length}/${results.length} entries`, { module: 'ADMIN' });
+    return results;
+  }
+
+  /**
+   * 上传结果中保存成功的图片信息，SVG 被清理时附带删除的内容
+   * @param {Object} saved - saveImage 的返回值
+   * @returns {Object}
+   */
+  savedDetails(saved) {
+    const details = { path: saved.path, size: saved.size };
+    if (saved.sanitized.length > 0) {
+      details.sanitized = saved.sanitized;
+    }
+    return details;
+  }
+
   /**
    * 上传图片
    * @param {Object} options - 上传选项
@@ -165,45 +723,78 @@ class AdminService {
    * @returns {Promise<Object>}
    */
   async uploadImage({ buffer, filename, directory = '' }) {
+    // 确保文件名是UTF-8编码
+    return this.saveImage({ buffer, filename: Buffer.from(filename, 'binary').toString('utf8'), directory });
+  }
+
+  /**
+   * 保存图片到目标目录，同名文件已存在时在文件名后追加时间戳
+   * @param {Object} options - 选项
+   * @param {Buffer} options.buffer - 图片二进制数据
+   * @param {string} options.filename - 图片文件名（已解码）
+   * @param {string} options.directory - 目标目录
+   * @returns {Promise<Object>}
+   */
+  async saveImage({ buffer, filename, directory = '' }) {
     try {
-      // 验证文件扩展名 - 确保文件名正确编码
-      const originalFilename = filename;
-      // 确保文件名是UTF-8编码
-      const normalizedFilename = Buffer.from(filename, 'binary').toString('utf8');
-      const ext = path.extname(normalizedFilename).toLowerCase();
+      // 验证文件扩展名和大小
+      const ext = path.extname(filename).toLowerCase();
       if (!this.supportedExtensions.includes(ext)) {
         throw new Error(`Unsupported file extension: ${ext}. Supported: ${this.supportedExtensions.join(', ')}`);
       }
+      if (buffer.length > this.config.upload.max_file_size) {
+        throw new Error(`File exceeds ${this.config.upload.max_file_size} bytes`);
+      }
+
+      // 按文件头检查内容，防止把 HTML 等文件改成图片扩展名上传
+      const mismatch = ImageProbe.checkExtension(buffer, ext);
+      if (mismatch) {
+        throw new Error(mismatch);
+      }
+
+      // SVG 从本站域名访问时其中的脚本会被执行，保存前删除脚本和外部引用
+      let data = buffer;
+      let sanitized = [];
+      if (ext === '.svg') {
+        const { svg, removed } = SvgSanitizer.sanitize(buffer.toString('utf8'));
+        if (removed.length > 0) {
+          logManager.warn(`Sanitized SVG ${filename}: removed ${removed.join(', ')}`, { module: 'ADMIN' });
+          data = Buffer.from(svg, 'utf8');
+          sanitized = removed;
+        }
+      }
 
       // 构建目标路径
-      const targetDir = path.join(this.imagesPath, directory);
+      const key = directory ? this.trash.resolvePath(directory) : '';
+      const targetDir = key ? path.join(this.imagesPath, key) : this.imagesPath;
       await fs.ensureDir(targetDir);
       
-      let finalFilename = normalizedFilename;
+      let finalFilename = filename;
       let finalPath = path.join(targetDir, finalFilename);
       
       // 检查文件是否已存在，如果存在则添加时间戳
       if (await fs.pathExists(finalPath)) {
         // 提取原始文件名和扩展名，确保中文文件名正确处理
-        const basename = path.basename(normalizedFilename, ext);
+        const basename = path.basename(filename, ext);
         const timestamp = Date.now();
         finalFilename = `${basename}_${timestamp}${ext}`;
         finalPath = path.join(targetDir, finalFilename);
       }
       
       // 写入文件，使用二进制模式确保文件内容正确
-      await fs.writeFile(finalPath, buffer, { encoding: 'binary' });
+      await fs.writeFile(finalPath, data, { encoding: 'binary' });
       
       // 构建返回路径
-      const relativePath = directory ? `${directory}/${finalFilename}` : finalFilename;
+      const relativePath = key ? `${key}/${finalFilename}` : finalFilename;
       
       logManager.info(`Uploaded image: ${relativePath}`, { module: 'ADMIN' });
       return {
         success: true,
         path: relativePath,
         filename: finalFilename,
-        size: buffer.length,
-        directory: directory
+        size: data.length,
+        directory: directory,
+        sanitized
       };
     } catch (error) {
       logManager.error(`Error uploading image: ${error.message}`, { module: 'ADMIN' });
@@ -232,14 +823,14 @@ class AdminService {
 
   /**
    * 更新图片列表
-   * @returns {Promise<Object>}
+   * @param {Object} options - 选项，同 UpdateService.updateImageList
+   * @returns {Promise<Object>} 扫描结果摘要
    */
-  async updateImageList() {
+  async updateImageList(options = {}) {
     try {
-      const updateService = new UpdateService(this.config);
-      await updateService.updateImageList();
+      const result = await this.updateService.updateImageList(options);
       logManager.info('Image list updated via admin', { module: 'ADMIN' });
-      return { success: true };
+      return { success: true, ...result };
     } catch (error) {
       logManager.error(`Error updating image list: ${error.message}`, { module: 'ADMIN' });
       throw error;
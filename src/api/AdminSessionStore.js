@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const { LRUCache } = require('lru-cache');
+const logManager = require('../logging/LogManager');
+
+/**
+ * 管理员登录会话存储
+ *
+ * 会话保存在独立的 LRU 中，不与图片缓存共用，匿名请求产生的缓存项不会把会话挤出。
+ * 键为会话ID的 SHA-256 摘要，过期时间即会话的剩余有效期。只有登录成功才会创建会话，
+ * 达到 maxSessions 时淘汰最久未使用的会话。服务重启后所有会话失效。
+ * 每个会话带有独立的 CSRF 令牌，使用会话Cookie认证的修改请求必须在 X-CSRF-Token 头中携带该令牌。
+ */
+class AdminSessionStore {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.ttl - 会话有效期（秒）
+   * @param {number} options.maxSessions - 最多保存的会话数
+   */
+  constructor({ ttl, maxSessions }) {
+    this.ttl = ttl;
+    this.sessions = new LRUCache({ max: maxSessions, ttl: ttl * 1000 });
+  }
+
+  /**
+   * 生成会话的键
+   * @param {string} sessionId - 会话ID
+   * @returns {string} 键
+   */
+  getKey(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex');
+  }
+
+  /**
+   * 创建会话
+   * @param {Object} account - 账户记录
+   * @returns {Promise<{sessionId: string, session: Object}>} 会话ID及会话内容
+   */
+  async create(account) {
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const session = {
+      username: account.username,
+      version: account.version || 1,
+      csrfToken: crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttl * 1000).toISOString()
+    };
+    this.sessions.set(this.getKey(sessionId), session);
+    logManager.debug(`Admin session created for ${account.username}`, { module: 'ADMIN' });
+    return { sessionId, session };
+  }
+
+  /**
+   * 读取会话
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<Object|null>} 会话内容，不存在或已过期时返回null
+   */
+  async get(sessionId) {
+    if (typeof sessionId !== 'string' || !/^[0-9a-f]{64}$/.test(sessionId)) {
+      return null;
+    }
+    const session = this.sessions.get(this.getKey(sessionId));
+    if (!session || !session.username || Date.parse(session.expiresAt) <= Date.now()) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * 注销会话
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<void>}
+   */
+  async destroy(sessionId) {
+    if (typeof sessionId === 'string' && sessionId) {
+      this.sessions.delete(this.getKey(sessionId));
+    }
+  }
+}
+
+module.exports = AdminSessionStore;
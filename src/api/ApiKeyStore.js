@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const FileUtils = require('../utils/FileUtils');
+const logManager = require('../logging/LogManager');
+
+// 权限范围；admin 包含其他全部权限
+const SCOPES = ['read', 'upload', 'delete', 'admin', 'cache'];
+// 密钥前缀，便于在日志和代码仓库中识别泄露的密钥
+const KEY_PREFIX = 'rik';
+const MAX_LABEL_LENGTH = 100;
+// lastUsedAt 最多每隔这么久写回一次文件
+const LAST_USED_WRITE_INTERVAL = 60 * 1000;
+
+/**
+ * API 密钥存储
+ *
+ * 密钥形如 `rik_<id>_<secret>`，只在创建时返回一次，api-keys.json 中只保存 SHA-256 摘要。
+ * 每个密钥带有标签、权限范围、可选的过期时间和请求配额（窗口内的请求数）。
+ * 配额计数只保存在内存中，重启后重新计数。
+ */
+class ApiKeyStore {
+  constructor() {
+    this.keysPath = path.join(__dirname, '../../api-keys.json');
+    this.queue = Promise.resolve();
+    this.keys = null;
+    this.mtime = 0;
+    this.usage = new Map();
+  }
+
+  /**
+   * 支持的权限范围
+   * @returns {string[]} 权限范围列表
+   */
+  static get SCOPES() {
+    return SCOPES;
+  }
+
+  /**
+   * 计算密钥摘要
+   * @param {string} token - 完整密钥
+   * @returns {string} 十六进制 SHA-256 摘要
+   */
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * 以固定耗时比较两个字符串
+   * @param {string} a - 字符串
+   * @param {string} b - 字符串
+   * @returns {boolean} 是否相同
+   */
+  static safeEqual(a, b) {
+    return crypto.timingSafeEqual(Buffer.from(ApiKeyStore.hash(a), 'hex'), Buffer.from(ApiKeyStore.hash(b), 'hex'));
+  }
+
+  /**
+   * 判断密钥是否拥有权限（admin 拥有全部权限）
+   * @param {Object} key - 密钥记录
+   * @param {string} scope - 需要的权限
+   * @returns {boolean} 是否拥有
+   */
+  static hasScope(key, scope) {
+    return key.scopes.includes('admin') || key.scopes.includes(scope);
+  }
+
+  /**
+   * 校验并规范化创建或修改密钥的参数
+   * @param {Object} input - 请求参数 { label, scopes, expiresAt, quota }
+   * @param {boolean} partial - 是否为修改（只校验提供的字段）
+   * @returns {Object} 规范化后的字段
+   */
+  static normalize(input, partial = false) {
+    const fields = {};
+    const fail = (message) => {
+      const error = new Error(message);
+      error.status = 400;
+      throw error;
+    };
+
+    if (input.label !== undefined || !partial) {
+      const label = typeof input.label === 'string' ? input.label.trim() : '';
+      if (!label || label.length > MAX_LABEL_LENGTH) {
+        fail(`label must be a non-empty string of at most ${MAX_LABEL_LENGTH} characters`);
+      }
+      fields.label = label;
+    }
+
+    if (input.scopes !== undefined || !partial) {
+      const scopes = Array.isArray(input.scopes) ? input.scopes : String(input.scopes || '').split(',').filter(s => s.trim());
+      const invalid = scopes.filter(scope => !SCOPES.includes(String(scope).trim()));
+      if (scopes.length === 0 || invalid.length > 0) {
+        fail(`scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+      }
+      fields.scopes = [...new Set(scopes.map(scope => String(scope).trim()))].sort();
+    }
+
+    if (input.expiresAt !== undefined) {
+      if (input.expiresAt === null || input.expiresAt === '') {
+        fields.expiresAt = null;
+      } else {
+        const time = Date.parse(input.expiresAt);
+        if (Number.isNaN(time)) {
+          fail('expiresAt must be an ISO 8601 date or null');
+        }
+        fields.expiresAt = new Date(time).toISOString();
+      }
+    }
+
+    if (input.quota !== undefined) {
+      if (input.quota === null) {
+        fields.quota = null;
+      } else {
+        const requests = Number(input.quota && input.quota.requests);
+        const window = Number(input.quota && input.quota.window !== undefined ? input.quota.window : 60);
+        if (!Number.isInteger(requests) || requests < 1 || !Number.isInteger(window) || window < 1) {
+          fail('quota must be null or { requests, window } with positive integers (window in seconds)');
+        }
+        fields.quota = { requests, window };
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * 读取全部密钥，文件未变化时使用内存中的副本
+   * @returns {Promise<Array>} 密钥记录
+   */
+  async load() {
+    const stat = await fs.stat(this.keysPath).catch(() => null);
+    const mtime = stat ? stat.mtimeMs : 0;
+    if (!this.keys || mtime !== this.mtime) {
+      const keys = await FileUtils.safeReadJson(this.keysPath, []);
+      this.keys = Array.isArray(keys) ? keys : [];
+      this.mtime = mtime;
+    }
+    return this.keys;
+  }
+
+  /**
+   * 串行执行修改，避免并发写入互相覆盖
+   * @param {Function} mutate - 修改函数，接收密钥列表，返回值作为结果
+   * @returns {Promise<any>} 修改函数的返回值
+   */
+  async modify(mutate) {
+    const task = this.queue.then(async () => {
+      const keys = await FileUtils.safeReadJson(this.keysPath, []);
+      const result = await mutate(keys);
+      if (!(await FileUtils.safeWriteJson(this.keysPath, keys))) {
+        throw new Error('Failed to save API keys');
+      }
+      this.keys = null;
+      return result;
+    });
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 生成返回给客户端的密钥信息（不含摘要）
+   * @param {Object} key - 密钥记录
+   * @returns {Object} 密钥信息
+   */
+  describe(key) {
+    const { hash, ...info } = key;
+    info.expired = Boolean(key.expiresAt && Date.parse(key.expiresAt) <= Date.now());
+    return info;
+  }
+
+  /**
+   * 列出全部密钥
+   * @returns {Promise<Object[]>} 密钥信息
+   */
+  async list() {
+    const keys = await this.load();
+    return keys.map(key => this.describe(key));
+  }
+
+  /**
+   * 查找密钥
+   * @param {string} id - 密钥ID
+   * @returns {Promise<Object|null>} 密钥记录
+   */
+  async find(id) {
+    const keys = await this.load();
+    return keys.find(key => key.id === id) || null;
+  }
+
+  /**
+   * 是否已创建过密钥
+   * @returns {Promise<boolean>} 是否存在密钥
+   */
+  async isEmpty() {
+    return (await this.load()).length === 0;
+  }
+
+  /**
+   * 创建密钥
+   * @param {Object} input - 参数 { label, scopes, expiresAt, quota }
+   * @returns {Promise<{key: Object, token: string}>} 密钥信息及完整密钥（只返回这一次）
+   */
+  async create(input) {
+    const fields = ApiKeyStore.normalize(input);
+    const id = crypto.randomBytes(8).toString('hex');
+    const token = `${KEY_PREFIX}_${id}_${crypto.randomBytes(32).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`;
+    const key = {
+      id,
+      label: fields.label,
+      prefix: token.slice(0, KEY_PREFIX.length + id.length + 6),
+      hash: ApiKeyStore.hash(token),
+      scopes: fields.scopes,
+      expiresAt: fields.expiresAt || null,
+      quota: fields.quota || null,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    await this.modify((keys) => {
+      keys.push(key);
+    });
+    logManager.info(`API key ${id} (${key.label}) created with scopes: ${key.scopes.join(', ')}`, { module: 'ADMIN' });
+    return { key: this.describe(key), token };
+  }
+
+  /**
+   * 修改密钥的标签、权限、过期时间或配额
+   * @param {string} id - 密钥ID
+   * @param {Object} input - 要修改的字段
+   * @returns {Promise<Object|null>} 修改后的密钥信息，不存在时返回null
+   */
+  async update(id, input) {
+    const fields = ApiKeyStore.normalize(input, true);
+    const updated = await this.modify((keys) => {
+      const key = keys.find(k => k.id === id);
+      if (key) {
+        Object.assign(key, fields);
+      }
+      return key || null;
+    });
+    if (updated) {
+      this.usage.delete(id);
+      logManager.info(`API key ${id} updated: ${Object.keys(fields).join(', ') || '(no changes)'}`, { module: 'ADMIN' });
+    }
+    return updated ? this.describe(updated) : null;
+  }
+
+  /**
+   * 吊销（删除）密钥
+   * @param {string} id - 密钥ID
+   * @returns {Promise<boolean>} 是否存在并已删除
+   */
+  async revoke(id) {
+    const removed = await this.modify((keys) => {
+      const index = keys.findIndex(k => k.id === id);
+      if (index === -1) {
+        return false;
+      }
+      keys.splice(index, 1);
+      return true;
+    });
+    if (removed) {
+      this.usage.delete(id);
+      logManager.info(`API key ${id} revoked`, { module: 'ADMIN' });
+    }
+    return removed;
+  }
+
+  /**
+   * 校验密钥
+   * @param {string} token - 请求携带的完整密钥
+   * @returns {Promise<{key: Object|null, error: string|null}>} 密钥记录，失败时附带原因
+   */
+  async authenticate(token) {
+    const match = /^([a-z]+)_([0-9a-f]{16})_[A-Za-z0-9_-]+$/.exec(token || '');
+    const keys = match && match[1] === KEY_PREFIX ? await this.load() : [];
+    const key = match ? keys.find(k => k.id === match[2]) : null;
+
+    const hash = ApiKeyStore.hash(token || '');
+    if (!key || !crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(key.hash, 'hex'))) {
+      return { key: null, error: 'Invalid API key' };
+    }
+    if (key.expiresAt && Date.parse(key.expiresAt) <= Date.now()) {
+      return { key: null, error: 'API key has expired' };
+    }
+
+    if (!key.lastUsedAt || Date.now() - Date.parse(key.lastUsedAt) > LAST_USED_WRITE_INTERVAL) {
+      const now = new Date().toISOString();
+      key.lastUsedAt = now;
+      this.modify((stored) => {
+        const record = stored.find(k => k.id === key.id);
+        if (record) {
+          record.lastUsedAt = now;
+        }
+      }).catch(error => logManager.warn(`Failed to record API key usage: ${error.message}`, { module: 'ADMIN' }));
+    }
+    return { key, error: null };
+  }
+
+  /**
+   * 消耗一次密钥配额
+   * @param {Object} key - 密钥记录
+   * @returns {{allowed: boolean, limit: number, remaining: number, reset: number}|null} 配额状态，未设置配额时返回null
+   */
+  consume(key) {
+    if (!key.quota) {
+      return null;
+    }
+    const now = Date.now();
+    const windowMs = key.quota.window * 1000;
+    let usage = this.usage.get(key.id);
+    if (!usage || now - usage.start >= windowMs) {
+      usage = { start: now, count: 0 };
+      this.usage.set(key.id, usage);
+    }
+
+    const allowed = usage.count < key.quota.requests;
+    if (allowed) {
+      usage.count++;
+    }
+    return {
+      allowed,
+      limit: key.quota.requests,
+      remaining: Math.max(0, key.quota.requests - usage.count),
+      reset: Math.ceil((usage.start + windowMs - now) / 1000)
+    };
+  }
+}
+
+module.exports = ApiKeyStore;
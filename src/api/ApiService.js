@@ -1,8 +1,34 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const FileUtils = require('../utils/FileUtils');
+const SeededRandom = require('../utils/SeededRandom');
+const HttpUtils = require('../utils/HttpUtils');
+const TimeUtils = require('../utils/TimeUtils');
+const DirectoryMeta = require('../utils/DirectoryMeta');
 const logManager = require('../logging/LogManager');
 const RequestLimiter = require('./RequestLimiter');
+const ImageIndex = require('./ImageIndex');
+const WeightedPool = require('./WeightedPool');
+const ShuffleBagStore = require('./ShuffleBagStore');
+const TagStore = require('./TagStore');
+const DailyPicker = require('./DailyPicker');
+const UrlSigner = require('./UrlSigner');
+const RedirectStore = require('./RedirectStore');
+
+// 支持的响应模式
+const RESPONSE_TYPES = ['file', 'json', 'redirect', 'text', 'datauri', 'html'];
+
+// 按内容摘要访问图片的路径前缀，以及内容寻址响应的缓存策略
+const HASH_PREFIX = 'by-hash';
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// 可通过Accept头协商的响应模式
+const ACCEPT_TYPES = {
+  'application/json': 'json',
+  'text/plain': 'text',
+  'text/uri-list': 'text'
+};
 
 /**
  * @typedef {import('../types').ImageInfo} ImageInfo
@@ -18,12 +44,25 @@ class ApiService {
     this.cacheManager = cacheManager;
     this.imageList = {};
     this.imageDetails = [];
+    this.directoryMeta = {};
+    this.resolvedMeta = new Map();
+    this.hiddenImages = 0;
+    this.flaggedImages = 0;
+    this.index = new ImageIndex();
+    this.privateIndex = new ImageIndex();
+    this.pools = new Map();
+    this.directoryWeights = new Map();
+    this.MAX_POOL_CACHE_SIZE = 256;
     this.fileExistsCache = new Map();
     this.FILE_CACHE_TTL = 300000; // 5分钟缓存
     this.MAX_FILE_CACHE_SIZE = 10000;
     this.reloadInterval = null;
     this.maintenanceInterval = null;
     this.limiter = new RequestLimiter(config);
+    this.daily = new DailyPicker(config);
+    this.bags = new ShuffleBagStore({ ttl: config.api.session.ttl, maxSessions: config.api.session.max_sessions });
+    this.signer = new UrlSigner(process.env.URL_SIGNING_SECRET || config.api.signed_urls.secret);
+    this.redirects = new RedirectStore();
     
     // 初始化工作进程ID
     process.env.WORKER_ID = process.env.WORKER_ID || 
@@ -42,7 +81,7 @@ class ApiService {
     this.startScheduledTasks();
     
     logManager.info(`API started with ${this.imageDetails.length} images`, { module: 'API' });
-    logManager.info('Cache policy: random ⛔, specific ✅', { module: 'API' });
+    logManager.info('Cache policy: random ⛔, seeded ✅, specific ✅', { module: 'API' });
     logManager.info(`File exists cache TTL: ${this.FILE_CACHE_TTL/1000}s, Request limit: ${this.limiter.limit}/min`, { module: 'API' });
   }
 
@@ -56,26 +95,25 @@ class ApiService {
       
       const listPath = path.join(__dirname, '../../list.json');
       const detailsPath = path.join(__dirname, '../../images-details.json');
+      const metaPath = path.join(__dirname, '../../images-meta.json');
       
-      const [listData, detailsData] = await Promise.all([
+      const [listData, detailsData, metaData] = await Promise.all([
         FileUtils.safeReadJson(listPath, {}),
-        FileUtils.safeReadJson(detailsPath, [])
+        FileUtils.safeReadJson(detailsPath, []),
+        FileUtils.safeReadJson(metaPath, {})
       ]);
 
       // 如果details为空但list有数据，转换list为details格式
       if (detailsData.length === 0 && Object.keys(listData).length > 0) {
         const convertedDetails = this.convertListToDetails(listData);
-        this.imageDetails = convertedDetails;
         logManager.warn(`Converted ${convertedDetails.length} images from list.json format`, { module: 'API' });
         // 保存转换后的details
         await FileUtils.safeWriteJson(detailsPath, convertedDetails);
+        this.setImages(listData, convertedDetails, metaData);
       } else {
-        this.imageDetails = detailsData;
+        this.setImages(listData, detailsData, metaData);
       }
       
-      this.imageList = listData;
-      this.fileExistsCache.clear();
-      
       logManager.info(`Image list loaded: ${Object.keys(this.imageList).length} directories, ${this.imageDetails.length} total images`, { module: 'API' });
       
     } catch (err) {
@@ -84,6 +122,70 @@ class ApiService {
     }
   }
 
+  /**
+   * 替换内存中的图片列表并重建索引。隐藏目录中的图片和未通过内容检查的图片（见 UpdateService.inspectContent）不进入索引；
+   * 私有目录中的图片单独索引，只能通过签名URL访问，不会出现在随机、每日一图和按摘要访问中
+   * @param {Object} imageList - 图片列表
+   * @param {ImageDetails[]} imageDetails - 图片详情列表
+   * @param {Object} [directoryMeta] - 各目录的元数据（_meta.json）
+   */
+  setImages(imageList, imageDetails, directoryMeta = {}) {
+    this.directoryMeta = directoryMeta;
+    this.resolvedMeta.clear();
+    const isPublic = (directory) => {
+      const meta = this.getDirectoryMeta(directory);
+      return !meta.hidden && !meta.private;
+    };
+    this.imageList = Object.fromEntries(Object.entries(imageList).filter(([dirKey]) => isPublic(dirKey)));
+    // 扩展名与内容不符或包含脚本的 SVG 从本站域名提供会被浏览器执行
+    const servable = imageDetails.filter(image => !image.flagged);
+    this.flaggedImages = imageDetails.length - servable.length;
+    this.imageDetails = servable.filter(image => isPublic(image._directory));
+    const privateDetails = servable.filter(image => {
+      const meta = this.getDirectoryMeta(image._directory);
+      return !meta.hidden && meta.private;
+    });
+    this.hiddenImages = servable.length - this.imageDetails.length - privateDetails.length;
+    this.fileExistsCache.clear();
+    
+    // 构建内存索引
+    const indexStats = this.index.build(this.imageDetails);
+    this.privateIndex.build(privateDetails);
+    this.pools.clear();
+    this.directoryWeights.clear();
+    
+    logManager.debug(`Image index built in ${indexStats.buildTime} (~${indexStats.memory.human}), ${privateDetails.length} private, ${this.hiddenImages} hidden, ${this.flaggedImages} flagged images`, { module: 'API' });
+  }
+
+  /**
+   * 修改内存中一张图片的标签，不重新读取图片列表。按标签筛选的随机池会在下次请求时重建
+   * @param {string} imagePath - 图片相对路径
+   * @param {string[]} tags - 修改后的标签列表
+   * @returns {boolean} 图片是否在索引中
+   */
+  setImageTags(imagePath, tags) {
+    const image = this.index.find(imagePath) || this.privateIndex.find(imagePath);
+    if (!image) {
+      return false;
+    }
+    TagStore.apply([image], { [image.path]: tags });
+    this.pools.clear();
+    return true;
+  }
+
+  /**
+   * 获取目录生效的元数据（含从上级目录继承的字段）
+   * @param {string} directory - 目录键
+   * @returns {Object} 元数据
+   */
+  getDirectoryMeta(directory) {
+    const key = ImageIndex.normalizePath(directory || '_root') || '_root';
+    if (!this.resolvedMeta.has(key)) {
+      this.resolvedMeta.set(key, DirectoryMeta.resolve(this.directoryMeta, key));
+    }
+    return this.resolvedMeta.get(key);
+  }
+
   /**
    * 将旧格式的list转换为details格式
    * @param {Object} listData - 旧格式的图片列表
@@ -248,205 +350,939 @@ class ApiService {
     return parts.length < 2;
   }
 
+  /**
+   * 检查请求是否是每日一图请求（/api/daily、/api/{directory}/daily）
+   * @param {string[]} parts - 请求路径部分
+   * @returns {boolean} 是否是每日一图请求
+   */
+  isDailyRequest(parts) {
+    return parts.length > 0 && parts[parts.length - 1] === 'daily';
+  }
+
   /**
    * 生成缓存键
    * @param {any} req - Express请求对象
    * @param {string[]} parts - 请求路径部分
+   * @param {Object} options - 选项
+   * @param {string|null} options.seed - 随机种子
+   * @param {string|null} options.balance - 选取模式
+   * @param {number|null} options.count - 批量数量
+   * @param {Object|null} options.scope - 选取范围
    * @returns {string|null} 缓存键或null
    */
-  generateCacheKey(req, parts) {
+  generateCacheKey(req, parts, { seed = null, balance = null, count = null, scope = null } = {}) {
+    // 缓存内容与响应模式无关，仅JSON与其他模式分开存放
+    const suffix = this.resolveResponseType(req).type === 'json' ? ':json' : ':file';
+    
     if (this.isRandomRequest(parts)) {
-      return null;
+      // 只有带种子的随机请求结果可复现，才能缓存
+      if (seed === null) {
+        return null;
+      }
+      const batch = count !== null ? `:n${count}` : '';
+      const pool = scope ? `:${SeededRandom.digest(this.getScopeKey(scope))}` : '';
+      return `api:${req.path}:seed:${SeededRandom.digest(seed)}:${balance}${pool}${batch}:${this.index.version}${suffix}`;
     }
     
-    const base = `api:${req.path}`;
-    const suffix = req.query.json === '1' ? ':json' : ':file';
-    return base + suffix;
+    return `api:${req.path}${suffix}`;
   }
 
   /**
-   * 获取随机图片
-   * @param {string|null} directory - 目录名称
-   * @returns {ImageDetails|null} 随机图片详情或null
+   * 解析请求中的随机种子
+   * @param {any} req - Express请求对象
+   * @returns {{seed: string|null, error: string|null}} 种子或错误信息
    */
-  getRandomImage(directory = null) {
-    if (this.imageDetails.length === 0) {
-      logManager.error('No images available in imageDetails array', { module: 'API' });
-      return null;
+  resolveSeed(req) {
+    const seed = req.query.seed;
+    if (seed === undefined) {
+      return { seed: null, error: null };
+    }
+    if (typeof seed !== 'string' || seed.length === 0 || seed.length > 256) {
+      return { seed: null, error: 'Seed must be a non-empty string of at most 256 characters' };
+    }
+    return { seed, error: null };
+  }
+
+  /**
+   * 获取目录权重，未配置时沿用最近的上级目录权重。
+   * 同一目录在配置文件和 _meta.json 中都设置了权重时以配置文件为准
+   * @param {string} directory - 目录键
+   * @returns {number} 目录权重
+   */
+  getDirectoryWeight(directory) {
+    const key = ImageIndex.normalizePath(directory || '_root') || '_root';
+    if (this.directoryWeights.has(key)) {
+      return this.directoryWeights.get(key);
     }
     
-    let filtered = this.imageDetails;
+    const configured = this.config.api.weights.directories || {};
+    let weight = 1;
+    const segments = key.split('/');
+    while (segments.length > 0) {
+      const candidate = segments.join('/');
+      if (Object.prototype.hasOwnProperty.call(configured, candidate)) {
+        weight = WeightedPool.toWeight(configured[candidate]);
+        break;
+      }
+      const meta = this.directoryMeta[candidate];
+      if (meta && meta.weight !== undefined) {
+        weight = WeightedPool.toWeight(meta.weight);
+        break;
+      }
+      segments.pop();
+    }
     
-    if (directory) {
-      filtered = this.imageDetails.filter(img => {
-        if (directory === '_root') {
-          return img._directory === '_root';
-        } else {
-          return img._directory === directory || img.path.startsWith(directory + '/');
+    this.directoryWeights.set(key, weight);
+    return weight;
+  }
+
+  /**
+   * 获取单张图片自身的权重
+   * @param {ImageDetails} image - 图片详情
+   * @returns {number} 图片权重
+   */
+  getImageWeight(image) {
+    const configured = this.config.api.weights.images || {};
+    if (Object.prototype.hasOwnProperty.call(configured, image.path)) {
+      return WeightedPool.toWeight(configured[image.path]);
+    }
+    return WeightedPool.toWeight(image.weight);
+  }
+
+  /**
+   * 将目录名称转换为选取范围
+   * @param {string|Object|null} scope - 目录名称或选取范围
+   * @returns {{include: string[], exclude: string[], filters: Object|null}} 选取范围，include为空表示全部目录
+   */
+  toScope(scope) {
+    if (scope && typeof scope === 'object') {
+      return { filters: null, ...scope };
+    }
+    return { include: scope ? [scope] : [], exclude: [], filters: null };
+  }
+
+  /**
+   * 生成选取范围的标识
+   * @param {{include: string[], exclude: string[], filters: Object|null}} scope - 选取范围
+   * @returns {string} 标识
+   */
+  getScopeKey(scope) {
+    let key = scope.include.join(',');
+    if (scope.exclude.length > 0) {
+      key += `!${scope.exclude.join(',')}`;
+    }
+    if (scope.filters) {
+      key += `?${Object.entries(scope.filters).map(([name, value]) => `${name}=${value}`).join('&')}`;
+    }
+    return key;
+  }
+
+  /**
+   * 获取（并缓存）选取范围对应的随机池
+   * @param {string|Object|null} scope - 目录名称或选取范围
+   * @param {string} balance - 选取模式：image 按图片加权，dir 先选目录再选图片
+   * @returns {WeightedPool} 随机池
+   */
+  getPool(scope, balance) {
+    const { include, exclude, filters } = this.toScope(scope);
+    const key = `${balance}:${this.getScopeKey({ include, exclude, filters })}`;
+    let pool = this.pools.get(key);
+    if (pool) {
+      return pool;
+    }
+    
+    let images = include.length <= 1 && exclude.length === 0
+      ? this.index.getImages(include[0] || null)
+      : this.index.selectImages(include, exclude);
+    if (filters) {
+      images = images.filter(this.createFilter(filters));
+    }
+    if (balance === 'dir') {
+      const groups = new Map();
+      for (const image of images) {
+        const dirKey = image._directory || '_root';
+        if (!groups.has(dirKey)) {
+          groups.set(dirKey, []);
         }
-      });
+        groups.get(dirKey).push(image);
+      }
       
-      if (filtered.length === 0) {
-        logManager.debug(`No images found in directory: ${directory}`, { module: 'API' });
-        return null;
+      const entries = [...groups].map(([dirKey, list]) => ({
+        directory: dirKey,
+        weight: this.getDirectoryWeight(dirKey),
+        pool: new WeightedPool(list, image => this.getImageWeight(image))
+      }));
+      pool = new WeightedPool(entries, entry => entry.pool.totalWeight > 0 ? entry.weight : 0);
+    } else {
+      pool = new WeightedPool(images, image => this.getDirectoryWeight(image._directory) * this.getImageWeight(image));
+    }
+    
+    if (this.pools.size >= this.MAX_POOL_CACHE_SIZE) {
+      this.pools.clear();
+    }
+    this.pools.set(key, pool);
+    return pool;
+  }
+
+  /**
+   * 解析请求的选取模式
+   * @param {any} req - Express请求对象
+   * @returns {string|null} 选取模式，无效时返回null
+   */
+  resolveBalance(req) {
+    const balance = req.query.balance || this.config.api.balance || 'image';
+    return ['image', 'dir'].includes(balance) ? balance : null;
+  }
+
+  /**
+   * 解析请求中的目录范围（?dirs= 并集、?exclude= 排除）
+   * @param {any} req - Express请求对象
+   * @param {string|null} directory - 路径中的目录
+   * @returns {{scope: {include: string[], exclude: string[]}, unknown: string[]}} 选取范围及未知目录
+   */
+  resolveScope(req, directory = null) {
+    const parseList = (value) => {
+      if (value === undefined) return [];
+      const values = Array.isArray(value) ? value : [value];
+      return [...new Set(values
+        .join(',')
+        .split(',')
+        .map(name => ImageIndex.normalizePath(name.trim()))
+        .filter(Boolean))];
+    };
+    
+    const dirs = parseList(req.query.dirs);
+    const exclude = parseList(req.query.exclude);
+    const unknown = [...dirs, ...exclude].filter(name => !this.index.hasDirectory(name));
+    const include = directory ? [...new Set([directory, ...dirs])] : dirs;
+    
+    return { scope: { include, exclude }, unknown };
+  }
+
+  /**
+   * 解析筛选参数（?orientation=、?minWidth=、?minHeight=、?ratio=、?tags=、?rating=）
+   * @param {any} req - Express请求对象
+   * @returns {{filters: Object|null, error: string|null}} 筛选条件（无筛选时为null）或错误信息
+   */
+  resolveFilters(req) {
+    const { orientation, minWidth, minHeight, ratio, tags, rating } = req.query;
+    const filters = {};
+    
+    if (orientation !== undefined) {
+      if (!['landscape', 'portrait', 'square'].includes(orientation)) {
+        return { filters: null, error: `Invalid orientation: ${orientation}. Supported: landscape, portrait, square` };
+      }
+      filters.orientation = orientation;
+    }
+    
+    for (const [name, value] of [['minWidth', minWidth], ['minHeight', minHeight]]) {
+      if (value === undefined) continue;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        return { filters: null, error: `${name} must be a positive integer` };
+      }
+      filters[name] = number;
+    }
+    
+    if (ratio !== undefined) {
+      const match = typeof ratio === 'string' && ratio.match(/^(\d+(?:\.\d+)?)(?:[:/](\d+(?:\.\d+)?))?$/);
+      const value = match ? Number(match[1]) / (match[2] !== undefined ? Number(match[2]) : 1) : NaN;
+      if (!Number.isFinite(value) || value <= 0) {
+        return { filters: null, error: `Invalid ratio: ${ratio}. Use width:height (e.g. 16:9) or a decimal` };
+      }
+      filters.ratio = Math.round(value * 10000) / 10000;
+    }
+    
+    if (tags !== undefined) {
+      const { query, error } = this.parseTagQuery(tags);
+      if (error) {
+        return { filters: null, error };
       }
+      filters.tags = query;
     }
     
-    const randomIndex = Math.floor(Math.random() * filtered.length);
-    const selectedImage = filtered[randomIndex];
+    if (rating !== undefined) {
+      const ratings = [...new Set((Array.isArray(rating) ? rating.join(',') : String(rating)).split(',').map(r => r.trim()).filter(Boolean))];
+      const invalid = ratings.filter(r => !DirectoryMeta.RATINGS.includes(r));
+      if (ratings.length === 0 || invalid.length > 0) {
+        return { filters: null, error: `Invalid rating: ${invalid.join(', ') || rating}. Supported: ${DirectoryMeta.RATINGS.join(', ')}` };
+      }
+      filters.rating = DirectoryMeta.RATINGS.filter(r => ratings.includes(r)).join(',');
+    }
     
-    logManager.debug(`Random image selected: ${selectedImage.name} from ${filtered.length} candidates`, { module: 'API' });
-    return selectedImage;
+    return { filters: Object.keys(filters).length > 0 ? filters : null, error: null };
   }
 
   /**
-   * 查找特定图片
-   * @param {string} directory - 目录名称
-   * @param {string} filename - 文件名
-   * @returns {ImageDetails|null} 图片详情或null
+   * 解析标签查询：逗号分隔的条件需同时满足（AND），条件内用 | 分隔表示任一即可（OR），
+   * 以 - 或 ! 开头表示排除。例如 `cat|dog,sunset,-nsfw`
+   * @param {any} value - 查询字符串
+   * @returns {{query: string|null, error: string|null}} 规范化后的查询字符串或错误信息
    */
-  findSpecificImage(directory, filename) {
-    // 构建目标路径，确保格式一致
-    const targetPath = path.join(directory, filename).replace(/\\/g, '/');
+  parseTagQuery(value) {
+    const terms = (Array.isArray(value) ? value.join(',') : String(value)).split(',').filter(term => term.trim());
+    if (terms.length === 0) {
+      return { query: null, error: 'tags must not be empty' };
+    }
     
-    const found = this.imageDetails.find(img => {
-      // 确保比较时路径格式一致
-      const imgPath = img.path.replace(/\\/g, '/');
-      
-      if (directory === '_root') {
-        return img._directory === '_root' && img.name === filename;
+    const required = new Set();
+    const excluded = new Set();
+    for (const term of terms) {
+      const trimmed = term.trim();
+      const isExcluded = /^[-!]/.test(trimmed);
+      const { tags, invalid } = TagStore.normalizeTags((isExcluded ? trimmed.slice(1) : trimmed).split('|'));
+      if (invalid.length > 0 || tags.length === 0 || (isExcluded && tags.length > 1)) {
+        return { query: null, error: `Invalid tag query term: ${trimmed}` };
+      }
+      if (isExcluded) {
+        excluded.add(tags[0]);
       } else {
-        return imgPath === targetPath;
+        required.add(tags.sort().join('|'));
       }
-    });
+    }
     
-    if (found) {
-      logManager.debug(`Specific image found: ${found.name} at ${found.path}`, { module: 'API' });
-    } else {
-      logManager.debug(`Specific image not found: ${targetPath}`, { module: 'API' });
-      // 调试信息：显示所有图片路径
-      const allPaths = this.imageDetails.map(img => img.path.replace(/\\/g, '/'));
-      logManager.debug(`Available paths: ${allPaths.slice(0, 10).join(', ')}...`, { module: 'API' });
+    const query = [...required].sort().concat([...excluded].sort().map(tag => `-${tag}`)).join(',');
+    return { query, error: null };
+  }
+
+  /**
+   * 根据筛选条件创建判断函数。使用尺寸筛选时没有尺寸信息的图片不满足条件
+   * @param {Object} filters - 筛选条件
+   * @returns {Function} 判断函数 (image) => boolean
+   */
+  createFilter(filters) {
+    const groups = [];
+    const excluded = [];
+    for (const term of filters.tags ? filters.tags.split(',') : []) {
+      if (term.startsWith('-')) {
+        excluded.push(term.slice(1));
+      } else {
+        groups.push(term.split('|'));
+      }
     }
+    const hasDimensionFilter = Boolean(filters.orientation || filters.minWidth || filters.minHeight || filters.ratio);
+    const ratings = filters.rating ? filters.rating.split(',') : null;
     
-    return found;
+    return (image) => {
+      // 未设置分级的目录视为 safe
+      if (ratings && !ratings.includes(this.getDirectoryMeta(image._directory).rating || 'safe')) {
+        return false;
+      }
+      if (groups.length > 0 || excluded.length > 0) {
+        const tags = image.tags || [];
+        if (excluded.some(tag => tags.includes(tag))) return false;
+        if (!groups.every(group => group.some(tag => tags.includes(tag)))) return false;
+      }
+      return !hasDimensionFilter || this.matchesDimensions(image, filters);
+    };
   }
 
   /**
-   * 设置CORS头
-   * @param {any} res - Express响应对象
+   * 判断图片是否满足尺寸筛选条件，没有尺寸信息的图片不满足任何条件
+   * @param {ImageDetails} image - 图片详情
+   * @param {Object} filters - 筛选条件
+   * @returns {boolean} 是否满足
    */
-  setCorsHeaders(res) {
-    if (this.config.server.cors.enabled) {
-      res.setHeader('Access-Control-Allow-Origin', this.config.server.cors.origins);
-      res.setHeader('Access-Control-Allow-Methods', this.config.server.cors.methods);
-      res.setHeader('Access-Control-Allow-Headers', this.config.server.cors.headers);
-      res.setHeader('Access-Control-Allow-Credentials', 'true');
+  matchesDimensions(image, filters) {
+    const { width, height } = image;
+    if (!(width > 0) || !(height > 0)) {
+      return false;
     }
+    
+    const tolerance = this.config.api.filters.ratio_tolerance;
+    const ratio = width / height;
+    const near = (target) => Math.abs(ratio - target) / target <= tolerance;
+    
+    if (filters.orientation === 'square' && !near(1)) return false;
+    if (filters.orientation === 'landscape' && (ratio <= 1 || near(1))) return false;
+    if (filters.orientation === 'portrait' && (ratio >= 1 || near(1))) return false;
+    if (filters.minWidth && width < filters.minWidth) return false;
+    if (filters.minHeight && height < filters.minHeight) return false;
+    if (filters.ratio && !near(filters.ratio)) return false;
+    return true;
   }
 
   /**
-   * 获取404错误消息
-   * @param {string[]} parts - 请求路径部分
-   * @returns {string} 错误消息
+   * 解析批量数量参数
+   * @param {any} req - Express请求对象
+   * @returns {{count: number|null, error: string|null}} 数量或错误信息
    */
-  getNotFoundMessage(parts) {
-    if (parts.length === 0) {
-      return 'No images available';
-    } else if (parts.length === 1) {
-      return `No images found in directory: ${parts[0]}`;
-    } else {
-      return `Image not found: ${parts.join('/')}`;
+  resolveCount(req) {
+    const value = req.query.count;
+    if (value === undefined) {
+      return { count: null, error: null };
+    }
+    
+    const max = this.config.api.batch.max_count;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1 || count > max) {
+      return { count: null, error: `count must be an integer between 1 and ${max}` };
     }
+    return { count, error: null };
   }
 
   /**
-   * 处理API请求
+   * 解析请求中的不重复随机会话
+   * 可通过 ?session=<id> 指定，?session=auto 或携带会话Cookie时使用Cookie中的会话
    * @param {any} req - Express请求对象
-   * @param {any} res - Express响应对象
-   * @returns {Promise<void>}
+   * @returns {{sessionId: string|null, setCookie: boolean, error: string|null}}
    */
-  async handleApiRequest(req, res) {
-    const startTime = Date.now();
+  resolveSession(req) {
+    const cookieName = this.config.api.session.cookie;
+    const cookieValue = HttpUtils.parseCookies(req)[cookieName];
+    const param = req.query.session;
+    const isValid = value => typeof value === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(value);
     
-    this.setCorsHeaders(res);
+    if (param === undefined || param === 'auto') {
+      if (isValid(cookieValue)) {
+        return { sessionId: cookieValue, setCookie: param === 'auto', error: null };
+      }
+      if (param === 'auto') {
+        return { sessionId: crypto.randomBytes(16).toString('hex'), setCookie: true, error: null };
+      }
+      return { sessionId: null, setCookie: false, error: null };
+    }
     
-    if (req.method === 'OPTIONS') {
-      return res.status(200).end();
+    if (!isValid(param)) {
+      return { sessionId: null, setCookie: false, error: 'Session ID must be 1-128 characters of letters, digits, "_" or "-"' };
     }
+    return { sessionId: param, setCookie: false, error: null };
+  }
 
-    const clientIP = this.getClientIP(req);
-    if (!this.limiter.isAllowed(clientIP)) {
-      const status = this.limiter.getStatus(clientIP);
-      logManager.warn(`Rate limit exceeded or banned client: ${clientIP}`, { module: 'API', request: req });
-      
-      const responseData = {
-        error: status.banned ? 'Temporarily Banned' : 'Too Many Requests',
-        message: status.banned 
-          ? `You have been temporarily banned. Please try again later.` 
-          : 'Rate limit exceeded. Please slow down your requests.',
-        clientIP: clientIP,
-        limit: this.limiter.limit,
-        window: this.limiter.windowSize / 1000,  // 转换为秒
-        ...status
-      };
+  /**
+   * 从不重复随机会话中取出下一张图片
+   * @param {string} sessionId - 会话ID
+   * @param {string|Object|null} scope - 目录名称或选取范围
+   * @returns {Promise<Object|null>} 选取结果或null
+   */
+  async selectFromSession(sessionId, scope = null) {
+    if (this.imageDetails.length === 0) {
+      logManager.error('No images available in imageDetails array', { module: 'API' });
+      return null;
+    }
+    
+    const pool = this.getPool(scope, 'image');
+    const result = this.bags.next(sessionId, this.getScopeKey(this.toScope(scope)), pool);
+    if (!result) {
+      logManager.debug(`No images found in scope: ${this.getScopeKey(this.toScope(scope)) || '*'}`, { module: 'API' });
+      return null;
+    }
+    
+    logManager.debug(`Session image selected: ${result.image.name} (${result.position}/${result.size}, cycle ${result.cycle})`, { module: 'API' });
+    return {
+      image: result.image,
+      mode: 'session',
+      weight: result.weight,
+      bag: {
+        session: sessionId,
+        position: result.position,
+        size: result.size,
+        cycle: result.cycle
+      }
+    };
+  }
 
-      return res.status(status.banned ? 403 : 429).json(responseData);
+  /**
+   * 从随机池中选取一张图片
+   * @param {WeightedPool} pool - 随机池
+   * @param {string} balance - 选取模式
+   * @param {Function} random - 随机数函数
+   * @returns {{image: ImageDetails, mode: string, weight: number, probability: number}|null}
+   */
+  pickFromPool(pool, balance, random) {
+    if (balance === 'dir') {
+      const group = pool.pick(random);
+      const picked = group && group.item.pool.pick(random);
+      if (!picked) {
+        return null;
+      }
+      return {
+        image: picked.item,
+        mode: balance,
+        weight: group.weight * picked.weight,
+        probability: group.probability * picked.probability
+      };
+    }
+    
+    const picked = pool.pick(random);
+    if (!picked) {
+      return null;
     }
+    return {
+      image: picked.item,
+      mode: balance,
+      weight: picked.weight,
+      probability: picked.probability
+    };
+  }
 
-    const isJson = req.query.json === '1';
-    const parts = req.path.split('/').filter(p => p && p.trim());
-    parts.shift(); // 移除 'api'
+  /**
+   * 按权重随机选取图片
+   * @param {string|Object|null} scope - 目录名称或选取范围
+   * @param {Object} options - 选取选项
+   * @param {string} options.balance - 选取模式
+   * @param {Function} options.random - 随机数函数，种子请求时为可复现的生成器
+   * @returns {{image: ImageDetails, mode: string, weight: number, probability: number}|null}
+   */
+  selectRandomImage(scope = null, { balance = 'image', random = Math.random } = {}) {
+    if (this.imageDetails.length === 0) {
+      logManager.error('No images available in imageDetails array', { module: 'API' });
+      return null;
+    }
     
-    // 解码所有路径部分
-    const decodedParts = parts.map(part => decodeURIComponent(part));
+    const pool = this.getPool(scope, balance);
+    const selection = this.pickFromPool(pool, balance, random);
     
-    const isRandom = this.isRandomRequest(decodedParts);
-    const cacheKey = this.generateCacheKey(req, decodedParts);
-    const cleanPath = req.originalUrl.split('?')[0];
+    if (!selection) {
+      logManager.debug(`No images found in scope: ${this.getScopeKey(this.toScope(scope)) || '*'}`, { module: 'API' });
+      return null;
+    }
     
-    try {
-      // 检查缓存
-      if (!isRandom && cacheKey) {
-        const cached = await this.cacheManager.get(cacheKey);
-        if (cached) {
-          logManager.debug(`Cache hit: ${cacheKey} (${Date.now() - startTime}ms)`, { module: 'API', request: req });
-          
-          if (isJson) {
-            return res.json(cached);
-          }
-          
-          const filePath = cached._fullPath || cached.fullPath || path.resolve(cached.path);
-          if (await this.cachedPathExists(filePath)) {
-            res.setHeader('Content-Type', FileUtils.getMimeType(filePath));
-            res.setHeader('Cache-Control', 'public, max-age=3600');
-            res.setHeader('X-Cache', 'HIT');
-            return res.sendFile(filePath);
-          } else {
-            await this.cacheManager.del(cacheKey);
-            logManager.warn(`Cleared stale cache for missing file: ${cacheKey}`, { module: 'API', request: req });
-          }
+    logManager.debug(`Random image selected: ${selection.image.name} (mode: ${balance}, weight: ${selection.weight}) from ${pool.size} candidates`, { module: 'API' });
+    return selection;
+  }
+
+  /**
+   * 批量选取互不相同的随机图片
+   * @param {string|Object|null} scope - 目录名称或选取范围
+   * @param {Object} options - 选取选项
+   * @param {number} options.count - 数量
+   * @param {string} options.balance - 选取模式
+   * @param {Function} options.random - 随机数函数
+   * @param {string|null} options.sessionId - 不重复随机会话ID
+   * @returns {Promise<Object[]>} 选取结果列表，候选不足时少于count
+   */
+  async selectRandomImages(scope = null, { count, balance = 'image', random = Math.random, sessionId = null } = {}) {
+    if (this.imageDetails.length === 0) {
+      logManager.error('No images available in imageDetails array', { module: 'API' });
+      return [];
+    }
+    
+    const selections = [];
+    const seen = new Set();
+    
+    if (sessionId) {
+      // 会话模式按袋中顺序取，跨轮时可能遇到本批已取过的图片，跳过即可
+      for (let attempt = 0; attempt < count * 2 && selections.length < count; attempt++) {
+        const selection = await this.selectFromSession(sessionId, scope);
+        if (!selection) break;
+        if (!seen.has(selection.image.path)) {
+          seen.add(selection.image.path);
+          selections.push(selection);
         }
+        if (seen.size >= selection.bag.size) break;
       }
-      
-      // 处理请求
-      let selectedImage;
-      let retryCount = 0;
-      const maxRetries = 1;
-      
-      while (!selectedImage && retryCount <= maxRetries) {
-        if (retryCount > 0) {
-          logManager.debug(`Retrying after reload (attempt ${retryCount})`, { module: 'API', request: req });
-        }
-        
-        if (decodedParts.length === 0) {
-          selectedImage = this.getRandomImage();
-          logManager.debug(`Random selection from all images (${Date.now() - startTime}ms)`, { module: 'API', request: req });
-        } else if (decodedParts.length === 1) {
-          selectedImage = this.getRandomImage(decodedParts[0]);
-          logManager.debug(`Random selection from directory: ${decodedParts[0]} (${Date.now() - startTime}ms)`, { module: 'API', request: req });
-        } else {
-          selectedImage = this.findSpecificImage(decodedParts[0], decodedParts.slice(1).join('/'));
+      return selections;
+    }
+    
+    if (balance !== 'dir') {
+      const pool = this.getPool(scope, balance);
+      return pool.sample(count, random).map(picked => ({
+        image: picked.item,
+        mode: balance,
+        weight: picked.weight,
+        probability: picked.probability
+      }));
+    }
+    
+    // 目录均衡模式：重复选取并拒绝重复，仍不足时按图片权重补齐
+    const pool = this.getPool(scope, balance);
+    for (let attempt = 0; attempt < count * 20 && selections.length < count; attempt++) {
+      const selection = this.pickFromPool(pool, balance, random);
+      if (!selection) break;
+      if (!seen.has(selection.image.path)) {
+        seen.add(selection.image.path);
+        selections.push(selection);
+      }
+    }
+    
+    if (selections.length < count) {
+      const imagePool = this.getPool(scope, 'image');
+      for (const picked of imagePool.sample(count + seen.size, random)) {
+        if (selections.length >= count) break;
+        if (seen.has(picked.item.path)) continue;
+        seen.add(picked.item.path);
+        selections.push({ image: picked.item, mode: balance, weight: picked.weight, probability: picked.probability });
+      }
+    }
+    
+    return selections;
+  }
+
+  /**
+   * 生成JSON响应中的选取信息
+   * @param {Object} selection - 选取结果
+   * @param {string|null} seed - 随机种子
+   * @returns {Object} 选取信息
+   */
+  describeSelection(selection, seed = null) {
+    if (selection.bag) {
+      return {
+        mode: selection.mode,
+        weight: selection.weight,
+        ...selection.bag
+      };
+    }
+    
+    const info = {
+      mode: selection.mode,
+      weight: selection.weight,
+      probability: selection.probability
+    };
+    if (seed !== null) {
+      info.seed = seed;
+      info.version = this.index.version;
+    }
+    return info;
+  }
+
+  /**
+   * 获取随机图片
+   * @param {string|null} directory - 目录名称
+   * @returns {ImageDetails|null} 随机图片详情或null
+   */
+  getRandomImage(directory = null) {
+    const selection = this.selectRandomImage(directory, { balance: this.config.api.balance || 'image' });
+    return selection ? selection.image : null;
+  }
+
+  /**
+   * 构建特定图片请求的目标路径
+   * @param {string} directory - 目录名称，根目录为 _root
+   * @param {string} filename - 文件名
+   * @returns {string} 图片相对路径
+   */
+  getSpecificPath(directory, filename) {
+    // 构建目标路径，确保格式一致
+    return directory === '_root'
+      ? filename
+      : path.join(directory, filename).replace(/\\/g, '/');
+  }
+
+  /**
+   * 判断图片路径是否位于私有目录中
+   * @param {string} imagePath - 图片相对路径
+   * @returns {boolean} 是否私有
+   */
+  isPrivatePath(imagePath) {
+    const directory = path.posix.dirname(ImageIndex.normalizePath(imagePath));
+    return Boolean(this.getDirectoryMeta(directory === '.' ? '_root' : directory).private);
+  }
+
+  /**
+   * 签发私有图片（也可用于公开图片）的签名链接
+   * @param {string} imagePath - 图片相对路径
+   * @param {number} ttl - 有效期（秒）
+   * @returns {{path: string, url: string, expires: number, private: boolean}|null} 相对URL及过期时间，图片不存在时返回null
+   */
+  createSignedUrl(imagePath, ttl) {
+    const image = this.privateIndex.find(imagePath) || this.index.find(imagePath);
+    if (!image) {
+      return null;
+    }
+    const { expires, sig } = this.signer.sign(image.path, ttl);
+    // 根目录中的图片需要 _root 前缀才会被识别为特定图片请求
+    const webPath = this.getCanonicalUrl(`/api/${image._directory === '_root' ? '_root/' : ''}${image.path}`);
+    return {
+      path: image.path,
+      url: `${webPath}?expires=${expires}&sig=${sig}`,
+      expires,
+      private: this.isPrivatePath(image.path)
+    };
+  }
+
+  /**
+   * 查找特定图片
+   * @param {string} directory - 目录名称
+   * @param {string} filename - 文件名
+   * @param {ImageIndex} [index] - 查找的索引，默认为公开图片索引
+   * @returns {ImageDetails|null} 图片详情或null
+   */
+  findSpecificImage(directory, filename, index = this.index) {
+    const targetPath = this.getSpecificPath(directory, filename);
+    
+    let found = index.find(targetPath);
+    if (found && directory === '_root' && found._directory !== '_root') {
+      found = null;
+    }
+    
+    if (found) {
+      logManager.debug(`Specific image found: ${found.name} at ${found.path}`, { module: 'API' });
+    } else {
+      logManager.debug(`Specific image not found: ${targetPath}`, { module: 'API' });
+    }
+    
+    return found;
+  }
+
+  /**
+   * 设置CORS头
+   * @param {any} res - Express响应对象
+   */
+  setCorsHeaders(res) {
+    if (this.config.server.cors.enabled) {
+      res.setHeader('Access-Control-Allow-Origin', this.config.server.cors.origins);
+      res.setHeader('Access-Control-Allow-Methods', this.config.server.cors.methods);
+      res.setHeader('Access-Control-Allow-Headers', this.config.server.cors.headers);
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+    }
+  }
+
+  /**
+   * 查找已移动的图片或目录的新地址
+   * @param {string[]} parts - 请求路径部分
+   * @returns {Promise<string|null>} 新的请求路径，没有重定向时返回null
+   */
+  async findRedirect(parts) {
+    if (parts.length === 0) {
+      return null;
+    }
+    if (this.isRandomRequest(parts)) {
+      // 目录仍然存在时找不到图片是筛选条件造成的，不做重定向
+      const directory = ImageIndex.normalizePath(parts[0]);
+      if (this.index.hasDirectory(directory)) {
+        return null;
+      }
+      const target = await this.redirects.find(directory);
+      return target ? `/api/${encodeURIComponent(target)}` : null;
+    }
+    const target = await this.redirects.find(this.getSpecificPath(parts[0], parts.slice(1).join('/')));
+    if (!target) {
+      return null;
+    }
+    return this.getCanonicalUrl(`/api/${target.includes('/') ? '' : '_root/'}${target}`);
+  }
+
+  /**
+   * 获取404错误消息
+   * @param {string[]} parts - 请求路径部分
+   * @param {Object|null} filters - 尺寸筛选条件
+   * @returns {string} 错误消息
+   */
+  getNotFoundMessage(parts, filters = null) {
+    if (filters && parts.length <= 1) {
+      return 'No images match the requested filters';
+    } else if (parts.length === 0) {
+      return 'No images available';
+    } else if (parts.length === 1) {
+      return `No images found in directory: ${parts[0]}`;
+    } else {
+      return `Image not found: ${parts.join('/')}`;
+    }
+  }
+
+  /**
+   * 处理API请求
+   * @param {any} req - Express请求对象
+   * @param {any} res - Express响应对象
+   * @returns {Promise<void>}
+   */
+  async handleApiRequest(req, res) {
+    const startTime = Date.now();
+    
+    this.setCorsHeaders(res);
+    
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    const clientIP = this.getClientIP(req);
+    const { count, error: countError } = this.resolveCount(req);
+    const cost = count !== null && this.config.api.batch.cost === 'weighted' ? count : 1;
+    // 携带API密钥的请求已由 WebServer 按密钥配额限流
+    if (!req.apiKey && !this.limiter.isAllowed(clientIP, cost)) {
+      const status = this.limiter.getStatus(clientIP);
+      logManager.warn(`Rate limit exceeded or banned client: ${clientIP}`, { module: 'API', request: req });
+      
+      const responseData = {
+        error: status.banned ? 'Temporarily Banned' : 'Too Many Requests',
+        message: status.banned 
+          ? `You have been temporarily banned. Please try again later.` 
+          : 'Rate limit exceeded. Please slow down your requests.',
+        clientIP: clientIP,
+        limit: this.limiter.limit,
+        window: this.limiter.windowSize / 1000,  // 转换为秒
+        ...status
+      };
+
+      return res.status(status.banned ? 403 : 429).json(responseData);
+    }
+
+    const { type: responseType, negotiated, error: typeError } = this.resolveResponseType(req);
+    const parts = req.path.split('/').filter(p => p && p.trim());
+    parts.shift(); // 移除 'api'
+    
+    // 解码所有路径部分
+    const decodedParts = parts.map(part => decodeURIComponent(part));
+    
+    if (decodedParts[0] === HASH_PREFIX) {
+      return await this.handleHashRequest(req, res, {
+        digest: decodedParts.slice(1).join('/'),
+        responseType,
+        negotiated,
+        typeError,
+        startTime
+      });
+    }
+    
+    if (this.isDailyRequest(decodedParts)) {
+      return await this.handleDailyRequest(req, res, {
+        directory: decodedParts.slice(0, -1).join('/') || null,
+        responseType,
+        negotiated,
+        typeError,
+        startTime
+      });
+    }
+    
+    const isRandom = this.isRandomRequest(decodedParts);
+    
+    // 私有目录中的图片及带签名参数的请求需要校验签名
+    if (!isRandom) {
+      const imagePath = this.getSpecificPath(decodedParts[0], decodedParts.slice(1).join('/'));
+      if (this.isPrivatePath(imagePath) || req.query.sig !== undefined || req.query.expires !== undefined) {
+        return await this.handleSignedRequest(req, res, {
+          directory: decodedParts[0],
+          filename: decodedParts.slice(1).join('/'),
+          imagePath,
+          responseType,
+          negotiated,
+          typeError,
+          startTime
+        });
+      }
+    }
+    
+    const balance = this.resolveBalance(req);
+    const { seed, error: seedError } = this.resolveSeed(req);
+    const session = isRandom ? this.resolveSession(req) : { sessionId: null, setCookie: false, error: null };
+    const { scope, unknown: unknownDirectories } = isRandom
+      ? this.resolveScope(req, decodedParts[0] || null)
+      : { scope: null, unknown: [] };
+    const { filters, error: filterError } = isRandom ? this.resolveFilters(req) : { filters: null, error: null };
+    if (scope) {
+      scope.filters = filters;
+    }
+    const isSeeded = isRandom && seed !== null;
+    const isCacheable = !isRandom || isSeeded;
+    const cleanPath = req.originalUrl.split('?')[0];
+    
+    let requestError = typeError;
+    if (!requestError && isRandom) {
+      if (!balance) {
+        requestError = `Invalid balance mode: ${req.query.balance}. Supported: image, dir`;
+      } else if (seedError || session.error || countError || filterError) {
+        requestError = seedError || session.error || countError || filterError;
+      } else if (count !== null && responseType !== 'json' && responseType !== 'file') {
+        requestError = `count only supports JSON responses, got type: ${responseType}`;
+      } else if (isSeeded && session.sessionId) {
+        requestError = 'seed and session cannot be combined';
+      }
+    }
+    
+    if (requestError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        path: cleanPath,
+        message: requestError,
+        processingTime: Date.now() - startTime
+      });
+    }
+    
+    if (unknownDirectories.length > 0) {
+      return res.status(404).json({
+        error: 'Directory not found',
+        path: cleanPath,
+        message: `Unknown directories: ${unknownDirectories.join(', ')}`,
+        unknown: unknownDirectories,
+        directories: Object.keys(this.imageList),
+        processingTime: Date.now() - startTime
+      });
+    }
+    
+    if (negotiated) {
+      res.vary('Accept');
+    }
+    if (isRandom) {
+      // 随机结果取决于会话Cookie，避免中间缓存在不同客户端间混用
+      res.vary('Cookie');
+    }
+    
+    if (session.setCookie) {
+      res.setHeader('Set-Cookie', HttpUtils.serializeCookie(this.config.api.session.cookie, session.sessionId, {
+        maxAge: this.config.api.session.ttl,
+        secure: req.secure
+      }));
+    }
+    
+    try {
+      if (isRandom && count !== null) {
+        return await this.handleBatchRequest(req, res, {
+          scope,
+          count,
+          balance,
+          seed,
+          sessionId: session.sessionId,
+          startTime
+        });
+      }
+      
+      // 检查缓存
+      let cacheKey = this.generateCacheKey(req, decodedParts, { seed, balance, scope });
+      if (isCacheable && cacheKey) {
+        let cached = await this.cacheManager.get(cacheKey);
+        // 图片所在目录可能在缓存后被设为隐藏
+        if (cached && !isRandom && !this.index.find(String(cached.path).replace(/^\/api\//, ''))) {
+          await this.cacheManager.del(cacheKey);
+          cached = null;
+        }
+        if (cached) {
+          logManager.debug(`Cache hit: ${cacheKey} (${Date.now() - startTime}ms)`, { module: 'API', request: req });
+          
+          // 不向客户端暴露服务器上的文件路径和缓存的内部字段
+          const { _fullPath, cached_at: cachedAt, ...cachedInfo } = cached;
+          const filePath = _fullPath || cached.fullPath || path.resolve(cached.path);
+          if (await this.cachedPathExists(filePath)) {
+            return await this.sendImageResponse(req, res, {
+              type: responseType,
+              imageInfo: cachedInfo,
+              filePath,
+              mimeType: FileUtils.getMimeType(filePath),
+              isRandom,
+              isCacheable,
+              cacheStatus: 'HIT',
+              startTime
+            });
+          } else {
+            await this.cacheManager.del(cacheKey);
+            logManager.warn(`Cleared stale cache for missing file: ${cacheKey}`, { module: 'API', request: req });
+          }
+        }
+      }
+      
+      // 处理请求
+      let selectedImage;
+      let selection = null;
+      let retryCount = 0;
+      const maxRetries = 1;
+      
+      while (!selectedImage && retryCount <= maxRetries) {
+        if (retryCount > 0) {
+          logManager.debug(`Retrying after reload (attempt ${retryCount})`, { module: 'API', request: req });
+        }
+        
+        const random = isSeeded ? SeededRandom.fromSeed(seed) : Math.random;
+        
+        if (decodedParts.length <= 1 && session.sessionId) {
+          selection = await this.selectFromSession(session.sessionId, scope);
+          selectedImage = selection && selection.image;
+          logManager.debug(`Session selection (${Date.now() - startTime}ms)`, { module: 'API', request: req });
+        } else if (decodedParts.length <= 1) {
+          selection = this.selectRandomImage(scope, { balance, random });
+          selectedImage = selection && selection.image;
+          logManager.debug(`Random selection from scope: ${this.getScopeKey(scope) || '*'} (${Date.now() - startTime}ms)`, { module: 'API', request: req });
+        } else {
+          selectedImage = this.findSpecificImage(decodedParts[0], decodedParts.slice(1).join('/'));
           if (selectedImage) {
             const exists = await this.cachedPathExists(selectedImage._fullPath);
             if (!exists) {
@@ -462,6 +1298,8 @@ class ApiService {
         if (!selectedImage && retryCount < maxRetries) {
           logManager.info(`No image found, reloading image list...`, { module: 'API', request: req });
           await this.loadImageList();
+          // 重新加载后索引版本可能变化
+          cacheKey = this.generateCacheKey(req, decodedParts, { seed, balance, scope });
           retryCount++;
         } else {
           break;
@@ -470,12 +1308,21 @@ class ApiService {
       
       if (!selectedImage) {
         const processingTime = Date.now() - startTime;
+        
+        // 图片或目录已移动并保留了旧路径时，重定向到新路径
+        const redirectPath = await this.findRedirect(decodedParts);
+        if (redirectPath) {
+          const query = req.originalUrl.indexOf('?');
+          logManager.info(`Redirecting moved path ${cleanPath} -> ${redirectPath}`, { module: 'API', request: req });
+          return res.redirect(301, query === -1 ? redirectPath : redirectPath + req.originalUrl.slice(query));
+        }
+        
         logManager.warn(`Image not found after ${retryCount + 1} attempts (${processingTime}ms)`, { module: 'API', request: req });
         
         return res.status(404).json({
           error: 'Image not found',
           path: cleanPath,
-          message: this.getNotFoundMessage(decodedParts),
+          message: this.getNotFoundMessage(decodedParts, filters),
           processingTime
         });
       }
@@ -501,19 +1348,17 @@ class ApiService {
         });
       }
       
-      // 修复点3：确保web路径正确构建
-      const webPath = '/api/' + (selectedImage.path || selectedImage.name);
-      
       const imageInfo = {
-        name: selectedImage.name,
-        size: selectedImage.size,
-        uploadtime: selectedImage.uploadtime,
-        path: webPath,
+        ...this.getImageInfo(selectedImage),
         processingTime: Date.now() - startTime
       };
       
+      if (selection) {
+        imageInfo.selection = this.describeSelection(selection, isSeeded ? seed : null);
+      }
+      
       // 设置缓存
-      if (!isRandom && cacheKey) {
+      if (isCacheable && cacheKey) {
         const cacheData = {
           ...imageInfo,
           _fullPath: imagePath,
@@ -528,71 +1373,540 @@ class ApiService {
         }
       }
       
-      // 返回JSON响应
-      if (isJson) {
-        logManager.debug(`JSON response returned (${imageInfo.processingTime}ms)`, { module: 'API', request: req });
-        return res.json(imageInfo);
+      return await this.sendImageResponse(req, res, {
+        type: responseType,
+        imageInfo,
+        filePath: path.isAbsolute(imagePath) ? imagePath : path.resolve(imagePath),
+        mimeType: selectedImage._mimeType || FileUtils.getMimeType(imagePath) || 'image/jpeg',
+        isRandom,
+        isCacheable,
+        cacheStatus: 'MISS',
+        startTime
+      });
+      
+    } catch (err) {
+      const processingTime = Date.now() - startTime;
+      logManager.error(`API error: ${err.message} (${processingTime}ms)`, { module: 'API', request: req });
+      logManager.debug(`Error stack: ${err.stack}`, { module: 'API' });
+      
+      return res.status(500).json({
+        error: 'Internal server error',
+        path: cleanPath,
+        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
+        processingTime
+      });
+    }
+  }
+
+  /**
+   * 生成返回给客户端的图片信息（不含服务器上的文件路径）
+   * @param {ImageDetails} image - 图片详情
+   * @returns {ImageInfo} 图片信息
+   */
+  getImageInfo(image) {
+    const info = {
+      name: image.name,
+      size: image.size,
+      uploadtime: image.uploadtime,
+      // 确保web路径正确构建
+      path: '/api/' + (image.path || image.name)
+    };
+    if (image.width && image.height) {
+      info.width = image.width;
+      info.height = image.height;
+    }
+    if (Array.isArray(image.tags) && image.tags.length > 0) {
+      info.tags = image.tags;
+    }
+    if (image.digest) {
+      info.digest = image.digest;
+    }
+    const { rating } = this.getDirectoryMeta(image._directory);
+    if (rating) {
+      info.rating = rating;
+    }
+    return info;
+  }
+
+  /**
+   * 解析响应模式：?type= 优先，其次兼容 ?json=1，最后根据Accept头协商
+   * @param {any} req - Express请求对象
+   * @returns {{type: string, negotiated: boolean, error: string|null}} 响应模式、是否由Accept决定及错误信息
+   */
+  resolveResponseType(req) {
+    const type = req.query.type;
+    if (type !== undefined) {
+      if (!RESPONSE_TYPES.includes(type)) {
+        return { type: 'file', negotiated: false, error: `Invalid response type: ${type}. Supported: ${RESPONSE_TYPES.join(', ')}` };
       }
+      return { type, negotiated: false, error: null };
+    }
+    if (req.query.json === '1') {
+      return { type: 'json', negotiated: false, error: null };
+    }
+    
+    // 只按优先级最高的媒体类型协商；浏览器导航请求首选 text/html，不视为请求 html 模式
+    const accepted = (req.headers.accept || '')
+      .split(',')
+      .map((entry, index) => {
+        const [mediaType, ...params] = entry.trim().toLowerCase().split(';');
+        const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+        return { mediaType, q: q ? Number(q.slice(2)) : 1, index };
+      })
+      .filter(entry => entry.mediaType && entry.q > 0)
+      .sort((a, b) => b.q - a.q || a.index - b.index);
+    const preferred = accepted.length > 0 ? ACCEPT_TYPES[accepted[0].mediaType] : undefined;
+    
+    return { type: preferred || this.config.api.response.default_type || 'file', negotiated: true, error: null };
+  }
+
+  /**
+   * 获取Cache-Control头
+   * @param {boolean} isCacheable - 响应是否可复现（特定图片或带种子的随机请求）
+   * @returns {string} Cache-Control值
+   */
+  getCacheControl(isCacheable) {
+    return isCacheable ? 'public, max-age=3600' : 'no-cache, no-store, must-revalidate';
+  }
+
+  /**
+   * 获取图片所在目录在 _meta.json 中设置的缓存策略
+   * @param {string} webPath - 以 /api/ 开头的图片路径
+   * @returns {string|null} Cache-Control值，未设置时返回null
+   */
+  getDirectoryCacheControl(webPath) {
+    const image = this.index.find(webPath.replace(/^\/api\//, ''));
+    return image ? this.getDirectoryMeta(image._directory).cache_control || null : null;
+  }
+
+  /**
+   * 根据文件大小和修改时间生成实体标签
+   * @param {fs.Stats} stats - 文件信息
+   * @param {string} type - 响应模式
+   * @returns {string} ETag值，file 模式为强校验，其他模式的响应体由图片派生，使用弱校验
+   */
+  getEntityTag(stats, type) {
+    const tag = `${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}`;
+    return type === 'file' ? `"${tag}"` : `W/"${tag}-${type}"`;
+  }
+
+  /**
+   * 生成图片的规范URL（逐段编码）
+   * @param {string} webPath - 以 /api/ 开头的图片路径
+   * @returns {string} 规范URL
+   */
+  getCanonicalUrl(webPath) {
+    return webPath.split('/').map(segment => encodeURIComponent(segment)).join('/');
+  }
+
+  /**
+   * 按响应模式返回选中的图片
+   * @param {any} req - Express请求对象
+   * @param {any} res - Express响应对象
+   * @param {Object} options - 响应参数
+   * @param {string} options.type - 响应模式：file/json/redirect/text/datauri/html
+   * @param {Object} options.imageInfo - 图片信息（不含服务器路径）
+   * @param {string} options.filePath - 图片文件绝对路径
+   * @param {string} options.mimeType - 图片MIME类型
+   * @param {boolean} options.isRandom - 是否随机请求
+   * @param {boolean} options.isCacheable - 响应是否可复现
+   * @param {string} options.cacheStatus - X-Cache 头的值
+   * @param {number} options.startTime - 请求开始时间
+   * @param {string} [options.cacheControl] - 自定义Cache-Control，默认使用图片所在目录的缓存策略（仅特定图片），其次由 isCacheable 决定
+   * @param {string} [options.canonicalUrl] - redirect/text/html 模式指向的URL，默认为图片的规范URL
+   * @returns {Promise<void>}
+   */
+  async sendImageResponse(req, res, { type, imageInfo, filePath, mimeType, isRandom, isCacheable, cacheStatus, startTime, cacheControl, canonicalUrl: targetUrl }) {
+    const processingTime = Date.now() - startTime;
+    const canonicalUrl = targetUrl || this.getCanonicalUrl(imageInfo.path);
+    const directoryCacheControl = isRandom ? null : this.getDirectoryCacheControl(imageInfo.path);
+    
+    res.setHeader('Cache-Control', cacheControl || directoryCacheControl || this.getCacheControl(isCacheable));
+    res.setHeader('X-Is-Random', isRandom.toString());
+    res.setHeader('X-Processing-Time', processingTime.toString());
+    res.setHeader('X-Cache', cacheStatus);
+    
+    logManager.debug(`Sending ${type} response: ${imageInfo.name} (${processingTime}ms)`, { module: 'API', request: req });
+    
+    // 重定向响应不描述图片本身，不需要校验器
+    let stats = null;
+    if (type !== 'redirect') {
+      stats = await fs.stat(filePath);
+      res.setHeader('ETag', this.getEntityTag(stats, type));
+      res.setHeader('Last-Modified', stats.mtime.toUTCString());
       
-      // 返回文件响应
-      try {
-        // 确保imagePath是绝对路径
-        const absolutePath = path.isAbsolute(imagePath) ? imagePath : path.resolve(imagePath);
-        
-        // 检查文件是否存在
-        if (!(await this.cachedPathExists(absolutePath))) {
-          logManager.error(`File not found when sending: ${absolutePath}`, { module: 'API', request: req });
-          return res.status(404).json({
-            error: 'Image not found',
-            message: `File not found: ${selectedImage.name}`,
-            processingTime: Date.now() - startTime
+      // file 模式的条件请求由 sendFile 处理（同时支持 If-Match、If-Range）
+      if (type !== 'file' && req.fresh) {
+        return res.status(304).end();
+      }
+    }
+    
+    switch (type) {
+      case 'json':
+        return res.json(imageInfo);
+      
+      case 'redirect':
+        // 重定向到具体图片，由CDN缓存图片本身；随机请求的302不可缓存
+        return res.redirect(302, canonicalUrl);
+      
+      case 'text':
+        res.type('text/plain; charset=utf-8');
+        return res.send(`${req.protocol}://${req.get('host')}${canonicalUrl}`);
+      
+      case 'datauri': {
+        const maxSize = this.config.api.response.datauri_max_size;
+        if (stats.size > maxSize) {
+          res.setHeader('Cache-Control', 'no-store');
+          res.removeHeader('ETag');
+          res.removeHeader('Last-Modified');
+          return res.status(413).json({
+            error: 'Payload Too Large',
+            path: req.originalUrl.split('?')[0],
+            message: `Image is ${stats.size} bytes, data URI responses are limited to ${maxSize} bytes`,
+            processingTime
           });
         }
-        
-        // 获取正确的MIME类型
-        const mimeType = selectedImage._mimeType || FileUtils.getMimeType(absolutePath) || 'image/jpeg';
-        
-        // 设置响应头
-        res.setHeader('Content-Type', mimeType);
-        res.setHeader('Cache-Control', isRandom ? 
-          'no-cache, no-store, must-revalidate' : 
-          'public, max-age=3600'
+        const content = await fs.readFile(filePath);
+        res.type('text/plain; charset=utf-8');
+        return res.send(`data:${mimeType};base64,${content.toString('base64')}`);
+      }
+      
+      case 'html': {
+        const alt = HttpUtils.escapeHtml(imageInfo.name);
+        res.type('text/html; charset=utf-8');
+        return res.send(
+          '<!DOCTYPE html>\n' +
+          `<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${alt}</title></head>` +
+          `<body style="margin:0"><img src="${HttpUtils.escapeHtml(canonicalUrl)}" alt="${alt}" style="max-width:100%"></body></html>\n`
         );
-        res.setHeader('X-Is-Random', isRandom.toString());
-        res.setHeader('X-Processing-Time', imageInfo.processingTime.toString());
-        res.setHeader('X-Cache', 'MISS');
-        
-        logManager.debug(`Sending file: ${selectedImage.name} (${mimeType})`, { module: 'API', request: req });
-        
+      }
+      
+      default:
+        res.setHeader('Content-Type', mimeType);
+        if (isRandom) {
+          // 随机响应每次可能是不同的图片，分段请求拼出的内容没有意义
+          res.setHeader('Accept-Ranges', 'none');
+        }
         // 使用sendFile发送文件，确保中文路径正确处理
-        return res.sendFile(absolutePath, {
+        return res.sendFile(filePath, {
+          acceptRanges: !isRandom,
           // 处理中文文件名
           headers: {
-            'Content-Disposition': `inline; filename="${encodeURIComponent(selectedImage.name)}"`
+            'Content-Disposition': `inline; filename="${encodeURIComponent(imageInfo.name)}"`
+          }
+        }, (error) => {
+          if (!error || res.headersSent) {
+            return;
           }
+          if (error.status === 412 || error.status === 416) {
+            // If-Match 不匹配或范围无法满足，Content-Range 头由 sendFile 给出
+            res.set(error.headers || {});
+            return res.status(error.status).end();
+          }
+          logManager.error(`Failed to send image ${imageInfo.path}: ${error.message}`, { module: 'API', request: req });
+          res.status(500).json({
+            error: 'Internal Server Error',
+            path: req.originalUrl.split('?')[0],
+            message: 'Failed to send image',
+            processingTime
+          });
         });
-      } catch (fileErr) {
-        logManager.error(`Error sending file: ${fileErr.message}`, { module: 'API', request: req });
-        logManager.debug(`Error stack: ${fileErr.stack}`, { module: 'API' });
-        return res.status(500).json({
-          error: 'Internal server error',
-          message: 'Failed to send image file',
+    }
+  }
+
+  /**
+   * 处理需要签名的特定图片请求。签名无效、过期或缺失时返回403（不区分图片是否存在），
+   * 响应不写入共享缓存，且只允许客户端缓存到链接过期
+   * @param {any} req - Express请求对象
+   * @param {any} res - Express响应对象
+   * @param {Object} options - 请求参数
+   * @returns {Promise<void>}
+   */
+  async handleSignedRequest(req, res, { directory, filename, imagePath, responseType, negotiated, typeError, startTime }) {
+    const cleanPath = req.originalUrl.split('?')[0];
+    
+    if (typeError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        path: cleanPath,
+        message: typeError,
+        processingTime: Date.now() - startTime
+      });
+    }
+    
+    const { valid, expires, error } = this.signer.verify(ImageIndex.normalizePath(imagePath), req.query.expires, req.query.sig);
+    if (!valid) {
+      logManager.warn(`Rejected signed request for ${imagePath}: ${error}`, { module: 'API', request: req });
+      return res.status(403).json({
+        error: 'Forbidden',
+        path: cleanPath,
+        message: error,
+        processingTime: Date.now() - startTime
+      });
+    }
+    
+    const image = this.findSpecificImage(directory, filename, this.privateIndex) || this.findSpecificImage(directory, filename);
+    if (!image || !(await this.cachedPathExists(image._fullPath))) {
+      return res.status(404).json({
+        error: 'Image not found',
+        path: cleanPath,
+        message: `Image not found: ${imagePath}`,
+        processingTime: Date.now() - startTime
+      });
+    }
+    
+    if (negotiated) {
+      res.vary('Accept');
+    }
+    
+    const signedUrl = `${cleanPath}?expires=${req.query.expires}&sig=${req.query.sig}`;
+    const imageInfo = {
+      ...this.getImageInfo(image),
+      url: signedUrl,
+      expires: new Date(expires * 1000).toISOString(),
+      processingTime: Date.now() - startTime
+    };
+    
+    return await this.sendImageResponse(req, res, {
+      type: responseType,
+      imageInfo,
+      filePath: image._fullPath,
+      mimeType: image._mimeType || FileUtils.getMimeType(image._fullPath),
+      isRandom: false,
+      isCacheable: true,
+      cacheStatus: 'BYPASS',
+      startTime,
+      cacheControl: `private, max-age=${Math.max(0, expires - Math.floor(Date.now() / 1000))}`,
+      canonicalUrl: signedUrl
+    });
+  }
+
+  /**
+   * 处理按内容摘要访问图片的请求，内容不变所以响应可永久缓存
+   * @param {any} req - Express请求对象
+   * @param {any} res - Express响应对象
+   * @param {Object} options - 请求参数
+   * @returns {Promise<void>}
+   */
+  async handleHashRequest(req, res, { digest, responseType, negotiated, typeError, startTime }) {
+    const cleanPath = req.originalUrl.split('?')[0];
+    
+    let requestError = typeError;
+    if (!requestError && !/^[0-9a-f]{64}$/i.test(digest)) {
+      requestError = `Invalid digest: ${digest}. Expected a SHA-256 hex string`;
+    }
+    if (requestError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        path: cleanPath,
+        message: requestError,
+        processingTime: Date.now() - startTime
+      });
+    }
+    
+    // 摘要由客户端任意指定，找不到时直接按当前索引返回404，不重新加载图片列表（索引由扫描和管理操作保持最新）
+    const found = this.index.findByDigest(digest);
+    // 文件在上次扫描后被修改时摘要已失效，不能再以不可变的地址返回
+    const stats = found && found._fullPath ? await fs.stat(found._fullPath).catch(() => null) : null;
+    const image = stats && stats.size === found.size && stats.mtime.toISOString() === found.uploadtime ? found : null;
+    if (!image) {
+      return res.status(404).json({
+        error: 'Image not found',
+        path: cleanPath,
+        message: `No image with digest: ${digest}`,
+        processingTime: Date.now() - startTime
+      });
+    }
+    
+    if (negotiated) {
+      res.vary('Accept');
+    }
+    
+    try {
+      return await this.sendImageResponse(req, res, {
+        type: responseType,
+        imageInfo: {
+          ...this.getImageInfo(image),
+          processingTime: Date.now() - startTime
+        },
+        filePath: image._fullPath,
+        mimeType: image._mimeType || FileUtils.getMimeType(image._fullPath),
+        isRandom: false,
+        isCacheable: true,
+        cacheStatus: 'MISS',
+        startTime,
+        cacheControl: IMMUTABLE_CACHE_CONTROL
+      });
+    } catch (err) {
+      logManager.error(`Hash request error: ${err.message}`, { module: 'API', request: req });
+      logManager.debug(`Error stack: ${err.stack}`, { module: 'API' });
+      return res.status(500).json({
+        error: 'Internal server error',
+        path: cleanPath,
+        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
+        processingTime: Date.now() - startTime
+      });
+    }
+  }
+
+  /**
+   * 处理每日一图请求
+   * @param {any} req - Express请求对象
+   * @param {any} res - Express响应对象
+   * @param {Object} options - 请求参数
+   * @returns {Promise<void>}
+   */
+  async handleDailyRequest(req, res, { directory, responseType, negotiated, typeError, startTime }) {
+    const cleanPath = req.originalUrl.split('?')[0];
+    const today = this.daily.today();
+    const date = req.query.date !== undefined ? req.query.date : today;
+    
+    let requestError = typeError;
+    if (!requestError && !TimeUtils.isValidDateString(date)) {
+      requestError = `Invalid date: ${date}. Use YYYY-MM-DD`;
+    } else if (!requestError && date > today) {
+      requestError = `date cannot be later than today (${today})`;
+    }
+    if (requestError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        path: cleanPath,
+        message: requestError,
+        processingTime: Date.now() - startTime
+      });
+    }
+    
+    if (directory && !this.index.hasDirectory(directory)) {
+      return res.status(404).json({
+        error: 'Directory not found',
+        path: cleanPath,
+        message: `Unknown directories: ${directory}`,
+        unknown: [directory],
+        directories: Object.keys(this.imageList),
+        processingTime: Date.now() - startTime
+      });
+    }
+    
+    if (negotiated) {
+      res.vary('Accept');
+    }
+    
+    try {
+      const scopeKey = directory || '*';
+      const isToday = date === today;
+      const entry = isToday
+        ? await this.daily.pick(scopeKey, date, this.getPool(directory, 'image'), imagePath => Boolean(this.index.find(imagePath)))
+        : await this.daily.getEntry(scopeKey, date);
+      
+      const image = entry && this.index.find(entry.path);
+      if (!image || !image._fullPath || !(await this.cachedPathExists(image._fullPath))) {
+        return res.status(404).json({
+          error: 'Image not found',
+          path: cleanPath,
+          message: !entry
+            ? (isToday ? 'No images available' : `No daily image recorded for ${date}`)
+            : `Daily image for ${date} is no longer available: ${entry.path}`,
           processingTime: Date.now() - startTime
         });
       }
       
+      const imageInfo = {
+        ...this.getImageInfo(image),
+        date,
+        timezone: this.daily.timezone,
+        processingTime: Date.now() - startTime
+      };
+      
+      // 当天的图片缓存到下一次轮换，历史图片不再变化
+      let cacheControl = 'public, max-age=86400';
+      if (isToday) {
+        const nextRollover = this.daily.getNextRollover(date);
+        imageInfo.nextRollover = nextRollover.toISOString();
+        cacheControl = `public, max-age=${Math.max(0, Math.floor((nextRollover.getTime() - Date.now()) / 1000))}`;
+      }
+      
+      return await this.sendImageResponse(req, res, {
+        type: responseType,
+        imageInfo,
+        filePath: image._fullPath,
+        mimeType: image._mimeType || FileUtils.getMimeType(image._fullPath),
+        isRandom: false,
+        isCacheable: true,
+        cacheStatus: 'MISS',
+        startTime,
+        cacheControl
+      });
     } catch (err) {
-      const processingTime = Date.now() - startTime;
-      logManager.error(`API error: ${err.message} (${processingTime}ms)`, { module: 'API', request: req });
+      logManager.error(`Daily image error: ${err.message}`, { module: 'API', request: req });
       logManager.debug(`Error stack: ${err.stack}`, { module: 'API' });
-      
       return res.status(500).json({
         error: 'Internal server error',
         path: cleanPath,
         message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
+        processingTime: Date.now() - startTime
+      });
+    }
+  }
+
+  /**
+   * 处理批量随机请求，始终返回JSON数组
+   * @param {any} req - Express请求对象
+   * @param {any} res - Express响应对象
+   * @param {Object} options - 请求参数
+   * @returns {Promise<void>}
+   */
+  async handleBatchRequest(req, res, { scope, count, balance, seed, sessionId, startTime }) {
+    const isSeeded = seed !== null;
+    const cacheKey = isSeeded
+      ? this.generateCacheKey(req, scope.include.slice(0, 1), { seed, balance, count, scope })
+      : null;
+    
+    if (cacheKey) {
+      const cached = await this.cacheManager.get(cacheKey);
+      if (cached) {
+        logManager.debug(`Cache hit: ${cacheKey} (${Date.now() - startTime}ms)`, { module: 'API', request: req });
+        res.setHeader('Cache-Control', 'public, max-age=3600');
+        res.setHeader('X-Cache', 'HIT');
+        return res.json(cached);
+      }
+    }
+    
+    const random = isSeeded ? SeededRandom.fromSeed(seed) : Math.random;
+    const selections = await this.selectRandomImages(scope, { count, balance, random, sessionId });
+    
+    const images = [];
+    for (const selection of selections) {
+      const image = selection.image;
+      if (!image._fullPath || !(await this.cachedPathExists(image._fullPath))) {
+        logManager.warn(`Batch image file not found: ${image._fullPath}`, { module: 'API', request: req });
+        continue;
+      }
+      images.push({
+        ...this.getImageInfo(image),
+        selection: this.describeSelection(selection, seed)
+      });
+    }
+    
+    const processingTime = Date.now() - startTime;
+    if (images.length === 0) {
+      return res.status(404).json({
+        error: 'Image not found',
+        path: req.originalUrl.split('?')[0],
+        message: scope.include.length > 0 ? `No images found in directory: ${scope.include.join(', ')}` : 'No images available',
         processingTime
       });
     }
+    
+    if (cacheKey) {
+      await this.cacheManager.set(cacheKey, images);
+    }
+    
+    logManager.debug(`Batch response: ${images.length}/${count} images (${processingTime}ms)`, { module: 'API', request: req });
+    res.setHeader('Cache-Control', isSeeded ? 'public, max-age=3600' : 'no-cache, no-store, must-revalidate');
+    res.setHeader('X-Is-Random', 'true');
+    res.setHeader('X-Processing-Time', processingTime.toString());
+    res.setHeader('X-Cache', 'MISS');
+    return res.json(images);
   }
 
   /**
@@ -603,8 +1917,12 @@ class ApiService {
     return {
       images: {
         total: this.imageDetails.length,
+        private: this.privateIndex.sorted.length,
+        hidden: this.hiddenImages,
+        flagged: this.flaggedImages,
         directories: Object.keys(this.imageList).length
       },
+      index: this.index.getStats(),
       cache: this.cacheManager.getStats(),
       rateLimiter: this.limiter.getStats(),
       fileCache: {
@@ -0,0 +1,152 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const logManager = require('../logging/LogManager');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * 管理操作审计日志
+ *
+ * 每条记录为一行 JSON，追加写入 audit.jsonl，不修改也不删除已有记录。
+ * 记录包含时间、操作者（密钥、登录用户或 UPDATE_TOKEN）、客户端IP、操作、目标路径、
+ * 操作前后的元数据以及结果（success、failure 或 denied）。
+ */
+class AuditLog {
+  constructor() {
+    this.logPath = path.join(__dirname, '../../audit.jsonl');
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 追加一条记录，按调用顺序写入
+   * @param {Object} entry - 记录内容
+   * @returns {Promise<void>}
+   */
+  append(entry) {
+    const line = JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n';
+    const task = this.queue.then(() => fs.appendFile(this.logPath, line, 'utf8'));
+    this.queue = task.catch((error) => {
+      logManager.error(`Failed to write audit log: ${error.message}`, { module: 'ADMIN' });
+    });
+    return this.queue;
+  }
+
+  /**
+   * 判断记录是否符合筛选条件
+   * @param {Object} entry - 记录
+   * @param {Object} filters - 筛选条件
+   * @returns {boolean} 是否符合
+   */
+  static matches(entry, { action, actor, target, result, ip, since, until }) {
+    if (action && !action.some(a => entry.action === a || (a.endsWith('.') && String(entry.action).startsWith(a)))) return false;
+    if (actor && !(entry.actor && (entry.actor.id === actor || entry.actor.name === actor))) return false;
+    if (target && !String(entry.target || '').includes(target)) return false;
+    if (result && entry.result !== result) return false;
+    if (ip && entry.ip !== ip) return false;
+    const time = Date.parse(entry.time);
+    if (since && !(time >= since)) return false;
+    if (until && !(time < until)) return false;
+    return true;
+  }
+
+  /**
+   * 解析查询参数
+   * @param {Object} query - 查询参数
+   * @returns {{filters: Object, page: number, limit: number, error: string|null}} 筛选条件和分页
+   */
+  static parseQuery(query = {}) {
+    const page = parseInt(query.page) || 1;
+    const limit = Math.min(parseInt(query.limit) || 50, MAX_PAGE_SIZE);
+    const filters = {};
+    if (page < 1 || limit < 1) {
+      return { filters, page, limit, error: 'page and limit must be positive integers' };
+    }
+
+    if (query.action) {
+      filters.action = String(query.action).split(',').map(a => a.trim()).filter(Boolean);
+    }
+    for (const field of ['actor', 'target', 'result', 'ip']) {
+      if (query[field]) {
+        filters[field] = String(query[field]);
+      }
+    }
+    for (const field of ['since', 'until']) {
+      if (query[field]) {
+        const time = Date.parse(query[field]);
+        if (Number.isNaN(time)) {
+          return { filters, page, limit, error: `${field} must be an ISO 8601 date` };
+        }
+        filters[field] = time;
+      }
+    }
+    return { filters, page, limit, error: null };
+  }
+
+  /**
+   * 查询记录，最新的在前
+   * @param {Object} filters - 筛选条件，见 parseQuery
+   * @param {number} page - 页码
+   * @param {number} limit - 每页数量
+   * @returns {Promise<{entries: Object[], total: number, page: number, limit: number}>} 分页结果
+   */
+  async query(filters, page, limit) {
+    await this.queue;
+    if (!(await fs.pathExists(this.logPath))) {
+      return { entries: [], total: 0, page, limit };
+    }
+
+    // 只读取查询开始时已有的内容，两次读取之间追加的记录不影响分页
+    const { size } = await fs.stat(this.logPath);
+    let total = 0;
+    await this.scan(size, filters, () => {
+      total++;
+    });
+
+    // 最新的在前：第 page 页对应按时间顺序的 [total - page * limit, total - (page - 1) * limit)
+    const start = Math.max(total - page * limit, 0);
+    const end = total - (page - 1) * limit;
+    const entries = [];
+    if (end > 0) {
+      let index = 0;
+      await this.scan(size, filters, (entry) => {
+        if (index >= start && index < end) {
+          entries.push(entry);
+        }
+        index++;
+      });
+    }
+
+    return { entries: entries.reverse(), total, page, limit };
+  }
+
+  /**
+   * 按时间顺序逐行读取记录，只保留符合条件的
+   * @param {number} size - 读取的字节数
+   * @param {Object} filters - 筛选条件
+   * @param {Function} onEntry - 每条符合条件的记录调用一次
+   * @returns {Promise<void>}
+   */
+  async scan(size, filters, onEntry) {
+    if (size === 0) return;
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.logPath, { encoding: 'utf8', end: size - 1 }),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        logManager.warn(`Skipping malformed audit log line: ${error.message}`, { module: 'ADMIN' });
+        continue;
+      }
+      if (AuditLog.matches(entry, filters)) {
+        onEntry(entry);
+      }
+    }
+  }
+}
+
+module.exports = AuditLog;
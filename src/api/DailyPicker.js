@@ -0,0 +1,180 @@
+const path = require('path');
+const FileUtils = require('../utils/FileUtils');
+const SeededRandom = require('../utils/SeededRandom');
+const TimeUtils = require('../utils/TimeUtils');
+const logManager = require('../logging/LogManager');
+const WeightedPool = require('./WeightedPool');
+
+/**
+ * 每日一图选取与历史记录
+ *
+ * 每个范围（全部图片或某个目录）每天选取一张图片：以范围和日期作为种子加权随机选取，
+ * 并排除回看窗口内已选过的图片。选取结果持久化到 daily.json，
+ * 当天之后的请求及历史查询都直接读取记录，不受图片集合变化影响。
+ */
+class DailyPicker {
+  /**
+   * @param {any} config - 应用配置
+   */
+  constructor(config) {
+    this.config = config;
+    this.historyPath = path.join(__dirname, '../../daily.json');
+    this.history = null;
+    this.pending = new Map();
+  }
+
+  /**
+   * 当前时区
+   * @returns {string} IANA时区名称
+   */
+  get timezone() {
+    return this.config.timezone || 'Asia/Shanghai';
+  }
+
+  /**
+   * 获取今天的日期（按配置时区）
+   * @returns {string} YYYY-MM-DD 格式的日期
+   */
+  today() {
+    return TimeUtils.getDateString(Date.now(), this.timezone);
+  }
+
+  /**
+   * 获取日期结束（即下一次轮换）的时刻
+   * @param {string} date - YYYY-MM-DD 格式的日期
+   * @returns {Date} 下一次轮换时刻
+   */
+  getNextRollover(date) {
+    return TimeUtils.getStartOfDay(TimeUtils.addDays(date, 1), this.timezone);
+  }
+
+  /**
+   * 加载历史记录
+   * @returns {Promise<Object>} 历史记录 { 范围: { 日期: 记录 } }
+   */
+  async loadHistory() {
+    if (!this.history) {
+      this.history = await FileUtils.safeReadJson(this.historyPath, {});
+    }
+    return this.history;
+  }
+
+  /**
+   * 查询某天的记录
+   * @param {string} scopeKey - 范围标识
+   * @param {string} date - YYYY-MM-DD 格式的日期
+   * @returns {Promise<Object|null>} 记录或null
+   */
+  async getEntry(scopeKey, date) {
+    const history = await this.loadHistory();
+    return (history[scopeKey] && history[scopeKey][date]) || null;
+  }
+
+  /**
+   * 获取回看窗口内已选过的图片路径
+   * @param {string} scopeKey - 范围标识
+   * @param {string} date - YYYY-MM-DD 格式的日期
+   * @returns {Set<string>} 图片路径集合
+   */
+  getRecentPaths(scopeKey, date) {
+    const entries = this.history[scopeKey] || {};
+    const recent = new Set();
+    for (let i = 1; i <= this.config.api.daily.lookback_days; i++) {
+      const entry = entries[TimeUtils.addDays(date, -i)];
+      if (entry) {
+        recent.add(entry.path);
+      }
+    }
+    return recent;
+  }
+
+  /**
+   * 获取某天的图片，没有记录时选取并保存
+   * @param {string} scopeKey - 范围标识
+   * @param {string} date - YYYY-MM-DD 格式的日期
+   * @param {WeightedPool} pool - 随机池
+   * @param {Function} isAvailable - 判断已记录的图片是否仍然可用
+   * @returns {Promise<Object|null>} 记录 {path, picked_at}，无可选图片时返回null
+   */
+  async pick(scopeKey, date, pool, isAvailable) {
+    const key = `${scopeKey}\n${date}`;
+    // 同一天的并发首次请求共享同一次选取
+    if (!this.pending.has(key)) {
+      const task = this.pickOnce(scopeKey, date, pool, isAvailable)
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, task);
+    }
+    return this.pending.get(key);
+  }
+
+  /**
+   * 选取并保存某天的图片
+   * @param {string} scopeKey - 范围标识
+   * @param {string} date - YYYY-MM-DD 格式的日期
+   * @param {WeightedPool} pool - 随机池
+   * @param {Function} isAvailable - 判断已记录的图片是否仍然可用
+   * @returns {Promise<Object|null>} 记录或null
+   */
+  async pickOnce(scopeKey, date, pool, isAvailable) {
+    const history = await this.loadHistory();
+    const existing = history[scopeKey] && history[scopeKey][date];
+    if (existing && isAvailable(existing.path)) {
+      return existing;
+    }
+
+    const recent = this.getRecentPaths(scopeKey, date);
+    const candidates = [];
+    const fallback = [];
+    for (let i = 0; i < pool.size; i++) {
+      const weight = pool.weightAt(i);
+      if (weight <= 0) continue;
+      const entry = { image: pool.items[i], weight };
+      fallback.push(entry);
+      if (!recent.has(entry.image.path)) {
+        candidates.push(entry);
+      }
+    }
+
+    // 图片数量少于回看窗口时，只能允许重复
+    const available = candidates.length > 0 ? candidates : fallback;
+    if (available.length === 0) {
+      return null;
+    }
+
+    const random = SeededRandom.fromSeed(`daily:${scopeKey}:${date}`);
+    const picked = new WeightedPool(available, entry => entry.weight).pick(random);
+    const entry = {
+      path: picked.item.image.path,
+      picked_at: new Date().toISOString()
+    };
+
+    if (!history[scopeKey]) {
+      history[scopeKey] = {};
+    }
+    history[scopeKey][date] = entry;
+    this.prune(history[scopeKey], date);
+    await FileUtils.safeWriteJson(this.historyPath, history);
+
+    logManager.info(`Daily image for ${scopeKey} on ${date}: ${entry.path}`, { module: 'API' });
+    return entry;
+  }
+
+  /**
+   * 移除超出保留天数的记录
+   * @param {Object} entries - 某个范围的记录
+   * @param {string} date - 当前日期
+   */
+  prune(entries, date) {
+    const keepDays = this.config.api.daily.history_days;
+    if (!(keepDays > 0)) return;
+
+    const oldest = TimeUtils.addDays(date, -keepDays);
+    for (const day of Object.keys(entries)) {
+      if (day < oldest) {
+        delete entries[day];
+      }
+    }
+  }
+}
+
+module.exports = DailyPicker;
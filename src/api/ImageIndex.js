@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+
+/**
+ * @typedef {import('../types').ImageDetails} ImageDetails
+ */
+
+/**
+ * 图片内存索引
+ *
+ * 图片按目录树前序排列，任意目录（含子目录）的图片都落在 `sorted` 的一段连续区间内，
+ * 因此目录随机选取只需在区间内取下标，无需逐条过滤。
+ */
+class ImageIndex {
+  constructor() {
+    this.sorted = [];
+    this.byDirectory = new Map();
+    this.byPath = new Map();
+    this.byDigest = new Map();
+    this.tree = ImageIndex.createNode('');
+    this.version = null;
+    this.buildTime = 0;
+    this.estimatedBytes = 0;
+    this.builtAt = null;
+  }
+
+  /**
+   * 创建前缀树节点
+   * @param {string} name - 目录名
+   * @returns {Object} 节点
+   */
+  static createNode(name) {
+    return {
+      name,
+      children: new Map(),
+      start: 0,   // 子树区间起点
+      ownEnd: 0,  // 本目录直属图片区间终点
+      end: 0,     // 子树区间终点
+      images: null
+    };
+  }
+
+  /**
+   * 统一路径分隔符
+   * @param {string} value - 路径
+   * @returns {string} 使用 / 分隔的路径
+   */
+  static normalizePath(value) {
+    return String(value).replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * 根据图片详情构建索引
+   * @param {ImageDetails[]} imageDetails - 图片详情列表
+   * @returns {Object} 索引统计信息
+   */
+  build(imageDetails) {
+    const startTime = process.hrtime.bigint();
+    const byDirectory = new Map();
+    const byPath = new Map();
+    const tree = ImageIndex.createNode('');
+
+    for (const image of imageDetails) {
+      const dirKey = ImageIndex.normalizePath(image._directory || '_root') || '_root';
+      let group = byDirectory.get(dirKey);
+      if (!group) {
+        group = [];
+        byDirectory.set(dirKey, group);
+      }
+      group.push(image);
+      byPath.set(ImageIndex.normalizePath(image.path), image);
+    }
+
+    // 构建目录前缀树
+    for (const dirKey of byDirectory.keys()) {
+      if (dirKey === '_root') continue;
+      let node = tree;
+      for (const segment of dirKey.split('/')) {
+        if (!node.children.has(segment)) {
+          node.children.set(segment, ImageIndex.createNode(segment));
+        }
+        node = node.children.get(segment);
+      }
+    }
+
+    // 前序遍历，使每个子树在 sorted 中连续
+    const sorted = [];
+    const visit = (node, dirKey) => {
+      node.start = sorted.length;
+      const own = byDirectory.get(dirKey || '_root');
+      if (own) {
+        own.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+        for (const image of own) {
+          sorted.push(image);
+        }
+      }
+      node.ownEnd = sorted.length;
+
+      const names = [...node.children.keys()].sort();
+      for (const name of names) {
+        visit(node.children.get(name), dirKey ? `${dirKey}/${name}` : name);
+      }
+      node.end = sorted.length;
+    };
+    visit(tree, '');
+    tree.images = sorted;
+
+    // 内容相同的多个文件按排序取第一个
+    const byDigest = new Map();
+    for (const image of sorted) {
+      if (image.digest && !byDigest.has(image.digest)) {
+        byDigest.set(image.digest, image);
+      }
+    }
+
+    // 索引版本：图片集合及顺序不变时保持不变，用于种子随机的可复现性
+    const hash = crypto.createHash('sha1');
+    for (const image of sorted) {
+      hash.update(image.path).update('\n');
+    }
+
+    this.sorted = sorted;
+    this.byDirectory = byDirectory;
+    this.byPath = byPath;
+    this.byDigest = byDigest;
+    this.tree = tree;
+    this.version = hash.digest('hex').slice(0, 12);
+    this.buildTime = Number(process.hrtime.bigint() - startTime) / 1e6;
+    this.estimatedBytes = this.estimateMemory();
+    this.builtAt = new Date().toISOString();
+
+    return this.getStats();
+  }
+
+  /**
+   * 估算索引占用的内存（字节）
+   * @returns {number} 估算值
+   */
+  estimateMemory() {
+    const POINTER = 8;
+    const MAP_ENTRY = 48;
+    const NODE = 160;
+
+    let bytes = this.sorted.length * POINTER;
+    for (const [key, group] of this.byDirectory) {
+      bytes += MAP_ENTRY + key.length * 2 + group.length * POINTER;
+    }
+    for (const key of this.byPath.keys()) {
+      bytes += MAP_ENTRY + key.length * 2;
+    }
+    for (const key of this.byDigest.keys()) {
+      bytes += MAP_ENTRY + key.length * 2;
+    }
+
+    const countNodes = (node) => {
+      let count = 1;
+      for (const child of node.children.values()) {
+        count += countNodes(child);
+      }
+      return count;
+    };
+    bytes += countNodes(this.tree) * NODE;
+
+    return bytes;
+  }
+
+  /**
+   * 查找目录对应的前缀树节点
+   * @param {string} directory - 目录路径
+   * @returns {Object|null} 节点或null
+   */
+  findNode(directory) {
+    const key = ImageIndex.normalizePath(directory);
+    let node = this.tree;
+    if (!key) return node;
+
+    for (const segment of key.split('/')) {
+      node = node.children.get(segment);
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  /**
+   * 获取目录（含子目录）下的所有图片
+   * @param {string|null} directory - 目录名称，为空时返回全部图片
+   * @returns {ImageDetails[]} 图片列表
+   */
+  getImages(directory = null) {
+    if (!directory) {
+      return this.sorted;
+    }
+    if (directory === '_root') {
+      return this.byDirectory.get('_root') || [];
+    }
+
+    const node = this.findNode(directory);
+    if (!node) {
+      return [];
+    }
+    if (!node.images) {
+      node.images = this.sorted.slice(node.start, node.end);
+    }
+    return node.images;
+  }
+
+  /**
+   * 判断目录是否存在于索引中
+   * @param {string} directory - 目录名称
+   * @returns {boolean} 是否存在
+   */
+  hasDirectory(directory) {
+    if (directory === '_root') {
+      return this.byDirectory.has('_root');
+    }
+    return Boolean(ImageIndex.normalizePath(directory)) && this.findNode(directory) !== null;
+  }
+
+  /**
+   * 获取目录（含子目录）在 sorted 中的区间
+   * @param {string} directory - 目录名称
+   * @returns {number[]|null} [起点, 终点) 或null
+   */
+  getRange(directory) {
+    if (directory === '_root') {
+      return [this.tree.start, this.tree.ownEnd];
+    }
+    const node = this.findNode(directory);
+    return node ? [node.start, node.end] : null;
+  }
+
+  /**
+   * 获取多个目录的并集，并排除指定目录（均含子目录）后的图片
+   * @param {string[]} include - 包含的目录，为空时表示全部图片
+   * @param {string[]} exclude - 排除的目录
+   * @returns {ImageDetails[]} 图片列表
+   */
+  selectImages(include = [], exclude = []) {
+    const toRanges = (directories) => {
+      const ranges = directories
+        .map(directory => this.getRange(directory))
+        .filter(range => range && range[0] < range[1])
+        .sort((a, b) => a[0] - b[0]);
+
+      const merged = [];
+      for (const [start, end] of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+          last[1] = Math.max(last[1], end);
+        } else {
+          merged.push([start, end]);
+        }
+      }
+      return merged;
+    };
+
+    let ranges = include.length > 0 ? toRanges(include) : [[0, this.sorted.length]];
+    for (const [excludeStart, excludeEnd] of toRanges(exclude)) {
+      ranges = ranges.flatMap(([start, end]) => {
+        if (excludeEnd <= start || excludeStart >= end) {
+          return [[start, end]];
+        }
+        const rest = [];
+        if (excludeStart > start) rest.push([start, excludeStart]);
+        if (excludeEnd < end) rest.push([excludeEnd, end]);
+        return rest;
+      });
+    }
+
+    if (ranges.length === 1 && ranges[0][0] === 0 && ranges[0][1] === this.sorted.length) {
+      return this.sorted;
+    }
+
+    const images = [];
+    for (const [start, end] of ranges) {
+      for (let i = start; i < end; i++) {
+        images.push(this.sorted[i]);
+      }
+    }
+    return images;
+  }
+
+  /**
+   * 按相对路径精确查找图片
+   * @param {string} imagePath - 图片相对路径
+   * @returns {ImageDetails|null} 图片详情或null
+   */
+  find(imagePath) {
+    return this.byPath.get(ImageIndex.normalizePath(imagePath)) || null;
+  }
+
+  /**
+   * 按内容摘要查找图片
+   * @param {string} digest - SHA-256摘要（十六进制）
+   * @returns {ImageDetails|null} 图片详情或null
+   */
+  findByDigest(digest) {
+    return this.byDigest.get(String(digest).toLowerCase()) || null;
+  }
+
+  /**
+   * 获取索引统计信息
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return {
+      version: this.version,
+      images: this.sorted.length,
+      directories: this.byDirectory.size,
+      paths: this.byPath.size,
+      digests: this.byDigest.size,
+      buildTime: `${this.buildTime.toFixed(2)}ms`,
+      memory: {
+        estimatedBytes: this.estimatedBytes,
+        human: `${(this.estimatedBytes / 1024 / 1024).toFixed(2)}MB`
+      },
+      builtAt: this.builtAt
+    };
+  }
+}
+
+module.exports = ImageIndex;
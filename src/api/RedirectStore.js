@@ -0,0 +1,120 @@
+const path = require('path');
+const FileUtils = require('../utils/FileUtils');
+const logManager = require('../logging/LogManager');
+
+/**
+ * 旧路径重定向
+ *
+ * 移动或重命名图片、目录时可以保留旧路径，以 { 旧路径: { to: 新路径, createdAt } } 的形式保存在
+ * images-redirects.json 中。请求的图片或目录不存在时按此映射返回301；目录的映射同样适用于其中的图片。
+ */
+class RedirectStore {
+  constructor() {
+    this.redirectsPath = path.join(__dirname, '../../images-redirects.json');
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 查找路径的新位置，优先精确匹配，其次匹配最长的上级目录
+   * @param {Object} redirects - 重定向映射
+   * @param {string} relativePath - 请求的相对路径
+   * @returns {string|null} 新路径，没有重定向时返回null
+   */
+  static resolve(redirects, relativePath) {
+    if (redirects[relativePath]) {
+      return redirects[relativePath].to;
+    }
+    let match = null;
+    for (const from of Object.keys(redirects)) {
+      if (relativePath.startsWith(`${from}/`) && (!match || from.length > match.length)) {
+        match = from;
+      }
+    }
+    return match ? redirects[match].to + relativePath.slice(match.length) : null;
+  }
+
+  /**
+   * 读取全部重定向
+   * @returns {Promise<Object>} 重定向映射
+   */
+  async load() {
+    return FileUtils.safeReadJson(this.redirectsPath, {});
+  }
+
+  /**
+   * 串行执行修改，避免并发写入互相覆盖
+   * @param {Function} mutate - 修改函数，接收重定向映射，返回值作为结果
+   * @returns {Promise<any>} 修改函数的返回值
+   */
+  async modify(mutate) {
+    const task = this.queue.then(async () => {
+      const redirects = await this.load();
+      const result = await mutate(redirects);
+      if (!(await FileUtils.safeWriteJson(this.redirectsPath, redirects))) {
+        throw new Error('Failed to save redirects');
+      }
+      return result;
+    });
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 查找路径的新位置
+   * @param {string} relativePath - 请求的相对路径
+   * @returns {Promise<string|null>} 新路径，没有重定向时返回null
+   */
+  async find(relativePath) {
+    return RedirectStore.resolve(await this.load(), relativePath);
+  }
+
+  /**
+   * 列出全部重定向
+   * @returns {Promise<Array<{from: string, to: string, createdAt: string}>>} 按旧路径排序
+   */
+  async list() {
+    const redirects = await this.load();
+    return Object.keys(redirects).sort().map(from => ({ from, ...redirects[from] }));
+  }
+
+  /**
+   * 添加重定向；已有指向旧路径的重定向改为直接指向新路径，避免多次跳转
+   * @param {string} from - 旧路径
+   * @param {string} to - 新路径
+   * @returns {Promise<void>}
+   */
+  async add(from, to) {
+    await this.modify((redirects) => {
+      for (const [source, redirect] of Object.entries(redirects)) {
+        if (redirect.to === from || redirect.to.startsWith(`${from}/`)) {
+          redirect.to = to + redirect.to.slice(from.length);
+        }
+        if (redirect.to === source) {
+          delete redirects[source];
+        }
+      }
+      // 新路径上已有内容，原来从这里出发的重定向不再需要
+      delete redirects[to];
+      redirects[from] = { to, createdAt: new Date().toISOString() };
+    });
+    logManager.info(`Added redirect: ${from} -> ${to}`, { module: 'ADMIN' });
+  }
+
+  /**
+   * 删除重定向
+   * @param {string} from - 旧路径
+   * @returns {Promise<boolean>} 是否存在并已删除
+   */
+  async remove(from) {
+    return this.modify((redirects) => {
+      if (!redirects[from]) {
+        return false;
+      }
+      delete redirects[from];
+      logManager.info(`Removed redirect: ${from}`, { module: 'ADMIN' });
+      return true;
+    });
+  }
+}
+
+module.exports = RedirectStore;
@@ -7,11 +7,14 @@ const logManager = require('../logging/LogManager');
 
 /**
  * 请求限流管理器
+ *
+ * 每个客户端记录窗口内每次请求的时间和消耗的配额。请求次数超过上限时临时封禁；
+ * 配额按消耗计算（批量请求可大于1），剩余配额不足时只拒绝本次请求，不封禁。
  */
 class RequestLimiter {
   constructor(config) {
     this.config = config.rate_limit || this.getDefaultConfig();
-    this.windows = new Map();        // 请求计数窗口
+    this.windows = new Map();        // 请求记录窗口 [{ time, cost }]
     this.banList = new Map();        // 封禁列表
     this.cleanupInterval = null;
     
@@ -147,9 +150,10 @@ class RequestLimiter {
   /**
    * 检查请求是否允许
    * @param {string} clientIP - 客户端IP
+   * @param {number} cost - 本次请求消耗的配额（批量请求可大于1）
    * @returns {boolean} 是否允许请求
    */
-  isAllowed(clientIP) {
+  isAllowed(clientIP, cost = 1) {
     // 如果限流未启用，直接允许
     if (!this.enabled) return true;
 
@@ -175,12 +179,13 @@ class RequestLimiter {
     }
 
     const windowStart = now - this.windowSize;
-    requests = requests.filter(time => time > windowStart);
+    requests = requests.filter(request => request.time > windowStart);
+    const used = requests.reduce((sum, request) => sum + request.cost, 0);
 
     // 记录调试信息
-    logManager.debug(`Rate limit check for ${clientIP}: ${requests.length}/${this.limit} requests in current window`, { module: 'API' });
+    logManager.debug(`Rate limit check for ${clientIP}: ${requests.length} requests, ${used}/${this.limit} quota used in current window (cost: ${cost})`, { module: 'API' });
 
-    if (requests.length >= this.limit) {
+    if (requests.length + 1 > this.limit) {
       // 在封禁前清除该IP的请求记录，这样解封后从0开始计数
       this.windows.delete(clientIP);
       // 触发临时封禁
@@ -188,7 +193,15 @@ class RequestLimiter {
       return false;
     }
 
-    requests.push(now);
+    if (used + cost > this.limit) {
+      // 剩余配额不足的批量请求只拒绝，不消耗配额，但仍计入请求次数
+      requests.push({ time: now, cost: 0 });
+      this.windows.set(clientIP, requests);
+      logManager.debug(`Request rejected - quota exceeded for ${clientIP}: ${used}+${cost}/${this.limit}`, { module: 'API' });
+      return false;
+    }
+
+    requests.push({ time: now, cost });
     this.windows.set(clientIP, requests);
     return true;
   }
@@ -201,7 +214,7 @@ class RequestLimiter {
     const windowStart = now - this.windowSize;
     
     for (const [ip, requests] of this.windows.entries()) {
-      const validRequests = requests.filter(time => time > windowStart);
+      const validRequests = requests.filter(request => request.time > windowStart);
       
       if (validRequests.length === 0) {
         this.windows.delete(ip);
@@ -233,8 +246,9 @@ class RequestLimiter {
 
     // 如果超出最大客户端数，移除最老的客户端
     if (this.windows.size > this.maxClients) {
+      // 记录按时间顺序追加，最后一条即最近一次请求
       const entries = [...this.windows.entries()]
-        .sort((a, b) => Math.max(...a[1]) - Math.max(...b[1]));
+        .sort((a, b) => a[1][a[1].length - 1].time - b[1][b[1].length - 1].time);
       
       const toDelete = entries.slice(0, entries.length - this.maxClients);
       toDelete.forEach(([ip]) => this.windows.delete(ip));
@@ -263,15 +277,17 @@ class RequestLimiter {
 
     const now = Date.now();
     const windowStart = now - this.windowSize;
-    const activeRequests = requests.filter(time => time > windowStart);
+    const activeRequests = requests.filter(request => request.time > windowStart);
+    const used = activeRequests.reduce((sum, request) => sum + request.cost, 0);
+    const latest = activeRequests.length > 0 ? activeRequests[activeRequests.length - 1].time : now;
 
     return {
       banned: false,
       requests: activeRequests.length,
       window: this.windowSize,
       limit: this.limit,
-      remaining: Math.max(0, this.limit - activeRequests.length),
-      reset: Math.ceil((Math.max(...activeRequests || [now]) + this.windowSize - now) / 1000)
+      remaining: Math.max(0, this.limit - used),
+      reset: Math.ceil((latest + this.windowSize - now) / 1000)
     };
   }
 
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { LRUCache } = require('lru-cache');
+
+/**
+ * @typedef {import('./WeightedPool')} WeightedPool
+ */
+
+/**
+ * 不重复随机（洗牌袋）会话存储
+ *
+ * 会话不保存排列本身，只保存随机种子、轮次和上一次取到的位置。每张图片的排序键由种子、轮次和图片路径
+ * 算出（按权重加权，权重越大越靠前的概率越高），每次取出排序键大于上一次的最小者，整袋取完后进入下一轮。
+ * 因为排序键与候选集合无关，图片列表变化时无需对齐：删除的图片不再出现，新增图片排在当前位置之后的
+ * 在本轮取出，之前的从下一轮开始出现。每次取用需遍历一次候选集合。
+ * 会话保存在独立的 LRU 中，数量和有效期都有上限，不占用共享的缓存后端。
+ */
+class ShuffleBagStore {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.ttl - 会话有效期（秒）
+   * @param {number} options.maxSessions - 最多保存的会话数，超过时淘汰最久未使用的会话
+   */
+  constructor({ ttl, maxSessions }) {
+    this.bags = new LRUCache({ max: maxSessions, ttl: ttl * 1000 });
+    this.pathMaps = new WeakMap();
+  }
+
+  /**
+   * 获取随机池中可被选中图片的路径映射
+   * @param {WeightedPool} pool - 随机池
+   * @returns {Map<string, {image: any, weight: number, hash: number}>} 路径到图片的映射
+   */
+  getPathMap(pool) {
+    let map = this.pathMaps.get(pool);
+    if (!map) {
+      map = new Map();
+      for (let i = 0; i < pool.size; i++) {
+        const weight = pool.weightAt(i);
+        if (weight > 0) {
+          const itemPath = pool.items[i].path;
+          map.set(itemPath, { image: pool.items[i], weight, hash: hashString(itemPath) });
+        }
+      }
+      this.pathMaps.set(pool, map);
+    }
+    return map;
+  }
+
+  /**
+   * 生成会话的键
+   * @param {string} sessionId - 会话ID
+   * @param {string} poolKey - 候选集合标识
+   * @returns {string} 键
+   */
+  getKey(sessionId, poolKey) {
+    return `${sessionId}:${poolKey}`;
+  }
+
+  /**
+   * 遍历候选集合，找出本轮已取过的数量，以及排在上一次位置之后的前两张图片
+   * @param {Object} bag - 会话状态
+   * @param {Map} pathMap - 路径映射
+   * @returns {{served: number, next: Object|null, after: Object|null}} 排序键和路径
+   */
+  scan(bag, pathMap) {
+    const round = mix(bag.seed + Math.imul(bag.cycle, 0x9e3779b9));
+    let served = 0;
+    let next = null;
+    let after = null;
+    for (const [itemPath, { weight, hash }] of pathMap) {
+      const entry = { key: -Math.log(1 - (mix(hash ^ round) + 0.5) / 4294967296) / weight, path: itemPath };
+      if (!isAfter(entry, bag)) {
+        served++;
+      } else if (!next || isAfter(next, entry)) {
+        after = next;
+        next = entry;
+      } else if (!after || isAfter(after, entry)) {
+        after = entry;
+      }
+    }
+    return { served, next, after };
+  }
+
+  /**
+   * 从会话中取出下一张图片
+   * @param {string} sessionId - 会话ID
+   * @param {string} poolKey - 候选集合标识
+   * @param {WeightedPool} pool - 随机池
+   * @returns {{image: any, weight: number, position: number, size: number, cycle: number}|null}
+   */
+  next(sessionId, poolKey, pool) {
+    const pathMap = this.getPathMap(pool);
+    if (pathMap.size === 0) {
+      return null;
+    }
+
+    const key = this.getKey(sessionId, poolKey);
+    const bag = this.bags.get(key) || {
+      seed: crypto.randomBytes(4).readUInt32LE(0),
+      cycle: 1,
+      key: -1,
+      path: '',
+      deferred: null,
+      last: null
+    };
+
+    let current;
+    let position;
+    const { served, next } = this.scan(bag, pathMap);
+    if (bag.deferred && pathMap.has(bag.deferred)) {
+      // 新一轮开头被推迟的图片
+      current = bag.deferred;
+      position = served;
+      bag.deferred = null;
+    } else {
+      let entry = next;
+      bag.deferred = null;
+      if (entry) {
+        position = served + 1;
+      } else {
+        // 整袋取完，进入下一轮
+        Object.assign(bag, { cycle: bag.cycle + 1, key: -1, path: '' });
+        const first = this.scan(bag, pathMap);
+        entry = first.next;
+        // 避免新一轮的第一张与上一轮的最后一张相同
+        if (entry.path === bag.last && first.after) {
+          bag.deferred = entry.path;
+          entry = first.after;
+        }
+        position = 1;
+      }
+      current = entry.path;
+      Object.assign(bag, { key: entry.key, path: entry.path });
+    }
+    bag.last = current;
+
+    this.bags.set(key, bag);
+
+    const { image, weight } = pathMap.get(current);
+    return { image, weight, position, size: pathMap.size, cycle: bag.cycle };
+  }
+}
+
+/**
+ * 比较排序键，相同时按路径
+ * @param {{key: number, path: string}} a - 排序键和路径
+ * @param {{key: number, path: string}} b - 排序键和路径
+ * @returns {boolean} a 是否排在 b 之后
+ */
+function isAfter(a, b) {
+  return a.key > b.key || (a.key === b.key && a.path > b.path);
+}
+
+/**
+ * 32位整数混淆（MurmurHash3 的 fmix32）
+ * @param {number} value - 整数
+ * @returns {number} 无符号32位整数
+ */
+function mix(value) {
+  let h = value >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * 字符串的32位哈希（FNV-1a）
+ * @param {string} value - 字符串
+ * @returns {number} 无符号32位整数
+ */
+function hashString(value) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    h ^= value.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+module.exports = ShuffleBagStore;
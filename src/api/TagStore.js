@@ -0,0 +1,219 @@
+const path = require('path');
+const FileUtils = require('../utils/FileUtils');
+const logManager = require('../logging/LogManager');
+
+const MAX_TAG_LENGTH = 64;
+const MAX_TAGS_PER_IMAGE = 64;
+
+/**
+ * 图片标签存储
+ *
+ * 标签以 { 图片相对路径: [标签] } 的形式保存在 images-tags.json 中，与扫描生成的
+ * images-details.json 分开存放，因此重新扫描不会丢失标签；扫描结束时再把标签合并进图片详情。
+ */
+class TagStore {
+  constructor() {
+    this.tagsPath = path.join(__dirname, '../../images-tags.json');
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 规范化单个标签：去除首尾空白、合并连续空白并转为小写
+   * @param {any} tag - 原始标签
+   * @returns {string|null} 规范化后的标签，无效时返回null
+   */
+  static normalizeTag(tag) {
+    if (typeof tag !== 'string') {
+      return null;
+    }
+    const normalized = tag.trim().replace(/\s+/g, ' ').toLowerCase();
+    // 逗号、竖线用于查询语法，开头的 - 和 ! 表示排除
+    if (!normalized || normalized.length > MAX_TAG_LENGTH || /[,|]/.test(normalized) || /^[-!]/.test(normalized)) {
+      return null;
+    }
+    return normalized;
+  }
+
+  /**
+   * 规范化标签列表并去重
+   * @param {any} tags - 标签数组或逗号分隔的字符串
+   * @returns {{tags: string[], invalid: string[]}} 有效标签及无效的原始值
+   */
+  static normalizeTags(tags) {
+    const values = Array.isArray(tags) ? tags : String(tags || '').split(',').filter(t => t.trim());
+    const result = new Set();
+    const invalid = [];
+    for (const value of values) {
+      const tag = TagStore.normalizeTag(value);
+      if (tag) {
+        result.add(tag);
+      } else {
+        invalid.push(String(value));
+      }
+    }
+    return { tags: [...result], invalid };
+  }
+
+  /**
+   * 把标签合并进图片详情
+   * @param {Array} imageDetails - 图片详情列表
+   * @param {Object} tagMap - 标签映射
+   * @returns {Array} 图片详情列表
+   */
+  static apply(imageDetails, tagMap) {
+    for (const image of imageDetails) {
+      const tags = tagMap[image.path];
+      if (tags && tags.length > 0) {
+        image.tags = tags;
+      } else {
+        delete image.tags;
+      }
+    }
+    return imageDetails;
+  }
+
+  /**
+   * 读取全部标签
+   * @returns {Promise<Object>} 标签映射
+   */
+  async load() {
+    return FileUtils.safeReadJson(this.tagsPath, {});
+  }
+
+  /**
+   * 串行执行修改，避免并发写入互相覆盖
+   * @param {Function} mutate - 修改函数，接收标签映射，返回值作为结果
+   * @returns {Promise<any>} 修改函数的返回值
+   */
+  async modify(mutate) {
+    const task = this.queue.then(async () => {
+      const tagMap = await this.load();
+      const result = await mutate(tagMap);
+      if (!(await FileUtils.safeWriteJson(this.tagsPath, tagMap))) {
+        throw new Error('Failed to save tags');
+      }
+      return result;
+    });
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 获取图片的标签
+   * @param {string} imagePath - 图片相对路径
+   * @returns {Promise<string[]>} 标签列表
+   */
+  async getTags(imagePath) {
+    const tagMap = await this.load();
+    return tagMap[imagePath] || [];
+  }
+
+  /**
+   * 修改图片的标签
+   * @param {string} imagePath - 图片相对路径
+   * @param {Object} changes - 修改内容
+   * @param {string[]} [changes.set] - 替换为这些标签
+   * @param {string[]} [changes.add] - 添加的标签
+   * @param {string[]} [changes.remove] - 移除的标签
+   * @returns {Promise<string[]>} 修改后的标签列表
+   */
+  async updateTags(imagePath, { set, add = [], remove = [] }) {
+    return this.modify((tagMap) => {
+      const tags = new Set(set || tagMap[imagePath] || []);
+      add.forEach(tag => tags.add(tag));
+      remove.forEach(tag => tags.delete(tag));
+
+      if (tags.size > MAX_TAGS_PER_IMAGE) {
+        const error = new Error(`An image can have at most ${MAX_TAGS_PER_IMAGE} tags`);
+        error.status = 400;
+        throw error;
+      }
+
+      const result = [...tags].sort();
+      if (result.length > 0) {
+        tagMap[imagePath] = result;
+      } else {
+        delete tagMap[imagePath];
+      }
+      logManager.debug(`Tags updated for ${imagePath}: ${result.join(', ') || '(none)'}`, { module: 'ADMIN' });
+      return result;
+    });
+  }
+
+  /**
+   * 删除图片或目录（及其下所有图片）的全部标签
+   * @param {string} relativePath - 图片或目录的相对路径
+   * @returns {Promise<Object>} 被删除的标签映射，用于恢复
+   */
+  async removePath(relativePath) {
+    return this.modify((tagMap) => {
+      const removed = {};
+      for (const imagePath of Object.keys(tagMap)) {
+        if (imagePath === relativePath || imagePath.startsWith(`${relativePath}/`)) {
+          removed[imagePath] = tagMap[imagePath];
+          delete tagMap[imagePath];
+        }
+      }
+      return removed;
+    });
+  }
+
+  /**
+   * 恢复 removePath 删除的标签
+   * @param {Object} removed - 标签映射
+   * @returns {Promise<void>}
+   */
+  async restorePaths(removed) {
+    await this.modify((tagMap) => {
+      Object.assign(tagMap, removed);
+    });
+  }
+
+  /**
+   * 把图片或目录（及其下所有图片）的标签复制或移动到新路径，新路径上原有的标签被替换
+   * @param {string} from - 原相对路径
+   * @param {string} to - 新相对路径
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.move=false] - 是否删除原路径的标签
+   * @returns {Promise<void>}
+   */
+  async copyPath(from, to, { move = false } = {}) {
+    await this.modify((tagMap) => {
+      const under = (imagePath, key) => imagePath === key || imagePath.startsWith(`${key}/`);
+      const copied = {};
+      for (const imagePath of Object.keys(tagMap)) {
+        if (under(imagePath, from)) {
+          copied[to + imagePath.slice(from.length)] = tagMap[imagePath];
+          if (move) {
+            delete tagMap[imagePath];
+          }
+        }
+      }
+      for (const imagePath of Object.keys(tagMap)) {
+        if (under(imagePath, to)) {
+          delete tagMap[imagePath];
+        }
+      }
+      Object.assign(tagMap, copied);
+    });
+  }
+
+  /**
+   * 统计所有标签的使用次数
+   * @returns {Promise<Array<{tag: string, count: number}>>} 按次数降序排列的标签
+   */
+  async listTags() {
+    const tagMap = await this.load();
+    const counts = new Map();
+    for (const tags of Object.values(tagMap)) {
+      for (const tag of tags) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+    return [...counts]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || (a.tag < b.tag ? -1 : 1));
+  }
+}
+
+module.exports = TagStore;
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const FileUtils = require('../utils/FileUtils');
+const logManager = require('../logging/LogManager');
+
+// 图片目录下的回收站目录，扫描时总是跳过
+const TRASH_DIR = '.trash';
+
+/**
+ * 回收站
+ *
+ * 删除的图片和目录移动到图片目录下的 .trash/<id>/ 中，保留原文件名；
+ * 原路径、删除时间和被删除的标签记录在 images-trash.json 中，恢复时按原路径移回。
+ * 超过保留天数的项目由 purgeExpired 永久删除。
+ */
+class TrashStore {
+  /**
+   * @param {string} imagesPath - 图片目录的完整路径
+   * @param {Object} options - 选项
+   * @param {number} options.retentionDays - 保留天数，0 表示不自动清除
+   */
+  constructor(imagesPath, { retentionDays = 30 } = {}) {
+    this.imagesPath = imagesPath;
+    this.trashPath = path.join(imagesPath, TRASH_DIR);
+    this.indexPath = path.join(__dirname, '../../images-trash.json');
+    this.retentionDays = retentionDays;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 回收站目录名（相对图片目录）
+   * @returns {string} 目录名
+   */
+  static get DIRECTORY() {
+    return TRASH_DIR;
+  }
+
+  /**
+   * 校验相对路径，必须位于图片目录内且不在回收站中
+   * @param {any} relativePath - 相对图片目录的路径
+   * @returns {string} 规范化后的路径（使用 / 分隔）
+   */
+  resolvePath(relativePath) {
+    const key = path.posix.normalize(String(relativePath || '').replace(/\\/g, '/')).replace(/^\/+|\/+$/g, '');
+    const fullPath = path.resolve(this.imagesPath, key);
+    if (!key || key === '.' || key.split('/')[0] === TRASH_DIR || !fullPath.startsWith(this.imagesPath + path.sep)) {
+      const error = new Error(`Invalid path: ${relativePath}`);
+      error.status = 400;
+      throw error;
+    }
+    return key;
+  }
+
+  /**
+   * 读取全部项目
+   * @returns {Promise<Array>} 回收站项目
+   */
+  async load() {
+    const entries = await FileUtils.safeReadJson(this.indexPath, []);
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  /**
+   * 串行执行修改，避免并发写入互相覆盖
+   * @param {Function} mutate - 修改函数，接收项目列表，返回值作为结果
+   * @returns {Promise<any>} 修改函数的返回值
+   */
+  async modify(mutate) {
+    const task = this.queue.then(async () => {
+      const entries = await this.load();
+      const result = await mutate(entries);
+      if (!(await FileUtils.safeWriteJson(this.indexPath, entries))) {
+        throw new Error('Failed to save trash index');
+      }
+      return result;
+    });
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 生成返回给客户端的项目信息（不含标签），附带自动清除时间
+   * @param {Object} entry - 项目记录
+   * @returns {Object} 项目信息
+   */
+  describe(entry) {
+    const { tags, ...info } = entry;
+    info.expiresAt = this.retentionDays > 0
+      ? new Date(Date.parse(entry.deletedAt) + this.retentionDays * 86400 * 1000).toISOString()
+      : null;
+    return info;
+  }
+
+  /**
+   * 列出全部项目，最近删除的在前
+   * @returns {Promise<Object[]>} 项目信息
+   */
+  async list() {
+    const entries = await this.load();
+    return entries.map(entry => this.describe(entry)).reverse();
+  }
+
+  /**
+   * 把图片或目录移入回收站
+   * @param {string} relativePath - 相对图片目录的路径
+   * @param {Object} details - 记录的附加信息
+   * @param {string} details.type - image 或 directory
+   * @param {number} details.images - 包含的图片数量
+   * @param {number} details.size - 图片总大小（字节）
+   * @param {Object} details.tags - 被删除的标签映射，恢复时写回
+   * @returns {Promise<Object>} 项目信息
+   */
+  async add(relativePath, { type, images = 0, size = 0, tags = {} }) {
+    const key = this.resolvePath(relativePath);
+    const id = crypto.randomBytes(8).toString('hex');
+    const entry = {
+      id,
+      path: key,
+      type,
+      images,
+      size,
+      tags,
+      deletedAt: new Date().toISOString()
+    };
+    await fs.move(path.join(this.imagesPath, key), path.join(this.trashPath, id, path.posix.basename(key)));
+    await this.modify((entries) => {
+      entries.push(entry);
+    });
+    logManager.info(`Moved ${type} to trash: ${key} (${id})`, { module: 'ADMIN' });
+    return this.describe(entry);
+  }
+
+  /**
+   * 把项目移回原路径
+   * @param {string} id - 项目ID
+   * @returns {Promise<Object|null>} 项目记录（含标签），不存在时返回null
+   */
+  async restore(id) {
+    return this.modify(async (entries) => {
+      const index = entries.findIndex(entry => entry.id === id);
+      if (index === -1) {
+        return null;
+      }
+      const entry = entries[index];
+      const target = path.join(this.imagesPath, this.resolvePath(entry.path));
+      if (await fs.pathExists(target)) {
+        const error = new Error(`Original path already exists: ${entry.path}`);
+        error.status = 409;
+        throw error;
+      }
+      await fs.move(path.join(this.trashPath, id, path.posix.basename(entry.path)), target);
+      await fs.remove(path.join(this.trashPath, id));
+      entries.splice(index, 1);
+      logManager.info(`Restored ${entry.type} from trash: ${entry.path} (${id})`, { module: 'ADMIN' });
+      return entry;
+    });
+  }
+
+  /**
+   * 永久删除项目
+   * @param {Function} select - 选择函数，接收项目记录，返回是否删除
+   * @returns {Promise<Object[]>} 被删除的项目信息
+   */
+  async purgeWhere(select) {
+    return this.modify(async (entries) => {
+      const purged = [];
+      for (let i = entries.length - 1; i >= 0; i--) {
+        if (select(entries[i])) {
+          await fs.remove(path.join(this.trashPath, entries[i].id));
+          purged.unshift(this.describe(entries[i]));
+          entries.splice(i, 1);
+        }
+      }
+      if (purged.length > 0) {
+        logManager.info(`Purged ${purged.length} item(s) from trash: ${purged.map(entry => entry.path).join(', ')}`, { module: 'ADMIN' });
+      }
+      return purged;
+    });
+  }
+
+  /**
+   * 永久删除超过保留天数的项目
+   * @returns {Promise<Object[]>} 被删除的项目信息
+   */
+  async purgeExpired() {
+    if (this.retentionDays <= 0) {
+      return [];
+    }
+    const cutoff = Date.now() - this.retentionDays * 86400 * 1000;
+    return this.purgeWhere(entry => Date.parse(entry.deletedAt) <= cutoff);
+  }
+}
+
+module.exports = TrashStore;
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const logManager = require('../logging/LogManager');
+
+/**
+ * 带有效期的签名URL
+ *
+ * 签名为 HMAC-SHA256(图片相对路径 + "\n" + 过期时间)，以 base64url 编码放在 `sig` 参数中，
+ * 过期时间为 Unix 时间戳（秒），放在 `expires` 参数中。签名只与图片路径和过期时间有关，
+ * 因此同一链接可以搭配任意响应模式等其他参数使用。
+ */
+class UrlSigner {
+  /**
+   * @param {string} [secret] - 签名密钥，为空时生成随机密钥（重启后已签发的链接失效）
+   */
+  constructor(secret) {
+    if (!secret) {
+      logManager.warn('No URL signing secret configured, using a random one; signed URLs will not survive a restart', { module: 'API' });
+    }
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * 计算签名
+   * @param {string} imagePath - 图片相对路径
+   * @param {number|string} expires - 过期时间（Unix 秒）
+   * @returns {string} base64url 编码的签名
+   */
+  signature(imagePath, expires) {
+    return crypto.createHmac('sha256', this.secret)
+      .update(`${imagePath}\n${expires}`)
+      .digest('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  /**
+   * 签发链接参数
+   * @param {string} imagePath - 图片相对路径
+   * @param {number} ttl - 有效期（秒）
+   * @returns {{expires: number, sig: string}} 过期时间和签名
+   */
+  sign(imagePath, ttl) {
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    return { expires, sig: this.signature(imagePath, expires) };
+  }
+
+  /**
+   * 校验链接参数
+   * @param {string} imagePath - 图片相对路径
+   * @param {any} expires - expires 参数
+   * @param {any} sig - sig 参数
+   * @returns {{valid: boolean, expires: number|null, error: string|null}} 校验结果，失败时附带原因
+   */
+  verify(imagePath, expires, sig) {
+    if (expires === undefined && sig === undefined) {
+      return { valid: false, expires: null, error: 'This image requires a signed URL' };
+    }
+    if (typeof expires !== 'string' || !/^\d{1,12}$/.test(expires) || typeof sig !== 'string') {
+      return { valid: false, expires: null, error: 'Invalid signature' };
+    }
+
+    const expected = Buffer.from(this.signature(imagePath, expires));
+    const provided = Buffer.from(sig);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return { valid: false, expires: null, error: 'Invalid signature' };
+    }
+    if (Number(expires) <= Math.floor(Date.now() / 1000)) {
+      return { valid: false, expires: null, error: 'Signed URL has expired' };
+    }
+    return { valid: true, expires: Number(expires), error: null };
+  }
+}
+
+module.exports = UrlSigner;
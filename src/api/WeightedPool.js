@@ -0,0 +1,185 @@
+/**
+ * 加权随机池
+ *
+ * 构造时计算累积权重，随后每次选取只需一次二分查找；
+ * 若所有权重相同则退化为 O(1) 的均匀选取。
+ */
+class WeightedPool {
+  /**
+   * @param {Array} items - 候选项
+   * @param {Function} weightOf - 权重函数，返回非负数
+   */
+  constructor(items, weightOf = () => 1) {
+    this.items = items;
+    this.uniform = true;
+    this.uniformWeight = 0;
+    this.cumulative = null;
+    this.totalWeight = 0;
+
+    const weights = new Array(items.length);
+    for (let i = 0; i < items.length; i++) {
+      const weight = WeightedPool.toWeight(weightOf(items[i]));
+      weights[i] = weight;
+      if (i === 0) {
+        this.uniformWeight = weight;
+      } else if (weight !== this.uniformWeight) {
+        this.uniform = false;
+      }
+    }
+
+    if (this.uniform) {
+      this.totalWeight = this.uniformWeight * items.length;
+    } else {
+      this.cumulative = new Float64Array(items.length);
+      let sum = 0;
+      for (let i = 0; i < items.length; i++) {
+        sum += weights[i];
+        this.cumulative[i] = sum;
+      }
+      this.totalWeight = sum;
+    }
+  }
+
+  /**
+   * 规范化权重值
+   * @param {any} value - 原始权重
+   * @param {number} fallback - 无效时的默认值
+   * @returns {number} 非负权重
+   */
+  static toWeight(value, fallback = 1) {
+    const weight = Number(value);
+    if (value === undefined || value === null || !Number.isFinite(weight)) {
+      return fallback;
+    }
+    return Math.max(0, weight);
+  }
+
+  /**
+   * 候选项数量
+   * @returns {number}
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * 获取指定下标的权重
+   * @param {number} index - 下标
+   * @returns {number} 权重
+   */
+  weightAt(index) {
+    if (this.uniform) {
+      return this.uniformWeight;
+    }
+    return this.cumulative[index] - (index > 0 ? this.cumulative[index - 1] : 0);
+  }
+
+  /**
+   * 按随机数定位下标
+   * @param {number} value - [0, 1) 区间的随机数
+   * @returns {number} 下标，无可选项时返回 -1
+   */
+  indexFor(value) {
+    if (this.items.length === 0 || this.totalWeight <= 0) {
+      return -1;
+    }
+
+    if (this.uniform) {
+      return Math.min(Math.floor(value * this.items.length), this.items.length - 1);
+    }
+
+    const target = value * this.totalWeight;
+    let low = 0;
+    let high = this.items.length - 1;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.cumulative[mid] > target) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * 加权随机选取一项
+   * @param {Function} random - 随机数函数
+   * @returns {{item: any, index: number, weight: number, probability: number}|null}
+   */
+  pick(random = Math.random) {
+    const index = this.indexFor(random());
+    if (index < 0) {
+      return null;
+    }
+
+    const weight = this.weightAt(index);
+    return {
+      item: this.items[index],
+      index,
+      weight,
+      probability: weight / this.totalWeight
+    };
+  }
+
+  /**
+   * 不放回地加权抽取多个互不相同的项
+   * @param {number} count - 抽取数量
+   * @param {Function} random - 随机数函数
+   * @returns {Array<{item: any, index: number, weight: number, probability: number}>} 抽取结果
+   */
+  sample(count, random = Math.random) {
+    const result = [];
+    if (this.items.length === 0 || this.totalWeight <= 0 || count <= 0) {
+      return result;
+    }
+
+    const toResult = index => {
+      const weight = this.weightAt(index);
+      return { item: this.items[index], index, weight, probability: weight / this.totalWeight };
+    };
+
+    if (this.uniform) {
+      // 稀疏的部分 Fisher-Yates 洗牌，只触及被抽中的位置
+      const swapped = new Map();
+      const n = this.items.length;
+      const limit = Math.min(count, n);
+      for (let i = 0; i < limit; i++) {
+        const j = i + Math.floor(random() * (n - i));
+        const picked = swapped.has(j) ? swapped.get(j) : j;
+        swapped.set(j, swapped.has(i) ? swapped.get(i) : i);
+        result.push(toResult(picked));
+      }
+      return result;
+    }
+
+    // 先按权重重复抽取并拒绝重复项，抽取困难时（权重高度集中）退化为全量加权排序
+    const chosen = new Set();
+    const maxAttempts = count * 20;
+    for (let attempt = 0; attempt < maxAttempts && chosen.size < count; attempt++) {
+      const index = this.indexFor(random());
+      if (!chosen.has(index)) {
+        chosen.add(index);
+        result.push(toResult(index));
+      }
+    }
+
+    if (chosen.size < count) {
+      const rest = [];
+      for (let i = 0; i < this.items.length; i++) {
+        const weight = this.weightAt(i);
+        if (weight > 0 && !chosen.has(i)) {
+          rest.push({ index: i, key: -Math.log(1 - random()) / weight });
+        }
+      }
+      rest.sort((a, b) => a.key - b.key);
+      for (const entry of rest.slice(0, count - chosen.size)) {
+        result.push(toResult(entry.index));
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = WeightedPool;
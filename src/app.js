@@ -182,10 +182,11 @@ async function startWorker(config) {
     console.log('[DEBUG] startWorker: Cache manager created successfully');
     
     // 只有第一个工作进程初始化更新服务
+    let updateService = null;
     if (workerId === 1) {
       console.log('[DEBUG] startWorker: Initializing UpdateService...');
       const UpdateService = require('./services/UpdateService');
-      const updateService = new UpdateService(config);
+      updateService = new UpdateService(config);
       await updateService.start();
       console.log('[DEBUG] startWorker: UpdateService initialized successfully');
     }
@@ -193,13 +194,21 @@ async function startWorker(config) {
     // 启动Web服务器
     console.log('[DEBUG] startWorker: Initializing WebServer...');
     const WebServer = require('./web/WebServer');
-    const webServer = new WebServer(config, cacheManager);
+    const webServer = new WebServer(config, cacheManager, { updateService });
     await webServer.start();
     console.log('[DEBUG] startWorker: WebServer started successfully');
     
+    // 监视图片目录，变化经由 WebServer 注册的监听直接应用到内存索引
+    let imageWatcher = null;
+    if (updateService && config.update.watch) {
+      const ImageWatcher = require('./services/ImageWatcher');
+      imageWatcher = new ImageWatcher(config, updateService);
+      imageWatcher.start();
+    }
+    
     console.log('[DEBUG] startWorker: Registering shutdown handlers...');
     // 注册关闭处理
-    registerWorkerShutdownHandlers(webServer, cacheManager);
+    registerWorkerShutdownHandlers(webServer, cacheManager, imageWatcher);
     console.log('[DEBUG] startWorker: Shutdown handlers registered');
     
     console.log('[DEBUG] startWorker: Completed successfully');
@@ -214,12 +223,17 @@ async function startWorker(config) {
  * 注册工作进程关闭处理
  * @param {WebServer} webServer - Web服务器实例
  * @param {any} cacheManager - 缓存管理器实例
+ * @param {any} imageWatcher - 图片目录监视器实例（未启用时为null）
  */
-function registerWorkerShutdownHandlers(webServer, cacheManager) {
+function registerWorkerShutdownHandlers(webServer, cacheManager, imageWatcher) {
   // 优雅关闭
   const shutdown = async (signal) => {
     logManager.info(`Received ${signal}, shutting down worker...`, { module: 'APP' });
     try {
+      if (imageWatcher) {
+        imageWatcher.stop();
+      }
+      
       if (webServer && typeof webServer.stop === 'function') {
         await webServer.stop();
       }
@@ -63,7 +63,7 @@ class MemoryCache extends BaseCache {
   async set(key, value, ttl = null) {
     try {
       const actualTtl = ttl || this.ttl;
-      this.cache.set(key, value, actualTtl * 1000); // 转换为毫秒
+      this.cache.set(key, value, { ttl: actualTtl * 1000 }); // 转换为毫秒
       this.stats.keys = this.cache.size;
       logManager.debug(`Cache set: ${key} (TTL: ${actualTtl}s)`, { module: 'CACHE' });
       return true;
@@ -80,7 +80,7 @@ class MemoryCache extends BaseCache {
    */
   async del(key) {
     try {
-      this.cache.del(key);
+      this.cache.delete(key);
       this.stats.keys = this.cache.size;
       logManager.debug(`Cache deleted: ${key}`, { module: 'CACHE' });
       return true;
@@ -96,7 +96,7 @@ class MemoryCache extends BaseCache {
    */
   async clear() {
     try {
-      this.cache.reset();
+      this.cache.clear();
       this.stats.keys = 0;
       logManager.info('Cache cleared', { module: 'CACHE' });
       return true;
@@ -112,9 +112,8 @@ class MemoryCache extends BaseCache {
    * @returns {Promise<number>} 过期时间（秒）
    */
   async getTTL(key) {
-    // LRU缓存不支持直接获取TTL，返回默认值
     if (this.cache.has(key)) {
-      return this.ttl;
+      return Math.ceil(this.cache.getRemainingTTL(key) / 1000);
     }
     return -2; // 键不存在
   }
@@ -130,7 +129,7 @@ class MemoryCache extends BaseCache {
       const value = this.cache.get(key);
       if (value !== undefined) {
         // 重新设置值，使用新的TTL
-        this.cache.set(key, value, seconds * 1000);
+        this.cache.set(key, value, { ttl: seconds * 1000 });
         return true;
       }
       return false;
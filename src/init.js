@@ -36,7 +36,7 @@ async function initializeFiles() {
                 cors: {
                     enabled: true,
                     origins: '*',
-                    methods: 'GET, POST, PUT, DELETE, OPTIONS',
+                    methods: 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
                     headers: 'Content-Type, Authorization'
                 }
             },
@@ -46,6 +46,16 @@ async function initializeFiles() {
             },
             update: {
                 hours: 24,
+                incremental: true,
+                watch: false,
+                watch_mode: 'auto',
+                watch_debounce: 1000,
+                poll_interval: 60,
+                ignore: ['@eaDir/', '#recycle/', '#snapshot/', '.git/', 'Thumbs.db', '.DS_Store'],
+                max_depth: 0,
+                max_file_size: 0,
+                follow_symlinks: false,
+                include_hidden: false,
                 supportedExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.svg']
             },
             cache: {
@@ -62,6 +72,53 @@ async function initializeFiles() {
                 cleanup_interval: 60000,
                 ban_duration: 300000
             },
+            api: {
+                balance: 'image',
+                weights: {
+                    directories: {},
+                    images: {}
+                },
+                session: {
+                    ttl: 1800,
+                    cookie: 'img_session'
+                },
+                batch: {
+                    max_count: 50,
+                    cost: 'single'
+                },
+                filters: {
+                    ratio_tolerance: 0.02
+                },
+                response: {
+                    default_type: 'file',
+                    datauri_max_size: 1048576
+                },
+                daily: {
+                    lookback_days: 30,
+                    history_days: 365
+                },
+                signed_urls: {
+                    secret: '',
+                    default_ttl: 3600,
+                    max_ttl: 2592000
+                }
+            },
+            admin: {
+                session_ttl: 28800,
+                session_cookie: 'img_admin_session',
+                max_login_attempts: 5,
+                lockout: 300
+            },
+            trash: {
+                retention_days: 30
+            },
+            upload: {
+                max_files: 100,
+                max_file_size: 10485760,
+                max_archive_size: 209715200,
+                max_archive_entries: 2000,
+                max_extracted_size: 536870912
+            },
             timezone: 'Asia/Shanghai',
             logging: {
                 enabled: true,
@@ -87,7 +144,8 @@ async function initializeFiles() {
     const files = [
         { path: './list.json', content: {} },
         { path: './images-details.json', content: [] },
-        { path: './list.stats.json', content: { generated: new Date().toISOString(), stats: { totalImages: 0 } } }
+        { path: './list.stats.json', content: { generated: new Date().toISOString(), stats: { totalImages: 0 } } },
+        { path: './daily.json', content: {} }
     ];
     
     for (const file of files) {
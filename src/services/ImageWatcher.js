@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const logManager = require('../logging/LogManager');
+
+/**
+ * 图片目录监视器
+ *
+ * 使用递归 fs.watch 监听图片目录，把一段时间内的变化合并后交给 UpdateService 只处理变化的路径。
+ * 平台不支持递归监听、监听出错（如 inotify 数量不足）或配置为 poll 时，改为定时执行增量扫描；
+ * 网络挂载的目录通常收不到文件系统事件，应配置为 poll。
+ */
+class ImageWatcher {
+  /**
+   * @param {any} config - 应用配置
+   * @param {import('./UpdateService')} updateService - 更新服务
+   */
+  constructor(config, updateService) {
+    this.config = config;
+    this.updateService = updateService;
+    this.imagesPath = path.resolve(config.paths.images);
+    this.watcher = null;
+    this.pollTimer = null;
+    this.debounceTimer = null;
+    this.pending = new Set();
+    this.rescanPending = false;
+    this.mode = null;
+  }
+
+  /**
+   * 启动监视
+   */
+  start() {
+    const mode = this.config.update.watch_mode;
+    if (mode !== 'poll' && this.startNative()) {
+      return;
+    }
+    if (mode === 'native') {
+      logManager.warn('Native file watching unavailable, falling back to polling', { module: 'UPDATE' });
+    }
+    this.startPolling();
+  }
+
+  /**
+   * 启动递归 fs.watch
+   * @returns {boolean} 是否启动成功
+   */
+  startNative() {
+    try {
+      this.watcher = fs.watch(this.imagesPath, { recursive: true }, (eventType, filename) => {
+        this.handleEvent(filename);
+      });
+    } catch (error) {
+      logManager.info(`Recursive fs.watch unavailable (${error.code || error.message})`, { module: 'UPDATE' });
+      this.watcher = null;
+      return false;
+    }
+
+    this.watcher.on('error', (error) => {
+      logManager.warn(`File watcher error: ${error.message}, falling back to polling`, { module: 'UPDATE' });
+      this.closeNative();
+      this.startPolling();
+    });
+
+    this.mode = 'native';
+    logManager.info(`Watching ${this.imagesPath} for changes`, { module: 'UPDATE' });
+    return true;
+  }
+
+  /**
+   * 启动定时增量扫描
+   */
+  startPolling() {
+    if (this.pollTimer) return;
+
+    const interval = this.config.update.poll_interval * 1000;
+    this.pollTimer = setInterval(() => {
+      this.updateService.updateImageList().catch((error) => {
+        logManager.error(`Polling update failed: ${error.message}`, { module: 'UPDATE' });
+      });
+    }, interval);
+
+    this.mode = 'poll';
+    logManager.info(`Polling ${this.imagesPath} every ${this.config.update.poll_interval}s`, { module: 'UPDATE' });
+  }
+
+  /**
+   * 记录一次文件系统事件，并重新开始计时
+   * @param {string|Buffer|null} filename - 相对图片目录的路径，部分平台可能为空
+   */
+  handleEvent(filename) {
+    if (filename) {
+      this.pending.add(filename.toString());
+    } else {
+      // 无法得知具体路径时只能重新扫描
+      this.rescanPending = true;
+    }
+
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.flush(), this.config.update.watch_debounce);
+  }
+
+  /**
+   * 处理积累的变化
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    this.debounceTimer = null;
+    const paths = ImageWatcher.collapsePaths([...this.pending]);
+    const rescan = this.rescanPending;
+    this.pending.clear();
+    this.rescanPending = false;
+
+    try {
+      if (rescan) {
+        await this.updateService.updateImageList();
+      } else if (paths.length > 0) {
+        logManager.debug(`Filesystem changes: ${paths.join(', ')}`, { module: 'UPDATE' });
+        await this.updateService.applyChanges(paths);
+      }
+    } catch (error) {
+      logManager.error(`Failed to apply filesystem changes: ${error.message}`, { module: 'UPDATE' });
+    }
+  }
+
+  /**
+   * 去除已被上级目录覆盖的路径
+   * @param {string[]} paths - 相对路径
+   * @returns {string[]} 精简后的路径
+   */
+  static collapsePaths(paths) {
+    const unique = new Set(paths.map(p => p.replace(/\\/g, '/')));
+    return [...unique].filter((p) => {
+      for (let i = p.lastIndexOf('/'); i > 0; i = p.lastIndexOf('/', i - 1)) {
+        if (unique.has(p.slice(0, i))) return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * 关闭 fs.watch
+   */
+  closeNative() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * 停止监视
+   */
+  stop() {
+    this.closeNative();
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = null;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    logManager.info('File watcher stopped', { module: 'UPDATE' });
+  }
+}
+
+module.exports = ImageWatcher;
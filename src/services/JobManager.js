@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const logManager = require('../logging/LogManager');
+
+// 保留的已结束任务数量
+const MAX_JOB_HISTORY = 100;
+// 每个任务最多记录的错误数量
+const MAX_JOB_ERRORS = 100;
+
+/**
+ * 后台任务管理
+ *
+ * 耗时操作以任务形式排队，按提交顺序逐个执行，请求只需返回任务ID。
+ * 任务类型注册时可声明合并：同类任务尚在排队时，新的请求并入排队中的任务，而不是再排一个。
+ * 任务记录只保存在内存中。
+ */
+class JobManager {
+  constructor() {
+    this.handlers = new Map();
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = null;
+  }
+
+  /**
+   * 注册任务类型
+   * @param {string} type - 任务类型
+   * @param {Function} handler - 执行函数 (params, context) => Promise<any>，context 提供 setProgress 和 addError
+   * @param {Object} options - 选项
+   * @param {Function} [options.merge] - 合并排队中任务与新请求的参数，提供时同类任务会被合并
+   */
+  register(type, handler, { merge = null } = {}) {
+    this.handlers.set(type, { handler, merge });
+  }
+
+  /**
+   * 提交任务
+   * @param {string} type - 任务类型
+   * @param {Object} params - 任务参数
+   * @returns {{job: Object, coalesced: boolean}} 任务信息，以及是否并入了已排队的任务
+   */
+  enqueue(type, params = {}) {
+    const registered = this.handlers.get(type);
+    if (!registered) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    if (registered.merge) {
+      // 正在执行的任务可能已错过新的变化，只合并尚未开始的任务
+      const queued = this.queue.find(job => job.type === type);
+      if (queued) {
+        queued.params = registered.merge(queued.params, params);
+        queued.requests++;
+        logManager.debug(`Job ${queued.id} (${type}) coalesced with a new request`, { module: 'JOBS' });
+        return { job: this.describe(queued), coalesced: true };
+      }
+    }
+
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type,
+      params,
+      status: 'queued',
+      requests: 1,
+      progress: { percentage: 0 },
+      errors: [],
+      errorCount: 0,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    logManager.info(`Job ${job.id} (${type}) queued`, { module: 'JOBS' });
+
+    setImmediate(() => this.processQueue());
+    return { job: this.describe(job), coalesced: false };
+  }
+
+  /**
+   * 依次执行排队的任务
+   * @returns {Promise<void>}
+   */
+  async processQueue() {
+    if (this.running || this.queue.length === 0) {
+      return;
+    }
+
+    const job = this.queue.shift();
+    const { handler } = this.handlers.get(job.type);
+    this.running = job;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    logManager.info(`Job ${job.id} (${job.type}) started`, { module: 'JOBS' });
+
+    const context = {
+      setProgress: (progress) => {
+        job.progress = { ...job.progress, ...progress };
+      },
+      addError: (message) => {
+        job.errorCount++;
+        if (job.errors.length < MAX_JOB_ERRORS) {
+          job.errors.push(message);
+        }
+      }
+    };
+
+    try {
+      job.result = await handler(job.params, context);
+      job.status = 'completed';
+      job.progress = { ...job.progress, percentage: 100 };
+      logManager.info(`Job ${job.id} (${job.type}) completed`, { module: 'JOBS' });
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logManager.error(`Job ${job.id} (${job.type}) failed: ${error.message}`, { module: 'JOBS' });
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      this.running = null;
+      this.prune();
+      setImmediate(() => this.processQueue());
+    }
+  }
+
+  /**
+   * 移除超出保留数量的已结束任务
+   */
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_JOB_HISTORY))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  /**
+   * 获取任务
+   * @param {string} id - 任务ID
+   * @returns {Object|null} 任务信息或null
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.describe(job) : null;
+  }
+
+  /**
+   * 列出任务，最新的在前
+   * @param {Object} query - 筛选条件
+   * @param {string} [query.type] - 任务类型
+   * @param {string} [query.status] - 任务状态
+   * @param {number} [query.limit] - 返回数量
+   * @returns {{jobs: Object[], total: number}} 任务列表
+   */
+  list({ type, status, limit = 20 } = {}) {
+    const jobs = [...this.jobs.values()]
+      .reverse()
+      .filter(job => (!type || job.type === type) && (!status || job.status === status));
+    return {
+      jobs: jobs.slice(0, limit).map(job => this.describe(job)),
+      total: jobs.length
+    };
+  }
+
+  /**
+   * 生成返回给客户端的任务信息
+   * @param {Object} job - 任务
+   * @returns {Object} 任务信息
+   */
+  describe(job) {
+    const info = {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      params: job.params,
+      requests: job.requests,
+      progress: job.progress,
+      errors: job.errors,
+      errorCount: job.errorCount,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+    if (job.status === 'queued') {
+      info.position = this.queue.indexOf(job) + 1;
+    }
+    if (job.startedAt) {
+      info.duration = (job.finishedAt ? Date.parse(job.finishedAt) : Date.now()) - Date.parse(job.startedAt);
+    }
+    return info;
+  }
+}
+
+module.exports = JobManager;
@@ -1,8 +1,27 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const FileUtils = require('../utils/FileUtils');
+const ImageProbe = require('../utils/ImageProbe');
+const SvgSanitizer = require('../utils/SvgSanitizer');
+const IgnoreRules = require('../utils/IgnoreRules');
+const DirectoryMeta = require('../utils/DirectoryMeta');
+const TagStore = require('../api/TagStore');
+const TrashStore = require('../api/TrashStore');
 const logManager = require('../logging/LogManager');
 
+// 扫描差异中每类最多返回的路径数量
+const DIFF_PATH_LIMIT = 100;
+
+// 目录中的忽略规则文件
+const IGNORE_FILE = '.imgignore';
+
+// 目录中的元数据文件
+const META_FILE = '_meta.json';
+
+// 跳过原因：忽略规则、隐藏文件、超过最大深度、超过最大文件大小、符号链接、符号链接循环
+const SKIP_REASONS = ['ignored', 'hidden', 'depth', 'size', 'symlink', 'loop'];
+
 /**
  * 更新服务类，负责扫描图片目录并更新图片列表
  */
@@ -11,6 +30,57 @@ class UpdateService {
     this.config = config;
     this.imagesPath = path.resolve(config.paths.images);
     this.updateInterval = null;
+    this.tagStore = new TagStore();
+    this.detailsPath = path.join(__dirname, '../../images-details.json');
+    this.scanStatePath = path.join(__dirname, '../../images-scan.json');
+    this.statsPath = path.join(__dirname, '../../list.stats.json');
+    this.metaPath = path.join(__dirname, '../../images-meta.json');
+    this.previousDetails = null;
+    this.previousByDirectory = null;
+    this.previousDirectories = null;
+    this.directories = null;
+    this.incremental = false;
+    this.hashStats = { hashed: 0, reused: 0 };
+    this.skipped = null;
+    this.visited = null;
+    this.rulesCache = null;
+    this.directoryMeta = null;
+    this.listeners = [];
+    this.queue = Promise.resolve();
+    this.progress = null;
+  }
+
+  /**
+   * 注册图片列表变化的监听函数
+   * @param {Function} listener - 监听函数，接收 { imageList, imageDetails, directoryMeta, diff }
+   */
+  onUpdate(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * 通知监听函数图片列表已变化
+   * @param {Object} result - 新的图片列表、图片详情、目录元数据及差异
+   */
+  notify(result) {
+    for (const listener of this.listeners) {
+      try {
+        listener(result);
+      } catch (error) {
+        logManager.error(`Update listener failed: ${error.message}`, { module: 'UPDATE' });
+      }
+    }
+  }
+
+  /**
+   * 串行执行扫描任务，避免并发写入图片列表
+   * @param {Function} task - 任务函数
+   * @returns {Promise<any>} 任务的返回值
+   */
+  exclusive(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
   }
 
   /**
@@ -51,64 +121,110 @@ class UpdateService {
   }
 
   /**
-   * 手动更新图片列表
-   * @param {any} req - Express请求对象
-   * @param {any} res - Express响应对象
-   * @returns {Promise<void>}
+   * 更新图片列表
+   * @param {Object} options - 选项
+   * @param {boolean} options.full - 是否强制全量扫描
+   * @param {Function} [options.onProgress] - 进度回调，接收 { scanned, total, percentage }
+   * @param {Function} [options.onError] - 单个文件或目录处理失败时的回调，接收错误信息
+   * @returns {Promise<Object>} 扫描结果摘要，包括扫描模式、耗时和差异
    */
-  async handleManualUpdate(req, res) {
-    try {
-      logManager.info('Manual update triggered', { module: 'UPDATE', request: req });
-      await this.updateImageList();
-      
-      res.json({
-        success: true,
-        message: 'Image list updated successfully',
-        timestamp: logManager.getCurrentTimestamp()
-      });
-    } catch (error) {
-      logManager.error(`Manual update failed: ${error.message}`, { module: 'UPDATE', request: req });
-      
-      res.status(500).json({
-        success: false,
-        error: 'Update failed',
-        message: error.message,
-        timestamp: logManager.getCurrentTimestamp()
-      });
-    }
+  async updateImageList({ full = false, onProgress = null, onError = null } = {}) {
+    return this.exclusive(() => this.runUpdate({ full, onProgress, onError }));
   }
 
   /**
-   * 更新图片列表
-   * @returns {Promise<void>}
+   * 执行一次图片列表更新
+   * @param {Object} options - 选项，同 updateImageList
+   * @returns {Promise<Object>} 扫描结果摘要
    */
-  async updateImageList() {
+  async runUpdate({ full, onProgress, onError }) {
     const startTime = Date.now();
     logManager.info('Starting image list update...', { module: 'UPDATE' });
     
     try {
       // 扫描图片目录
-      const { imageList, imageDetails } = await this.scanImages();
+      this.progress = { scanned: 0, total: 0, errors: 0, onProgress, onError };
+      const { imageList, imageDetails, directoryMeta, diff, mode, skipped } = await this.scanImages({ full });
+      const errors = this.progress.errors;
       
       // 保存图片列表
       await this.saveImageList(imageList, imageDetails);
+      const metaChanged = await this.saveDirectoryMeta(directoryMeta);
       
       // 保存统计信息
-      await this.saveStats(imageList, imageDetails);
+      await this.saveStats(imageList, imageDetails, skipped);
       
       const duration = Date.now() - startTime;
+      const flagged = imageDetails.filter(image => image.flagged).length;
+      if (flagged > 0) {
+        logManager.warn(`${flagged} images failed content checks, see the flagged field in image details`, { module: 'UPDATE' });
+      }
       logManager.info(`Image list updated successfully in ${duration}ms - ${imageDetails.length} images in ${Object.keys(imageList).length} directories`, { module: 'UPDATE' });
+      
+      if (diff.added + diff.removed + diff.modified > 0 || metaChanged) {
+        this.notify({ imageList, imageDetails, directoryMeta, diff });
+      }
+      
+      return {
+        mode,
+        duration,
+        images: imageDetails.length,
+        directories: Object.keys(imageList).length,
+        errors,
+        flagged,
+        skipped,
+        diff
+      };
     } catch (error) {
       logManager.error(`Failed to update image list: ${error.message}`, { module: 'UPDATE' });
       throw error;
+    } finally {
+      this.progress = null;
+    }
+  }
+
+  /**
+   * 记录已扫描的图片数量。总数未知，以上次扫描的图片数估算，完成前百分比不超过99
+   */
+  reportProgress() {
+    if (!this.progress) return;
+    
+    const progress = this.progress;
+    progress.scanned++;
+    if (progress.onProgress) {
+      const total = Math.max(progress.total, progress.scanned);
+      progress.onProgress({
+        scanned: progress.scanned,
+        total,
+        percentage: Math.min(99, Math.floor(progress.scanned / total * 100))
+      });
+    }
+  }
+
+  /**
+   * 记录扫描中的错误
+   * @param {string} message - 错误信息
+   */
+  reportError(message) {
+    logManager.error(message, { module: 'UPDATE' });
+    if (!this.progress) return;
+    
+    this.progress.errors++;
+    if (this.progress.onError) {
+      this.progress.onError(message);
     }
   }
 
   /**
    * 扫描图片目录
-   * @returns {Promise<{imageList: Object, imageDetails: Array}>}
+   *
+   * 增量模式下，修改时间未变的目录直接沿用上次的文件列表，不再读取目录和文件信息；
+   * 变化的目录中只有大小或修改时间变化的文件才重新处理。
+   * @param {Object} options - 选项
+   * @param {boolean} options.full - 是否强制全量扫描
+   * @returns {Promise<{imageList: Object, imageDetails: Array, directoryMeta: Object, diff: Object, mode: string, skipped: Object}>}
    */
-  async scanImages() {
+  async scanImages({ full = false } = {}) {
     const imageList = {};
     const imageDetails = [];
     const supportedExtensions = this.config.update.supportedExtensions;
@@ -116,15 +232,416 @@ class UpdateService {
     logManager.info(`Scanning images from: ${this.imagesPath}`, { module: 'UPDATE' });
     logManager.info(`Supported extensions: ${supportedExtensions.join(', ')}`, { module: 'UPDATE' });
     
-    // 递归扫描目录
-    await this.scanDirectory(this.imagesPath, '', imageList, imageDetails, supportedExtensions);
+    // 上次扫描的结果，用于复用未变化的文件和目录
+    const previousDetails = await this.loadPreviousDetails();
+    if (this.progress) {
+      this.progress.total = previousDetails.size;
+    }
+    
+    const scanState = await FileUtils.safeReadJson(this.scanStatePath, null);
+    // 图片目录、扩展名或扫描规则配置变化后，上次的目录记录不再可信
+    const stateUsable = Boolean(scanState && scanState.directories) &&
+      scanState.imagesPath === this.imagesPath &&
+      JSON.stringify(scanState.extensions) === JSON.stringify(supportedExtensions) &&
+      scanState.options === this.getScanOptionsKey();
+    const incremental = !full && this.config.update.incremental !== false && stateUsable;
+    this.beginScan(previousDetails, incremental, incremental ? scanState.directories : {});
+    
+    const mode = incremental ? 'incremental' : 'full';
+    logManager.info(`Scan mode: ${mode}`, { module: 'UPDATE' });
+    
+    let diff;
+    let skipped;
+    let directoryMeta;
+    try {
+      // 递归扫描目录
+      await this.scanDirectory(this.imagesPath, '', imageList, imageDetails, supportedExtensions);
+      
+      diff = this.computeDiff(previousDetails, imageDetails);
+      skipped = this.skipped;
+      directoryMeta = this.checkCovers(this.directoryMeta, imageDetails);
+      await this.saveScanState(supportedExtensions);
+    } finally {
+      this.endScan();
+    }
+    logManager.info(`Content digests: ${this.hashStats.hashed} computed, ${this.hashStats.reused} reused`, { module: 'UPDATE' });
+    logManager.info(`Scan diff: ${diff.added} added, ${diff.removed} removed, ${diff.modified} modified, ${diff.unchanged} unchanged`, { module: 'UPDATE' });
+    logManager.info(`Skipped entries: ${SKIP_REASONS.map(reason => `${skipped[reason]} ${reason}`).join(', ')}`, { module: 'UPDATE' });
     
     // 处理根目录（_root）
     if (!imageList._root) {
       imageList._root = {};
     }
     
-    return { imageList, imageDetails };
+    return { imageList, imageDetails, directoryMeta, diff, mode, skipped };
+  }
+
+  /**
+   * 读取目录中的 _meta.json
+   * @param {string} dirPath - 目录完整路径
+   * @param {string} dirKey - 相对图片目录的目录路径（使用 / 分隔，根目录为空字符串）
+   * @returns {Promise<void>}
+   */
+  async loadDirectoryMeta(dirPath, dirKey) {
+    const metaPath = path.join(dirPath, META_FILE);
+    let raw;
+    try {
+      raw = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.reportError(`Invalid ${META_FILE} in ${dirKey || '/'}: ${error.message}`);
+      }
+      return;
+    }
+    
+    const { meta, errors } = DirectoryMeta.normalize(raw);
+    for (const message of errors) {
+      logManager.warn(`Ignoring field in ${META_FILE} of ${dirKey || '/'}: ${message}`, { module: 'UPDATE' });
+    }
+    if (meta.cover) {
+      meta.cover = dirKey ? `${dirKey}/${meta.cover}` : meta.cover;
+    }
+    if (Object.keys(meta).length > 0) {
+      this.directoryMeta[dirKey || '_root'] = meta;
+    }
+  }
+
+  /**
+   * 移除指向不存在图片的封面
+   * @param {Object} directoryMeta - 各目录的元数据
+   * @param {Array} imageDetails - 图片详情列表
+   * @returns {Object} 目录元数据
+   */
+  checkCovers(directoryMeta, imageDetails) {
+    const paths = new Set(imageDetails.map(image => image.path));
+    for (const [dirKey, meta] of Object.entries(directoryMeta)) {
+      if (meta.cover && !paths.has(meta.cover)) {
+        logManager.warn(`Cover image of ${dirKey} not found: ${meta.cover}`, { module: 'UPDATE' });
+        delete meta.cover;
+      }
+    }
+    return directoryMeta;
+  }
+
+  /**
+   * 准备一次扫描的状态
+   * @param {Map<string, Object>} previousDetails - 上次扫描的图片详情
+   * @param {boolean} incremental - 是否增量扫描
+   * @param {Object} previousDirectories - 上次扫描的目录记录
+   */
+  beginScan(previousDetails, incremental, previousDirectories) {
+    this.previousDetails = previousDetails;
+    this.previousByDirectory = new Map();
+    for (const image of previousDetails.values()) {
+      const group = this.previousByDirectory.get(image._directory) || [];
+      group.push(image);
+      this.previousByDirectory.set(image._directory, group);
+    }
+    this.incremental = incremental;
+    this.previousDirectories = previousDirectories;
+    this.directories = {};
+    this.hashStats = { hashed: 0, reused: 0 };
+    this.skipped = Object.fromEntries(SKIP_REASONS.map(reason => [reason, 0]));
+    this.visited = new Set();
+    this.rulesCache = new Map();
+    this.directoryMeta = {};
+  }
+
+  /**
+   * 清理扫描状态
+   */
+  endScan() {
+    this.previousDetails = null;
+    this.previousByDirectory = null;
+    this.previousDirectories = null;
+    this.directories = null;
+    this.visited = null;
+    this.rulesCache = null;
+    this.directoryMeta = null;
+  }
+
+  /**
+   * 影响扫描结果的配置，变化时需要全量扫描
+   * @returns {string} 配置标识
+   */
+  getScanOptionsKey() {
+    const { ignore, max_depth, max_file_size, follow_symlinks, include_hidden } = this.config.update;
+    return JSON.stringify({ ignore, max_depth, max_file_size, follow_symlinks, include_hidden });
+  }
+
+  /**
+   * 获取目录生效的忽略规则（配置的 update.ignore 加上该目录及各级上级目录的 .imgignore）
+   * @param {string} dirKey - 相对图片目录的目录路径（使用 / 分隔，根目录为空字符串）
+   * @returns {Promise<{rules: IgnoreRules, signature: string}>} 规则及其标识，标识随任一级 .imgignore 的内容变化
+   */
+  async loadRules(dirKey) {
+    if (this.rulesCache.has(dirKey)) {
+      return this.rulesCache.get(dirKey);
+    }
+    
+    const parent = dirKey
+      ? await this.loadRules(dirKey.includes('/') ? dirKey.slice(0, dirKey.lastIndexOf('/')) : '')
+      : { rules: new IgnoreRules().extend('', this.config.update.ignore || []), signature: '' };
+    
+    let content = null;
+    try {
+      content = await fs.readFile(path.join(this.imagesPath, dirKey, IGNORE_FILE), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logManager.warn(`Failed to read ${IGNORE_FILE} in ${dirKey || '/'}: ${error.message}`, { module: 'UPDATE' });
+      }
+    }
+    
+    const result = content === null ? parent : {
+      rules: parent.rules.extend(dirKey, content),
+      signature: crypto.createHash('sha1').update(`${parent.signature}\n${dirKey}\n${content}`).digest('hex').slice(0, 12)
+    };
+    this.rulesCache.set(dirKey, result);
+    return result;
+  }
+
+  /**
+   * 判断目录项是否因隐藏或忽略规则被跳过
+   * @param {string} name - 文件或目录名
+   * @param {string} relativePath - 相对图片目录的路径（使用 / 分隔）
+   * @param {boolean} isDirectory - 是否为目录
+   * @param {IgnoreRules} rules - 所在目录的忽略规则
+   * @returns {string|null} 跳过原因或null
+   */
+  getSkipReason(name, relativePath, isDirectory, rules) {
+    // 回收站不受 include_hidden 影响，总是跳过
+    if (relativePath === TrashStore.DIRECTORY) {
+      return 'hidden';
+    }
+    if (name.startsWith('.') && !this.config.update.include_hidden) {
+      return 'hidden';
+    }
+    if (rules.ignores(relativePath, isDirectory)) {
+      return 'ignored';
+    }
+    return null;
+  }
+
+  /**
+   * 判断路径是否应被排除（检查路径本身及各级上级目录）
+   * @param {string} relativePath - 相对图片目录的路径（使用 / 分隔）
+   * @param {boolean} isDirectory - 路径本身是否为目录
+   * @returns {Promise<boolean>} 是否排除
+   */
+  async isExcluded(relativePath, isDirectory) {
+    const maxDepth = this.config.update.max_depth;
+    const segments = relativePath.split('/');
+    for (let i = 0; i < segments.length; i++) {
+      const isDir = i < segments.length - 1 || isDirectory;
+      const { rules } = await this.loadRules(segments.slice(0, i).join('/'));
+      if (this.getSkipReason(segments[i], segments.slice(0, i + 1).join('/'), isDir, rules)) {
+        return true;
+      }
+      if (isDir && maxDepth > 0 && i + 1 > maxDepth) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 记录一个被跳过的目录项
+   * @param {string} reason - 跳过原因
+   * @param {string} relativePath - 相对路径
+   * @param {Object} [state] - 所在目录的扫描记录，增量扫描沿用该目录时据此恢复计数
+   */
+  skip(reason, relativePath, state = null) {
+    this.skipped[reason]++;
+    if (state) {
+      state.skipped[reason] = (state.skipped[reason] || 0) + 1;
+    }
+    logManager.debug(`Skipped (${reason}): ${relativePath}`, { module: 'UPDATE' });
+  }
+
+  /**
+   * 只重新处理发生变化的路径，并更新保存的图片列表
+   *
+   * 每个路径及其下的所有图片先从列表中移除，再按当前文件系统状态重新加入：
+   * 文件按图片处理，目录递归扫描，已不存在的路径即被删除。
+   * @param {string[]} relativePaths - 相对图片目录的路径
+   * @returns {Promise<Object>} 差异
+   */
+  async applyChanges(relativePaths) {
+    return this.exclusive(async () => {
+      const startTime = Date.now();
+      const supportedExtensions = this.config.update.supportedExtensions;
+      const previous = await this.loadPreviousDetails();
+      const current = new Map(previous);
+      const changedDetails = [];
+      const previousMeta = await FileUtils.safeReadJson(this.metaPath, {});
+      const directoryMeta = { ...previousMeta };
+      
+      this.beginScan(previous, false, {});
+      
+      try {
+        for (const relativePath of relativePaths) {
+          const key = relativePath.replace(/\\/g, '/');
+          for (const imagePath of [...current.keys()]) {
+            if (imagePath === key || imagePath.startsWith(`${key}/`)) {
+              current.delete(imagePath);
+            }
+          }
+          for (const dirKey of Object.keys(directoryMeta)) {
+            if (dirKey === key || dirKey.startsWith(`${key}/`)) {
+              delete directoryMeta[dirKey];
+            }
+          }
+          
+          // 元数据文件变化时重新读取所在目录的元数据
+          if (path.basename(key) === META_FILE) {
+            const dirKey = path.posix.dirname(key) === '.' ? '' : path.posix.dirname(key);
+            delete directoryMeta[dirKey || '_root'];
+            if (!(await this.isExcluded(key, false))) {
+              await this.loadDirectoryMeta(path.join(this.imagesPath, dirKey), dirKey);
+            }
+            continue;
+          }
+          
+          const fullPath = path.join(this.imagesPath, relativePath);
+          const linkStats = await fs.lstat(fullPath).catch(() => null);
+          if (!linkStats || (linkStats.isSymbolicLink() && !this.config.update.follow_symlinks)) {
+            continue;
+          }
+          const stats = await fs.stat(fullPath).catch(() => null);
+          if (!stats || await this.isExcluded(key, stats.isDirectory())) {
+            continue;
+          }
+          
+          if (stats.isDirectory()) {
+            await this.scanDirectory(fullPath, path.normalize(relativePath), {}, changedDetails, supportedExtensions);
+          } else if (stats.isFile() && supportedExtensions.includes(path.extname(fullPath).toLowerCase())) {
+            const directory = path.dirname(path.normalize(relativePath));
+            await this.processImageFile(fullPath, path.basename(fullPath), directory === '.' ? '' : directory, {}, changedDetails);
+          }
+        }
+        Object.assign(directoryMeta, this.directoryMeta);
+      } finally {
+        this.endScan();
+      }
+      
+      for (const image of changedDetails) {
+        current.set(image.path, image);
+      }
+      
+      const imageDetails = [...current.values()];
+      const diff = this.computeDiff(previous, imageDetails);
+      this.checkCovers(directoryMeta, imageDetails);
+      const metaChanged = await this.saveDirectoryMeta(directoryMeta);
+      if (diff.added + diff.removed + diff.modified === 0 && !metaChanged) {
+        return diff;
+      }
+      
+      const imageList = { _root: {} };
+      for (const image of imageDetails) {
+        this.addImage(image, imageList, []);
+      }
+      // 只处理了变化的路径，跳过计数沿用上次全量或增量扫描的结果
+      const { skipped } = await FileUtils.safeReadJson(this.statsPath, {});
+      await this.saveImageList(imageList, imageDetails);
+      await this.saveStats(imageList, imageDetails, skipped);
+      
+      logManager.info(`Applied filesystem changes in ${Date.now() - startTime}ms: ${diff.added} added, ${diff.removed} removed, ${diff.modified} modified`, { module: 'UPDATE' });
+      this.notify({ imageList, imageDetails, directoryMeta, diff });
+      return diff;
+    });
+  }
+
+  /**
+   * 比较两次扫描的结果
+   * @param {Map<string, Object>} previous - 上次扫描的图片详情（按相对路径索引）
+   * @param {Array} imageDetails - 本次扫描的图片详情
+   * @returns {Object} 新增、删除、修改、未变化的数量，以及各类变化的路径（每类最多 DIFF_PATH_LIMIT 条）
+   */
+  computeDiff(previous, imageDetails) {
+    const changes = { added: [], removed: [], modified: [] };
+    let unchanged = 0;
+    const current = new Set();
+    
+    for (const image of imageDetails) {
+      current.add(image.path);
+      const old = previous.get(image.path);
+      if (!old) {
+        changes.added.push(image.path);
+      } else if (old.size !== image.size || old.uploadtime !== image.uploadtime) {
+        changes.modified.push(image.path);
+      } else {
+        unchanged++;
+      }
+    }
+    for (const imagePath of previous.keys()) {
+      if (!current.has(imagePath)) {
+        changes.removed.push(imagePath);
+      }
+    }
+    
+    for (const [type, paths] of Object.entries(changes)) {
+      paths.forEach(p => logManager.debug(`Scan ${type}: ${p}`, { module: 'UPDATE' }));
+    }
+    
+    return {
+      added: changes.added.length,
+      removed: changes.removed.length,
+      modified: changes.modified.length,
+      unchanged,
+      paths: {
+        added: changes.added.slice(0, DIFF_PATH_LIMIT),
+        removed: changes.removed.slice(0, DIFF_PATH_LIMIT),
+        modified: changes.modified.slice(0, DIFF_PATH_LIMIT)
+      },
+      truncated: Object.values(changes).some(paths => paths.length > DIFF_PATH_LIMIT)
+    };
+  }
+
+  /**
+   * 保存目录修改时间等扫描状态，供下次增量扫描使用
+   * @param {Array} supportedExtensions - 支持的扩展名列表
+   * @returns {Promise<void>}
+   */
+  async saveScanState(supportedExtensions) {
+    await FileUtils.safeWriteJson(this.scanStatePath, {
+      generated: new Date().toISOString(),
+      imagesPath: this.imagesPath,
+      extensions: supportedExtensions,
+      options: this.getScanOptionsKey(),
+      directories: this.directories
+    });
+  }
+
+  /**
+   * 读取上次扫描保存的图片详情
+   * @returns {Promise<Map<string, Object>>} 相对路径到图片详情的映射
+   */
+  async loadPreviousDetails() {
+    const details = await FileUtils.safeReadJson(this.detailsPath, []);
+    return new Map((Array.isArray(details) ? details : []).map(image => [image.path, image]));
+  }
+
+  /**
+   * 获取文件内容摘要，大小和修改时间均未变化时复用上次的结果
+   * @param {string} fullPath - 文件完整路径
+   * @param {Object} details - 本次扫描的图片详情
+   * @returns {Promise<string|null>} SHA-256摘要，计算失败时返回null
+   */
+  async getDigest(fullPath, details) {
+    const previous = this.previousDetails && this.previousDetails.get(details.path);
+    if (previous && previous.digest && previous.size === details.size && previous.uploadtime === details.uploadtime) {
+      this.hashStats.reused++;
+      return previous.digest;
+    }
+    
+    try {
+      const digest = await FileUtils.hashFile(fullPath);
+      this.hashStats.hashed++;
+      return digest;
+    } catch (error) {
+      logManager.warn(`Failed to hash ${fullPath}: ${error.message}`, { module: 'UPDATE' });
+      return null;
+    }
   }
 
   /**
@@ -138,6 +655,44 @@ class UpdateService {
    */
   async scanDirectory(dirPath, relativePath, imageList, imageDetails, supportedExtensions) {
     try {
+      const { max_depth: maxDepth, follow_symlinks: followSymlinks } = this.config.update;
+      const dirKey = relativePath.replace(/\\/g, '/');
+      const depth = dirKey ? dirKey.split('/').length : 0;
+      const dirStats = await fs.stat(dirPath);
+      
+      // 通过符号链接回到已扫描过的目录时停止，避免无限递归
+      const identity = `${dirStats.dev}:${dirStats.ino}`;
+      if (this.visited.has(identity)) {
+        logManager.warn(`Symlink loop detected, skipping: ${dirPath}`, { module: 'UPDATE' });
+        this.skip('loop', dirKey);
+        return;
+      }
+      this.visited.add(identity);
+      
+      // 编辑元数据文件不会改变目录的修改时间，每次扫描都重新读取
+      await this.loadDirectoryMeta(dirPath, dirKey);
+      
+      const { rules, signature } = await this.loadRules(dirKey);
+      const previous = this.previousDirectories[dirKey];
+      
+      // 目录修改时间和忽略规则都未变说明其中没有增删或重命名，沿用上次的记录
+      if (previous && previous.mtimeMs === dirStats.mtimeMs && previous.rules === signature) {
+        this.directories[dirKey] = previous;
+        for (const [reason, count] of Object.entries(previous.skipped || {})) {
+          this.skipped[reason] += count;
+        }
+        for (const image of this.previousByDirectory.get(relativePath || '_root') || []) {
+          this.addImage(image, imageList, imageDetails);
+        }
+        for (const name of previous.subdirectories) {
+          await this.scanDirectory(path.join(dirPath, name), relativePath ? path.join(relativePath, name) : name, imageList, imageDetails, supportedExtensions);
+        }
+        return;
+      }
+      
+      const state = { mtimeMs: dirStats.mtimeMs, rules: signature, subdirectories: [], skipped: {} };
+      this.directories[dirKey] = state;
+      
       // 在Windows系统上，不指定encoding，让fs.readdir返回Buffer对象，然后手动转换编码
       // 这样可以避免系统编码问题
       const files = await fs.readdir(dirPath, { withFileTypes: true, encoding: null });
@@ -152,24 +707,56 @@ class UpdateService {
           // 构建完整路径
           const fullPath = path.join(dirPath, normalizedFileName);
           const fileRelativePath = relativePath ? path.join(relativePath, normalizedFileName) : normalizedFileName;
+          const entryKey = dirKey ? `${dirKey}/${normalizedFileName}` : normalizedFileName;
+          
+          if (normalizedFileName === IGNORE_FILE || entryKey === TrashStore.DIRECTORY) {
+            continue;
+          }
+          
+          let isDirectory = file.isDirectory();
+          let isFile = file.isFile();
+          if (file.isSymbolicLink()) {
+            const target = followSymlinks ? await fs.stat(fullPath).catch(() => null) : null;
+            if (!target) {
+              // 未启用跟随符号链接，或链接已失效
+              this.skip('symlink', entryKey, state);
+              continue;
+            }
+            isDirectory = target.isDirectory();
+            isFile = target.isFile();
+          }
+          
+          const reason = this.getSkipReason(normalizedFileName, entryKey, isDirectory, rules);
+          if (reason) {
+            this.skip(reason, entryKey, state);
+            continue;
+          }
           
-          if (file.isDirectory()) {
+          if (isDirectory) {
+            if (maxDepth > 0 && depth + 1 > maxDepth) {
+              this.skip('depth', entryKey, state);
+              continue;
+            }
             // 递归扫描子目录
+            state.subdirectories.push(normalizedFileName);
             await this.scanDirectory(fullPath, fileRelativePath, imageList, imageDetails, supportedExtensions);
-          } else if (file.isFile()) {
+          } else if (isFile) {
             // 检查文件扩展名
             const ext = path.extname(normalizedFileName).toLowerCase();
             if (supportedExtensions.includes(ext)) {
-              await this.processImageFile(fullPath, normalizedFileName, relativePath, imageList, imageDetails);
+              const skipReason = await this.processImageFile(fullPath, normalizedFileName, relativePath, imageList, imageDetails);
+              if (skipReason) {
+                this.skip(skipReason, entryKey, state);
+              }
             }
           }
         } catch (fileError) {
           // 单个文件处理错误不影响整个扫描过程
-          logManager.error(`Error processing file in ${dirPath}: ${fileError.message}`, { module: 'UPDATE' });
+          this.reportError(`Error processing file in ${dirPath}: ${fileError.message}`);
         }
       }
     } catch (error) {
-      logManager.error(`Error scanning directory ${dirPath}: ${error.message}`, { module: 'UPDATE' });
+      this.reportError(`Error scanning directory ${dirPath}: ${error.message}`);
     }
   }
 
@@ -180,13 +767,25 @@ class UpdateService {
    * @param {string} directory - 目录名
    * @param {Object} imageList - 图片列表
    * @param {Array} imageDetails - 图片详情列表
-   * @returns {Promise<void>}
+   * @returns {Promise<string|undefined>} 文件被跳过时返回原因
    */
   async processImageFile(fullPath, filename, directory, imageList, imageDetails) {
     try {
       const stats = await fs.stat(fullPath);
+      const maxFileSize = this.config.update.max_file_size;
+      if (maxFileSize > 0 && stats.size > maxFileSize) {
+        return 'size';
+      }
       const uploadtime = stats.mtime.toISOString();
       const directoryKey = directory || '_root';
+      const relativePath = directory ? path.join(directory, filename) : filename;
+      
+      // 增量模式下大小和修改时间都未变的文件直接沿用上次的记录
+      const previous = this.incremental && this.previousDetails.get(relativePath.replace(/\\/g, '/'));
+      if (previous && previous.digest && previous.size === stats.size && previous.uploadtime === uploadtime) {
+        this.addImage({ ...previous, _fullPath: fullPath }, imageList, imageDetails);
+        return;
+      }
       
       // 添加到图片列表
       if (!imageList[directoryKey]) {
@@ -195,10 +794,9 @@ class UpdateService {
       imageList[directoryKey][filename] = uploadtime;
       
       // 添加到图片详情
-      const relativePath = directory ? path.join(directory, filename) : filename;
       const mimeType = FileUtils.getMimeType(fullPath);
       
-      imageDetails.push({
+      const details = {
         name: filename,
         size: stats.size,
         uploadtime,
@@ -207,12 +805,80 @@ class UpdateService {
         _directory: directoryKey,
         _extension: path.extname(filename).toLowerCase(),
         _mimeType: mimeType
-      });
+      };
+      
+      const digest = await this.getDigest(fullPath, details);
+      if (digest) {
+        details.digest = digest;
+      }
+      
+      // 读取图片尺寸，失败时不影响图片收录
+      try {
+        const dimensions = await ImageProbe.probe(fullPath);
+        if (dimensions) {
+          details.width = dimensions.width;
+          details.height = dimensions.height;
+          details.ratio = Math.round(dimensions.width / dimensions.height * 10000) / 10000;
+        } else {
+          logManager.debug(`Unable to read dimensions: ${fullPath}`, { module: 'UPDATE' });
+        }
+      } catch (probeError) {
+        logManager.debug(`Failed to read dimensions of ${fullPath}: ${probeError.message}`, { module: 'UPDATE' });
+      }
+      
+      // 有问题的文件仍然收录，只做标记，由管理员决定删除还是修复
+      const flagged = await this.inspectContent(fullPath, details._extension);
+      if (flagged) {
+        details.flagged = flagged;
+        logManager.warn(`Flagged ${details.path}: ${flagged}`, { module: 'UPDATE' });
+      }
+      
+      imageDetails.push(details);
+      this.reportProgress();
+    } catch (error) {
+      this.reportError(`Error processing file ${fullPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 检查图片内容与扩展名是否一致，SVG 是否包含脚本、事件处理属性或外部引用
+   * @param {string} fullPath - 文件完整路径
+   * @param {string} extension - 小写扩展名
+   * @returns {Promise<string|null>} 问题描述，没有问题时返回null
+   */
+  async inspectContent(fullPath, extension) {
+    try {
+      const mismatch = await ImageProbe.checkFile(fullPath, extension);
+      if (mismatch || extension !== '.svg') {
+        return mismatch;
+      }
+      const { removed } = SvgSanitizer.sanitize(await fs.readFile(fullPath, 'utf8'));
+      return removed.length > 0 ? `Unsafe SVG content: ${removed.join(', ')}` : null;
     } catch (error) {
-      logManager.error(`Error processing file ${fullPath}: ${error.message}`, { module: 'UPDATE' });
+      // 格式错误的 SVG 同样标记；读取失败不影响收录
+      if (error.status) {
+        return error.message;
+      }
+      logManager.debug(`Failed to inspect ${fullPath}: ${error.message}`, { module: 'UPDATE' });
+      return null;
     }
   }
 
+  /**
+   * 把沿用的图片记录加入本次扫描结果
+   * @param {Object} image - 上次扫描的图片详情
+   * @param {Object} imageList - 图片列表
+   * @param {Array} imageDetails - 图片详情列表
+   */
+  addImage(image, imageList, imageDetails) {
+    if (!imageList[image._directory]) {
+      imageList[image._directory] = {};
+    }
+    imageList[image._directory][image.name] = image.uploadtime;
+    imageDetails.push(image);
+    this.reportProgress();
+  }
+
   /**
    * 保存图片列表
    * @param {Object} imageList - 图片列表
@@ -222,12 +888,15 @@ class UpdateService {
   async saveImageList(imageList, imageDetails) {
     try {
       const listPath = path.join(__dirname, '../../list.json');
-      const detailsPath = path.join(__dirname, '../../images-details.json');
+      const detailsPath = this.detailsPath;
       
       // 保存图片列表
       await FileUtils.safeWriteJson(listPath, imageList);
       logManager.info(`Saved image list to ${listPath}`, { module: 'UPDATE' });
       
+      // 合并标签（标签单独保存，扫描结果本身不含标签）
+      TagStore.apply(imageDetails, await this.tagStore.load());
+      
       // 保存图片详情
       await FileUtils.safeWriteJson(detailsPath, imageDetails);
       logManager.info(`Saved image details to ${detailsPath}`, { module: 'UPDATE' });
@@ -237,15 +906,32 @@ class UpdateService {
     }
   }
 
+  /**
+   * 保存目录元数据
+   * @param {Object} directoryMeta - 各目录的元数据
+   * @returns {Promise<boolean>} 与上次保存的内容相比是否有变化
+   */
+  async saveDirectoryMeta(directoryMeta) {
+    const sorted = Object.fromEntries(Object.entries(directoryMeta).sort(([a], [b]) => (a < b ? -1 : 1)));
+    const previous = await FileUtils.safeReadJson(this.metaPath, {});
+    if (JSON.stringify(previous) === JSON.stringify(sorted)) {
+      return false;
+    }
+    await FileUtils.safeWriteJson(this.metaPath, sorted);
+    logManager.info(`Saved directory metadata to ${this.metaPath}`, { module: 'UPDATE' });
+    return true;
+  }
+
   /**
    * 保存统计信息
    * @param {Object} imageList - 图片列表
    * @param {Array} imageDetails - 图片详情列表
+   * @param {Object} [skipped] - 各原因跳过的目录项数量
    * @returns {Promise<void>}
    */
-  async saveStats(imageList, imageDetails) {
+  async saveStats(imageList, imageDetails, skipped = null) {
     try {
-      const statsPath = path.join(__dirname, '../../list.stats.json');
+      const statsPath = this.statsPath;
       const stats = {
         generated: new Date().toISOString(),
         stats: {
@@ -256,6 +942,7 @@ class UpdateService {
             return acc;
           }, {})
         },
+        skipped: skipped || Object.fromEntries(SKIP_REASONS.map(reason => [reason, 0])),
         timezone: this.config.timezone
       };
       
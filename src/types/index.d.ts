@@ -35,9 +35,108 @@ export interface PathsConfig {
 
 export interface UpdateConfig {
   hours: number;
+  incremental: boolean;
+  watch: boolean;
+  watch_mode: 'auto' | 'native' | 'poll';
+  watch_debounce: number;
+  poll_interval: number;
+  ignore: string[];
+  max_depth: number;
+  max_file_size: number;
+  follow_symlinks: boolean;
+  include_hidden: boolean;
   supportedExtensions: string[];
 }
 
+export interface ScanSkipped {
+  ignored: number;
+  hidden: number;
+  depth: number;
+  size: number;
+  symlink: number;
+  loop: number;
+}
+
+export interface ScanDiff {
+  added: number;
+  removed: number;
+  modified: number;
+  unchanged: number;
+  paths: {
+    added: string[];
+    removed: string[];
+    modified: string[];
+  };
+  truncated: boolean;
+}
+
+export interface ScanResult {
+  mode: 'incremental' | 'full';
+  duration: number;
+  images: number;
+  directories: number;
+  errors: number;
+  flagged: number;
+  skipped: ScanSkipped;
+  diff: ScanDiff;
+}
+
+export interface JobInfo {
+  id: string;
+  type: string;
+  status: 'queued' | 'running' | 'completed' | 'failed';
+  params: Record<string, any>;
+  requests: number;
+  position?: number;
+  progress: {
+    scanned?: number;
+    total?: number;
+    percentage: number;
+  };
+  errors: string[];
+  errorCount: number;
+  result: any;
+  error: string | null;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  duration?: number;
+}
+
+export type ApiKeyScope = 'read' | 'upload' | 'delete' | 'admin' | 'cache';
+
+export interface ApiKeyInfo {
+  id: string;
+  label: string;
+  prefix: string;
+  scopes: ApiKeyScope[];
+  expiresAt: string | null;
+  expired: boolean;
+  quota: {
+    requests: number;
+    window: number;
+  } | null;
+  createdAt: string;
+  lastUsedAt: string | null;
+}
+
+export interface AuditEntry {
+  time: string;
+  actor: {
+    type: 'user' | 'key' | 'token' | 'anonymous';
+    id: string | null;
+    name: string | null;
+  };
+  ip: string;
+  action: string;
+  target: string | null;
+  before: any;
+  after: any;
+  result: 'success' | 'failure' | 'denied';
+  status: number;
+  error: string | null;
+}
+
 export interface CacheConfig {
   enabled: boolean;
   ttl: number;
@@ -54,6 +153,102 @@ export interface RateLimitConfig {
   ban_duration: number;
 }
 
+export type ResponseType = 'file' | 'json' | 'redirect' | 'text' | 'datauri' | 'html';
+
+export interface ApiConfig {
+  balance: 'image' | 'dir';
+  weights: {
+    directories: { [directory: string]: number };
+    images: { [path: string]: number };
+  };
+  session: {
+    ttl: number;
+    cookie: string;
+  };
+  batch: {
+    max_count: number;
+    cost: 'single' | 'weighted';
+  };
+  filters: {
+    ratio_tolerance: number;
+  };
+  response: {
+    default_type: ResponseType;
+    datauri_max_size: number;
+  };
+  daily: {
+    lookback_days: number;
+    history_days: number;
+  };
+  signed_urls: {
+    secret: string;
+    default_ttl: number;
+    max_ttl: number;
+  };
+}
+
+export interface AdminConfig {
+  session_ttl: number;
+  session_cookie: string;
+  max_login_attempts: number;
+  lockout: number;
+}
+
+export interface TrashConfig {
+  retention_days: number;
+}
+
+export interface TrashEntry {
+  id: string;
+  path: string;
+  type: 'image' | 'directory';
+  images: number;
+  size: number;
+  deletedAt: string;
+  expiresAt: string | null;
+}
+
+export interface UploadConfig {
+  max_files: number;
+  max_file_size: number;
+  max_archive_size: number;
+  max_archive_entries: number;
+  max_extracted_size: number;
+}
+
+export interface UploadResult {
+  file: string;
+  entry: string | null;
+  status: 'uploaded' | 'skipped' | 'failed';
+  path?: string;
+  size?: number;
+  sanitized?: string[];
+  error?: string;
+}
+
+export interface TransferOptions {
+  to: string;
+  mode?: 'move' | 'copy';
+  onConflict?: 'fail' | 'rename' | 'overwrite';
+  redirect?: boolean;
+}
+
+export interface TransferResult {
+  type: 'image' | 'directory';
+  mode: 'move' | 'copy';
+  from: string;
+  path: string;
+  images: number;
+  redirect: boolean;
+  overwritten: TrashEntry | null;
+}
+
+export interface RedirectInfo {
+  from: string;
+  to: string;
+  createdAt: string;
+}
+
 export interface LoggingConfig {
   enabled: boolean;
   level: 'ERROR' | 'WARN' | 'INFO' | 'DEBUG';
@@ -76,11 +271,33 @@ export interface AppConfig {
   update: UpdateConfig;
   cache: CacheConfig;
   rate_limit: RateLimitConfig;
+  api: ApiConfig;
+  admin: AdminConfig;
+  trash: TrashConfig;
+  upload: UploadConfig;
   timezone: string;
   logging: LoggingConfig;
 }
 
 // 图片类型
+export type ContentRating = 'safe' | 'questionable' | 'explicit';
+
+export interface DirectoryMeta {
+  title?: string;
+  description?: string;
+  cover?: string;
+  weight?: number;
+  hidden?: boolean;
+  private?: boolean;
+  rating?: ContentRating;
+  cache_control?: string;
+}
+
+export interface DirectoryInfo extends DirectoryMeta {
+  name: string;
+  count: number;
+}
+
 export interface ImageInfo {
   name: string;
   size: number;
@@ -92,6 +309,27 @@ export interface ImageInfo {
   _mimeType?: string;
   cached_at?: string;
   processingTime?: number;
+  width?: number;
+  height?: number;
+  tags?: string[];
+  rating?: ContentRating;
+  digest?: string;
+  url?: string;
+  expires?: string;
+  date?: string;
+  timezone?: string;
+  nextRollover?: string;
+  selection?: {
+    mode: 'image' | 'dir' | 'session';
+    weight: number;
+    probability?: number;
+    seed?: string;
+    version?: string;
+    session?: string;
+    position?: number;
+    size?: number;
+    cycle?: number;
+  };
 }
 
 export interface ImageList {
@@ -109,6 +347,13 @@ export interface ImageDetails {
   _directory: string;
   _extension: string;
   _mimeType: string;
+  weight?: number;
+  width?: number;
+  height?: number;
+  ratio?: number;
+  tags?: string[];
+  digest?: string;
+  flagged?: string;
 }
 
 // 缓存类型
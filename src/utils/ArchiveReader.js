@@ -0,0 +1,421 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const util = require('util');
+const { pipeline, Transform } = require('stream');
+const iconv = require('iconv-lite');
+
+const pipelineAsync = util.promisify(pipeline);
+const inflateRaw = util.promisify(zlib.inflateRaw);
+
+const TAR_BLOCK = 512;
+// GNU 长文件名和 pax 扩展头的最大长度
+const TAR_EXTENSION_MAX = 1024 * 1024;
+// 中央目录结束记录最短22字节，之后最多跟65535字节的注释
+const ZIP_EOCD_SIZE = 22;
+const ZIP_EOCD_SEARCH = ZIP_EOCD_SIZE + 0xffff;
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_CENTRAL_SIZE = 46;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP_LOCAL_SIZE = 30;
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+/**
+ * ZIP、TAR 和 tar.gz 归档读取工具
+ *
+ * 直接从文件中按需读取，只列出条目，内容在调用 read() 时才逐个读取和解压，不会把整个归档读入内存。
+ * tar.gz 先以流的方式解压到临时文件，再按 TAR 读取。
+ * 支持 ZIP 的存储和 Deflate 压缩方式（不支持 ZIP64 和加密条目）、ustar/GNU 格式的 TAR
+ * 及其长文件名扩展。未标记为 UTF-8 的文件名可能是 GBK 编码（Windows 中文系统创建的 ZIP），见 decodeName。
+ */
+class ArchiveReader {
+  /**
+   * 根据文件头识别归档格式，文件头无法识别时参考扩展名
+   * @param {Buffer} buffer - 文件内容或文件头（至少512字节）
+   * @param {string} [filename] - 文件名
+   * @param {number} [size] - 文件大小，默认为 buffer 的长度
+   * @returns {'zip'|'tar'|'tgz'|null} 归档格式，不是归档时返回null
+   */
+  static detect(buffer, filename = '', size = buffer.length) {
+    if (buffer.length >= 4) {
+      const signature = buffer.readUInt32LE(0);
+      // 空 ZIP 只有中央目录结束记录
+      if (signature === ZIP_LOCAL_SIGNATURE || signature === ZIP_EOCD_SIGNATURE) {
+        return 'zip';
+      }
+    }
+    if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      return 'tgz';
+    }
+    if (buffer.length >= TAR_BLOCK && buffer.toString('latin1', 257, 262) === 'ustar') {
+      return 'tar';
+    }
+    // 早期的 TAR 没有 ustar 标记
+    if (path.extname(filename).toLowerCase() === '.tar' && size > 0 && size % TAR_BLOCK === 0) {
+      return 'tar';
+    }
+    return null;
+  }
+
+  /**
+   * 读取文件头识别归档格式，见 detect
+   * @param {string} filePath - 文件路径
+   * @param {string} [filename] - 文件名
+   * @returns {Promise<'zip'|'tar'|'tgz'|null>} 归档格式，不是归档时返回null
+   */
+  static async detectFile(filePath, filename = '') {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      return ArchiveReader.detect(await readAt(handle, 0, TAR_BLOCK), filename, size);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * 根据扩展名判断归档格式
+   * @param {string} filename - 文件名
+   * @returns {'zip'|'tar'|'tgz'|null} 归档格式，不是归档扩展名时返回null
+   */
+  static formatOfName(filename) {
+    const match = /\.(zip|tar|tgz|gz)$/i.exec(filename || '');
+    if (!match) {
+      return null;
+    }
+    const ext = match[1].toLowerCase();
+    return ext === 'zip' || ext === 'tar' ? ext : 'tgz';
+  }
+
+  /**
+   * 根据文件名判断是否是归档，用于在接收文件内容之前选择大小限制
+   * @param {string} filename - 文件名
+   * @returns {boolean}
+   */
+  static isArchiveName(filename) {
+    return ArchiveReader.formatOfName(filename) !== null;
+  }
+
+  /**
+   * 打开归档并列出其中的条目，处理完后必须调用 close()
+   * @param {string} filePath - 归档文件路径
+   * @param {string} format - 归档格式，见 detect
+   * @param {Object} [options] - 选项
+   * @param {number} [options.maxEntries] - 最多条目数（不含目录），超过时抛出错误
+   * @param {number} [options.maxEntrySize] - 单个条目解压后的最大大小
+   * @param {number} [options.maxTotalSize] - tar.gz 解压后的最大大小
+   * @returns {Promise<{entries: Array<{name: string, type: string, size: number, read: Function}>, close: Function}>}
+   *   type 为 file、directory 或 other（符号链接等），read() 返回解压后内容的 Promise；close() 关闭文件并删除临时文件
+   */
+  static async open(filePath, format, { maxEntries = Infinity, maxEntrySize = Infinity, maxTotalSize = Infinity } = {}) {
+    if (!['zip', 'tar', 'tgz'].includes(format)) {
+      throw ArchiveReader.error(`Unsupported archive format: ${format}`);
+    }
+
+    let tarPath = null;
+    if (format === 'tgz') {
+      tarPath = `${filePath}.tar`;
+      await ArchiveReader.gunzip(filePath, tarPath, maxTotalSize);
+    }
+
+    const handle = await fs.promises.open(tarPath || filePath, 'r');
+    const close = async () => {
+      await handle.close();
+      if (tarPath) {
+        await fs.remove(tarPath);
+      }
+    };
+    try {
+      const { size } = await handle.stat();
+      const limits = { maxEntries, maxEntrySize };
+      const entries = format === 'zip'
+        ? await ArchiveReader.readZip(handle, size, limits)
+        : await ArchiveReader.readTar(handle, size, limits);
+      return { entries, close };
+    } catch (error) {
+      await close();
+      throw error;
+    }
+  }
+
+  /**
+   * 以流的方式解压 gzip 文件，输出超过上限时中止并删除输出文件
+   * @param {string} source - gzip 文件路径
+   * @param {string} target - 输出文件路径
+   * @param {number} maxSize - 解压后的最大大小
+   * @returns {Promise<void>}
+   */
+  static async gunzip(source, target, maxSize) {
+    let total = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        total += chunk.length;
+        if (total > maxSize) {
+          callback(ArchiveReader.error(`Archive exceeds ${maxSize} bytes when decompressed`));
+        } else {
+          callback(null, chunk);
+        }
+      }
+    });
+
+    try {
+      await pipelineAsync(fs.createReadStream(source), zlib.createGunzip(), limit, fs.createWriteStream(target));
+    } catch (error) {
+      await fs.remove(target);
+      throw error.status ? error : ArchiveReader.error(`Invalid gzip data: ${error.message}`);
+    }
+  }
+
+  /**
+   * 解析 ZIP 中央目录
+   * @param {FileHandle} handle - 归档文件
+   * @param {number} fileSize - 归档大小
+   * @param {Object} limits - 条目数和单个条目大小的上限
+   * @returns {Promise<Array>} 条目列表
+   */
+  static async readZip(handle, fileSize, { maxEntries, maxEntrySize }) {
+    const tailStart = Math.max(0, fileSize - ZIP_EOCD_SEARCH);
+    const tail = await readAt(handle, tailStart, fileSize - tailStart);
+    let eocd = -1;
+    for (let i = tail.length - ZIP_EOCD_SIZE; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) {
+      throw ArchiveReader.error('Invalid ZIP archive: end of central directory not found');
+    }
+
+    const count = tail.readUInt16LE(eocd + 10);
+    let offset = tail.readUInt32LE(eocd + 16);
+    if (count === 0xffff || offset === 0xffffffff) {
+      throw ArchiveReader.error('ZIP64 archives are not supported');
+    }
+
+    const entries = [];
+    let files = 0;
+    for (let i = 0; i < count; i++) {
+      const header = await readAt(handle, offset, ZIP_CENTRAL_SIZE);
+      if (header.length < ZIP_CENTRAL_SIZE || header.readUInt32LE(0) !== ZIP_CENTRAL_SIGNATURE) {
+        throw ArchiveReader.error('Invalid ZIP archive: corrupt central directory');
+      }
+      const flags = header.readUInt16LE(8);
+      const method = header.readUInt16LE(10);
+      const compressedSize = header.readUInt32LE(20);
+      const size = header.readUInt32LE(24);
+      const nameLength = header.readUInt16LE(28);
+      const extraLength = header.readUInt16LE(30);
+      const commentLength = header.readUInt16LE(32);
+      const mode = header.readUInt32LE(38) >>> 16;
+      const localOffset = header.readUInt32LE(42);
+      const rawName = await readAt(handle, offset + ZIP_CENTRAL_SIZE, nameLength);
+      const name = ArchiveReader.decodeName(rawName, (flags & 0x800) !== 0);
+      offset += ZIP_CENTRAL_SIZE + nameLength + extraLength + commentLength;
+
+      let type = 'file';
+      if (name.endsWith('/')) {
+        type = 'directory';
+      } else if ((mode & S_IFMT) === S_IFLNK) {
+        type = 'other';
+      }
+      if (type !== 'directory' && ++files > maxEntries) {
+        throw ArchiveReader.error(`Archive contains more than ${maxEntries} entries`);
+      }
+
+      entries.push({
+        name,
+        type,
+        size,
+        read: async () => {
+          if (flags & 0x1) {
+            throw ArchiveReader.error('Encrypted entries are not supported');
+          }
+          // 压缩后的大小也要限制，否则读取时可能一次分配整个归档大小的内存
+          if (size > maxEntrySize || compressedSize > maxEntrySize) {
+            throw ArchiveReader.error(`Entry exceeds ${maxEntrySize} bytes`, 413);
+          }
+          const local = await readAt(handle, localOffset, ZIP_LOCAL_SIZE);
+          if (local.length < ZIP_LOCAL_SIZE || local.readUInt32LE(0) !== ZIP_LOCAL_SIGNATURE) {
+            throw ArchiveReader.error('Invalid ZIP archive: corrupt local header');
+          }
+          const start = localOffset + ZIP_LOCAL_SIZE + local.readUInt16LE(26) + local.readUInt16LE(28);
+          if (start + compressedSize > fileSize) {
+            throw ArchiveReader.error('Invalid ZIP archive: truncated entry');
+          }
+          const data = await readAt(handle, start, compressedSize);
+          if (method === 0) {
+            return data;
+          }
+          if (method !== 8) {
+            throw ArchiveReader.error(`Unsupported compression method: ${method}`);
+          }
+          try {
+            // 按声明的大小限制输出，防止压缩炸弹
+            return await inflateRaw(data, { maxOutputLength: Math.max(size, 1) });
+          } catch (error) {
+            throw ArchiveReader.error(`Failed to decompress entry: ${error.message}`);
+          }
+        }
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * 解析 TAR 条目
+   * @param {FileHandle} handle - 未压缩的归档文件
+   * @param {number} fileSize - 归档大小
+   * @param {Object} limits - 条目数和单个条目大小的上限
+   * @returns {Promise<Array>} 条目列表
+   */
+  static async readTar(handle, fileSize, { maxEntries, maxEntrySize }) {
+    const entries = [];
+    let offset = 0;
+    let longName = null;
+    let files = 0;
+
+    while (offset + TAR_BLOCK <= fileSize) {
+      const header = await readAt(handle, offset, TAR_BLOCK);
+      // 两个全零块表示归档结束
+      if (header.every(byte => byte === 0)) {
+        break;
+      }
+
+      const sizeField = ArchiveReader.readString(header, 124, 12).trim();
+      const size = parseInt(sizeField || '0', 8);
+      if (!/^[0-7]*$/.test(sizeField) || Number.isNaN(size)) {
+        throw ArchiveReader.error('Invalid TAR archive: corrupt header');
+      }
+      const start = offset + TAR_BLOCK;
+      const end = start + size;
+      if (end > fileSize) {
+        throw ArchiveReader.error('Invalid TAR archive: truncated entry');
+      }
+      offset = start + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+      const typeFlag = String.fromCharCode(header[156] || 0x30);
+      // GNU 长文件名和 pax 扩展头中的路径作用于下一个条目
+      if (typeFlag === 'L' || typeFlag === 'x') {
+        if (size > TAR_EXTENSION_MAX) {
+          throw ArchiveReader.error('Invalid TAR archive: extended header too large');
+        }
+        const data = await readAt(handle, start, size);
+        if (typeFlag === 'L') {
+          longName = ArchiveReader.decodeName(trimNull(data), false);
+        } else {
+          const match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(data.toString('utf8'));
+          if (match) {
+            longName = match[1];
+          }
+        }
+        continue;
+      }
+      if (typeFlag === 'g') {
+        continue;
+      }
+
+      let name = longName;
+      longName = null;
+      if (!name) {
+        const prefix = header.toString('latin1', 257, 262) === 'ustar' ? trimNull(header.subarray(345, 500)) : Buffer.alloc(0);
+        const base = trimNull(header.subarray(0, 100));
+        name = ArchiveReader.decodeName(prefix.length > 0 ? Buffer.concat([prefix, Buffer.from('/'), base]) : base, false);
+      }
+
+      let type = 'other';
+      if (typeFlag === '0' || typeFlag === '7') {
+        type = name.endsWith('/') ? 'directory' : 'file';
+      } else if (typeFlag === '5') {
+        type = 'directory';
+      }
+      if (type !== 'directory' && ++files > maxEntries) {
+        throw ArchiveReader.error(`Archive contains more than ${maxEntries} entries`);
+      }
+
+      entries.push({
+        name,
+        type,
+        size,
+        read: async () => {
+          if (size > maxEntrySize) {
+            throw ArchiveReader.error(`Entry exceeds ${maxEntrySize} bytes`, 413);
+          }
+          return readAt(handle, start, size);
+        }
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * 解码文件名：声明为 UTF-8 时按 UTF-8 解码，否则猜测是 UTF-8 还是 GBK
+   *
+   * 中文在 UTF-8 中占三个字节，而一对 GBK 字节最多被误读为双字节的 UTF-8 字符，
+   * 因此出现双字节字符且按 GBK 解码全部为中文时按 GBK 处理。
+   * @param {Buffer} raw - 原始字节
+   * @param {boolean} utf8 - 是否声明为 UTF-8
+   * @returns {string} 文件名
+   */
+  static decodeName(raw, utf8) {
+    const name = raw.toString('utf8');
+    if (utf8) {
+      return name;
+    }
+    const gbk = iconv.decode(raw, 'gbk');
+    if (!Buffer.from(name, 'utf8').equals(raw)) {
+      return gbk;
+    }
+    return /[\u0080-\u07ff]/.test(name) && /^[\x00-\x7f\u3000-\u303f\u4e00-\u9fff\uff00-\uffef]*$/.test(gbk) ? gbk : name;
+  }
+
+  /**
+   * 读取以 NUL 结尾的 ASCII 字段
+   * @param {Buffer} buffer - 数据
+   * @param {number} start - 起始位置
+   * @param {number} length - 字段长度
+   * @returns {string} 字段值
+   */
+  static readString(buffer, start, length) {
+    return trimNull(buffer.subarray(start, start + length)).toString('latin1');
+  }
+
+  /**
+   * 创建归档错误
+   * @param {string} message - 错误信息
+   * @param {number} [status=400] - HTTP状态码
+   * @returns {Error} 错误
+   */
+  static error(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+/**
+ * 从文件的指定位置读取，文件较短时返回实际读到的内容
+ * @param {FileHandle} handle - 文件
+ * @param {number} position - 起始位置
+ * @param {number} length - 长度
+ * @returns {Promise<Buffer>} 读取的内容
+ */
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return bytesRead === length ? buffer : buffer.subarray(0, bytesRead);
+}
+
+/**
+ * 截取第一个 NUL 之前的字节
+ * @param {Buffer} buffer - 数据
+ * @returns {Buffer} 截取后的数据
+ */
+function trimNull(buffer) {
+  const end = buffer.indexOf(0);
+  return end === -1 ? buffer : buffer.subarray(0, end);
+}
+
+module.exports = ArchiveReader;
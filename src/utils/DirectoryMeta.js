@@ -0,0 +1,109 @@
+// 内容分级，从低到高
+const RATINGS = ['safe', 'questionable', 'explicit'];
+
+// 子目录未设置时沿用上级目录设置的字段
+const INHERITED_FIELDS = ['weight', 'hidden', 'private', 'rating', 'cache_control'];
+
+/**
+ * 目录元数据（_meta.json）
+ *
+ * 目录中的 _meta.json 可设置显示标题、描述、封面、默认权重、是否隐藏、是否私有、内容分级和缓存策略。
+ * 权重、隐藏、私有、分级和缓存策略对子目录同样生效，子目录可以覆盖；标题、描述和封面只属于所在目录。
+ * 元数据以 { 目录键: 元数据 } 的形式保存，根目录的键为 `_root`，只作用于根目录中的图片。
+ */
+class DirectoryMeta {
+  /**
+   * 支持的内容分级
+   * @returns {string[]} 分级列表
+   */
+  static get RATINGS() {
+    return RATINGS;
+  }
+
+  /**
+   * 校验并规范化 _meta.json 的内容，无效字段被丢弃
+   * @param {any} raw - 解析后的 JSON
+   * @returns {{meta: Object, errors: string[]}} 规范化后的元数据及无效字段的说明
+   */
+  static normalize(raw) {
+    const meta = {};
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { meta, errors: ['must be a JSON object'] };
+    }
+
+    for (const field of ['title', 'description', 'cache_control']) {
+      if (raw[field] === undefined) continue;
+      if (typeof raw[field] === 'string' && raw[field].trim()) {
+        meta[field] = raw[field].trim();
+      } else {
+        errors.push(`${field} must be a non-empty string`);
+      }
+    }
+
+    if (raw.cover !== undefined) {
+      const cover = typeof raw.cover === 'string' ? raw.cover.replace(/\\/g, '/').replace(/^\/+/, '') : '';
+      if (cover && !cover.split('/').includes('..')) {
+        meta.cover = cover;
+      } else {
+        errors.push('cover must be a file path inside the directory');
+      }
+    }
+
+    if (raw.weight !== undefined) {
+      const weight = Number(raw.weight);
+      if (raw.weight !== null && raw.weight !== '' && Number.isFinite(weight) && weight >= 0) {
+        meta.weight = weight;
+      } else {
+        errors.push('weight must be a non-negative number');
+      }
+    }
+
+    for (const field of ['hidden', 'private']) {
+      if (raw[field] === undefined) continue;
+      if (typeof raw[field] === 'boolean') {
+        meta[field] = raw[field];
+      } else {
+        errors.push(`${field} must be a boolean`);
+      }
+    }
+
+    if (raw.rating !== undefined) {
+      if (RATINGS.includes(raw.rating)) {
+        meta.rating = raw.rating;
+      } else {
+        errors.push(`rating must be one of: ${RATINGS.join(', ')}`);
+      }
+    }
+
+    return { meta, errors };
+  }
+
+  /**
+   * 获取目录生效的元数据，合并各级上级目录可继承的字段
+   * @param {Object} metaMap - 各目录的元数据
+   * @param {string} directory - 目录键
+   * @returns {Object} 生效的元数据
+   */
+  static resolve(metaMap, directory) {
+    const key = String(directory || '_root').replace(/\\/g, '/') || '_root';
+    const own = metaMap[key] || {};
+    const resolved = { ...own };
+
+    const segments = key === '_root' ? [] : key.split('/').slice(0, -1);
+    while (segments.length > 0) {
+      const inherited = metaMap[segments.join('/')];
+      if (inherited) {
+        for (const field of INHERITED_FIELDS) {
+          if (resolved[field] === undefined && inherited[field] !== undefined) {
+            resolved[field] = inherited[field];
+          }
+        }
+      }
+      segments.pop();
+    }
+    return resolved;
+  }
+}
+
+module.exports = DirectoryMeta;
@@ -1,5 +1,6 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const logManager = require('../logging/LogManager');
 
 class FileUtils {
@@ -142,6 +143,22 @@ class FileUtils {
       return 0;
     }
   }
+
+  /**
+   * 流式计算文件内容摘要
+   * @param {string} filePath - 文件路径
+   * @param {string} algorithm - 摘要算法
+   * @returns {Promise<string>} 十六进制摘要
+   */
+  static hashFile(filePath, algorithm = 'sha256') {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash(algorithm);
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
 }
 
 module.exports = FileUtils;
@@ -0,0 +1,67 @@
+class HttpUtils {
+  /**
+   * 解析请求头中的Cookie
+   * @param {any} req - Express请求对象
+   * @returns {Object<string, string>} Cookie键值对
+   */
+  static parseCookies(req) {
+    const header = req.headers && req.headers.cookie;
+    const cookies = {};
+    if (!header) {
+      return cookies;
+    }
+
+    for (const pair of header.split(';')) {
+      const index = pair.indexOf('=');
+      if (index < 0) continue;
+
+      const name = pair.slice(0, index).trim();
+      const value = pair.slice(index + 1).trim();
+      if (!name || Object.prototype.hasOwnProperty.call(cookies, name)) continue;
+
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (e) {
+        cookies[name] = value;
+      }
+    }
+    return cookies;
+  }
+
+  /**
+   * 转义HTML特殊字符
+   * @param {string} value - 原始文本
+   * @returns {string} 转义后的文本
+   */
+  static escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * 序列化Set-Cookie头
+   * @param {string} name - Cookie名称
+   * @param {string} value - Cookie值
+   * @param {Object} options - 选项
+   * @param {number} options.maxAge - 有效期（秒）
+   * @param {string} options.path - 路径
+   * @param {boolean} options.httpOnly - 是否禁止脚本访问
+   * @param {boolean} options.secure - 是否仅HTTPS
+   * @param {string} options.sameSite - SameSite策略
+   * @returns {string} Set-Cookie头的值
+   */
+  static serializeCookie(name, value, { maxAge, path = '/', httpOnly = true, secure = false, sameSite = 'Lax' } = {}) {
+    const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`];
+    if (maxAge !== undefined) parts.push(`Max-Age=${Math.floor(maxAge)}`);
+    if (httpOnly) parts.push('HttpOnly');
+    if (secure) parts.push('Secure');
+    if (sameSite) parts.push(`SameSite=${sameSite}`);
+    return parts.join('; ');
+  }
+}
+
+module.exports = HttpUtils;
@@ -0,0 +1,152 @@
+/**
+ * gitignore 风格的忽略规则
+ *
+ * 每个目录的规则由上级目录的规则和本目录 .imgignore 中的规则组成，按从上到下的顺序匹配，
+ * 最后一条匹配的规则生效，因此下级目录可以用 `!` 重新包含被上级规则忽略的文件。
+ * 支持 `*`、`?`、`**`、`[...]`、以 `/` 结尾只匹配目录、包含 `/` 时相对规则所在目录匹配。
+ */
+class IgnoreRules {
+  /**
+   * @param {IgnoreRules|null} parent - 上级目录的规则
+   * @param {string} base - 规则所在目录（相对图片目录，使用 / 分隔，根目录为空字符串）
+   * @param {Array} rules - 本级规则
+   */
+  constructor(parent = null, base = '', rules = []) {
+    this.parent = parent;
+    this.base = base;
+    this.rules = rules;
+  }
+
+  /**
+   * 解析规则文本
+   * @param {string|string[]} source - .imgignore 文件内容或模式数组
+   * @returns {Array} 规则列表
+   */
+  static parse(source) {
+    const lines = Array.isArray(source) ? source : String(source).split(/\r?\n/);
+    const rules = [];
+
+    for (const rawLine of lines) {
+      let line = String(rawLine).replace(/(?<!\\)\s+$/, '');
+      if (!line || line.startsWith('#')) continue;
+
+      let negate = false;
+      if (line.startsWith('!')) {
+        negate = true;
+        line = line.slice(1);
+      } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+        line = line.slice(1);
+      }
+
+      let dirOnly = false;
+      if (line.endsWith('/')) {
+        dirOnly = true;
+        line = line.slice(0, -1);
+      }
+      if (!line) continue;
+
+      // 开头或中间包含 / 的模式相对规则所在目录匹配，否则匹配任意层级的名称
+      const anchored = line.includes('/');
+      if (line.startsWith('/')) {
+        line = line.slice(1);
+      }
+
+      const body = IgnoreRules.toRegExpSource(line);
+      rules.push({
+        pattern: rawLine,
+        negate,
+        dirOnly,
+        regex: new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`)
+      });
+    }
+    return rules;
+  }
+
+  /**
+   * 把通配模式转换为正则表达式源码
+   * @param {string} pattern - 通配模式
+   * @returns {string} 正则表达式源码
+   */
+  static toRegExpSource(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '*') {
+        if (pattern[i + 1] === '*') {
+          const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+          if (atSegmentStart && pattern[i + 2] === '/') {
+            // **/ 匹配零个或多个目录
+            source += '(?:.*/)?';
+            i += 2;
+          } else {
+            source += '.*';
+            i += 1;
+          }
+        } else {
+          source += '[^/]*';
+        }
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const end = pattern.indexOf(']', i + 1);
+        if (end === -1) {
+          source += '\\[';
+        } else {
+          let set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+          if (set.startsWith('!')) {
+            set = `^${set.slice(1)}`;
+          }
+          source += `[${set}]`;
+          i = end;
+        }
+      } else if (char === '\\' && i + 1 < pattern.length) {
+        source += pattern[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        i += 1;
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      }
+    }
+    return source;
+  }
+
+  /**
+   * 创建下级目录的规则
+   * @param {string} base - 下级目录（相对图片目录）
+   * @param {string|string[]} source - 下级目录 .imgignore 的内容，没有时为空
+   * @returns {IgnoreRules} 下级目录的规则；没有新规则时返回自身
+   */
+  extend(base, source) {
+    const rules = source ? IgnoreRules.parse(source) : [];
+    return rules.length > 0 ? new IgnoreRules(this, base, rules) : this;
+  }
+
+  /**
+   * 判断路径是否被忽略
+   * @param {string} relativePath - 相对图片目录的路径（使用 / 分隔）
+   * @param {boolean} isDirectory - 是否为目录
+   * @returns {boolean} 是否忽略
+   */
+  ignores(relativePath, isDirectory) {
+    const chain = [];
+    for (let level = this; level; level = level.parent) {
+      chain.unshift(level);
+    }
+
+    let ignored = false;
+    for (const level of chain) {
+      if (level.base && relativePath !== level.base && !relativePath.startsWith(`${level.base}/`)) {
+        continue;
+      }
+      const target = level.base ? relativePath.slice(level.base.length + 1) : relativePath;
+      for (const rule of level.rules) {
+        if (rule.dirOnly && !isDirectory) continue;
+        if (rule.regex.test(target)) {
+          ignored = !rule.negate;
+        }
+      }
+    }
+    return ignored;
+  }
+}
+
+module.exports = IgnoreRules;
@@ -0,0 +1,380 @@
+const fs = require('fs-extra');
+
+const HEADER_SIZE = 512;
+const SVG_READ_LIMIT = 64 * 1024;
+const JPEG_MAX_SEGMENTS = 256;
+const EXTENSION_FORMATS = {
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.png': 'png',
+  '.gif': 'gif',
+  '.webp': 'webp',
+  '.bmp': 'bmp',
+  '.svg': 'svg'
+};
+
+/**
+ * 图片尺寸探测工具
+ *
+ * 只读取文件头部解析宽高，不解码像素数据。支持 PNG、JPEG、GIF、WebP、BMP 和 SVG。
+ */
+class ImageProbe {
+  /**
+   * 探测图片文件的格式和尺寸
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<{format: string, width: number, height: number}|null>} 探测结果，无法识别时返回null
+   */
+  static async probe(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const readAt = async (position, length) => {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, position);
+        return buffer.subarray(0, bytesRead);
+      };
+      return await ImageProbe.detect(readAt);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * 检查图片文件的内容与扩展名是否一致，见 checkExtension
+   * @param {string} filePath - 文件路径
+   * @param {string} extension - 小写扩展名
+   * @returns {Promise<string|null>} 不一致时返回原因
+   */
+  static async checkFile(filePath, extension) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const header = Buffer.alloc(HEADER_SIZE);
+      const { bytesRead } = await handle.read(header, 0, HEADER_SIZE, 0);
+      return ImageProbe.checkExtension(header.subarray(0, bytesRead), extension);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * 探测内存中图片数据的格式和尺寸
+   * @param {Buffer} buffer - 图片数据
+   * @returns {Promise<{format: string, width: number, height: number}|null>} 探测结果，无法识别时返回null
+   */
+  static async probeBuffer(buffer) {
+    return ImageProbe.detect(async (position, length) => buffer.subarray(position, position + length));
+  }
+
+  /**
+   * 根据文件头识别格式并解析尺寸
+   * @param {Function} readAt - 读取函数 (position, length) => Promise<Buffer>
+   * @returns {Promise<{format: string, width: number, height: number}|null>} 探测结果
+   */
+  static async detect(readAt) {
+    const header = await readAt(0, HEADER_SIZE);
+    const format = ImageProbe.sniff(header);
+
+    let size = null;
+    switch (format) {
+      case 'png':
+        size = ImageProbe.parsePng(header);
+        break;
+      case 'gif':
+        size = ImageProbe.parseGif(header);
+        break;
+      case 'webp':
+        size = ImageProbe.parseWebp(header);
+        break;
+      case 'bmp':
+        size = ImageProbe.parseBmp(header);
+        break;
+      case 'jpeg':
+        size = await ImageProbe.parseJpeg(readAt);
+        break;
+      case 'svg': {
+        const text = await readAt(0, SVG_READ_LIMIT);
+        size = ImageProbe.parseSvg(text.toString('utf8'));
+        break;
+      }
+      default:
+        return null;
+    }
+
+    if (!size || !(size.width > 0) || !(size.height > 0)) {
+      return null;
+    }
+    return { format, width: size.width, height: size.height };
+  }
+
+  /**
+   * 获取扩展名对应的图片格式
+   * @param {string} extension - 小写扩展名，如 .jpg
+   * @returns {string|null} 格式名称，sniff 无法识别的扩展名返回null
+   */
+  static formatForExtension(extension) {
+    return EXTENSION_FORMATS[extension] || null;
+  }
+
+  /**
+   * 检查文件内容与扩展名是否一致
+   * @param {Buffer} data - 文件内容，至少包含文件头
+   * @param {string} extension - 小写扩展名
+   * @returns {string|null} 不一致时返回原因，一致或无法检查的扩展名返回null
+   */
+  static checkExtension(data, extension) {
+    const expected = ImageProbe.formatForExtension(extension);
+    if (!expected) {
+      return null;
+    }
+    const format = ImageProbe.sniff(data.subarray(0, HEADER_SIZE));
+    if (format === expected) {
+      return null;
+    }
+    return format ? `Content is ${format}, not ${extension}` : `Content is not a recognized image (expected ${expected})`;
+  }
+
+  /**
+   * 根据文件头的魔数识别图片格式
+   * @param {Buffer} header - 文件头
+   * @returns {string|null} 格式名称（png/jpeg/gif/webp/bmp/svg）或null
+   */
+  static sniff(header) {
+    if (header.length >= 8 && header.readUInt32BE(0) === 0x89504e47 && header.readUInt32BE(4) === 0x0d0a1a0a) {
+      return 'png';
+    }
+    if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+      return 'jpeg';
+    }
+    const ascii = header.toString('latin1', 0, Math.min(header.length, 16));
+    if (ascii.startsWith('GIF87a') || ascii.startsWith('GIF89a')) {
+      return 'gif';
+    }
+    if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') {
+      return 'webp';
+    }
+    if (ascii.startsWith('BM') && header.length >= 26) {
+      return 'bmp';
+    }
+
+    const text = header.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (text.startsWith('<') && /<svg[\s>]/i.test(text.slice(0, HEADER_SIZE))) {
+      return 'svg';
+    }
+    if (/^<(\?xml|!--|!doctype\s+svg)/i.test(text)) {
+      // 根元素可能被较长的声明或注释推到文件头之后
+      return 'svg';
+    }
+    return null;
+  }
+
+  /**
+   * 解析PNG尺寸（IHDR块）
+   * @param {Buffer} header - 文件头
+   * @returns {{width: number, height: number}|null}
+   */
+  static parsePng(header) {
+    if (header.length < 24 || header.toString('latin1', 12, 16) !== 'IHDR') {
+      return null;
+    }
+    return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+  }
+
+  /**
+   * 解析GIF尺寸（逻辑屏幕描述符）
+   * @param {Buffer} header - 文件头
+   * @returns {{width: number, height: number}|null}
+   */
+  static parseGif(header) {
+    if (header.length < 10) {
+      return null;
+    }
+    return { width: header.readUInt16LE(6), height: header.readUInt16LE(8) };
+  }
+
+  /**
+   * 解析WebP尺寸（VP8、VP8L、VP8X三种格式）
+   * @param {Buffer} header - 文件头
+   * @returns {{width: number, height: number}|null}
+   */
+  static parseWebp(header) {
+    if (header.length < 30) {
+      return null;
+    }
+
+    const chunk = header.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ') {
+      if (header[23] !== 0x9d || header[24] !== 0x01 || header[25] !== 0x2a) {
+        return null;
+      }
+      return { width: header.readUInt16LE(26) & 0x3fff, height: header.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      if (header[20] !== 0x2f) {
+        return null;
+      }
+      const bits = header.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: header.readUIntLE(24, 3) + 1, height: header.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  /**
+   * 解析BMP尺寸（DIB信息头）
+   * @param {Buffer} header - 文件头
+   * @returns {{width: number, height: number}|null}
+   */
+  static parseBmp(header) {
+    const dibSize = header.readUInt32LE(14);
+    if (dibSize === 12) {
+      // OS/2 BITMAPCOREHEADER
+      return { width: header.readUInt16LE(18), height: header.readUInt16LE(20) };
+    }
+    if (dibSize < 40) {
+      return null;
+    }
+    // 高度为负数表示自上而下存储
+    return { width: Math.abs(header.readInt32LE(18)), height: Math.abs(header.readInt32LE(22)) };
+  }
+
+  /**
+   * 解析JPEG尺寸，逐段跳过直到遇到帧头（SOF），并根据EXIF方向交换宽高
+   * @param {Function} readAt - 读取函数
+   * @returns {Promise<{width: number, height: number}|null>}
+   */
+  static async parseJpeg(readAt) {
+    let position = 2;
+    let orientation = 1;
+
+    for (let i = 0; i < JPEG_MAX_SEGMENTS; i++) {
+      const head = await readAt(position, 4);
+      if (head.length < 2 || head[0] !== 0xff) {
+        return null;
+      }
+
+      const marker = head[1];
+      if (marker === 0xff) {
+        // 填充字节
+        position += 1;
+        continue;
+      }
+      if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+        position += 2;
+        continue;
+      }
+      if (marker === 0xd9 || marker === 0xda || head.length < 4) {
+        // 图像结束或扫描开始之前仍未找到帧头
+        return null;
+      }
+
+      const length = head.readUInt16BE(2);
+      if (length < 2) {
+        return null;
+      }
+
+      const isFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+      if (isFrame) {
+        const frame = await readAt(position + 4, 5);
+        if (frame.length < 5) {
+          return null;
+        }
+        const height = frame.readUInt16BE(1);
+        const width = frame.readUInt16BE(3);
+        // EXIF方向5-8表示图片需旋转90度显示
+        return orientation >= 5 && orientation <= 8
+          ? { width: height, height: width }
+          : { width, height };
+      }
+
+      if (marker === 0xe1) {
+        const segment = await readAt(position + 4, length - 2);
+        orientation = ImageProbe.readExifOrientation(segment) || orientation;
+      }
+
+      position += 2 + length;
+    }
+    return null;
+  }
+
+  /**
+   * 从APP1段中读取EXIF方向标签
+   * @param {Buffer} segment - APP1段数据（不含标记和长度）
+   * @returns {number|null} 方向值（1-8）或null
+   */
+  static readExifOrientation(segment) {
+    if (segment.length < 14 || segment.toString('latin1', 0, 6) !== 'Exif\0\0') {
+      return null;
+    }
+
+    const tiff = segment.subarray(6);
+    const byteOrder = tiff.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+      return null;
+    }
+    const little = byteOrder === 'II';
+    const u16 = offset => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const u32 = offset => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    const ifd = u32(4);
+    if (ifd + 2 > tiff.length) {
+      return null;
+    }
+    const entries = u16(ifd);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (entry + 12 > tiff.length) {
+        return null;
+      }
+      if (u16(entry) === 0x0112) {
+        return u16(entry + 8);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 解析SVG尺寸，优先使用根元素的 width/height，缺失或为相对单位时使用 viewBox
+   * @param {string} text - SVG文本
+   * @returns {{width: number, height: number}|null}
+   */
+  static parseSvg(text) {
+    const match = text.match(/<svg\b([^>]*)>/i);
+    if (!match) {
+      return null;
+    }
+
+    const attributes = match[1];
+    const attribute = (name) => {
+      const found = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+      return found ? (found[1] !== undefined ? found[1] : found[2]).trim() : null;
+    };
+    const toPixels = (value) => {
+      const found = value && value.match(/^(\d+(?:\.\d+)?|\.\d+)\s*(px)?$/i);
+      return found ? Number(found[1]) : null;
+    };
+
+    let width = toPixels(attribute('width'));
+    let height = toPixels(attribute('height'));
+
+    const viewBox = (attribute('viewBox') || '').split(/[\s,]+/).filter(Boolean).map(Number);
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+      const [, , boxWidth, boxHeight] = viewBox;
+      if (width && !height) {
+        height = width * boxHeight / boxWidth;
+      } else if (height && !width) {
+        width = height * boxWidth / boxHeight;
+      } else if (!width && !height) {
+        width = boxWidth;
+        height = boxHeight;
+      }
+    }
+
+    if (!width || !height) {
+      return null;
+    }
+    return { width: Math.round(width), height: Math.round(height) };
+  }
+}
+
+module.exports = ImageProbe;
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+/**
+ * 可复现的伪随机数生成器（sfc32），种子经 SHA-256 展开为 128 位状态
+ */
+class SeededRandom {
+  /**
+   * 根据种子创建随机数函数
+   * @param {string} seed - 种子字符串
+   * @returns {Function} 返回 [0, 1) 区间随机数的函数
+   */
+  static fromSeed(seed) {
+    const digest = crypto.createHash('sha256').update(String(seed)).digest();
+    let a = digest.readUInt32LE(0);
+    let b = digest.readUInt32LE(4);
+    let c = digest.readUInt32LE(8);
+    let d = digest.readUInt32LE(12);
+
+    const next = () => {
+      a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+      let t = (a + b) | 0;
+      a = b ^ (b >>> 9);
+      b = (c + (c << 3)) | 0;
+      c = (c << 21) | (c >>> 11);
+      d = (d + 1) | 0;
+      t = (t + d) | 0;
+      c = (c + t) | 0;
+      return (t >>> 0) / 4294967296;
+    };
+
+    // 丢弃前几个输出，避免相近种子的初始输出相关
+    for (let i = 0; i < 12; i++) {
+      next();
+    }
+
+    return next;
+  }
+
+  /**
+   * 生成种子的短摘要，用于缓存键
+   * @param {string} seed - 种子字符串
+   * @returns {string} 16位十六进制摘要
+   */
+  static digest(seed) {
+    return crypto.createHash('sha256').update(String(seed)).digest('hex').slice(0, 16);
+  }
+}
+
+module.exports = SeededRandom;
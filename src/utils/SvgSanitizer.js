@@ -0,0 +1,316 @@
+// 可以执行脚本或嵌入 HTML 的元素，连同其内容一起删除
+const UNSAFE_ELEMENTS = ['script', 'foreignobject', 'iframe', 'embed', 'object', 'handler', 'listener', 'base', 'meta', 'link'];
+// 可以修改其他属性的动画元素
+const ANIMATION_ELEMENTS = ['animate', 'set', 'animatemotion', 'animatetransform'];
+// 值为地址的属性，只允许文档内引用和内嵌的位图
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction'];
+const SAFE_URL = /^(#|data:image\/(png|jpeg|gif|webp);)/i;
+
+const NAME = '[A-Za-z_][\\w:.-]*';
+const TOKENS = [
+  ['comment', /<!--[\s\S]*?-->/y],
+  ['cdata', /<!\[CDATA\[([\s\S]*?)\]\]>/y],
+  ['instruction', /<\?([\s\S]*?)\?>/y],
+  ['doctype', /<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>/iy],
+  ['end', new RegExp(`</(${NAME})\\s*>`, 'y')],
+  ['start', new RegExp(`<(${NAME})((?:\\s+${NAME}\\s*=\\s*(?:"[^"]*"|'[^']*'))*)\\s*(/?)>`, 'y')]
+];
+const ATTRIBUTE = new RegExp(`(${NAME})\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'g');
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+/**
+ * SVG 清理工具
+ *
+ * SVG 直接从本站域名访问时其中的脚本会被执行，因此上传前删除脚本、事件处理属性和外部引用。
+ * 没有使用完整的 XML 解析器，而是按标签逐个处理：无法识别的结构直接拒绝，而不是尝试修复。
+ */
+class SvgSanitizer {
+  /**
+   * 清理 SVG 文本
+   * @param {string} text - SVG 文本
+   * @returns {{svg: string, removed: string[]}} 清理后的文本及被删除的内容说明，removed 为空表示原文件是安全的
+   * @throws {Error} 不是格式正确的 SVG 文档时抛出，error.status 为400
+   */
+  static sanitize(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const removed = new Set();
+    const stack = [];
+    let output = '';
+    let dropDepth = -1;
+    let styleText = null;
+    let position = 0;
+
+    while (position < source.length) {
+      const next = source.indexOf('<', position);
+      const end = next === -1 ? source.length : next;
+      if (end > position) {
+        const textContent = source.slice(position, end);
+        if (stack.length === 0 && textContent.trim()) {
+          throw SvgSanitizer.error('Unexpected text outside the root element');
+        }
+        if (styleText !== null) {
+          styleText += SvgSanitizer.decode(textContent);
+        } else if (dropDepth < 0) {
+          output += textContent;
+        }
+        position = end;
+        continue;
+      }
+
+      const [type, match] = SvgSanitizer.readToken(source, position);
+      position += match[0].length;
+      const dropping = dropDepth >= 0;
+
+      switch (type) {
+        case 'comment':
+          break;
+        case 'doctype':
+          // 内部子集可以声明实体，直接删除
+          removed.add('DOCTYPE');
+          break;
+        case 'instruction':
+          if (/^xml\s/i.test(match[1]) && position === match[0].length) {
+            output += match[0];
+          } else {
+            removed.add('processing instruction');
+          }
+          break;
+        case 'cdata':
+          if (styleText !== null) {
+            styleText += match[1];
+          } else if (!dropping) {
+            output += match[0];
+          }
+          break;
+        case 'end': {
+          const name = match[1];
+          if (stack.pop() !== name) {
+            throw SvgSanitizer.error(`Mismatched closing tag </${name}>`);
+          }
+          if (styleText !== null) {
+            output += SvgSanitizer.escape(SvgSanitizer.cleanCss(styleText, removed));
+            styleText = null;
+          }
+          if (!dropping) {
+            output += match[0];
+          } else if (stack.length < dropDepth) {
+            dropDepth = -1;
+          }
+          break;
+        }
+        case 'start': {
+          const [, name, attributes, selfClosing] = match;
+          if (styleText !== null) {
+            throw SvgSanitizer.error('Unexpected element inside <style>');
+          }
+          if (stack.length === 0 && SvgSanitizer.localName(name) !== 'svg') {
+            throw SvgSanitizer.error(`Root element must be <svg>, found <${name}>`);
+          }
+          if (stack.length === 0 && output.replace(/<\?[\s\S]*?\?>/, '').trim()) {
+            throw SvgSanitizer.error('Multiple root elements');
+          }
+          const unsafe = !dropping && SvgSanitizer.isUnsafeElement(name, attributes);
+          if (unsafe) {
+            removed.add(`<${SvgSanitizer.localName(name)}>`);
+          }
+          if (!selfClosing) {
+            stack.push(name);
+            if (unsafe) {
+              dropDepth = stack.length;
+            }
+          }
+          if (dropping || unsafe) {
+            break;
+          }
+          output += `<${name}${SvgSanitizer.cleanAttributes(attributes, removed)}${selfClosing ? '/' : ''}>`;
+          if (!selfClosing && SvgSanitizer.localName(name) === 'style') {
+            styleText = '';
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    if (stack.length > 0) {
+      throw SvgSanitizer.error(`Unclosed element <${stack[stack.length - 1]}>`);
+    }
+    if (!output.includes('<')) {
+      throw SvgSanitizer.error('No <svg> root element');
+    }
+    return { svg: output, removed: [...removed] };
+  }
+
+  /**
+   * 读取当前位置的标记
+   * @param {string} source - SVG 文本
+   * @param {number} position - 位置，指向 <
+   * @returns {Array} [类型, 匹配结果]
+   */
+  static readToken(source, position) {
+    for (const [type, pattern] of TOKENS) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(source);
+      if (match) {
+        return [type, match];
+      }
+    }
+    throw SvgSanitizer.error(`Malformed markup at offset ${position}`);
+  }
+
+  /**
+   * 判断元素是否需要整个删除
+   * @param {string} name - 元素名
+   * @param {string} attributes - 属性文本
+   * @returns {boolean}
+   */
+  static isUnsafeElement(name, attributes) {
+    const local = SvgSanitizer.localName(name);
+    if (UNSAFE_ELEMENTS.includes(local)) {
+      return true;
+    }
+    if (ANIMATION_ELEMENTS.includes(local)) {
+      // 动画可以把链接改成 javascript: 地址或设置事件处理属性
+      const target = SvgSanitizer.parseAttributes(attributes)
+        .find(attribute => SvgSanitizer.localName(attribute.name) === 'attributename');
+      const targetName = target ? SvgSanitizer.localName(target.value.trim()) : '';
+      return URL_ATTRIBUTES.includes(targetName) || targetName.startsWith('on') || targetName === 'style';
+    }
+    return false;
+  }
+
+  /**
+   * 删除事件处理属性和外部引用
+   * @param {string} attributes - 属性文本
+   * @param {Set<string>} removed - 记录被删除的内容
+   * @returns {string} 清理后的属性文本
+   */
+  static cleanAttributes(attributes, removed) {
+    return SvgSanitizer.parseAttributes(attributes).map(({ name, value, raw }) => {
+      const local = SvgSanitizer.localName(name);
+      const compact = value.replace(/[\s\u0000-\u001f]+/g, '').toLowerCase();
+      if (local.startsWith('on')) {
+        removed.add(`${local} attribute`);
+        return '';
+      }
+      if (URL_ATTRIBUTES.includes(local) && !SAFE_URL.test(value.trim())) {
+        removed.add(`external ${local}`);
+        return '';
+      }
+      if (local === 'base' || /(?:java|vb)script:/.test(compact)) {
+        removed.add(`${local} attribute`);
+        return '';
+      }
+      if (local === 'style' ? SvgSanitizer.cleanCss(value, new Set()) !== value : SvgSanitizer.hasExternalUrl(value)) {
+        removed.add(`external reference in ${local}`);
+        return '';
+      }
+      return ` ${raw}`;
+    }).join('');
+  }
+
+  /**
+   * 清理 CSS：删除 @import 和指向外部的 url()，包含转义字符时整段删除
+   * @param {string} css - CSS 文本（已解码实体）
+   * @param {Set<string>} removed - 记录被删除的内容
+   * @returns {string} 清理后的 CSS
+   */
+  static cleanCss(css, removed) {
+    // CSS 转义可以拼出任意关键字，无法可靠检查
+    if (css.includes('\\') || /expression\s*\(|javascript:/i.test(css)) {
+      removed.add('unsafe CSS');
+      return '';
+    }
+    let cleaned = css.replace(/@import[^;]*;?/gi, () => {
+      removed.add('@import');
+      return '';
+    });
+    cleaned = cleaned.replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, url) => {
+      if (SAFE_URL.test(url.trim())) {
+        return match;
+      }
+      removed.add('external url()');
+      return 'none';
+    });
+    return cleaned;
+  }
+
+  /**
+   * 判断属性值中是否有指向外部的 url()
+   * @param {string} value - 属性值（已解码实体）
+   * @returns {boolean}
+   */
+  static hasExternalUrl(value) {
+    const pattern = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+      if (!SAFE_URL.test(match[2].trim())) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 解析属性文本
+   * @param {string} attributes - 属性文本
+   * @returns {Array<{name: string, value: string, raw: string}>} 属性列表，value 已解码实体
+   */
+  static parseAttributes(attributes) {
+    const result = [];
+    ATTRIBUTE.lastIndex = 0;
+    let match;
+    while ((match = ATTRIBUTE.exec(attributes)) !== null) {
+      const value = match[2] !== undefined ? match[2] : match[3];
+      result.push({ name: match[1], value: SvgSanitizer.decode(value), raw: match[0] });
+    }
+    return result;
+  }
+
+  /**
+   * 取不含命名空间前缀的小写名称
+   * @param {string} name - 元素或属性名
+   * @returns {string}
+   */
+  static localName(name) {
+    return name.slice(name.lastIndexOf(':') + 1).toLowerCase();
+  }
+
+  /**
+   * 解码 XML 字符引用和预定义实体
+   * @param {string} text - 文本
+   * @returns {string}
+   */
+  static decode(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+      }
+      return ENTITIES[entity.toLowerCase()] !== undefined ? ENTITIES[entity.toLowerCase()] : match;
+    });
+  }
+
+  /**
+   * 转义文本中的 XML 特殊字符
+   * @param {string} text - 文本
+   * @returns {string}
+   */
+  static escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  }
+
+  /**
+   * 创建 SVG 错误
+   * @param {string} message - 错误信息
+   * @returns {Error}
+   */
+  static error(message) {
+    const error = new Error(`Invalid SVG: ${message}`);
+    error.status = 400;
+    return error;
+  }
+}
+
+module.exports = SvgSanitizer;
@@ -0,0 +1,92 @@
+class TimeUtils {
+  /**
+   * 获取指定时刻在时区中的日期和时间分量
+   * @param {number|Date} date - 时刻
+   * @param {string} timezone - IANA时区名称
+   * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} 时间分量
+   */
+  static getParts(date, timezone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    });
+
+    const parts = {};
+    for (const part of formatter.formatToParts(new Date(date))) {
+      if (part.type !== 'literal') {
+        parts[part.type] = Number(part.value);
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * 计算时区在指定时刻相对UTC的偏移
+   * @param {number} timestamp - 时刻（毫秒）
+   * @param {string} timezone - IANA时区名称
+   * @returns {number} 偏移（毫秒），东区为正
+   */
+  static getOffset(timestamp, timezone) {
+    const p = TimeUtils.getParts(timestamp, timezone);
+    const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUTC - Math.floor(timestamp / 1000) * 1000;
+  }
+
+  /**
+   * 获取指定时刻在时区中的日期
+   * @param {number|Date} date - 时刻
+   * @param {string} timezone - IANA时区名称
+   * @returns {string} YYYY-MM-DD 格式的日期
+   */
+  static getDateString(date, timezone) {
+    const p = TimeUtils.getParts(date, timezone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  }
+
+  /**
+   * 校验 YYYY-MM-DD 格式的日期是否有效
+   * @param {string} value - 日期字符串
+   * @returns {boolean} 是否有效
+   */
+  static isValidDateString(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return false;
+    }
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  }
+
+  /**
+   * 日期加减天数
+   * @param {string} dateString - YYYY-MM-DD 格式的日期
+   * @param {number} days - 天数，可为负数
+   * @returns {string} 新日期
+   */
+  static addDays(dateString, days) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * 获取日期在时区中的开始时刻（当地零点）
+   * @param {string} dateString - YYYY-MM-DD 格式的日期
+   * @param {string} timezone - IANA时区名称
+   * @returns {Date} 当地零点对应的时刻
+   */
+  static getStartOfDay(dateString, timezone) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const guess = Date.UTC(year, month - 1, day);
+    // 偏移本身取决于时刻，夏令时切换日需要用修正后的时刻再算一次
+    const offset = TimeUtils.getOffset(guess - TimeUtils.getOffset(guess, timezone), timezone);
+    return new Date(guess - offset);
+  }
+}
+
+module.exports = TimeUtils;
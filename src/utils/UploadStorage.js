@@ -0,0 +1,93 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const ArchiveReader = require('./ArchiveReader');
+
+/**
+ * multer 存储引擎：上传的文件写入临时目录，而不是缓存在内存中
+ *
+ * 接收时按文件名区分图片和归档，分别限制大小，超过时立即中止请求。之后的处理沿用这一区分，见 AdminService.uploadFiles。
+ * 文件处理完后由调用方删除，见 remove。
+ */
+class UploadStorage {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.maxFileSize - 图片的最大大小（字节）
+   * @param {number} options.maxArchiveSize - 归档的最大大小（字节）
+   * @param {string} [options.directory] - 临时目录
+   */
+  constructor({ maxFileSize, maxArchiveSize, directory = path.join(os.tmpdir(), 'random-image-api-uploads') }) {
+    this.maxFileSize = maxFileSize;
+    this.maxArchiveSize = maxArchiveSize;
+    this.directory = directory;
+  }
+
+  /**
+   * 保存上传的文件（multer 存储引擎接口）
+   * @param {any} req - Express请求对象
+   * @param {Object} file - multer 文件信息
+   * @param {Function} cb - 回调，成功时传入 { path, size, archive }，archive 为按文件名确定的归档格式
+   */
+  _handleFile(req, file, cb) {
+    const archive = ArchiveReader.formatOfName(file.originalname);
+    const limit = archive ? this.maxArchiveSize : this.maxFileSize;
+
+    fs.ensureDir(this.directory).then(() => {
+      const target = path.join(this.directory, crypto.randomBytes(16).toString('hex'));
+      const output = fs.createWriteStream(target);
+      let size = 0;
+      let failed = false;
+
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        file.stream.unpipe(output);
+        // 丢弃剩余内容，让 multer 继续读取请求
+        file.stream.resume();
+        output.destroy();
+        fs.remove(target).catch(() => {});
+        cb(error);
+      };
+
+      file.stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > limit) {
+          const error = new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname);
+          error.message = `${archive ? 'Archive' : 'Image'} exceeds ${limit} bytes`;
+          fail(error);
+        }
+      });
+      file.stream.on('error', fail);
+      output.on('error', fail);
+      output.on('finish', () => {
+        if (!failed) {
+          cb(null, { path: target, size, archive });
+        }
+      });
+      file.stream.pipe(output);
+    }, cb);
+  }
+
+  /**
+   * 删除已保存的文件（multer 存储引擎接口，请求出错时调用）
+   * @param {any} req - Express请求对象
+   * @param {Object} file - multer 文件信息
+   * @param {Function} cb - 回调
+   */
+  _removeFile(req, file, cb) {
+    UploadStorage.remove([file]).then(() => cb(null), cb);
+  }
+
+  /**
+   * 删除临时文件
+   * @param {Array<{path: string}>} files - multer 文件信息
+   * @returns {Promise<void>}
+   */
+  static async remove(files) {
+    await Promise.all(files.filter(file => file.path).map(file => fs.remove(file.path)));
+  }
+}
+
+module.exports = UploadStorage;
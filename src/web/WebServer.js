@@ -7,13 +7,29 @@ const iconv = require('iconv-lite');
 const logManager = require('../logging/LogManager');
 const ApiService = require('../api/ApiService');
 const AdminService = require('../api/AdminService');
+const TagStore = require('../api/TagStore');
+const ApiKeyStore = require('../api/ApiKeyStore');
+const AdminAccountStore = require('../api/AdminAccountStore');
+const AdminSessionStore = require('../api/AdminSessionStore');
+const AuditLog = require('../api/AuditLog');
+const UpdateService = require('../services/UpdateService');
+const JobManager = require('../services/JobManager');
 const FileUtils = require('../utils/FileUtils');
+const HttpUtils = require('../utils/HttpUtils');
+const UploadStorage = require('../utils/UploadStorage');
 
 /**
  * Web服务器类，处理HTTP/HTTPS请求
  */
 class WebServer {
-  constructor(config, cacheManager) {
+  /**
+   * @param {any} config - 应用配置
+   * @param {any} cacheManager - 缓存管理器
+   * @param {Object} options - 选项
+   * @param {UpdateService} [options.updateService] - 共享的更新服务，未提供时创建一个不带定时任务的实例，
+   *   也不运行回收站自动清除等其他定时任务
+   */
+  constructor(config, cacheManager, { updateService = null } = {}) {
     this.config = config;
     this.cacheManager = cacheManager;
     this.app = express();
@@ -21,6 +37,16 @@ class WebServer {
     this.httpsServer = null;
     this.apiService = null;
     this.adminService = null;
+    this.updateService = updateService || new UpdateService(config);
+    this.runsScheduledTasks = Boolean(updateService);
+    this.jobManager = new JobManager();
+    this.apiKeys = new ApiKeyStore();
+    this.adminAccounts = new AdminAccountStore({
+      maxAttempts: config.admin.max_login_attempts,
+      lockout: config.admin.lockout
+    });
+    this.adminSessions = new AdminSessionStore({ ttl: config.admin.session_ttl, maxSessions: config.admin.max_sessions });
+    this.auditLog = new AuditLog();
     this.isRunning = false;
     
     // 初始化multer
@@ -35,28 +61,44 @@ class WebServer {
    * 初始化multer配置
    */
   initMulter() {
-    // 内存存储配置 - memoryStorage不支持filename选项
+    const limits = this.config.upload;
+    // 上传的文件写入临时目录，图片和归档在接收时分别限制大小；文件类型由 AdminService 逐个检查
     this.multer = multer({
-      storage: multer.memoryStorage(),
+      storage: new UploadStorage({ maxFileSize: limits.max_file_size, maxArchiveSize: limits.max_archive_size }),
       limits: {
-        fileSize: 10 * 1024 * 1024, // 10MB文件大小限制
-        files: 1 // 单次只允许上传1个文件
-      },
-      fileFilter: (req, file, cb) => {
-        // 允许的图片格式
-        const allowedTypes = /jpeg|jpg|png|gif|webp|bmp|svg/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        
-        if (mimetype && extname) {
-          return cb(null, true);
-        } else {
-          cb(new Error('只允许上传图片文件'));
-        }
+        fileSize: Math.max(limits.max_file_size, limits.max_archive_size),
+        files: limits.max_files
       }
     });
   }
 
+  /**
+   * 接收 file 或 files 字段上传的文件，超过数量或大小限制时返回413
+   */
+  receiveUploads(req, res, next) {
+    const limits = this.config.upload;
+    const fields = [{ name: 'file', maxCount: limits.max_files }, { name: 'files', maxCount: limits.max_files }];
+    this.multer.fields(fields)(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      let status = 400;
+      let message = error.message;
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        status = 413;
+      } else if (error.code === 'LIMIT_FILE_COUNT') {
+        status = 413;
+        message = `At most ${limits.max_files} files can be uploaded at once`;
+      }
+      logManager.warn(`Upload rejected: ${message}`, { module: 'WEB', request: req });
+      res.status(status).json({
+        error: status === 413 ? 'Payload Too Large' : 'Bad Request',
+        message
+      });
+    });
+  }
+
   /**
    * 启动Web服务器
    * @returns {Promise<void>}
@@ -86,9 +128,45 @@ class WebServer {
     this.apiService = new ApiService(this.config, this.cacheManager);
     await this.apiService.start();
     
+    // 扫描结果直接应用到内存索引，无需等待定时重新加载
+    this.updateService.onUpdate(({ imageList, imageDetails, directoryMeta }) => {
+      this.apiService.setImages(imageList, imageDetails, directoryMeta);
+    });
+    
     // 初始化管理服务
-    this.adminService = new AdminService(this.config, this.cacheManager);
+    this.adminService = new AdminService(this.config, this.cacheManager, this.updateService);
     await this.adminService.initialize();
+    if (this.runsScheduledTasks) {
+      this.adminService.startAutoPurge();
+    }
+    
+    // 既没有密钥也没有 UPDATE_TOKEN 时生成一个初始管理密钥，否则管理接口将无法使用。
+    // 令牌写入只有当前用户可读的文件，不写入日志
+    if (!process.env.UPDATE_TOKEN && await this.apiKeys.isEmpty()) {
+      const { key, token } = await this.apiKeys.create({ label: 'bootstrap', scopes: ['admin'] });
+      const tokenPath = path.join(__dirname, '../../bootstrap-admin-key.txt');
+      await fs.writeFile(tokenPath, `${token}\n`, { mode: 0o600 });
+      await fs.chmod(tokenPath, 0o600);
+      logManager.warn(`No API keys configured. Created bootstrap admin key ${key.id}; its token was written to ${tokenPath}. Store it, delete the file and create narrower keys via /admin/api/keys`, { module: 'WEB' });
+    }
+    
+    // 没有管理员账户时，可以通过 ADMIN_USERNAME 和 ADMIN_PASSWORD 环境变量创建第一个账户
+    if (await this.adminAccounts.isEmpty()) {
+      if (process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+        await this.adminAccounts.create(process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD);
+      } else {
+        logManager.warn('No admin accounts configured; set ADMIN_USERNAME and ADMIN_PASSWORD or create one via POST /admin/api/accounts to use the admin panel', { module: 'WEB' });
+      }
+    }
+    
+    // 排队中的扫描合并为一个，只要有一个请求要求全量扫描就全量扫描
+    this.jobManager.register('update', (params, job) => this.adminService.updateImageList({
+      full: params.full,
+      onProgress: job.setProgress,
+      onError: job.addError
+    }), {
+      merge: (queued, params) => ({ full: queued.full || params.full })
+    });
   }
 
   /**
@@ -182,33 +260,212 @@ class WebServer {
   }
 
   /**
-   * 验证令牌中间件
+   * 识别请求携带的凭据
+   *
+   * 密钥通过 `Authorization: Bearer <key>` 发送；设置了 UPDATE_TOKEN 环境变量时，
+   * 该令牌（Bearer 或兼容旧版的 `?token=`）视为拥有全部权限的密钥。
+   * 两者都没有时使用管理员登录会话Cookie，登录的管理员拥有全部权限。
    * @param {any} req - Express请求对象
-   * @param {any} res - Express响应对象
-   * @param {Function} next - 下一个中间件
+   * @returns {Promise<{key: Object|null, error: string|null}>} 密钥记录（会话认证时带有 session），未携带凭据时两者均为null
    */
-  validateToken(req, res, next) {
-    const UPDATE_TOKEN = process.env.UPDATE_TOKEN;
+  async authenticateRequest(req) {
+    const header = req.get('Authorization') || '';
+    const bearer = /^Bearer\s+(\S+)$/i.exec(header);
+    const token = bearer ? bearer[1] : null;
+    const legacyToken = typeof req.query.token === 'string' ? req.query.token : null;
     
-    // 如果没有设置环境变量，跳过验证
-    if (!UPDATE_TOKEN) {
-      logManager.debug('UPDATE_TOKEN not set, skipping token validation', { module: 'WEB', request: req });
-      return next();
+    const UPDATE_TOKEN = process.env.UPDATE_TOKEN;
+    if (UPDATE_TOKEN) {
+      for (const candidate of [token, legacyToken]) {
+        if (candidate && ApiKeyStore.safeEqual(candidate, UPDATE_TOKEN)) {
+          return { key: { id: 'UPDATE_TOKEN', label: 'UPDATE_TOKEN', scopes: ['admin'], quota: null }, error: null };
+        }
+      }
     }
     
-    const providedToken = req.query.token;
-    
-    if (!providedToken || providedToken !== UPDATE_TOKEN) {
-      logManager.warn(`Token validation failed. Provided: ${providedToken ? '[REDACTED]' : 'none'}`, { module: 'WEB', request: req });
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Valid token required',
+    if (header && !bearer) {
+      return { key: null, error: 'Authorization header must use the Bearer scheme' };
+    }
+    if (legacyToken && !token) {
+      return { key: null, error: 'Invalid token' };
+    }
+    if (!token) {
+      const session = await this.getAdminSession(req);
+      if (!session) {
+        return { key: null, error: null };
+      }
+      return { key: { id: `session:${session.username}`, label: session.username, scopes: ['admin'], quota: null, session }, error: null };
+    }
+    return this.apiKeys.authenticate(token);
+  }
+
+  /**
+   * 读取请求Cookie中的管理员会话，账户已删除或修改过密码的会话视为无效
+   * @param {any} req - Express请求对象
+   * @returns {Promise<Object|null>} 会话内容（附带 id）
+   */
+  async getAdminSession(req) {
+    const sessionId = HttpUtils.parseCookies(req)[this.config.admin.session_cookie];
+    const session = sessionId ? await this.adminSessions.get(sessionId) : null;
+    if (!session) {
+      return null;
+    }
+    const account = await this.adminAccounts.find(session.username);
+    if (!account || (account.version || 1) !== session.version) {
+      await this.adminSessions.destroy(sessionId);
+      return null;
+    }
+    return { ...session, id: sessionId };
+  }
+
+  /**
+   * 校验会话认证的修改请求携带的 CSRF 令牌
+   * @param {any} req - Express请求对象
+   * @param {Object} session - 会话内容
+   * @returns {boolean} 是否通过（只读请求总是通过）
+   */
+  checkCsrf(req, session) {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      return true;
+    }
+    const provided = req.get('X-CSRF-Token');
+    return typeof provided === 'string' && ApiKeyStore.safeEqual(provided, session.csrfToken);
+  }
+
+  /**
+   * 检查密钥配额，设置 X-RateLimit-* 响应头
+   * @param {Object} key - 密钥记录
+   * @param {any} res - Express响应对象
+   * @returns {boolean} 是否允许请求（不允许时已发送429响应）
+   */
+  checkKeyQuota(key, res) {
+    const quota = this.apiKeys.consume(key);
+    if (!quota) {
+      return true;
+    }
+    res.setHeader('X-RateLimit-Limit', quota.limit);
+    res.setHeader('X-RateLimit-Remaining', quota.remaining);
+    res.setHeader('X-RateLimit-Reset', quota.reset);
+    if (!quota.allowed) {
+      res.setHeader('Retry-After', quota.reset);
+      res.status(429).json({
+        error: 'Too Many Requests',
+        message: `API key quota of ${quota.limit} requests per ${key.quota.window}s exceeded`,
+        ...quota,
         timestamp: logManager.getCurrentTimestamp()
       });
+      return false;
     }
-    
-    logManager.debug('Token validation successful', { module: 'WEB', request: req });
-    next();
+    return true;
+  }
+
+  /**
+   * 创建权限校验中间件，要求请求携带拥有指定权限且未超出配额的密钥
+   * @param {string} scope - 需要的权限（read、upload、delete、admin、cache）
+   * @returns {Function} Express中间件
+   */
+  requireScope(scope) {
+    return async (req, res, next) => {
+      try {
+        const { key, error } = await this.authenticateRequest(req);
+        // 审计日志需要记录被拒绝的请求来自哪个密钥或用户
+        res.locals.credential = key;
+        if (!key) {
+          logManager.warn(`Authentication failed for ${req.method} ${req.path}: ${error || 'no API key'}`, { module: 'WEB', request: req });
+          return res.status(401).json({
+            error: 'Unauthorized',
+            message: error || 'Login or API key required (Authorization: Bearer <key>)',
+            timestamp: logManager.getCurrentTimestamp()
+          });
+        }
+        if (key.session && !this.checkCsrf(req, key.session)) {
+          logManager.warn(`CSRF check failed for ${req.method} ${req.path} (${key.label})`, { module: 'WEB', request: req });
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Missing or invalid CSRF token (X-CSRF-Token header)',
+            timestamp: logManager.getCurrentTimestamp()
+          });
+        }
+        if (!ApiKeyStore.hasScope(key, scope)) {
+          logManager.warn(`API key ${key.id} lacks scope "${scope}" for ${req.method} ${req.path}`, { module: 'WEB', request: req });
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: `API key lacks the "${scope}" scope`,
+            scope,
+            timestamp: logManager.getCurrentTimestamp()
+          });
+        }
+        if (!this.checkKeyQuota(key, res)) {
+          return;
+        }
+        
+        req.apiKey = key;
+        logManager.debug(`API key ${key.id} authorized for scope "${scope}"`, { module: 'WEB', request: req });
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * 创建审计中间件，在响应结束后记录一条审计日志
+   *
+   * 需放在权限校验之前，使未通过认证或权限校验的请求同样被记录。
+   * 处理函数可以设置 res.locals.audit = { target, before, after } 补充目标路径和操作前后的元数据。
+   * @param {string|Function} action - 操作名称，如 image.delete，或根据请求返回操作名称的函数
+   * @param {Function} [getTarget] - 根据请求返回目标路径
+   * @returns {Function} Express中间件
+   */
+  audit(action, getTarget = () => null) {
+    return (req, res, next) => {
+      // 记录失败响应中的错误说明
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body === 'object') {
+          res.locals.auditError = body.message || body.error || null;
+        }
+        return json(body);
+      };
+      
+      res.on('finish', () => {
+        const details = res.locals.audit || {};
+        const key = req.apiKey || res.locals.credential;
+        let actor = { type: 'anonymous', id: null, name: null };
+        if (details.actor) {
+          actor = details.actor;
+        } else if (key && key.session) {
+          actor = { type: 'user', id: key.session.username, name: key.session.username };
+        } else if (key && key.id === 'UPDATE_TOKEN') {
+          actor = { type: 'token', id: key.id, name: key.label };
+        } else if (key) {
+          actor = { type: 'key', id: key.id, name: key.label };
+        }
+        
+        let target = details.target;
+        if (target === undefined) {
+          try {
+            target = getTarget(req);
+          } catch (error) {
+            target = null;
+          }
+        }
+        
+        const status = res.statusCode;
+        this.auditLog.append({
+          actor,
+          ip: this.apiService.getClientIP(req),
+          action: typeof action === 'function' ? action(req) : action,
+          target: target || null,
+          before: details.before || null,
+          after: details.after || null,
+          result: status < 400 ? 'success' : [401, 403, 429].includes(status) ? 'denied' : 'failure',
+          status,
+          error: status >= 400 ? res.locals.auditError || null : null
+        });
+      });
+      next();
+    };
   }
 
   /**
@@ -225,25 +482,25 @@ class WebServer {
     this.app.get('/stats', this.getStats.bind(this));
     
     // 手动更新
-    this.app.get('/update', this.validateToken.bind(this), this.handleUpdate.bind(this));
+    this.app.get('/update', this.audit('update.run'), this.requireScope('admin'), this.handleUpdate.bind(this));
     
     // 缓存状态
     this.app.get('/cache/status', this.getCacheStatus.bind(this));
     
     // 缓存重连
-    this.app.post('/cache/reconnect', this.handleCacheReconnect.bind(this));
+    this.app.post('/cache/reconnect', this.audit('cache.reconnect'), this.requireScope('cache'), this.handleCacheReconnect.bind(this));
     
     // 重置重试计数器
-    this.app.post('/cache/reset', this.validateToken.bind(this), this.handleResetRetryCount.bind(this));
+    this.app.post('/cache/reset', this.audit('cache.reset'), this.requireScope('cache'), this.handleResetRetryCount.bind(this));
     
     // 缓存TTL查询
     this.app.get('/cache/ttl/:key', this.getCacheTTL.bind(this));
     
     // 设置缓存过期时间
-    this.app.post('/cache/expire/:key', this.setCacheExpire.bind(this));
+    this.app.post('/cache/expire/:key', this.audit('cache.expire', req => req.params.key), this.requireScope('cache'), this.setCacheExpire.bind(this));
     
     // 清空缓存
-    this.app.post('/cache/clear', this.validateToken.bind(this), this.clearCache.bind(this));
+    this.app.post('/cache/clear', this.audit('cache.clear'), this.requireScope('cache'), this.clearCache.bind(this));
     
     // API路由
     this.app.get('/api', this.handleApiRoute.bind(this));
@@ -271,22 +528,66 @@ class WebServer {
     // 管理页面路由
     this.app.get('/admin', this.getAdminPage.bind(this));
     
+    // 登录与会话
+    this.app.get('/admin/login', this.getAdminLoginPage.bind(this));
+    this.app.post('/admin/login', this.audit('admin.login'), this.handleAdminLogin.bind(this));
+    this.app.post('/admin/logout', this.audit('admin.logout'), this.handleAdminLogout.bind(this));
+    this.app.get('/admin/api/session', this.requireScope('read'), this.getAdminSessionInfo.bind(this));
+    
+    // 管理员账户
+    this.app.get('/admin/api/accounts', this.requireScope('admin'), this.getAdminAccounts.bind(this));
+    this.app.post('/admin/api/accounts', this.audit('account.create', req => (req.body || {}).username), this.requireScope('admin'), this.createAdminAccount.bind(this));
+    this.app.patch('/admin/api/accounts/:username', this.audit('account.update', req => req.params.username), this.requireScope('admin'), this.updateAdminAccount.bind(this));
+    this.app.delete('/admin/api/accounts/:username', this.audit('account.delete', req => req.params.username), this.requireScope('admin'), this.deleteAdminAccount.bind(this));
+    
     // 图片管理
-    this.app.get('/admin/api/images', this.getAdminImages.bind(this));
-    this.app.delete('/admin/api/images/:path', this.validateToken.bind(this), this.deleteAdminImage.bind(this));
+    this.app.get('/admin/api/images', this.requireScope('read'), this.getAdminImages.bind(this));
+    this.app.delete('/admin/api/images/:path', this.audit('image.delete', req => req.params.path), this.requireScope('delete'), this.deleteAdminImage.bind(this));
+    this.app.patch('/admin/api/images/:path', this.audit(req => `image.${this.getTransferMode(req)}`, req => req.params.path), this.requireScope('upload'), this.transferAdminImage.bind(this));
+    this.app.get('/admin/api/images/:path/file', this.requireScope('read'), this.getAdminImageFile.bind(this));
+    this.app.post('/admin/api/signed-urls', this.audit('signed_url.create', req => (req.body || {}).path || req.query.path), this.requireScope('admin'), this.createAdminSignedUrl.bind(this));
+    
+    // 标签管理
+    this.app.get('/admin/api/tags', this.requireScope('read'), this.getAdminTags.bind(this));
+    this.app.get('/admin/api/images/:path/tags', this.requireScope('read'), this.getAdminImageTags.bind(this));
+    this.app.put('/admin/api/images/:path/tags', this.audit('image.tags.set', req => req.params.path), this.requireScope('upload'), this.updateAdminImageTags.bind(this));
+    this.app.post('/admin/api/images/:path/tags', this.audit('image.tags.add', req => req.params.path), this.requireScope('upload'), this.updateAdminImageTags.bind(this));
+    this.app.delete('/admin/api/images/:path/tags', this.audit('image.tags.remove', req => req.params.path), this.requireScope('upload'), this.updateAdminImageTags.bind(this));
     
     // 目录管理
-    this.app.get('/admin/api/directories', this.getAdminDirectories.bind(this));
-    this.app.post('/admin/api/directories', this.validateToken.bind(this), this.createAdminDirectory.bind(this));
-    this.app.delete('/admin/api/directories/:name', this.validateToken.bind(this), this.deleteAdminDirectory.bind(this));
+    this.app.get('/admin/api/directories', this.requireScope('read'), this.getAdminDirectories.bind(this));
+    this.app.post('/admin/api/directories', this.audit('directory.create', req => (req.body || {}).name), this.requireScope('upload'), this.createAdminDirectory.bind(this));
+    this.app.delete('/admin/api/directories/:name', this.audit('directory.delete', req => req.params.name), this.requireScope('delete'), this.deleteAdminDirectory.bind(this));
+    this.app.patch('/admin/api/directories/:name', this.audit(req => `directory.${this.getTransferMode(req)}`, req => req.params.name), this.requireScope('upload'), this.transferAdminDirectory.bind(this));
+    
+    // 旧路径重定向
+    this.app.get('/admin/api/redirects', this.requireScope('read'), this.getAdminRedirects.bind(this));
+    this.app.delete('/admin/api/redirects/:from', this.audit('redirect.delete', req => req.params.from), this.requireScope('upload'), this.deleteAdminRedirect.bind(this));
+    
+    // 回收站
+    this.app.get('/admin/api/trash', this.requireScope('read'), this.getAdminTrash.bind(this));
+    this.app.post('/admin/api/trash/:id/restore', this.audit('trash.restore', req => req.params.id), this.requireScope('upload'), this.restoreAdminTrash.bind(this));
+    this.app.delete('/admin/api/trash/:id', this.audit('trash.purge', req => req.params.id), this.requireScope('delete'), this.purgeAdminTrash.bind(this));
+    this.app.delete('/admin/api/trash', this.audit('trash.empty'), this.requireScope('delete'), this.purgeAdminTrash.bind(this));
     
     // 系统管理
-    this.app.get('/admin/api/stats', this.getAdminStats.bind(this));
-    this.app.post('/admin/api/update', this.validateToken.bind(this), this.updateAdminImageList.bind(this));
-    this.app.post('/admin/api/cache/clear', this.validateToken.bind(this), this.clearAdminCache.bind(this));
+    this.app.get('/admin/api/stats', this.requireScope('read'), this.getAdminStats.bind(this));
+    this.app.post('/admin/api/update', this.audit('update.run'), this.requireScope('admin'), this.handleUpdate.bind(this));
+    this.app.get('/admin/api/jobs', this.requireScope('read'), this.getAdminJobs.bind(this));
+    this.app.get('/admin/api/jobs/:id', this.requireScope('read'), this.getAdminJob.bind(this));
+    this.app.post('/admin/api/cache/clear', this.audit('cache.clear'), this.requireScope('cache'), this.clearAdminCache.bind(this));
     
     // 图片上传
-    this.app.post('/admin/api/upload', this.validateToken.bind(this), this.multer.single('file'), this.handleImageUpload.bind(this));
+    this.app.post('/admin/api/upload', this.audit('image.upload'), this.requireScope('upload'), this.receiveUploads.bind(this), this.handleImageUpload.bind(this));
+    
+    // API密钥管理
+    this.app.get('/admin/api/keys', this.requireScope('admin'), this.getAdminKeys.bind(this));
+    this.app.post('/admin/api/keys', this.audit('key.create'), this.requireScope('admin'), this.createAdminKey.bind(this));
+    this.app.patch('/admin/api/keys/:id', this.audit('key.update', req => req.params.id), this.requireScope('admin'), this.updateAdminKey.bind(this));
+    this.app.delete('/admin/api/keys/:id', this.audit('key.revoke', req => req.params.id), this.requireScope('admin'), this.deleteAdminKey.bind(this));
+    
+    // 审计日志
+    this.app.get('/admin/api/audit', this.requireScope('admin'), this.getAdminAudit.bind(this));
   }
   
   /**
@@ -311,6 +612,206 @@ class WebServer {
     }
   }
   
+  /**
+   * 返回登录页面
+   */
+  async getAdminLoginPage(req, res) {
+    try {
+      res.sendFile(path.resolve(__dirname, '../../public/admin/login.html'));
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 设置或清除会话Cookie
+   * @param {any} req - Express请求对象
+   * @param {any} res - Express响应对象
+   * @param {string} value - 会话ID，为空时清除
+   */
+  setSessionCookie(req, res, value) {
+    res.setHeader('Set-Cookie', HttpUtils.serializeCookie(this.config.admin.session_cookie, value, {
+      maxAge: value ? this.config.admin.session_ttl : 0,
+      secure: req.secure,
+      sameSite: 'Strict'
+    }));
+  }
+  
+  /**
+   * 管理员登录，成功时设置会话Cookie并返回 CSRF 令牌
+   */
+  async handleAdminLogin(req, res) {
+    try {
+      // 拒绝来自其他站点的登录表单（登录CSRF）
+      const origin = req.get('Origin');
+      if (origin && origin !== `${req.protocol}://${req.get('host')}`) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Cross-origin login is not allowed'
+        });
+      }
+      
+      const { username, password } = req.body || {};
+      const name = typeof username === 'string' ? username.slice(0, 64) : null;
+      res.locals.audit = { actor: { type: 'user', id: name, name }, target: name };
+      const { account, error, retryAfter } = await this.adminAccounts.authenticate(username, password, this.apiService.getClientIP(req));
+      if (!account) {
+        logManager.warn(`Admin login failed for ${name || '(none)'}: ${error}`, { module: 'ADMIN', request: req });
+        if (retryAfter) {
+          res.setHeader('Retry-After', retryAfter);
+        }
+        return res.status(retryAfter ? 429 : 401).json({
+          error: retryAfter ? 'Too Many Requests' : 'Unauthorized',
+          message: error,
+          ...(retryAfter ? { retryAfter } : {})
+        });
+      }
+      
+      const { sessionId, session } = await this.adminSessions.create(account);
+      this.setSessionCookie(req, res, sessionId);
+      res.locals.audit.actor = { type: 'user', id: account.username, name: account.username };
+      logManager.info(`Admin ${account.username} logged in`, { module: 'ADMIN', request: req });
+      res.json({
+        success: true,
+        username: session.username,
+        csrfToken: session.csrfToken,
+        expiresAt: session.expiresAt
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 管理员注销，需要携带 CSRF 令牌
+   */
+  async handleAdminLogout(req, res) {
+    try {
+      const session = await this.getAdminSession(req);
+      if (session) {
+        res.locals.audit = { actor: { type: 'user', id: session.username, name: session.username } };
+        if (!this.checkCsrf(req, session)) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Missing or invalid CSRF token (X-CSRF-Token header)'
+          });
+        }
+        await this.adminSessions.destroy(session.id);
+        logManager.info(`Admin ${session.username} logged out`, { module: 'ADMIN', request: req });
+      }
+      this.setSessionCookie(req, res, '');
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 获取当前登录信息；使用会话时返回 CSRF 令牌
+   */
+  async getAdminSessionInfo(req, res) {
+    const { session } = req.apiKey;
+    if (!session) {
+      return res.json({ authenticated: true, type: 'api_key', id: req.apiKey.id, scopes: req.apiKey.scopes });
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      authenticated: true,
+      type: 'session',
+      username: session.username,
+      csrfToken: session.csrfToken,
+      expiresAt: session.expiresAt
+    });
+  }
+  
+  /**
+   * 获取管理员账户列表
+   */
+  async getAdminAccounts(req, res) {
+    try {
+      res.json({ accounts: await this.adminAccounts.list() });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 创建管理员账户
+   */
+  async createAdminAccount(req, res) {
+    try {
+      const { username, password } = req.body || {};
+      const account = await this.adminAccounts.create(username, password);
+      res.locals.audit = { target: account.username, after: account };
+      res.status(201).json({ success: true, account });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        error: error.status === 400 ? 'Bad Request' : error.status === 409 ? 'Conflict' : 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 修改管理员密码，该账户的登录会话随之失效
+   */
+  async updateAdminAccount(req, res) {
+    try {
+      const existing = await this.adminAccounts.find(req.params.username);
+      const account = await this.adminAccounts.setPassword(req.params.username, (req.body || {}).password);
+      if (!account) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Account not found: ${req.params.username}`
+        });
+      }
+      res.locals.audit = { before: existing && this.adminAccounts.describe(existing), after: account };
+      res.json({ success: true, account });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        error: error.status === 400 ? 'Bad Request' : 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 删除管理员账户
+   */
+  async deleteAdminAccount(req, res) {
+    try {
+      const existing = await this.adminAccounts.find(req.params.username);
+      if (!(await this.adminAccounts.remove(req.params.username))) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Account not found: ${req.params.username}`
+        });
+      }
+      res.locals.audit = { before: existing && this.adminAccounts.describe(existing) };
+      res.json({
+        success: true,
+        message: 'Account deleted'
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
   /**
    * 获取管理图片列表
    */
@@ -327,16 +828,96 @@ class WebServer {
   }
   
   /**
-   * 删除管理图片
+   * 删除管理图片（移入回收站）
    */
   async deleteAdminImage(req, res) {
     try {
-      const imagePath = decodeURIComponent(req.params.path);
-      await this.adminService.deleteImage(imagePath);
+      const imagePath = req.params.path;
+      res.locals.audit = { before: await this.adminService.findImage(imagePath) };
+      const trash = await this.adminService.deleteImage(imagePath);
+      res.locals.audit.after = { trash: trash.id };
+      res.json({
+        success: true,
+        message: 'Image moved to trash',
+        trash
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        error: error.status === 400 ? 'Bad Request' : error.status === 404 ? 'Not Found' : 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 移动、重命名或复制管理图片
+   */
+  async transferAdminImage(req, res) {
+    // Express 已经解码了路由参数，再次解码会使含 % 的文件名出错
+    const imagePath = req.params.path;
+    res.locals.audit = { before: await this.adminService.findImage(imagePath).catch(() => null) };
+    await this.handleTransfer(req, res, () => this.adminService.transferImage(imagePath, req.body || {}));
+  }
+  
+  /**
+   * 移动、重命名或复制管理目录
+   */
+  async transferAdminDirectory(req, res) {
+    const directoryName = req.params.name;
+    const directories = await this.adminService.getDirectories().catch(() => []);
+    res.locals.audit = { before: directories.find(d => d.name === directoryName) || null };
+    await this.handleTransfer(req, res, () => this.adminService.transferDirectory(directoryName, req.body || {}));
+  }
+  
+  /**
+   * 请求中的操作模式，用于审计日志的操作名称
+   * @param {any} req - Express请求对象
+   * @returns {string} move 或 copy
+   */
+  getTransferMode(req) {
+    return (req.body || {}).mode === 'copy' ? 'copy' : 'move';
+  }
+  
+  /**
+   * 执行移动或复制并返回结果；移动和覆盖会删除原有内容，还需要 delete 权限
+   * @param {any} req - Express请求对象
+   * @param {any} res - Express响应对象
+   * @param {Function} run - 执行操作的函数
+   */
+  async handleTransfer(req, res, run) {
+    try {
+      const { mode = 'move', onConflict } = req.body || {};
+      if ((mode !== 'copy' || onConflict === 'overwrite') && !ApiKeyStore.hasScope(req.apiKey, 'delete')) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Moving or overwriting requires the "delete" scope',
+          scope: 'delete',
+          timestamp: logManager.getCurrentTimestamp()
+        });
+      }
+      
+      const result = await run();
+      res.locals.audit.after = result;
       res.json({
         success: true,
-        message: 'Image deleted successfully'
+        message: `${result.type === 'image' ? 'Image' : 'Directory'} ${result.mode === 'copy' ? 'copied' : 'moved'} to ${result.path}`,
+        ...result
       });
+    } catch (error) {
+      const labels = { 400: 'Bad Request', 404: 'Not Found', 409: 'Conflict' };
+      res.status(error.status || 500).json({
+        error: labels[error.status] || 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 获取旧路径重定向列表
+   */
+  async getAdminRedirects(req, res) {
+    try {
+      res.json(await this.adminService.getRedirects());
     } catch (error) {
       res.status(500).json({
         error: 'Internal server error',
@@ -345,6 +926,195 @@ class WebServer {
     }
   }
   
+  /**
+   * 删除旧路径重定向
+   */
+  async deleteAdminRedirect(req, res) {
+    try {
+      const from = req.params.from;
+      if (!(await this.adminService.deleteRedirect(from))) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Redirect not found: ${from}`
+        });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 获取所有标签
+   */
+  async getAdminTags(req, res) {
+    try {
+      const tags = await this.adminService.getTags();
+      res.json(tags);
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 返回图片文件，用于管理页面预览
+   */
+  async getAdminImageFile(req, res) {
+    try {
+      const imagePath = req.params.path;
+      const file = await this.adminService.getImageFile(imagePath);
+      if (!file) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Image not found: ${imagePath}`
+        });
+      }
+      res.setHeader('Cache-Control', 'private, no-cache');
+      if (file.flagged) {
+        // 未通过内容检查的文件只允许下载，不能在本站域名下被浏览器解析执行
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.attachment(path.basename(file.filePath));
+        return res.sendFile(file.filePath, { headers: { 'Content-Type': 'application/octet-stream' } });
+      }
+      res.sendFile(file.filePath);
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 签发图片的签名链接
+   */
+  async createAdminSignedUrl(req, res) {
+    try {
+      const body = req.body || {};
+      const imagePath = body.path !== undefined ? body.path : req.query.path;
+      const rawTtl = body.ttl !== undefined ? body.ttl : req.query.ttl;
+      const { default_ttl: defaultTtl, max_ttl: maxTtl } = this.config.api.signed_urls;
+      const ttl = rawTtl === undefined ? defaultTtl : Number(rawTtl);
+      
+      if (typeof imagePath !== 'string' || !imagePath) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'path is required'
+        });
+      }
+      if (!Number.isInteger(ttl) || ttl < 1 || ttl > maxTtl) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `ttl must be an integer between 1 and ${maxTtl} seconds`
+        });
+      }
+      
+      const signed = this.apiService.createSignedUrl(imagePath, ttl);
+      if (!signed) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Image not found: ${imagePath}`
+        });
+      }
+      
+      res.locals.audit = { target: signed.path, after: { expires: new Date(signed.expires * 1000).toISOString(), ttl, private: signed.private } };
+      logManager.info(`Signed URL issued for ${signed.path} (ttl ${ttl}s)`, { module: 'ADMIN', request: req });
+      res.json({
+        success: true,
+        path: signed.path,
+        url: `${req.protocol}://${req.get('host')}${signed.url}`,
+        expires: new Date(signed.expires * 1000).toISOString(),
+        ttl,
+        private: signed.private
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 获取图片标签
+   */
+  async getAdminImageTags(req, res) {
+    try {
+      const imagePath = req.params.path;
+      const tags = await this.adminService.getImageTags(imagePath);
+      if (!tags) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Image not found: ${imagePath}`
+        });
+      }
+      res.json({ path: imagePath, tags });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 修改图片标签：PUT 替换、POST 添加、DELETE 移除
+   */
+  async updateAdminImageTags(req, res) {
+    try {
+      const imagePath = req.params.path;
+      const input = req.body && req.body.tags !== undefined ? req.body.tags : req.query.tags;
+      const { tags, invalid } = TagStore.normalizeTags(input);
+      
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Invalid tags: ${invalid.join(', ')}`
+        });
+      }
+      if (req.method !== 'PUT' && tags.length === 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'No tags provided'
+        });
+      }
+      
+      const changes = req.method === 'PUT' ? { set: tags }
+        : req.method === 'POST' ? { add: tags }
+        : { remove: tags };
+      const before = await this.adminService.getImageTags(imagePath);
+      const result = await this.adminService.updateImageTags(imagePath, changes);
+      if (!result) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Image not found: ${imagePath}`
+        });
+      }
+      
+      res.locals.audit = { before: { tags: before }, after: { tags: result } };
+      
+      // 立即生效于公开API的标签筛选
+      this.apiService.setImageTags(imagePath, result);
+      
+      res.json({
+        success: true,
+        path: imagePath,
+        tags: result
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        error: error.status === 400 ? 'Bad Request' : 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
   /**
    * 获取管理目录列表
    */
@@ -367,28 +1137,50 @@ class WebServer {
     try {
       const { name } = req.body;
       await this.adminService.createDirectory(name);
+      res.locals.audit = { after: { name } };
       res.json({
         success: true,
         message: 'Directory created successfully'
       });
     } catch (error) {
-      res.status(500).json({
-        error: 'Internal server error',
+      res.status(error.status || 500).json({
+        error: error.status === 400 ? 'Bad Request' : 'Internal server error',
         message: error.message
       });
     }
   }
   
   /**
-   * 删除管理目录
+   * 删除管理目录（连同其中的图片移入回收站）
    */
   async deleteAdminDirectory(req, res) {
     try {
       const directoryName = req.params.name;
-      await this.adminService.deleteDirectory(directoryName);
+      const directories = await this.adminService.getDirectories();
+      res.locals.audit = { before: directories.find(d => d.name === directoryName) || null };
+      const trash = await this.adminService.deleteDirectory(directoryName);
+      res.locals.audit.after = { trash: trash.id };
       res.json({
         success: true,
-        message: 'Directory deleted successfully'
+        message: 'Directory moved to trash',
+        trash
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        error: error.status === 400 ? 'Bad Request' : error.status === 404 ? 'Not Found' : 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 获取回收站中的项目
+   */
+  async getAdminTrash(req, res) {
+    try {
+      res.json({
+        items: await this.adminService.getTrash(),
+        retentionDays: this.config.trash.retention_days
       });
     } catch (error) {
       res.status(500).json({
@@ -399,12 +1191,41 @@ class WebServer {
   }
   
   /**
-   * 获取管理统计信息
+   * 把回收站中的项目恢复到原路径
    */
-  async getAdminStats(req, res) {
+  async restoreAdminTrash(req, res) {
     try {
-      const stats = await this.adminService.getStats();
-      res.json(stats);
+      const item = await this.adminService.restoreTrash(req.params.id);
+      if (!item) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Trash item not found: ${req.params.id}`
+        });
+      }
+      res.locals.audit = { target: item.path, after: item };
+      res.json({ success: true, item });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        error: error.status === 400 ? 'Bad Request' : error.status === 409 ? 'Conflict' : 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 永久删除回收站中的项目，未指定ID时清空回收站
+   */
+  async purgeAdminTrash(req, res) {
+    try {
+      const purged = await this.adminService.purgeTrash(req.params.id);
+      if (req.params.id && purged.length === 0) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Trash item not found: ${req.params.id}`
+        });
+      }
+      res.locals.audit = { before: purged };
+      res.json({ success: true, purged });
     } catch (error) {
       res.status(500).json({
         error: 'Internal server error',
@@ -414,15 +1235,12 @@ class WebServer {
   }
   
   /**
-   * 更新管理图片列表
+   * 获取管理统计信息
    */
-  async updateAdminImageList(req, res) {
+  async getAdminStats(req, res) {
     try {
-      const result = await this.adminService.updateImageList();
-      res.json({
-        success: true,
-        message: 'Image list updated successfully'
-      });
+      const stats = await this.adminService.getStats();
+      res.json(stats);
     } catch (error) {
       res.status(500).json({
         error: 'Internal server error',
@@ -431,6 +1249,32 @@ class WebServer {
     }
   }
   
+  /**
+   * 获取后台任务列表
+   */
+  async getAdminJobs(req, res) {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    res.json(this.jobManager.list({
+      type: req.query.type,
+      status: req.query.status,
+      limit
+    }));
+  }
+  
+  /**
+   * 获取后台任务详情
+   */
+  async getAdminJob(req, res) {
+    const job = this.jobManager.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Job not found: ${req.params.id}`
+      });
+    }
+    res.json(job);
+  }
+  
   /**
    * 清理管理缓存
    */
@@ -450,52 +1294,174 @@ class WebServer {
   }
   
   /**
-   * 处理图片上传
+   * 处理图片上传，支持一次上传多个图片和 ZIP/TAR 归档
    */
   async handleImageUpload(req, res) {
+    const fields = req.files || {};
+    const files = [...(fields.file || []), ...(fields.files || [])];
     try {
       // 检查是否有文件上传
-      if (!req.file) {
+      if (files.length === 0) {
         return res.status(400).json({
           error: 'Bad Request',
           message: 'No file uploaded'
         });
       }
       
-      // 获取上传的文件信息
-      const file = req.file;
-      
-      // 关键修复：直接使用multer返回的originalname
-      // 现代浏览器在FormData上传时会正确处理UTF-8编码
-      // 避免过多的编码转换，这是解决中文文件名乱码的关键
-      let filename = file.originalname;
-      
-      try {
-        // 只进行必要的URL解码
-        filename = decodeURIComponent(filename);
-        logManager.debug(`文件名处理: ${file.originalname} -> ${filename}`, { module: 'WEB' });
-      } catch (e) {
-        // 如果URL解码失败，使用原始文件名
-        logManager.warn(`文件名URL解码失败: ${e.message}，使用原始文件名`, { module: 'WEB' });
-      }
+      const uploads = files.map((file) => {
+        // 关键修复：直接使用multer返回的originalname
+        // 现代浏览器在FormData上传时会正确处理UTF-8编码
+        // 避免过多的编码转换，这是解决中文文件名乱码的关键
+        let filename = file.originalname;
+        
+        try {
+          // 只进行必要的URL解码
+          filename = decodeURIComponent(filename);
+          logManager.debug(`文件名处理: ${file.originalname} -> ${filename}`, { module: 'WEB' });
+        } catch (e) {
+          // 如果URL解码失败，使用原始文件名
+          logManager.warn(`文件名URL解码失败: ${e.message}，使用原始文件名`, { module: 'WEB' });
+        }
+        return { path: file.path, filename, archive: file.archive };
+      });
       
       const directory = req.body.directory || '';
-      const buffer = file.buffer;
+      const { results, archives, uploaded, skipped, failed } = await this.adminService.uploadFiles(uploads, directory);
+      const paths = results.filter(result => result.status === 'uploaded').map(result => result.path);
+      res.locals.audit = { target: directory || null, after: { uploaded, skipped, failed, paths } };
       
-      // 调用AdminService上传图片
-      const result = await this.adminService.uploadImage({
-        buffer: buffer,
-        filename: filename,
-        directory: directory
-      });
+      // 兼容旧的单文件上传：file 字段只有一张图片时按原来的格式返回
+      if (files.length === 1 && fields.file && archives === 0) {
+        const [result] = results;
+        if (result.status !== 'uploaded') {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: result.error
+          });
+        }
+        res.locals.audit = { target: result.path, after: { path: result.path, size: result.size } };
+        return res.status(200).json({
+          success: true,
+          path: result.path,
+          filename: path.posix.basename(result.path),
+          size: result.size,
+          directory
+        });
+      }
       
-      res.status(200).json(result);
+      res.status(200).json({ success: failed === 0, uploaded, skipped, failed, results });
     } catch (error) {
       logManager.error(`Error handling file upload: ${error.message}`, { module: 'WEB', request: req });
       res.status(500).json({
         error: 'Internal server error',
         message: error.message
       });
+    } finally {
+      // 删除临时文件
+      await UploadStorage.remove(files).catch(error => {
+        logManager.warn(`Failed to remove uploaded temporary files: ${error.message}`, { module: 'WEB' });
+      });
+    }
+  }
+
+  /**
+   * 获取API密钥列表
+   */
+  async getAdminKeys(req, res) {
+    try {
+      res.json({ keys: await this.apiKeys.list(), scopes: ApiKeyStore.SCOPES });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 创建API密钥，完整密钥只在本次响应中返回
+   */
+  async createAdminKey(req, res) {
+    try {
+      const { key, token } = await this.apiKeys.create(req.body || {});
+      res.locals.audit = { target: key.id, after: key };
+      res.status(201).json({ success: true, key, token });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        error: error.status === 400 ? 'Bad Request' : 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 修改API密钥的标签、权限、过期时间或配额
+   */
+  async updateAdminKey(req, res) {
+    try {
+      const existing = await this.apiKeys.find(req.params.id);
+      const key = await this.apiKeys.update(req.params.id, req.body || {});
+      if (!key) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `API key not found: ${req.params.id}`
+        });
+      }
+      res.locals.audit = { before: existing && this.apiKeys.describe(existing), after: key };
+      res.json({ success: true, key });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        error: error.status === 400 ? 'Bad Request' : 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * 吊销API密钥
+   */
+  async deleteAdminKey(req, res) {
+    try {
+      const existing = await this.apiKeys.find(req.params.id);
+      if (!(await this.apiKeys.revoke(req.params.id))) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `API key not found: ${req.params.id}`
+        });
+      }
+      res.locals.audit = { before: existing && this.apiKeys.describe(existing) };
+      res.json({
+        success: true,
+        message: 'API key revoked'
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * 查询审计日志，支持按操作、操作者、目标、结果、IP和时间筛选，最新的记录在前
+   */
+  async getAdminAudit(req, res) {
+    try {
+      const { filters, page, limit, error } = AuditLog.parseQuery(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error
+        });
+      }
+      const result = await this.auditLog.query(filters, page, limit);
+      res.setHeader('Cache-Control', 'no-store');
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
     }
   }
 
@@ -514,15 +1480,25 @@ class WebServer {
         'GET /api/{directory}': 'Get random image from specific directory', 
         'GET /api/{directory}/{filename}': 'Get specific image',
         'GET /api?json=1': 'Get image info in JSON format',
+        'GET /api?type={mode}': 'Response mode: file, json, redirect, text, datauri, html',
+        'GET /api?tags={query}': 'Filter by tags: comma = AND, | = OR, -tag = exclude',
+        'GET /api?rating={ratings}': 'Only pick from directories with these content ratings (safe, questionable, explicit)',
+        'GET /api/by-hash/{digest}': 'Get image by SHA-256 content digest (immutable)',
+        'GET /api/daily': 'Get image of the day (optionally ?date=YYYY-MM-DD)',
+        'GET /api/{directory}/daily': 'Get image of the day from specific directory',
         'GET /list.json': 'Get all images list',
         'GET /stats': 'Get detailed statistics',
-        'GET /update?token={TOKEN}': 'Manual update trigger',
+        'GET /update': 'Queue an image list update job (requires admin scope)',
         'GET /health': 'Health check',
         'GET /cache/status': 'Cache status',
-        'POST /cache/clear?token={TOKEN}': 'Clear cache (requires token)',
-        'POST /cache/reconnect': 'Manual Redis reconnect',
-        'POST /cache/reset?token={TOKEN}': 'Reset Redis retry count (requires token)'
+        'POST /cache/clear': 'Clear cache (requires cache scope)',
+        'POST /cache/reconnect': 'Manual Redis reconnect (requires cache scope)',
+        'POST /cache/reset': 'Reset Redis retry count (requires cache scope)',
+        'POST /cache/expire/{key}': 'Set cache key expiration (requires cache scope)',
+        'GET|POST|PATCH|DELETE /admin/api/keys': 'Manage API keys (requires admin scope)',
+        'GET /admin/api/audit': 'Query the audit log of administrative actions (requires admin scope)'
       },
+      authentication: 'Authorization: Bearer <API key>; scopes: ' + ApiKeyStore.SCOPES.join(', '),
       timezone: this.config.timezone,
       timestamp: logManager.getCurrentTimestamp()
     });
@@ -588,16 +1564,25 @@ class WebServer {
   }
 
   /**
-   * 处理手动更新
+   * 处理手动更新（GET /update 和 POST /admin/api/update），提交扫描任务后立即返回任务ID
    * @param {any} req - Express请求对象
    * @param {any} res - Express响应对象
    */
   async handleUpdate(req, res) {
     try {
-      const updateService = require('../services/UpdateService');
-      const service = new updateService(this.config);
-      await service.start();
-      await service.handleManualUpdate(req, res);
+      const { job, coalesced } = this.jobManager.enqueue('update', { full: req.query.full === '1' });
+      res.locals.audit = { after: { jobId: job.id, coalesced, full: req.query.full === '1' } };
+      logManager.info(`Manual update ${coalesced ? 'coalesced into' : 'queued as'} job ${job.id}`, { module: 'WEB', request: req });
+      
+      res.status(202)
+        .location(`/admin/api/jobs/${job.id}`)
+        .json({
+          success: true,
+          message: coalesced ? 'Update already queued' : 'Update queued',
+          coalesced,
+          job,
+          timestamp: logManager.getCurrentTimestamp()
+        });
     } catch (error) {
       logManager.error(`Update service error: ${error.message}`, { module: 'WEB', request: req });
       res.status(500).json({
@@ -719,6 +1704,7 @@ class WebServer {
       const seconds = parseInt(req.body.seconds) || 3600;
       
       const result = await this.cacheManager.expire(key, seconds);
+      res.locals.audit = { after: { seconds, applied: result } };
       res.json({
         success: result,
         key: key,
@@ -767,6 +1753,30 @@ class WebServer {
    */
   async handleApiRoute(req, res) {
     try {
+      // 携带密钥的请求按密钥的权限和配额计算，不再受按IP的限流约束
+      if (req.get('Authorization')) {
+        const { key, error } = await this.authenticateRequest(req);
+        if (!key) {
+          return res.status(401).json({
+            error: 'Unauthorized',
+            message: error,
+            timestamp: logManager.getCurrentTimestamp()
+          });
+        }
+        if (!ApiKeyStore.hasScope(key, 'read')) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: 'API key lacks the "read" scope',
+            scope: 'read',
+            timestamp: logManager.getCurrentTimestamp()
+          });
+        }
+        if (!this.checkKeyQuota(key, res)) {
+          return;
+        }
+        req.apiKey = key;
+      }
+      
       await this.apiService.handleApiRequest(req, res);
     } catch (error) {
       logManager.error(`API service error on ${req.path}: ${error.message}`, { module: 'WEB', request: req });
@@ -963,6 +1973,9 @@ class WebServer {
     if (this.apiService) {
       this.apiService.cleanup();
     }
+    if (this.adminService) {
+      this.adminService.stop();
+    }
     
     this.isRunning = false;
     logManager.info('Web server stopped', { module: 'WEB' });
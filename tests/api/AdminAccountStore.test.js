@@ -0,0 +1,104 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AdminAccountStore = require('../../src/api/AdminAccountStore');
+
+const LOCKED = 'Too many failed login attempts';
+const INVALID = 'Invalid username or password';
+
+describe('AdminAccountStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'admin-accounts-'));
+    store = new AdminAccountStore({ maxAttempts: 3, lockout: 60 });
+    store.accountsPath = path.join(directory, 'admin-accounts.json');
+    await store.create('Alice', 'correct horse');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await store.queue;
+    await fs.remove(directory);
+  });
+
+  test('用户名不区分大小写，密码只保存摘要', async () => {
+    const result = await store.authenticate(' ALICE ', 'correct horse', '10.0.0.1');
+    expect(result.error).toBeNull();
+    expect(result.account.username).toBe('alice');
+
+    const saved = await fs.readFile(store.accountsPath, 'utf8');
+    expect(saved).not.toContain('correct horse');
+  });
+
+  test('拒绝错误的密码和不存在的用户', async () => {
+    expect(await store.authenticate('alice', 'wrong password', '10.0.0.1')).toEqual({ account: null, error: INVALID });
+    expect(await store.authenticate('bob', 'correct horse', '10.0.0.1')).toEqual({ account: null, error: INVALID });
+    expect(await store.authenticate('alice', { toString: () => 'correct horse' }, '10.0.0.1')).toEqual({ account: null, error: INVALID });
+  });
+
+  test('连续失败后锁定该地址对该用户名的登录，其他地址不受影响', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await store.authenticate('alice', 'wrong password', '10.0.0.1')).error).toBe(INVALID);
+    }
+
+    const locked = await store.authenticate('alice', 'correct horse', '10.0.0.1');
+    expect(locked).toMatchObject({ account: null, error: LOCKED });
+    expect(locked.retryAfter).toBeGreaterThan(0);
+    expect(locked.retryAfter).toBeLessThanOrEqual(60);
+    expect((await store.authenticate('alice', 'correct horse', '192.168.1.1')).error).toBeNull();
+  });
+
+  test('不同地址的失败次数分别统计', async () => {
+    for (let i = 1; i <= 3; i++) {
+      expect((await store.authenticate('alice', 'wrong password', `10.0.0.${i}`)).error).toBe(INVALID);
+    }
+    expect((await store.authenticate('alice', 'correct horse', '10.0.0.1')).error).toBeNull();
+  });
+
+  test('锁定只影响该用户名', async () => {
+    for (let i = 0; i < 3; i++) {
+      await store.authenticate('ghost', 'wrong password', '10.0.0.1');
+    }
+    expect((await store.authenticate('ghost', 'wrong password', '10.0.0.1')).error).toBe(LOCKED);
+    expect((await store.authenticate('alice', 'correct horse', '10.0.0.1')).error).toBeNull();
+  });
+
+  test('锁定结束后重新计数', async () => {
+    const start = Date.now();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+    for (let i = 0; i < 3; i++) {
+      await store.authenticate('alice', 'wrong password', '10.0.0.1');
+    }
+
+    now.mockReturnValue(start + 61 * 1000);
+    expect((await store.authenticate('alice', 'wrong password', '10.0.0.1')).error).toBe(INVALID);
+    expect((await store.authenticate('alice', 'correct horse', '10.0.0.1')).error).toBeNull();
+  });
+
+  test('登录成功后清除失败次数', async () => {
+    await store.authenticate('alice', 'wrong password', '10.0.0.1');
+    await store.authenticate('alice', 'wrong password', '10.0.0.1');
+    expect((await store.authenticate('alice', 'correct horse', '10.0.0.1')).error).toBeNull();
+
+    await store.authenticate('alice', 'wrong password', '10.0.0.1');
+    await store.authenticate('alice', 'wrong password', '10.0.0.1');
+    expect((await store.authenticate('alice', 'correct horse', '10.0.0.1')).error).toBeNull();
+  });
+
+  test('修改密码后旧密码失效，版本号递增', async () => {
+    const before = await store.find('alice');
+    await store.setPassword('alice', 'battery staple');
+
+    expect((await store.authenticate('alice', 'correct horse', '10.0.0.1')).error).toBe(INVALID);
+    const { account } = await store.authenticate('alice', 'battery staple', '10.0.0.1');
+    expect(account.version).toBe(before.version + 1);
+  });
+
+  test('拒绝重复的用户名和过短的密码', async () => {
+    await expect(store.create('alice', 'another password')).rejects.toMatchObject({ status: 409 });
+    await expect(store.create('bob', 'short')).rejects.toMatchObject({ status: 400 });
+    await expect(store.create('bad name', 'long enough')).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AdminService = require('../../src/api/AdminService');
+
+describe('AdminService.transfer', () => {
+  let directory;
+  let imagesPath;
+  let updateService;
+  let service;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'transfer-'));
+    imagesPath = path.join(directory, 'images');
+    await fs.outputFile(path.join(imagesPath, 'cats/a.png'), 'a');
+    await fs.outputFile(path.join(imagesPath, 'cats/100%.png'), 'percent');
+    await fs.outputFile(path.join(imagesPath, 'dogs/a.png'), 'dog');
+
+    updateService = { applyChanges: jest.fn().mockResolvedValue({}) };
+    const config = {
+      paths: { images: imagesPath },
+      update: { supportedExtensions: ['.png', '.jpg'] },
+      trash: { retention_days: 30 }
+    };
+    service = new AdminService(config, { del: jest.fn().mockResolvedValue() }, updateService);
+    // 不读写仓库根目录中的数据文件
+    service.tagStore.tagsPath = path.join(directory, 'images-tags.json');
+    service.redirects.redirectsPath = path.join(directory, 'images-redirects.json');
+    service.trash.indexPath = path.join(directory, 'images-trash.json');
+    service.findImagesUnder = jest.fn().mockResolvedValue([]);
+  });
+
+  afterEach(async () => {
+    await fs.remove(directory);
+  });
+
+  const exists = relativePath => fs.pathExists(path.join(imagesPath, relativePath));
+
+  test('移动文件名含 % 的图片，并保留旧路径的重定向', async () => {
+    await fs.writeJson(service.tagStore.tagsPath, { 'cats/100%.png': ['percent'] });
+
+    const result = await service.transferImage('cats/100%.png', { to: 'dogs/100%.png', redirect: true });
+    expect(result).toMatchObject({ type: 'image', mode: 'move', from: 'cats/100%.png', path: 'dogs/100%.png', redirect: true });
+    expect(await exists('cats/100%.png')).toBe(false);
+    expect(await exists('dogs/100%.png')).toBe(true);
+    expect(updateService.applyChanges).toHaveBeenCalledWith(['cats/100%.png', 'dogs/100%.png']);
+    expect(await fs.readJson(service.tagStore.tagsPath)).toEqual({ 'dogs/100%.png': ['percent'] });
+    expect(await fs.readJson(service.redirects.redirectsPath)).toMatchObject({ 'cats/100%.png': { to: 'dogs/100%.png' } });
+  });
+
+  test('复制目录时保留原目录', async () => {
+    const result = await service.transferDirectory('cats', { to: 'archive/cats', mode: 'copy' });
+    expect(result).toMatchObject({ type: 'directory', mode: 'copy', path: 'archive/cats', redirect: false });
+    expect(await exists('cats/a.png')).toBe(true);
+    expect(await exists('archive/cats/a.png')).toBe(true);
+  });
+
+  test.each([
+    ['../outside.png', 'cats/b.png'],
+    ['cats/a.png', '../outside.png'],
+    ['cats/a.png', 'cats/../../outside.png'],
+    ['cats/a.png', '.trash/x/a.png'],
+    ['cats/a.png', '/']
+  ])('拒绝图片目录外和回收站中的路径 %p -> %p', async (from, to) => {
+    await expect(service.transferImage(from, { to })).rejects.toMatchObject({ status: 400 });
+    expect(await exists('cats/a.png')).toBe(true);
+    expect(await fs.pathExists(path.join(directory, 'outside.png'))).toBe(false);
+  });
+
+  test('拒绝无效的参数', async () => {
+    await expect(service.transferImage('cats/a.png', { to: 'cats/b.png', mode: 'link' })).rejects.toMatchObject({ status: 400 });
+    await expect(service.transferImage('cats/a.png', { to: 'cats/b.png', onConflict: 'merge' })).rejects.toMatchObject({ status: 400 });
+    await expect(service.transferImage('cats/a.png', { to: 'cats/b.gif' })).rejects.toMatchObject({ status: 400 });
+    await expect(service.transferImage('cats/a.png', {})).rejects.toMatchObject({ status: 400 });
+    await expect(service.transferImage('cats/a.png', { to: 'cats/a.png' })).rejects.toMatchObject({ status: 400 });
+    await expect(service.transferDirectory('cats', { to: 'cats/inner' })).rejects.toMatchObject({ status: 400 });
+    await expect(service.transferDirectory('_root', { to: 'x' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('源不存在或类型不符时返回404', async () => {
+    await expect(service.transferImage('cats/missing.png', { to: 'cats/b.png' })).rejects.toMatchObject({ status: 404 });
+    await expect(service.transferImage('cats', { to: 'dogs/cats.png' })).rejects.toMatchObject({ status: 404 });
+    await expect(service.transferDirectory('cats/a.png', { to: 'x' })).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('目标已存在时按 onConflict 处理', async () => {
+    await expect(service.transferImage('cats/a.png', { to: 'dogs/a.png' })).rejects.toMatchObject({ status: 409 });
+    expect(await fs.readFile(path.join(imagesPath, 'dogs/a.png'), 'utf8')).toBe('dog');
+
+    const renamed = await service.transferImage('cats/a.png', { to: 'dogs/a.png', mode: 'copy', onConflict: 'rename' });
+    expect(renamed.path).toMatch(/^dogs\/a_\d+\.png$/);
+    expect(await exists(renamed.path)).toBe(true);
+
+    const overwritten = await service.transferImage('cats/a.png', { to: 'dogs/a.png', onConflict: 'overwrite' });
+    expect(overwritten.overwritten).toMatchObject({ path: 'dogs/a.png', type: 'image' });
+    expect(await fs.readFile(path.join(imagesPath, 'dogs/a.png'), 'utf8')).toBe('a');
+  });
+});
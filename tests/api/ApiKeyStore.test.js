@@ -0,0 +1,89 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ApiKeyStore = require('../../src/api/ApiKeyStore');
+
+describe('ApiKeyStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'api-keys-'));
+    store = new ApiKeyStore();
+    store.keysPath = path.join(directory, 'api-keys.json');
+  });
+
+  afterEach(async () => {
+    await store.queue;
+    await fs.remove(directory);
+  });
+
+  test('创建的密钥只保存摘要，可以用完整密钥认证', async () => {
+    const { key, token } = await store.create({ label: 'ci', scopes: 'upload,read' });
+    expect(token).toMatch(new RegExp(`^rik_${key.id}_[A-Za-z0-9_-]+$`));
+    expect(key).toMatchObject({ label: 'ci', scopes: ['read', 'upload'], expired: false });
+    expect(key.hash).toBeUndefined();
+
+    const saved = await fs.readJson(store.keysPath);
+    expect(JSON.stringify(saved)).not.toContain(token);
+    expect(saved[0].hash).toBe(ApiKeyStore.hash(token));
+
+    const result = await store.authenticate(token);
+    expect(result.error).toBeNull();
+    expect(result.key.id).toBe(key.id);
+  });
+
+  test('拒绝错误、格式不对和已吊销的密钥', async () => {
+    const { key, token } = await store.create({ label: 'ci', scopes: ['read'] });
+    const forged = `${token.slice(0, -4)}AAAA`;
+
+    expect(await store.authenticate(forged)).toEqual({ key: null, error: 'Invalid API key' });
+    expect(await store.authenticate('Bearer something')).toEqual({ key: null, error: 'Invalid API key' });
+    expect(await store.authenticate(undefined)).toEqual({ key: null, error: 'Invalid API key' });
+
+    expect(await store.revoke(key.id)).toBe(true);
+    expect(await store.authenticate(token)).toEqual({ key: null, error: 'Invalid API key' });
+    expect(await store.revoke(key.id)).toBe(false);
+  });
+
+  test('过期的密钥无法认证', async () => {
+    const { key, token } = await store.create({ label: 'old', scopes: ['read'], expiresAt: '2000-01-01T00:00:00Z' });
+    expect(key.expired).toBe(true);
+    expect(await store.authenticate(token)).toEqual({ key: null, error: 'API key has expired' });
+
+    await store.update(key.id, { expiresAt: null });
+    expect((await store.authenticate(token)).error).toBeNull();
+  });
+
+  test('admin 权限包含其他全部权限', () => {
+    expect(ApiKeyStore.hasScope({ scopes: ['admin'] }, 'delete')).toBe(true);
+    expect(ApiKeyStore.hasScope({ scopes: ['read', 'upload'] }, 'upload')).toBe(true);
+    expect(ApiKeyStore.hasScope({ scopes: ['read', 'upload'] }, 'delete')).toBe(false);
+  });
+
+  test.each([
+    [{ label: '', scopes: ['read'] }, /label/],
+    [{ label: 'x', scopes: [] }, /scopes/],
+    [{ label: 'x', scopes: ['root'] }, /scopes/],
+    [{ label: 'x', scopes: ['read'], expiresAt: 'tomorrow' }, /expiresAt/],
+    [{ label: 'x', scopes: ['read'], quota: { requests: 0 } }, /quota/]
+  ])('拒绝无效的参数 %o', async (input, message) => {
+    await expect(store.create(input)).rejects.toMatchObject({ status: 400, message: expect.stringMatching(message) });
+  });
+
+  test('配额在窗口内用完后拒绝，窗口结束后重新计数', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    try {
+      const key = { id: 'k', quota: { requests: 2, window: 60 } };
+      expect(store.consume(key)).toMatchObject({ allowed: true, remaining: 1 });
+      expect(store.consume(key)).toMatchObject({ allowed: true, remaining: 0 });
+      expect(store.consume(key)).toMatchObject({ allowed: false, remaining: 0, reset: 60 });
+
+      now.mockReturnValue(1000000 + 60 * 1000);
+      expect(store.consume(key)).toMatchObject({ allowed: true, remaining: 1 });
+      expect(store.consume({ id: 'unlimited', quota: null })).toBeNull();
+    } finally {
+      now.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,54 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../../src/api/AuditLog');
+
+describe('AuditLog', () => {
+  let directory;
+  let audit;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+    audit = new AuditLog();
+    audit.logPath = path.join(directory, 'audit.jsonl');
+    for (let i = 0; i < 7; i++) {
+      await audit.append({ action: i % 2 ? 'image.delete' : 'image.upload', actor: { id: 'k1' }, target: `cats/${i}.png`, result: 'success' });
+    }
+  });
+
+  afterEach(async () => {
+    await fs.remove(directory);
+  });
+
+  const targets = result => result.entries.map(entry => entry.target);
+
+  test('分页返回最新的记录在前', async () => {
+    expect(targets(await audit.query({}, 1, 3))).toEqual(['cats/6.png', 'cats/5.png', 'cats/4.png']);
+    expect(targets(await audit.query({}, 3, 3))).toEqual(['cats/0.png']);
+    expect(await audit.query({}, 4, 3)).toEqual({ entries: [], total: 7, page: 4, limit: 3 });
+  });
+
+  test('按筛选条件计数，跳过无法解析的行', async () => {
+    await fs.appendFile(audit.logPath, 'not json\n');
+    const { filters } = AuditLog.parseQuery({ action: 'image.delete' });
+    const result = await audit.query(filters, 1, 2);
+    expect(result.total).toBe(3);
+    expect(targets(result)).toEqual(['cats/5.png', 'cats/3.png']);
+  });
+
+  test('动作前缀以 . 结尾时匹配该类全部动作', async () => {
+    const { filters } = AuditLog.parseQuery({ action: 'image.', target: 'cats/1' });
+    expect(targets(await audit.query(filters, 1, 10))).toEqual(['cats/1.png']);
+  });
+
+  test('日志文件不存在时返回空结果', async () => {
+    await fs.remove(audit.logPath);
+    expect(await audit.query({}, 1, 10)).toEqual({ entries: [], total: 0, page: 1, limit: 10 });
+  });
+
+  test('拒绝无效的查询参数', () => {
+    expect(AuditLog.parseQuery({ page: '-1' }).error).toMatch(/positive/);
+    expect(AuditLog.parseQuery({ since: 'yesterday' }).error).toMatch(/since/);
+    expect(AuditLog.parseQuery({ limit: '1000' }).limit).toBe(100);
+  });
+});
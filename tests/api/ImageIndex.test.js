@@ -0,0 +1,86 @@
+const ImageIndex = require('../../src/api/ImageIndex');
+
+function image(imagePath, digest = null) {
+  const slash = imagePath.lastIndexOf('/');
+  return {
+    name: imagePath.slice(slash + 1),
+    path: imagePath,
+    _directory: slash === -1 ? '_root' : imagePath.slice(0, slash),
+    ...(digest ? { digest } : {})
+  };
+}
+
+const paths = list => list.map(item => item.path);
+
+describe('ImageIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new ImageIndex();
+    index.build([
+      image('dogs/b.png'),
+      image('cats/kittens/k.png', 'aa'),
+      image('root.png'),
+      image('cats/b.png', 'aa'),
+      image('cats/a.png', 'bb'),
+      image('catsup/c.png')
+    ]);
+  });
+
+  test('按目录树前序排列，每个目录的子树连续', () => {
+    expect(paths(index.sorted)).toEqual([
+      'root.png',
+      'cats/a.png',
+      'cats/b.png',
+      'cats/kittens/k.png',
+      'catsup/c.png',
+      'dogs/b.png'
+    ]);
+  });
+
+  test('目录包含子目录，但不包含同前缀的其他目录', () => {
+    expect(paths(index.getImages('cats'))).toEqual(['cats/a.png', 'cats/b.png', 'cats/kittens/k.png']);
+    expect(paths(index.getImages('cats/kittens'))).toEqual(['cats/kittens/k.png']);
+    expect(paths(index.getImages('_root'))).toEqual(['root.png']);
+    expect(index.getImages('birds')).toEqual([]);
+    expect(index.getImages()).toBe(index.sorted);
+  });
+
+  test('判断目录是否存在', () => {
+    expect(index.hasDirectory('cats')).toBe(true);
+    expect(index.hasDirectory('cats\\kittens')).toBe(true);
+    expect(index.hasDirectory('_root')).toBe(true);
+    expect(index.hasDirectory('birds')).toBe(false);
+    expect(index.hasDirectory('')).toBe(false);
+  });
+
+  test('多个目录取并集并排除子目录', () => {
+    expect(paths(index.selectImages(['dogs', 'cats'], ['cats/kittens']))).toEqual(['cats/a.png', 'cats/b.png', 'dogs/b.png']);
+    expect(paths(index.selectImages(['cats', 'cats/kittens']))).toEqual(['cats/a.png', 'cats/b.png', 'cats/kittens/k.png']);
+    expect(paths(index.selectImages([], ['cats', '_root']))).toEqual(['catsup/c.png', 'dogs/b.png']);
+    expect(index.selectImages([], [])).toBe(index.sorted);
+  });
+
+  test('按路径和摘要查找', () => {
+    expect(index.find('/cats\\a.png/')).toMatchObject({ path: 'cats/a.png' });
+    expect(index.find('cats/missing.png')).toBeNull();
+    // 内容相同的文件取排序在前的一个
+    expect(index.findByDigest('AA')).toMatchObject({ path: 'cats/b.png' });
+    expect(index.findByDigest('cc')).toBeNull();
+  });
+
+  test('图片集合不变时版本不变，与输入顺序无关', () => {
+    const other = new ImageIndex();
+    other.build([...index.sorted].reverse());
+    expect(other.version).toBe(index.version);
+
+    other.build(index.sorted.slice(1));
+    expect(other.version).not.toBe(index.version);
+  });
+
+  test('重建后统计信息与新的图片集合一致', () => {
+    const stats = index.build([image('a/1.png'), image('a/2.png')]);
+    expect(stats).toMatchObject({ images: 2, directories: 1, paths: 2, digests: 0 });
+    expect(index.getImages('cats')).toEqual([]);
+  });
+});
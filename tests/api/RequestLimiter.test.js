@@ -0,0 +1,47 @@
+const RequestLimiter = require('../../src/api/RequestLimiter');
+
+describe('RequestLimiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    limiter = new RequestLimiter({ rate_limit: { requests_per_minute: 5, window_size: 60000, ban_duration: 60000 } });
+  });
+
+  afterEach(() => {
+    limiter.stop();
+  });
+
+  test('请求次数超过上限时封禁', () => {
+    for (let i = 0; i < 5; i++) {
+      expect(limiter.isAllowed('10.0.0.1')).toBe(true);
+    }
+    expect(limiter.isAllowed('10.0.0.1')).toBe(false);
+    expect(limiter.getStatus('10.0.0.1')).toMatchObject({ banned: true });
+    expect(limiter.isAllowed('10.0.0.2')).toBe(true);
+  });
+
+  test('剩余配额不足的批量请求只拒绝，不封禁', () => {
+    expect(limiter.isAllowed('10.0.0.1', 3)).toBe(true);
+    expect(limiter.isAllowed('10.0.0.1', 3)).toBe(false);
+    expect(limiter.getStatus('10.0.0.1')).toMatchObject({ banned: false, requests: 2, remaining: 2 });
+
+    expect(limiter.isAllowed('10.0.0.1', 2)).toBe(true);
+    expect(limiter.getStatus('10.0.0.1')).toMatchObject({ banned: false, remaining: 0 });
+  });
+
+  test('超过上限的批量请求本身不会触发封禁', () => {
+    expect(limiter.isAllowed('10.0.0.1', 50)).toBe(false);
+    expect(limiter.getStatus('10.0.0.1').banned).toBe(false);
+    expect(limiter.isAllowed('10.0.0.1')).toBe(true);
+  });
+
+  test('被拒绝的请求仍计入请求次数', () => {
+    limiter.isAllowed('10.0.0.1', 5);
+    for (let i = 0; i < 4; i++) {
+      expect(limiter.isAllowed('10.0.0.1')).toBe(false);
+    }
+    expect(limiter.getStatus('10.0.0.1').banned).toBe(false);
+    expect(limiter.isAllowed('10.0.0.1')).toBe(false);
+    expect(limiter.getStatus('10.0.0.1').banned).toBe(true);
+  });
+});
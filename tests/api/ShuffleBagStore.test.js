@@ -0,0 +1,72 @@
+const ShuffleBagStore = require('../../src/api/ShuffleBagStore');
+const WeightedPool = require('../../src/api/WeightedPool');
+
+describe('ShuffleBagStore', () => {
+  const poolOf = (paths, weights = {}) => new WeightedPool(paths.map(p => ({ path: p, name: p })), item => weights[item.path]);
+  const paths = count => Array.from({ length: count }, (_, i) => `cats/${i}.png`);
+
+  let store;
+
+  beforeEach(() => {
+    store = new ShuffleBagStore({ ttl: 60, maxSessions: 2 });
+  });
+
+  const take = (pool, count, session = 's1') => Array.from({ length: count }, () => store.next(session, 'cats', pool));
+
+  test('整袋取完之前不重复，之后进入下一轮', () => {
+    const pool = poolOf(paths(20));
+    const first = take(pool, 20);
+    expect(new Set(first.map(r => r.image.path)).size).toBe(20);
+    expect(first.map(r => r.position)).toEqual(Array.from({ length: 20 }, (_, i) => i + 1));
+    expect(first.every(r => r.size === 20 && r.cycle === 1)).toBe(true);
+
+    const second = take(pool, 20);
+    expect(new Set(second.map(r => r.image.path)).size).toBe(20);
+    expect(second.every(r => r.cycle === 2)).toBe(true);
+    expect(second[0].image.path).not.toBe(first[19].image.path);
+    expect(second[19].position).toBe(20);
+  });
+
+  test('不同会话的顺序相互独立', () => {
+    const pool = poolOf(paths(50));
+    const a = take(pool, 10, 'a').map(r => r.image.path);
+    const b = take(pool, 10, 'b').map(r => r.image.path);
+    expect(a).not.toEqual(b);
+  });
+
+  test('跳过权重为0的图片', () => {
+    const pool = poolOf(['a.png', 'b.png', 'c.png'], { 'b.png': 0 });
+    const served = take(pool, 4).map(r => r.image.path);
+    expect(served).not.toContain('b.png');
+    expect(served[2]).not.toBe(served[1]);
+  });
+
+  test('图片列表变化后删除的图片不再出现，本轮不重复已取出的图片', () => {
+    const before = paths(10);
+    const served = take(poolOf(before), 5).map(r => r.image.path);
+
+    const removed = before.find(p => !served.includes(p));
+    const after = before.filter(p => p !== removed).concat(['cats/new.png']);
+    const rest = [];
+    let result;
+    while ((result = store.next('s1', 'cats', poolOf(after))).cycle === 1) {
+      rest.push(result.image.path);
+    }
+    expect(rest).not.toContain(removed);
+    expect(rest.filter(p => served.includes(p))).toEqual([]);
+    expect(new Set(rest).size).toBe(rest.length);
+  });
+
+  test('会话数超过上限时淘汰最久未使用的会话', () => {
+    const pool = poolOf(paths(5));
+    take(pool, 3, 'a');
+    take(pool, 1, 'b');
+    take(pool, 1, 'c');
+    expect(store.bags.size).toBe(2);
+    expect(store.next('a', 'cats', pool).position).toBe(1);
+  });
+
+  test('候选集合为空时返回null', () => {
+    expect(store.next('s1', 'cats', poolOf([]))).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const TrashStore = require('../../src/api/TrashStore');
+
+describe('TrashStore', () => {
+  let directory;
+  let imagesPath;
+  let trash;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'trash-'));
+    imagesPath = path.join(directory, 'images');
+    await fs.outputFile(path.join(imagesPath, 'cats/a.png'), 'a');
+    trash = new TrashStore(imagesPath, { retentionDays: 30 });
+    trash.indexPath = path.join(directory, 'images-trash.json');
+  });
+
+  afterEach(async () => {
+    await fs.remove(directory);
+  });
+
+  describe('resolvePath', () => {
+    test('规范化分隔符和多余的斜杠', () => {
+      expect(trash.resolvePath('cats/a.png')).toBe('cats/a.png');
+      expect(trash.resolvePath('/cats\\kittens//b.png/')).toBe('cats/kittens/b.png');
+      expect(trash.resolvePath('cats/./x/../a.png')).toBe('cats/a.png');
+      expect(trash.resolvePath('cats/100%.png')).toBe('cats/100%.png');
+    });
+
+    test.each([
+      '',
+      '.',
+      '/',
+      '..',
+      '../outside.png',
+      'cats/../../outside.png',
+      'cats\\..\\..\\outside.png',
+      '.trash',
+      '.trash/abc/a.png',
+      'cats/../.trash/abc'
+    ])('拒绝图片目录外和回收站中的路径 %p', (value) => {
+      expect(() => trash.resolvePath(value)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  test('移入回收站后可以恢复到原路径', async () => {
+    const entry = await trash.add('cats/a.png', { type: 'image', images: 1, size: 1, tags: { 'cats/a.png': ['cat'] } });
+    expect(entry).toMatchObject({ path: 'cats/a.png', type: 'image', images: 1 });
+    expect(entry.tags).toBeUndefined();
+    expect(await fs.pathExists(path.join(imagesPath, 'cats/a.png'))).toBe(false);
+    expect(await fs.pathExists(path.join(imagesPath, '.trash', entry.id, 'a.png'))).toBe(true);
+
+    const restored = await trash.restore(entry.id);
+    expect(restored.tags).toEqual({ 'cats/a.png': ['cat'] });
+    expect(await fs.readFile(path.join(imagesPath, 'cats/a.png'), 'utf8')).toBe('a');
+    expect(await fs.pathExists(path.join(imagesPath, '.trash', entry.id))).toBe(false);
+    expect(await trash.list()).toEqual([]);
+  });
+
+  test('原路径已存在时拒绝恢复', async () => {
+    const entry = await trash.add('cats/a.png', { type: 'image' });
+    await fs.outputFile(path.join(imagesPath, 'cats/a.png'), 'new');
+
+    await expect(trash.restore(entry.id)).rejects.toMatchObject({ status: 409 });
+    expect(await fs.readFile(path.join(imagesPath, 'cats/a.png'), 'utf8')).toBe('new');
+    expect(await trash.list()).toHaveLength(1);
+  });
+
+  test('只清除超过保留天数的项目', async () => {
+    const old = await trash.add('cats/a.png', { type: 'image' });
+    await fs.outputFile(path.join(imagesPath, 'cats/b.png'), 'b');
+    const recent = await trash.add('cats/b.png', { type: 'image' });
+    await trash.modify((entries) => {
+      entries.find(entry => entry.id === old.id).deletedAt = new Date(Date.now() - 31 * 86400 * 1000).toISOString();
+    });
+
+    const purged = await trash.purgeExpired();
+    expect(purged.map(entry => entry.id)).toEqual([old.id]);
+    expect((await trash.list()).map(entry => entry.id)).toEqual([recent.id]);
+    expect(await fs.pathExists(path.join(imagesPath, '.trash', old.id))).toBe(false);
+  });
+});
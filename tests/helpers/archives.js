@@ -0,0 +1,79 @@
+const zlib = require('zlib');
+
+/**
+ * 测试用的归档生成工具
+ *
+ * 只写入 ArchiveReader 会读取的字段，CRC 和校验和填 0。
+ */
+
+/**
+ * 生成 ZIP 归档
+ * @param {Array<{name: string|Buffer, data?: Buffer|string, deflate?: boolean, utf8?: boolean, symlink?: boolean}>} entries - 条目
+ * @returns {Buffer} 归档内容
+ */
+function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.isBuffer(entry.name) ? entry.name : Buffer.from(entry.name, 'utf8');
+    const data = Buffer.from(entry.data || '');
+    const stored = entry.deflate ? zlib.deflateRawSync(data) : data;
+    const flags = entry.utf8 === false ? 0 : 0x800;
+    const method = entry.deflate ? 8 : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(((entry.symlink ? 0o120777 : 0o100644) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, stored);
+    centrals.push(central, name);
+    offset += local.length + name.length + stored.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * 生成 ustar 格式的 TAR 归档
+ * @param {Array<{name: string, data?: Buffer|string, type?: string}>} entries - 条目，type 为 TAR 类型标记，默认 '0'
+ * @returns {Buffer} 归档内容
+ */
+function createTar(entries) {
+  const blocks = [];
+  for (const entry of entries) {
+    const data = Buffer.from(entry.data || '');
+    const header = Buffer.alloc(512);
+    header.write(entry.name, 0, 100, 'utf8');
+    header.write(data.length.toString(8).padStart(11, '0'), 124, 12, 'latin1');
+    header.write(entry.type || '0', 156, 1, 'latin1');
+    header.write('ustar', 257, 5, 'latin1');
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+module.exports = { createZip, createTar };
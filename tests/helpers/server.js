@@ -0,0 +1,100 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '../..');
+
+/**
+ * 路由测试用的 Web 服务
+ *
+ * 数据文件（list.json、api-keys.json 等）相对源码目录保存，因此把 src/ 和 config/ 复制到临时目录中运行，
+ * 测试不会读写仓库中的数据文件。服务监听随机端口，不启动定时任务。
+ */
+
+/**
+ * 生成指定尺寸的 PNG 文件头（足以通过格式检查和尺寸探测）
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {string} [seed] - 附加内容，使不同图片的摘要不同
+ * @returns {Buffer} PNG 数据
+ */
+function png(width = 1, height = 1, seed = '') {
+  const header = Buffer.alloc(33);
+  Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').copy(header);
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return Buffer.concat([header, Buffer.from(seed)]);
+}
+
+/**
+ * 启动服务
+ * @param {Object} [options] - 选项
+ * @param {Object<string, Buffer|string>} [options.images] - 图片目录中的文件，键为相对路径
+ * @param {Function} [options.configure] - 修改配置的函数，在创建服务前调用
+ * @returns {Promise<Object>} { root, config, server, token, request, stop }
+ */
+async function startServer({ images = {}, configure = () => {} } = {}) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'random-image-api-'));
+  await fs.copy(path.join(ROOT, 'src'), path.join(root, 'src'));
+  await fs.copy(path.join(ROOT, 'config'), path.join(root, 'config'));
+  await fs.symlink(path.join(ROOT, 'node_modules'), path.join(root, 'node_modules'), 'dir');
+  for (const [relativePath, content] of Object.entries(images)) {
+    await fs.outputFile(path.join(root, 'img', relativePath), content);
+  }
+
+  const configManager = require(path.join(root, 'src/config/ConfigManager'));
+  const config = await configManager.load();
+  config.paths.images = path.join(root, 'img');
+  config.paths.html = path.join(root, 'public');
+  config.update.hours = 0;
+  config.update.watch = false;
+  config.rate_limit.requests_per_minute = 100000;
+  configure(config);
+
+  const CacheFactory = require(path.join(root, 'src/cache/CacheFactory'));
+  const WebServer = require(path.join(root, 'src/web/WebServer'));
+  const cacheManager = await CacheFactory.createCache(config, false);
+  const server = new WebServer(config, cacheManager);
+  await server.initializeApiService();
+  server.configureApp();
+  server.registerRoutes();
+  await server.adminService.updateImageList({ full: true });
+
+  const { token } = await server.apiKeys.create({ label: 'test', scopes: ['admin'] });
+  server.httpServer = await new Promise((resolve) => {
+    const listener = server.app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  server.isRunning = true;
+  const base = `http://127.0.0.1:${server.httpServer.address().port}`;
+
+  /**
+   * 发送请求
+   * @param {string} url - 路径（含查询参数）
+   * @param {Object} [options] - fetch 选项，另有 auth（是否携带管理密钥，默认否）和 json（请求体）
+   * @returns {Promise<Response>}
+   */
+  const request = (url, { auth = false, json, headers = {}, ...options } = {}) => {
+    const init = { redirect: 'manual', ...options, headers: { ...headers } };
+    if (auth) {
+      init.headers.Authorization = `Bearer ${token}`;
+    }
+    if (json !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(json);
+    }
+    return fetch(base + url, init);
+  };
+
+  const stop = async () => {
+    await server.stop();
+    await cacheManager.close();
+    // 等待审计日志和密钥使用时间等后台写入完成
+    await server.auditLog.queue;
+    await server.apiKeys.queue;
+    await fs.remove(root);
+  };
+
+  return { root, config, server, token, request, stop };
+}
+
+module.exports = { startServer, png };
@@ -0,0 +1,161 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const iconv = require('iconv-lite');
+const ArchiveReader = require('../../src/utils/ArchiveReader');
+const { createZip, createTar } = require('../helpers/archives');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+describe('ArchiveReader.detect', () => {
+  test('按文件头识别 ZIP、TAR 和 tar.gz', () => {
+    const tar = createTar([{ name: 'a.png', data: PNG }]);
+    expect(ArchiveReader.detect(createZip([{ name: 'a.png', data: PNG }]))).toBe('zip');
+    expect(ArchiveReader.detect(createZip([]))).toBe('zip');
+    expect(ArchiveReader.detect(tar)).toBe('tar');
+    expect(ArchiveReader.detect(zlib.gzipSync(tar))).toBe('tgz');
+  });
+
+  test('普通图片不是归档', () => {
+    expect(ArchiveReader.detect(PNG, 'photo.png')).toBeNull();
+  });
+
+  test('按扩展名确定归档格式', () => {
+    expect(ArchiveReader.formatOfName('photos.zip')).toBe('zip');
+    expect(ArchiveReader.formatOfName('photos.tar')).toBe('tar');
+    expect(ArchiveReader.formatOfName('photos.tar.gz')).toBe('tgz');
+    expect(ArchiveReader.formatOfName('photos.TGZ')).toBe('tgz');
+    expect(ArchiveReader.formatOfName('photo.png')).toBeNull();
+  });
+
+  test('按文件名选择大小限制', () => {
+    expect(ArchiveReader.isArchiveName('photos.ZIP')).toBe(true);
+    expect(ArchiveReader.isArchiveName('photos.tar.gz')).toBe(true);
+    expect(ArchiveReader.isArchiveName('photo.png')).toBe(false);
+    expect(ArchiveReader.isArchiveName(undefined)).toBe(false);
+  });
+});
+
+describe('ArchiveReader.open', () => {
+  let directory;
+  let archives;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-'));
+    archives = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(archives.map(archive => archive.close()));
+    await fs.remove(directory);
+  });
+
+  // 把归档写入临时文件后打开，测试结束时关闭
+  const open = async (buffer, format, options) => {
+    const filePath = path.join(directory, `archive-${archives.length}`);
+    await fs.writeFile(filePath, buffer);
+    const archive = await ArchiveReader.open(filePath, format, options);
+    archives.push(archive);
+    return archive.entries;
+  };
+
+  test('读取 ZIP 中存储和 Deflate 压缩的条目', async () => {
+    const data = Buffer.concat([PNG, Buffer.alloc(4096, 1)]);
+    const zip = createZip([
+      { name: 'cats/' },
+      { name: 'cats/a.png', data },
+      { name: 'cats/b.png', data, deflate: true },
+      { name: 'link.png', data: 'a.png', symlink: true }
+    ]);
+
+    const entries = await open(zip, 'zip');
+    expect(entries.map(entry => [entry.name, entry.type])).toEqual([
+      ['cats/', 'directory'],
+      ['cats/a.png', 'file'],
+      ['cats/b.png', 'file'],
+      ['link.png', 'other']
+    ]);
+    expect((await entries[1].read()).equals(data)).toBe(true);
+    expect((await entries[2].read()).equals(data)).toBe(true);
+  });
+
+  test('读取 tar.gz 及 GNU 长文件名，关闭时删除解压的临时文件', async () => {
+    const longName = `${'d'.repeat(120)}/a.png`;
+    const tar = createTar([
+      { name: 'dir/', type: '5' },
+      { name: '././@LongLink', type: 'L', data: `${longName}\0` },
+      { name: longName.slice(0, 99), data: PNG }
+    ]);
+
+    const entries = await open(zlib.gzipSync(tar), 'tgz');
+    expect(entries.map(entry => [entry.name, entry.type, entry.size])).toEqual([
+      ['dir/', 'directory', 0],
+      [longName, 'file', PNG.length]
+    ]);
+    expect((await entries[1].read()).equals(PNG)).toBe(true);
+
+    await archives.pop().close();
+    expect(await fs.readdir(directory)).toEqual(['archive-0']);
+  });
+
+  test('条目数超过上限时拒绝，目录不计入', async () => {
+    const zip = createZip([{ name: 'a/' }, { name: 'a/1.png', data: PNG }, { name: 'a/2.png', data: PNG }]);
+    expect(await open(zip, 'zip', { maxEntries: 2 })).toHaveLength(3);
+    await expect(open(zip, 'zip', { maxEntries: 1 })).rejects.toThrow('more than 1 entries');
+    const tar = createTar([{ name: 'a/', type: '5' }, { name: 'a/1.png', data: PNG }, { name: 'a/2.png', data: PNG }]);
+    await expect(open(tar, 'tar', { maxEntries: 1 })).rejects.toThrow('more than 1 entries');
+  });
+
+  test('单个条目超过大小上限时在读取前拒绝', async () => {
+    const zip = createZip([{ name: 'big.png', data: Buffer.alloc(2048), deflate: true }]);
+    const [entry] = await open(zip, 'zip', { maxEntrySize: 1024 });
+    await expect(entry.read()).rejects.toMatchObject({ status: 413 });
+
+    const [tarEntry] = await open(createTar([{ name: 'big.png', data: Buffer.alloc(2048) }]), 'tar', { maxEntrySize: 1024 });
+    await expect(tarEntry.read()).rejects.toMatchObject({ status: 413 });
+  });
+
+  test('Deflate 输出不超过声明的大小', async () => {
+    const zip = createZip([{ name: 'bomb.png', data: Buffer.alloc(1 << 20), deflate: true }]);
+    // 把中央目录中声明的解压后大小改小
+    const central = zip.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    zip.writeUInt32LE(16, central + 24);
+    const [entry] = await open(zip, 'zip');
+    await expect(entry.read()).rejects.toThrow(/Failed to decompress/);
+  });
+
+  test('tar.gz 解压后超过总大小上限时拒绝，不留下临时文件', async () => {
+    const tgz = zlib.gzipSync(createTar([{ name: 'a.png', data: Buffer.alloc(64 * 1024) }]));
+    await expect(open(tgz, 'tgz', { maxTotalSize: 1024 })).rejects.toThrow(/exceeds 1024 bytes/);
+    expect(await fs.readdir(directory)).toEqual(['archive-0']);
+  });
+
+  test('损坏的归档返回400错误', async () => {
+    await expect(open(Buffer.from('PK\x03\x04garbage'), 'zip')).rejects.toMatchObject({ status: 400 });
+    await expect(open(Buffer.from('not gzip'), 'tgz')).rejects.toThrow(/Invalid gzip data/);
+    const truncated = createTar([{ name: 'a.png', data: Buffer.alloc(2048) }]).subarray(0, 1024);
+    await expect(open(truncated, 'tar')).rejects.toThrow(/truncated entry/);
+  });
+});
+
+describe('ArchiveReader.decodeName', () => {
+  test('未声明 UTF-8 的中文文件名按 GBK 解码', () => {
+    expect(ArchiveReader.decodeName(iconv.encode('图片/猫.png', 'gbk'), false)).toBe('图片/猫.png');
+    expect(ArchiveReader.decodeName(Buffer.from('图片/猫.png'), false)).toBe('图片/猫.png');
+    expect(ArchiveReader.decodeName(Buffer.from('photo.png'), false)).toBe('photo.png');
+  });
+
+  test('ZIP 条目使用解码后的文件名', async () => {
+    const zip = createZip([{ name: iconv.encode('风景.png', 'gbk'), data: PNG, utf8: false }]);
+    const filePath = path.join(os.tmpdir(), `archive-gbk-${process.pid}.zip`);
+    await fs.writeFile(filePath, zip);
+    const archive = await ArchiveReader.open(filePath, 'zip');
+    try {
+      expect(archive.entries[0].name).toBe('风景.png');
+    } finally {
+      await archive.close();
+      await fs.remove(filePath);
+    }
+  });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ImageProbe = require('../../src/utils/ImageProbe');
+
+function png(width, height) {
+  const header = Buffer.alloc(33);
+  Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').copy(header);
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return header;
+}
+
+function gif(width, height) {
+  const header = Buffer.alloc(13);
+  header.write('GIF89a', 0, 'latin1');
+  header.writeUInt16LE(width, 6);
+  header.writeUInt16LE(height, 8);
+  return header;
+}
+
+function webp(width, height) {
+  const header = Buffer.alloc(30);
+  header.write('RIFF', 0, 'latin1');
+  header.write('WEBPVP8X', 8, 'latin1');
+  header.writeUIntLE(width - 1, 24, 3);
+  header.writeUIntLE(height - 1, 27, 3);
+  return header;
+}
+
+function bmp(width, height) {
+  const header = Buffer.alloc(54);
+  header.write('BM', 0, 'latin1');
+  header.writeUInt32LE(40, 14);
+  header.writeInt32LE(width, 18);
+  // 自上而下存储
+  header.writeInt32LE(-height, 22);
+  return header;
+}
+
+function jpeg(width, height, orientation = null) {
+  const segments = [Buffer.from([0xff, 0xd8])];
+  if (orientation) {
+    // APP1: Exif\0\0 + 大端 TIFF 头 + 一个方向条目
+    const tiff = Buffer.alloc(26);
+    tiff.write('MM', 0, 'latin1');
+    tiff.writeUInt16BE(42, 2);
+    tiff.writeUInt32BE(8, 4);
+    tiff.writeUInt16BE(1, 8);
+    tiff.writeUInt16BE(0x0112, 10);
+    tiff.writeUInt16BE(3, 12);
+    tiff.writeUInt32BE(1, 14);
+    tiff.writeUInt16BE(orientation, 18);
+    const data = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+    const app1 = Buffer.alloc(4);
+    app1.writeUInt16BE(0xffe1, 0);
+    app1.writeUInt16BE(data.length + 2, 2);
+    segments.push(app1, data);
+  }
+  const sof = Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08, 0, 0, 0, 0, 0x03]);
+  sof.writeUInt16BE(height, 5);
+  sof.writeUInt16BE(width, 7);
+  segments.push(sof, Buffer.alloc(15));
+  return Buffer.concat(segments);
+}
+
+describe('ImageProbe.probeBuffer', () => {
+  test.each([
+    ['png', png(640, 480)],
+    ['gif', gif(640, 480)],
+    ['webp', webp(640, 480)],
+    ['bmp', bmp(640, 480)],
+    ['jpeg', jpeg(640, 480)]
+  ])('读取 %s 的尺寸', async (format, data) => {
+    expect(await ImageProbe.probeBuffer(data)).toEqual({ format, width: 640, height: 480 });
+  });
+
+  test('JPEG 的 EXIF 方向为旋转90度时交换宽高', async () => {
+    expect(await ImageProbe.probeBuffer(jpeg(640, 480, 6))).toEqual({ format: 'jpeg', width: 480, height: 640 });
+    expect(await ImageProbe.probeBuffer(jpeg(640, 480, 3))).toEqual({ format: 'jpeg', width: 640, height: 480 });
+  });
+
+  test('SVG 的尺寸可从 viewBox 推算', async () => {
+    const probe = text => ImageProbe.probeBuffer(Buffer.from(text));
+    expect(await probe('<svg xmlns="http://www.w3.org/2000/svg" width="200px" height="100"/>')).toEqual({ format: 'svg', width: 200, height: 100 });
+    expect(await probe('<?xml version="1.0"?><svg viewBox="0 0 300 150" width="600"/>')).toEqual({ format: 'svg', width: 600, height: 300 });
+    expect(await probe('<svg width="50%" height="50%"/>')).toBeNull();
+  });
+
+  test('无法识别的内容返回null', async () => {
+    expect(await ImageProbe.probeBuffer(Buffer.from('hello world'))).toBeNull();
+    expect(await ImageProbe.probeBuffer(png(0, 480))).toBeNull();
+  });
+});
+
+describe('ImageProbe.checkExtension', () => {
+  test('内容与扩展名一致时通过', () => {
+    expect(ImageProbe.checkExtension(png(1, 1), '.png')).toBeNull();
+    expect(ImageProbe.checkExtension(jpeg(1, 1), '.jpeg')).toBeNull();
+    expect(ImageProbe.checkExtension(Buffer.from('\uFEFF  <svg xmlns="http://www.w3.org/2000/svg"/>'), '.svg')).toBeNull();
+  });
+
+  test('内容与扩展名不一致时返回原因', () => {
+    expect(ImageProbe.checkExtension(png(1, 1), '.jpg')).toBe('Content is png, not .jpg');
+    expect(ImageProbe.checkExtension(Buffer.from('<html><script>alert(1)</script></html>'), '.png'))
+      .toBe('Content is not a recognized image (expected png)');
+  });
+
+  test('无法检查的扩展名不做判断', () => {
+    expect(ImageProbe.checkExtension(Buffer.from('anything'), '.tiff')).toBeNull();
+  });
+});
+
+describe('ImageProbe.checkFile', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'image-probe-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(directory);
+  });
+
+  test('只读取文件头检查内容', async () => {
+    const filePath = path.join(directory, 'photo.gif');
+    await fs.writeFile(filePath, Buffer.concat([gif(10, 10), Buffer.alloc(4096)]));
+    expect(await ImageProbe.checkFile(filePath, '.gif')).toBeNull();
+    expect(await ImageProbe.checkFile(filePath, '.webp')).toBe('Content is gif, not .webp');
+  });
+});
@@ -0,0 +1,66 @@
+const SvgSanitizer = require('../../src/utils/SvgSanitizer');
+
+describe('SvgSanitizer.sanitize', () => {
+  test('安全的 SVG 原样保留', () => {
+    const svg = '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="10" height="10">'
+      + '<defs><linearGradient id="g"/></defs><rect fill="url(#g)" width="10" height="10"/><use xlink:href="#g"/>'
+      + '<image href="data:image/png;base64,AAAA"/></svg>';
+    expect(SvgSanitizer.sanitize(svg)).toEqual({ svg, removed: [] });
+  });
+
+  test('删除脚本元素及其内容和事件处理属性', () => {
+    const { svg, removed } = SvgSanitizer.sanitize(
+      '<svg onload="alert(1)"><script>alert(1)</script><g><SCRIPT><![CDATA[ if (a < b) alert(2) ]]></SCRIPT></g><rect onclick="x()" width="1"/></svg>'
+    );
+    expect(svg).toBe('<svg><g></g><rect width="1"/></svg>');
+    expect(removed).toEqual(expect.arrayContaining(['onload attribute', '<script>', 'onclick attribute']));
+  });
+
+  test('删除嵌入 HTML 的元素', () => {
+    const { svg } = SvgSanitizer.sanitize(
+      '<svg><foreignObject><div xmlns="http://www.w3.org/1999/xhtml"><iframe src="x"></iframe></div></foreignObject><circle r="1"/></svg>'
+    );
+    expect(svg).toBe('<svg><circle r="1"/></svg>');
+  });
+
+  test('删除 javascript: 和外部链接，包括实体编码的地址', () => {
+    const { svg, removed } = SvgSanitizer.sanitize(
+      '<svg><a href="javascript:alert(1)"><text>x</text></a><a xlink:href="&#106;avascript:alert(1)"/><image href="http://evil/x.png"/></svg>'
+    );
+    expect(svg).toBe('<svg><a><text>x</text></a><a/><image/></svg>');
+    expect(removed).toEqual(['external href']);
+  });
+
+  test('删除修改链接的动画，保留其他动画', () => {
+    const { svg } = SvgSanitizer.sanitize(
+      '<svg><a><animate attributeName="href" values="javascript:alert(1)"/><text>x</text></a><set attributeName="fill" to="red"/></svg>'
+    );
+    expect(svg).toBe('<svg><a><text>x</text></a><set attributeName="fill" to="red"/></svg>');
+  });
+
+  test('删除 CSS 中的 @import 和外部 url()', () => {
+    const { svg, removed } = SvgSanitizer.sanitize(
+      '<svg><style>@import url(http://evil/x.css); .a{fill:url(#g)} .b{background:url(http://evil/y)}</style>'
+      + '<rect style="fill:url(http://x)"/><rect style="fill:red"/></svg>'
+    );
+    expect(svg).toBe('<svg><style> .a{fill:url(#g)} .b{background:none}</style><rect/><rect style="fill:red"/></svg>');
+    expect(removed).toEqual(expect.arrayContaining(['@import', 'external url()', 'external reference in style']));
+  });
+
+  test('删除 DOCTYPE 和 xml 声明以外的处理指令', () => {
+    expect(SvgSanitizer.sanitize('<!DOCTYPE svg [<!ENTITY x "y">]><svg/>')).toEqual({ svg: '<svg/>', removed: ['DOCTYPE'] });
+    expect(SvgSanitizer.sanitize('<?xml version="1.0"?><?xml-stylesheet href="http://evil/x.css"?><svg/>'))
+      .toEqual({ svg: '<?xml version="1.0"?><svg/>', removed: ['processing instruction'] });
+  });
+
+  test.each([
+    ['根元素不是 svg', '<html><svg></svg></html>'],
+    ['标签未闭合', '<svg><g></svg>'],
+    ['属性值没有引号', '<svg><rect width=10/></svg>'],
+    ['多个根元素', '<svg/><svg/>'],
+    ['根元素外有文本', 'hello <svg/>'],
+    ['空文件', '   ']
+  ])('%s时拒绝', (name, text) => {
+    expect(() => SvgSanitizer.sanitize(text)).toThrow(expect.objectContaining({ status: 400, message: expect.stringMatching(/^Invalid SVG: /) }));
+  });
+});
@@ -0,0 +1,57 @@
+const { startServer, png } = require('../helpers/server');
+
+describe('审计日志接口', () => {
+  let app;
+  let key;
+  let token;
+
+  beforeAll(async () => {
+    app = await startServer({ images: { 'cats/a.png': png(10, 10) } });
+    ({ key, token } = await (await app.request('/admin/api/keys', { method: 'POST', auth: true, json: { label: 'auditor', scopes: ['admin'] } })).json());
+
+    const as = (url, options) => app.request(url, { ...options, headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } });
+    await as('/admin/api/images/cats%2Fa.png/tags', { method: 'PUT', body: JSON.stringify({ tags: ['cat'] }) });
+    await as('/admin/api/images/cats%2Fmissing.png', { method: 'DELETE' });
+    await app.request('/admin/api/images/cats%2Fa.png', { method: 'DELETE', headers: { 'X-Forwarded-For': '203.0.113.9' } });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const query = async (search) => {
+    const response = await app.request(`/admin/api/audit${search}`, { auth: true });
+    expect(response.status).toBe(200);
+    return response.json();
+  };
+  const actions = result => result.entries.map(entry => `${entry.action} ${entry.result}`);
+
+  test('按操作筛选，最新的记录在前', async () => {
+    const result = await query('?action=image.');
+    expect(actions(result)).toEqual(['image.delete denied', 'image.delete failure', 'image.tags.set success']);
+    expect(result.entries[1]).toMatchObject({ target: 'cats/missing.png', status: 404, error: expect.any(String) });
+    expect(result.entries[2]).toMatchObject({ actor: { type: 'key', id: key.id, name: 'auditor' }, after: { tags: ['cat'] } });
+  });
+
+  test('按操作者、结果、目标和IP筛选', async () => {
+    expect(actions(await query(`?actor=${key.id}`))).toEqual(['image.delete failure', 'image.tags.set success']);
+    expect(actions(await query('?result=denied&ip=203.0.113.9'))).toEqual(['image.delete denied']);
+    expect((await query('?target=missing')).total).toBe(1);
+    expect((await query('?action=key.create,image.tags.set')).total).toBe(2);
+    expect((await query(`?since=${new Date(Date.now() + 60000).toISOString()}`)).total).toBe(0);
+  });
+
+  test('分页', async () => {
+    const all = await query('');
+    const second = await query('?limit=1&page=2');
+    expect(second).toMatchObject({ total: all.total, page: 2, limit: 1 });
+    expect(second.entries).toEqual([all.entries[1]]);
+  });
+
+  test('需要 admin 权限，拒绝无效的参数', async () => {
+    const { token: readToken } = await (await app.request('/admin/api/keys', { method: 'POST', auth: true, json: { label: 'reader', scopes: ['read'] } })).json();
+    expect((await app.request('/admin/api/audit', { headers: { Authorization: `Bearer ${readToken}` } })).status).toBe(403);
+    expect((await app.request('/admin/api/audit?since=yesterday', { auth: true })).status).toBe(400);
+    expect((await app.request('/admin/api/audit', { auth: true })).headers.get('cache-control')).toBe('no-store');
+  });
+});
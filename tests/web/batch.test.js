@@ -0,0 +1,55 @@
+const { startServer, png } = require('../helpers/server');
+
+describe('批量随机图片', () => {
+  let app;
+
+  beforeAll(async () => {
+    const images = { 'dogs/a.png': png(10, 10, 'dog') };
+    for (let i = 0; i < 8; i++) {
+      images[`cats/${i}.png`] = png(10, 10, `cat${i}`);
+    }
+    app = await startServer({
+      images,
+      configure: (config) => {
+        config.rate_limit.requests_per_minute = 10;
+        config.api.batch.max_count = 6;
+        config.api.batch.cost = 'weighted';
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const get = (url, client) => app.request(url, { headers: { 'X-Forwarded-For': client } });
+
+  test('返回互不相同的图片，只从指定目录选取', async () => {
+    const response = await get('/api/cats?count=6&type=json', '10.0.1.1');
+    expect(response.status).toBe(200);
+    const paths = (await response.json()).map(image => image.path);
+    expect(paths).toHaveLength(6);
+    expect(new Set(paths).size).toBe(6);
+    expect(paths.every(p => p.startsWith('/api/cats/'))).toBe(true);
+  });
+
+  test('候选不足时返回的数量少于请求数', async () => {
+    const response = await get('/api/dogs?count=5&type=json', '10.0.1.2');
+    expect(await response.json()).toHaveLength(1);
+  });
+
+  test('无效的数量返回400', async () => {
+    expect((await get('/api/cats?count=7&type=json', '10.0.1.3')).status).toBe(400);
+    expect((await get('/api/cats?count=0&type=json', '10.0.1.3')).status).toBe(400);
+  });
+
+  test('按数量计费时配额不足返回429，不封禁客户端', async () => {
+    expect((await get('/api/cats?count=6&type=json', '10.0.1.4')).status).toBe(200);
+    const rejected = await get('/api/cats?count=6&type=json', '10.0.1.4');
+    expect(rejected.status).toBe(429);
+    expect(await rejected.json()).toMatchObject({ error: 'Too Many Requests', banned: false, remaining: 4 });
+
+    expect((await get('/api/cats?count=4&type=json', '10.0.1.4')).status).toBe(200);
+    expect((await get('/api/cats?type=json', '10.0.1.4')).status).toBe(429);
+  });
+});
@@ -0,0 +1,60 @@
+const { startServer, png } = require('../helpers/server');
+
+describe('条件请求和范围请求', () => {
+  let app;
+  // fetch 发送条件请求时会自动加上 Cache-Control: no-cache（服务端因此不会返回304），显式指定以避免
+  const conditional = headers => ({ headers: { 'Cache-Control': 'max-age=0', ...headers } });
+  const image = Buffer.concat([png(10, 10), Buffer.alloc(100, 7)]);
+
+  beforeAll(async () => {
+    app = await startServer({ images: { 'cats/a.png': image } });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  test('图片文件带强校验 ETag，未修改时返回304', async () => {
+    const response = await app.request('/api/cats/a.png');
+    const etag = response.headers.get('etag');
+    expect(etag).toMatch(/^"/);
+    expect(response.headers.get('last-modified')).toBeTruthy();
+
+    const cached = await app.request('/api/cats/a.png', conditional({ 'If-None-Match': etag }));
+    expect(cached.status).toBe(304);
+    const byDate = await app.request('/api/cats/a.png', conditional({ 'If-Modified-Since': response.headers.get('last-modified') }));
+    expect(byDate.status).toBe(304);
+    expect((await app.request('/api/cats/a.png', conditional({ 'If-None-Match': '"other"' }))).status).toBe(200);
+  });
+
+  test('JSON 等模式使用弱校验', async () => {
+    const response = await app.request('/api/cats/a.png?type=json');
+    const etag = response.headers.get('etag');
+    expect(etag).toMatch(/^W\//);
+    expect((await app.request('/api/cats/a.png?type=json', conditional({ 'If-None-Match': etag }))).status).toBe(304);
+  });
+
+  test('特定图片支持范围请求', async () => {
+    const response = await app.request('/api/cats/a.png', { headers: { Range: 'bytes=0-7' } });
+    expect(response.status).toBe(206);
+    expect(response.headers.get('content-range')).toBe(`bytes 0-7/${image.length}`);
+    expect(Buffer.from(await response.arrayBuffer())).toEqual(image.subarray(0, 8));
+
+    const etag = response.headers.get('etag');
+    expect((await app.request('/api/cats/a.png', { headers: { Range: 'bytes=0-7', 'If-Range': etag } })).status).toBe(206);
+    expect((await app.request('/api/cats/a.png', { headers: { Range: 'bytes=0-7', 'If-Range': '"stale"' } })).status).toBe(200);
+
+    const unsatisfiable = await app.request('/api/cats/a.png', { headers: { Range: `bytes=${image.length}-` } });
+    expect(unsatisfiable.status).toBe(416);
+    expect(unsatisfiable.headers.get('content-range')).toBe(`bytes */${image.length}`);
+    expect((await app.request('/api/cats/a.png', conditional({ 'If-Match': '"stale"' }))).status).toBe(412);
+  });
+
+  test('随机响应不支持范围请求，并按 Cookie 区分', async () => {
+    const response = await app.request('/api/cats', { headers: { Range: 'bytes=0-7' } });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('accept-ranges')).toBe('none');
+    expect(response.headers.get('vary')).toMatch(/Cookie/);
+    expect(response.headers.get('etag')).toBeTruthy();
+  });
+});
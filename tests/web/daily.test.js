@@ -0,0 +1,57 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { startServer, png } = require('../helpers/server');
+
+describe('每日一图', () => {
+  let app;
+
+  beforeAll(async () => {
+    const images = { 'dogs/a.png': png(10, 10, 'dog') };
+    for (let i = 0; i < 5; i++) {
+      images[`cats/${i}.png`] = png(10, 10, `cat${i}`);
+    }
+    app = await startServer({
+      images,
+      configure: (config) => {
+        config.timezone = 'Asia/Tokyo';
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const today = () => new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Tokyo' }).format(new Date());
+
+  test('同一天的请求返回同一张图片，并缓存到下一次轮换', async () => {
+    const first = await app.request('/api/cats/daily?type=json');
+    expect(first.status).toBe(200);
+    const body = await first.json();
+    expect(body).toMatchObject({ date: today(), timezone: 'Asia/Tokyo', nextRollover: expect.any(String) });
+    expect(body.path).toMatch(/^\/api\/cats\//);
+    expect(Date.parse(body.nextRollover)).toBeGreaterThan(Date.now());
+    expect(first.headers.get('cache-control')).toMatch(/max-age=\d+/);
+
+    const second = await (await app.request('/api/cats/daily?type=json')).json();
+    expect(second.path).toBe(body.path);
+  });
+
+  test('每天的结果保存到 daily.json，可以按日期查询', async () => {
+    const { path: picked } = await (await app.request('/api/cats/daily?type=json')).json();
+    const history = await fs.readJson(path.join(app.root, 'daily.json'));
+    expect(JSON.stringify(history)).toContain(picked.replace('/api/', ''));
+
+    const byDate = await app.request(`/api/cats/daily?type=json&date=${today()}`);
+    expect((await byDate.json()).path).toBe(picked);
+  });
+
+  test('没有记录的日期返回404，日期格式错误返回400', async () => {
+    expect((await app.request('/api/cats/daily?type=json&date=2000-01-01')).status).toBe(404);
+    expect((await app.request('/api/cats/daily?type=json&date=yesterday')).status).toBe(400);
+  });
+
+  test('不存在的目录返回404', async () => {
+    expect((await app.request('/api/fish/daily?type=json')).status).toBe(404);
+  });
+});
@@ -0,0 +1,43 @@
+const { startServer, png } = require('../helpers/server');
+
+describe('目录元数据', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startServer({
+      images: {
+        'cats/_meta.json': JSON.stringify({ title: 'Cats', description: 'Cute cats', cover: '100%.png', weight: 3 }),
+        'cats/100%.png': png(10, 10, 'cover'),
+        'cats/a.png': png(10, 10, 'a'),
+        'drafts/_meta.json': JSON.stringify({ hidden: true }),
+        'drafts/b.png': png(10, 10, 'b')
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  test('目录列表返回元数据', async () => {
+    const response = await app.request('/admin/api/directories', { auth: true });
+    const directories = await response.json();
+    expect(directories.find(d => d.name === 'cats')).toMatchObject({ name: 'cats', count: 2, title: 'Cats', description: 'Cute cats', cover: 'cats/100%.png', weight: 3 });
+    expect(directories.find(d => d.name === 'drafts')).toMatchObject({ count: 1, hidden: true });
+  });
+
+  test('隐藏目录不出现在公开接口中', async () => {
+    expect((await app.request('/api/drafts?type=json')).status).toBe(404);
+    for (let i = 0; i < 10; i++) {
+      const { path } = await (await app.request('/api?type=json')).json();
+      expect(path).toMatch(/^\/api\/cats\//);
+    }
+  });
+
+  test('按原文件名预览文件名含 % 的封面', async () => {
+    const response = await app.request(`/admin/api/images/${encodeURIComponent('cats/100%.png')}/file`, { auth: true });
+    expect(response.status).toBe(200);
+    expect(Buffer.from(await response.arrayBuffer())).toEqual(png(10, 10, 'cover'));
+    expect((await app.request('/admin/api/images/cats%2Fmissing.png/file', { auth: true })).status).toBe(404);
+  });
+});
@@ -0,0 +1,52 @@
+const { startServer, png } = require('../helpers/server');
+
+describe('尺寸和方向筛选', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startServer({
+      images: {
+        'cats/wide.png': png(1920, 1080, 'wide'),
+        'cats/tall.png': png(1080, 1920, 'tall'),
+        'cats/square.png': png(500, 500, 'square'),
+        'cats/small.png': png(16, 9, 'small'),
+        'cats/unknown.png': Buffer.from('not really a png')
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const paths = async (query) => {
+    const response = await app.request(`/api/cats?type=json&count=10&${query}`);
+    expect(response.status).toBe(200);
+    return (await response.json()).map(image => image.path).sort();
+  };
+
+  test('按方向筛选', async () => {
+    expect(await paths('orientation=portrait')).toEqual(['/api/cats/tall.png']);
+    expect(await paths('orientation=square')).toEqual(['/api/cats/square.png']);
+    expect(await paths('orientation=landscape')).toEqual(['/api/cats/small.png', '/api/cats/wide.png']);
+  });
+
+  test('按最小尺寸和宽高比筛选', async () => {
+    expect(await paths('minWidth=1000')).toEqual(['/api/cats/tall.png', '/api/cats/wide.png']);
+    expect(await paths('minWidth=1000&minHeight=1500')).toEqual(['/api/cats/tall.png']);
+    expect(await paths('ratio=16:9')).toEqual(['/api/cats/small.png', '/api/cats/wide.png']);
+    expect(await paths('ratio=1')).toEqual(['/api/cats/square.png']);
+  });
+
+  test('JSON响应包含尺寸', async () => {
+    const response = await app.request('/api/cats?type=json&orientation=portrait');
+    expect(await response.json()).toMatchObject({ width: 1080, height: 1920 });
+  });
+
+  test('没有符合条件的图片时返回404，参数无效时返回400', async () => {
+    expect((await app.request('/api/cats?type=json&minWidth=5000')).status).toBe(404);
+    expect((await app.request('/api/cats?type=json&orientation=diagonal')).status).toBe(400);
+    expect((await app.request('/api/cats?type=json&minWidth=-1')).status).toBe(400);
+    expect((await app.request('/api/cats?type=json&ratio=wide')).status).toBe(400);
+  });
+});
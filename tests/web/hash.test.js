@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { startServer, png } = require('../helpers/server');
+
+describe('按内容摘要获取图片', () => {
+  let app;
+  const digestOf = data => crypto.createHash('sha256').update(data).digest('hex');
+
+  beforeAll(async () => {
+    app = await startServer({
+      images: {
+        'cats/a.png': png(10, 10, 'a'),
+        'cats/b.png': png(10, 10, 'b')
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  test('返回摘要对应的图片，可长期缓存', async () => {
+    const response = await app.request(`/api/by-hash/${digestOf(png(10, 10, 'a'))}?type=json`);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('cache-control')).toContain('immutable');
+    expect(await response.json()).toMatchObject({ path: '/api/cats/a.png', digest: digestOf(png(10, 10, 'a')) });
+
+    const file = await app.request(`/api/by-hash/${digestOf(png(10, 10, 'a')).toUpperCase()}`);
+    expect(Buffer.from(await file.arrayBuffer())).toEqual(png(10, 10, 'a'));
+  });
+
+  test('未知摘要直接返回404，不重新加载图片列表', async () => {
+    const reload = jest.spyOn(app.server.apiService, 'loadImageList');
+    try {
+      for (let i = 0; i < 3; i++) {
+        const response = await app.request(`/api/by-hash/${digestOf(`missing${i}`)}`);
+        expect(response.status).toBe(404);
+      }
+      expect(reload).not.toHaveBeenCalled();
+    } finally {
+      reload.mockRestore();
+    }
+  });
+
+  test('摘要格式错误返回400', async () => {
+    expect((await app.request('/api/by-hash/abc')).status).toBe(400);
+  });
+
+  test('文件在扫描后被修改时返回404', async () => {
+    await fs.writeFile(path.join(app.root, 'img/cats/b.png'), png(10, 10, 'changed'));
+    expect((await app.request(`/api/by-hash/${digestOf(png(10, 10, 'b'))}`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,73 @@
+const { startServer, png } = require('../helpers/server');
+
+describe('API密钥接口', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startServer({ images: { 'cats/a.png': png(10, 10) } });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const createKey = async body => {
+    const response = await app.request('/admin/api/keys', { method: 'POST', auth: true, json: body });
+    expect(response.status).toBe(201);
+    return response.json();
+  };
+  const withKey = (token, url, options = {}) => app.request(url, { ...options, headers: { Authorization: `Bearer ${token}` } });
+
+  test('创建、列出、修改和吊销密钥', async () => {
+    const { key, token } = await createKey({ label: 'reader', scopes: ['read'] });
+    expect(token.startsWith(key.prefix)).toBe(true);
+    expect(key).toMatchObject({ label: 'reader', scopes: ['read'], expired: false, quota: null });
+
+    const { keys, scopes } = await (await app.request('/admin/api/keys', { auth: true })).json();
+    expect(scopes).toEqual(expect.arrayContaining(['read', 'upload', 'delete', 'cache', 'admin']));
+    const listed = keys.find(item => item.id === key.id);
+    expect(listed).toMatchObject({ label: 'reader' });
+    expect(JSON.stringify(keys)).not.toContain(token);
+
+    const updated = await app.request(`/admin/api/keys/${key.id}`, { method: 'PATCH', auth: true, json: { label: 'renamed', scopes: ['read', 'upload'] } });
+    expect((await updated.json()).key).toMatchObject({ label: 'renamed', scopes: ['read', 'upload'] });
+
+    expect((await withKey(token, '/admin/api/jobs')).status).toBe(200);
+    expect((await app.request(`/admin/api/keys/${key.id}`, { method: 'DELETE', auth: true })).status).toBe(200);
+    expect((await withKey(token, '/admin/api/jobs')).status).toBe(401);
+    expect((await app.request(`/admin/api/keys/${key.id}`, { method: 'DELETE', auth: true })).status).toBe(404);
+  });
+
+  test('缺少凭据返回401，权限不足返回403', async () => {
+    const { token } = await createKey({ label: 'reader', scopes: ['read'] });
+    expect((await app.request('/admin/api/jobs')).status).toBe(401);
+    expect((await withKey('rik_invalid', '/admin/api/jobs')).status).toBe(401);
+    expect((await app.request('/admin/api/jobs', { headers: { Authorization: `Basic ${token}` } })).status).toBe(401);
+
+    const forbidden = await withKey(token, '/admin/api/update', { method: 'POST' });
+    expect(forbidden.status).toBe(403);
+    expect(await forbidden.json()).toMatchObject({ error: 'Forbidden', scope: 'admin' });
+    expect((await withKey(token, '/admin/api/keys')).status).toBe(403);
+  });
+
+  test('超出配额返回429，并给出配额状态', async () => {
+    const { token } = await createKey({ label: 'limited', scopes: ['read'], quota: { requests: 2, window: 60 } });
+
+    const first = await withKey(token, '/admin/api/jobs');
+    expect(first.headers.get('x-ratelimit-limit')).toBe('2');
+    expect(first.headers.get('x-ratelimit-remaining')).toBe('1');
+    // /api 请求携带密钥时按密钥的配额计数
+    expect((await withKey(token, '/api/cats')).status).toBe(200);
+
+    const limited = await withKey(token, '/admin/api/jobs');
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('x-ratelimit-remaining')).toBe('0');
+    expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+  });
+
+  test('拒绝无效的参数', async () => {
+    expect((await app.request('/admin/api/keys', { method: 'POST', auth: true, json: { label: 'x', scopes: ['root'] } })).status).toBe(400);
+    expect((await app.request('/admin/api/keys', { method: 'POST', auth: true, json: { scopes: ['read'] } })).status).toBe(400);
+    expect((await app.request('/admin/api/keys/missing', { method: 'PATCH', auth: true, json: { label: 'x' } })).status).toBe(404);
+  });
+});
@@ -0,0 +1,68 @@
+const { startServer, png } = require('../helpers/server');
+
+describe('管理员登录', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startServer({
+      images: { 'cats/a.png': png(10, 10, 'a') },
+      configure: (config) => {
+        config.admin.max_login_attempts = 3;
+      }
+    });
+    const response = await app.request('/admin/api/accounts', { method: 'POST', auth: true, json: { username: 'alice', password: 'correct horse' } });
+    expect(response.status).toBe(201);
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const login = (password, client = '10.0.0.1') => app.request('/admin/login', {
+    method: 'POST',
+    json: { username: 'alice', password },
+    headers: { 'X-Forwarded-For': client }
+  });
+
+  test('登录后使用会话Cookie，修改请求需要 CSRF 令牌', async () => {
+    const response = await login('correct horse');
+    expect(response.status).toBe(200);
+    const { csrfToken } = await response.json();
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+
+    const session = await app.request('/admin/api/session', { headers: { Cookie: cookie } });
+    expect(await session.json()).toMatchObject({ username: 'alice', csrfToken });
+
+    const create = headers => app.request('/admin/api/directories', { method: 'POST', json: { name: 'dogs' }, headers: { Cookie: cookie, ...headers } });
+    expect((await create({})).status).toBe(403);
+    expect((await create({ 'X-CSRF-Token': csrfToken })).status).toBe(200);
+  });
+
+  test('共享缓存被大量写入后会话仍然有效', async () => {
+    const response = await login('correct horse');
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    for (let i = 0; i < 1500; i++) {
+      await app.server.cacheManager.set(`flood:${i}`, i);
+    }
+    expect((await app.request('/admin/api/session', { headers: { Cookie: cookie } })).status).toBe(200);
+  });
+
+  test('连续失败只锁定该地址，其他地址仍可登录', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await login('wrong password', '10.0.0.66')).status).toBe(401);
+    }
+    const locked = await login('correct horse', '10.0.0.66');
+    expect(locked.status).toBe(429);
+    expect(locked.headers.get('retry-after')).toBeTruthy();
+
+    expect((await login('correct horse', '10.0.0.67')).status).toBe(200);
+  });
+
+  test('注销后会话失效', async () => {
+    const response = await login('correct horse');
+    const { csrfToken } = await response.json();
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    expect((await app.request('/admin/logout', { method: 'POST', headers: { Cookie: cookie, 'X-CSRF-Token': csrfToken } })).status).toBe(200);
+    expect((await app.request('/admin/api/session', { headers: { Cookie: cookie } })).status).toBe(401);
+  });
+});
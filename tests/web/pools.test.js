@@ -0,0 +1,48 @@
+const { startServer, png } = require('../helpers/server');
+
+describe('多目录选取范围', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startServer({
+      images: {
+        'root.png': png(10, 10, 'root'),
+        'cats/a.png': png(10, 10, 'cat'),
+        'cats/kittens/a.png': png(10, 10, 'kitten'),
+        'dogs/a.png': png(10, 10, 'dog'),
+        'birds/a.png': png(10, 10, 'bird')
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const paths = async (url) => {
+    const response = await app.request(url);
+    expect(response.status).toBe(200);
+    return (await response.json()).map(image => image.path).sort();
+  };
+
+  test('dirs 从多个目录（含子目录）的并集中选取', async () => {
+    expect(await paths('/api?type=json&count=10&dirs=cats,_root')).toEqual(['/api/cats/a.png', '/api/cats/kittens/a.png', '/api/root.png']);
+  });
+
+  test('exclude 排除目录及其子目录', async () => {
+    expect(await paths('/api?type=json&count=10&exclude=cats,_root')).toEqual(['/api/birds/a.png', '/api/dogs/a.png']);
+    expect(await paths('/api/cats?type=json&count=10&exclude=cats/kittens')).toEqual(['/api/cats/a.png']);
+  });
+
+  test('路径中的目录与 dirs 取并集', async () => {
+    expect(await paths('/api/dogs?type=json&count=10&dirs=birds')).toEqual(['/api/birds/a.png', '/api/dogs/a.png']);
+  });
+
+  test('不存在的目录返回404并列出可用目录', async () => {
+    const response = await app.request('/api?type=json&dirs=cats,fish');
+    expect(response.status).toBe(404);
+    const body = await response.json();
+    expect(body.unknown).toEqual(['fish']);
+    expect(body.directories).toEqual(expect.arrayContaining(['cats', 'dogs', 'birds']));
+  });
+});
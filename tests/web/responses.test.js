@@ -0,0 +1,54 @@
+const { startServer, png } = require('../helpers/server');
+
+describe('响应模式', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startServer({
+      images: { 'cats/a.png': png(10, 10, 'a') },
+      configure: (config) => {
+        config.api.response.datauri_max_size = 1024;
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  test('redirect 跳转到具体图片', async () => {
+    const response = await app.request('/api/cats?type=redirect');
+    expect(response.status).toBe(302);
+    expect(response.headers.get('location')).toMatch(/\/api\/cats\/a\.png$/);
+  });
+
+  test('text 返回图片完整URL', async () => {
+    const response = await app.request('/api/cats?type=text');
+    expect(response.headers.get('content-type')).toMatch(/^text\/plain/);
+    expect(await response.text()).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/api\/cats\/a\.png$/);
+  });
+
+  test('datauri 返回 base64 数据URI', async () => {
+    const response = await app.request('/api/cats?type=datauri');
+    expect(await response.text()).toBe(`data:image/png;base64,${png(10, 10, 'a').toString('base64')}`);
+  });
+
+  test('html 返回包含图片的页面', async () => {
+    const response = await app.request('/api/cats?type=html');
+    expect(response.headers.get('content-type')).toMatch(/^text\/html/);
+    expect(await response.text()).toContain('<img');
+  });
+
+  test('按 Accept 头协商', async () => {
+    const json = await app.request('/api/cats', { headers: { Accept: 'application/json' } });
+    expect(json.headers.get('content-type')).toMatch(/^application\/json/);
+    expect(json.headers.get('vary')).toMatch(/Accept/);
+
+    const file = await app.request('/api/cats', { headers: { Accept: 'text/html' } });
+    expect(file.headers.get('content-type')).toBe('image/png');
+  });
+
+  test('无效的响应模式返回400', async () => {
+    expect((await app.request('/api/cats?type=xml')).status).toBe(400);
+  });
+});
@@ -0,0 +1,52 @@
+const { startServer, png } = require('../helpers/server');
+
+describe('带种子的随机选取', () => {
+  let app;
+
+  beforeAll(async () => {
+    const images = {};
+    for (let i = 0; i < 10; i++) {
+      images[`cats/${i}.png`] = png(10, 10, `cat${i}`);
+    }
+    app = await startServer({ images });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const pick = async (query) => {
+    const response = await app.request(`/api/cats?type=json&${query}`);
+    return { response, body: await response.json() };
+  };
+
+  test('相同种子返回同一张图片，结果可缓存', async () => {
+    const first = await pick('seed=hello');
+    const second = await pick('seed=hello');
+    expect(second.body.path).toBe(first.body.path);
+    expect(first.body.selection).toMatchObject({ seed: 'hello', version: expect.any(String) });
+    expect(first.response.headers.get('cache-control')).not.toContain('no-store');
+
+    const random = await app.request('/api/cats?type=json');
+    expect(random.headers.get('cache-control')).toContain('no-store');
+  });
+
+  test('不同种子得到不同的结果', async () => {
+    const paths = new Set();
+    for (let i = 0; i < 10; i++) {
+      paths.add((await pick(`seed=s${i}`)).body.path);
+    }
+    expect(paths.size).toBeGreaterThan(1);
+  });
+
+  test('批量请求的结果同样可复现', async () => {
+    const first = (await pick('seed=batch&count=5')).body.map(image => image.path);
+    const second = (await pick('seed=batch&count=5')).body.map(image => image.path);
+    expect(second).toEqual(first);
+    expect(new Set(first).size).toBe(5);
+  });
+
+  test('过长的种子返回400', async () => {
+    expect((await pick(`seed=${'x'.repeat(257)}`)).response.status).toBe(400);
+  });
+});
@@ -0,0 +1,52 @@
+const { startServer, png } = require('../helpers/server');
+
+describe('不重复随机会话', () => {
+  let app;
+
+  beforeAll(async () => {
+    const images = {};
+    for (let i = 0; i < 6; i++) {
+      images[`cats/${i}.png`] = png(10, 10, `cat${i}`);
+    }
+    images['dogs/a.png'] = png(10, 10, 'dog');
+    app = await startServer({ images });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const take = async (url, options) => (await (await app.request(url, options)).json()).selection;
+
+  test('同一会话取完整组图片之前不重复', async () => {
+    const served = new Set();
+    for (let i = 0; i < 6; i++) {
+      const { path, selection } = await (await app.request('/api/cats?session=abc&type=json')).json();
+      expect(selection).toMatchObject({ mode: 'session', session: 'abc', position: i + 1, size: 6, cycle: 1 });
+      served.add(path);
+    }
+    expect(served.size).toBe(6);
+    expect((await take('/api/cats?session=abc&type=json')).cycle).toBe(2);
+  });
+
+  test('批量请求返回互不相同的图片', async () => {
+    const response = await app.request('/api/cats?session=batch&count=6&type=json');
+    const paths = (await response.json()).map(image => image.path);
+    expect(new Set(paths).size).toBe(6);
+  });
+
+  test('session=auto 生成会话并写入Cookie，之后按Cookie继续', async () => {
+    const response = await app.request('/api/cats?session=auto&type=json');
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    const { selection } = await response.json();
+    expect(cookie).toBe(`img_session=${selection.session}`);
+
+    const next = await take('/api/cats?type=json', { headers: { Cookie: cookie } });
+    expect(next).toMatchObject({ session: selection.session, position: 2 });
+  });
+
+  test('无效的会话ID或与 seed 同时使用时返回400', async () => {
+    expect((await app.request('/api/cats?session=a%20b&type=json')).status).toBe(400);
+    expect((await app.request('/api/cats?session=abc&seed=1&type=json')).status).toBe(400);
+  });
+});
@@ -0,0 +1,70 @@
+const { startServer, png } = require('../helpers/server');
+
+describe('签名链接', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startServer({
+      images: {
+        'wip/_meta.json': JSON.stringify({ private: true }),
+        'wip/draft.png': png(10, 10, 'draft'),
+        'cats/a.png': png(10, 10, 'cat')
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const sign = json => app.request('/admin/api/signed-urls', { method: 'POST', auth: true, json });
+  const relative = url => url.replace(/^https?:\/\/[^/]+/, '');
+
+  test('私有目录中的图片只能通过签名链接访问', async () => {
+    expect((await app.request('/api/wip/draft.png')).status).toBe(403);
+    expect((await app.request('/api/wip')).status).toBe(404);
+
+    const response = await sign({ path: 'wip/draft.png', ttl: 600 });
+    expect(response.status).toBe(200);
+    const signed = await response.json();
+    expect(signed).toMatchObject({ success: true, path: 'wip/draft.png', ttl: 600, private: true });
+    expect(signed.url).toMatch(/\/api\/wip\/draft\.png\?expires=\d+&sig=[\w-]+$/);
+
+    const image = await app.request(relative(signed.url));
+    expect(image.status).toBe(200);
+    expect(image.headers.get('cache-control')).toMatch(/^private, max-age=(59\d|600)$/);
+
+    // 签名只与路径和过期时间有关，可以搭配其他响应模式
+    const info = await (await app.request(`${relative(signed.url)}&type=json`)).json();
+    expect(info).toMatchObject({ url: expect.stringContaining('sig='), expires: signed.expires });
+  });
+
+  test('签名无效、过期或路径不符时返回403', async () => {
+    const { url } = await (await sign({ path: 'wip/draft.png', ttl: 600 })).json();
+    const tampered = relative(url).replace(/sig=[\w-]+/, `sig=${'A'.repeat(43)}`);
+    expect((await app.request(tampered)).status).toBe(403);
+    expect((await app.request(relative(url).replace('draft.png', 'other.png'))).status).toBe(403);
+
+    const expires = Math.floor(Date.now() / 1000) - 1;
+    const sig = app.server.apiService.signer.signature('wip/draft.png', expires);
+    const expired = await app.request(`/api/wip/draft.png?expires=${expires}&sig=${sig}`);
+    expect(expired.status).toBe(403);
+    expect((await expired.json()).message).toMatch(/expired/);
+  });
+
+  test('公开图片也可以签发，带错误签名时同样拒绝', async () => {
+    const signed = await (await sign({ path: 'cats/a.png' })).json();
+    expect(signed).toMatchObject({ private: false, ttl: app.config.api.signed_urls.default_ttl });
+    expect((await app.request(relative(signed.url))).status).toBe(200);
+    expect((await app.request('/api/cats/a.png?expires=1&sig=x')).status).toBe(403);
+    expect((await app.request('/api/cats/a.png')).status).toBe(200);
+  });
+
+  test('拒绝无效的参数', async () => {
+    expect((await sign({})).status).toBe(400);
+    expect((await sign({ path: 'wip/draft.png', ttl: 0 })).status).toBe(400);
+    expect((await sign({ path: 'wip/draft.png', ttl: app.config.api.signed_urls.max_ttl + 1 })).status).toBe(400);
+    expect((await sign({ path: 'wip/missing.png' })).status).toBe(404);
+    expect((await app.request('/admin/api/signed-urls', { method: 'POST', json: { path: 'wip/draft.png' } })).status).toBe(401);
+  });
+});
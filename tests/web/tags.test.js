@@ -0,0 +1,60 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { startServer, png } = require('../helpers/server');
+
+describe('标签接口', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startServer({
+      images: {
+        'cats/100%.png': png(10, 10, 'percent'),
+        'cats/100%25.png': png(10, 10, 'encoded'),
+        'cats/plain.png': png(10, 10, 'plain')
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const tagsOf = async (encodedPath) => (await (await app.request(`/admin/api/images/${encodedPath}/tags`, { auth: true })).json()).tags;
+
+  test('文件名含 % 的图片按原名修改标签', async () => {
+    const response = await app.request('/admin/api/images/cats%2F100%25.png/tags', { method: 'PUT', auth: true, json: { tags: ['Sunset'] } });
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ success: true, path: 'cats/100%.png', tags: ['sunset'] });
+
+    expect(await tagsOf('cats%2F100%25.png')).toEqual(['sunset']);
+    expect(await tagsOf('cats%2F100%2525.png')).toEqual([]);
+  });
+
+  test('添加和删除标签', async () => {
+    await app.request('/admin/api/images/cats%2Fplain.png/tags', { method: 'POST', auth: true, json: { tags: ['a', 'b'] } });
+    const response = await app.request('/admin/api/images/cats%2Fplain.png/tags', { method: 'DELETE', auth: true, json: { tags: ['a'] } });
+    expect((await response.json()).tags).toEqual(['b']);
+  });
+
+  test('修改后立即用于随机图片的标签筛选', async () => {
+    const response = await app.request('/api/cats?tags=sunset&type=json');
+    expect(response.status).toBe(200);
+    expect((await response.json()).path).toBe('/api/cats/100%.png');
+
+    await app.request('/admin/api/images/cats%2F100%25.png/tags', { method: 'PUT', auth: true, json: { tags: [] } });
+    expect((await app.request('/api/cats?tags=sunset&type=json')).status).toBe(404);
+  });
+
+  test('不存在的图片和无效的标签', async () => {
+    expect((await app.request('/admin/api/images/cats%2Fmissing.png/tags', { method: 'PUT', auth: true, json: { tags: ['a'] } })).status).toBe(404);
+    expect((await app.request('/admin/api/images/cats%2Fplain.png/tags', { method: 'PUT', auth: true, json: { tags: ['-a'] } })).status).toBe(400);
+    expect((await app.request('/admin/api/images/cats%2Fplain.png/tags', { method: 'PUT', json: { tags: ['a'] } })).status).toBe(401);
+  });
+
+  test('审计日志记录实际修改的路径', async () => {
+    await app.server.auditLog.queue;
+    const lines = (await fs.readFile(path.join(app.root, 'audit.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    const entry = lines.find(line => line.action === 'image.tags.set');
+    expect(entry).toMatchObject({ target: 'cats/100%.png', result: 'success' });
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { startServer, png } = require('../helpers/server');
+
+describe('图片的移动和删除接口', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startServer({
+      images: {
+        'cats/100%.png': png(10, 10, 'percent'),
+        'cats/a.png': png(10, 10, 'a'),
+        'dogs/a.png': png(10, 10, 'dog')
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const exists = relativePath => fs.pathExists(path.join(app.root, 'img', relativePath));
+
+  const auditEntries = async () => {
+    await app.server.auditLog.queue;
+    const content = await fs.readFile(path.join(app.root, 'audit.jsonl'), 'utf8');
+    return content.trim().split('\n').map(line => JSON.parse(line));
+  };
+
+  test('移动文件名含 % 的图片', async () => {
+    const response = await app.request(`/admin/api/images/${encodeURIComponent('cats/100%.png')}`, {
+      method: 'PATCH', auth: true, json: { to: 'dogs/100%.png', redirect: true }
+    });
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ from: 'cats/100%.png', path: 'dogs/100%.png', redirect: true });
+    expect(await exists('cats/100%.png')).toBe(false);
+    expect(await exists('dogs/100%.png')).toBe(true);
+
+    const entry = (await auditEntries()).find(e => e.action === 'image.move');
+    expect(entry).toMatchObject({ target: 'cats/100%.png', result: 'success' });
+  });
+
+  test('删除文件名含 % 的图片并移入回收站', async () => {
+    const response = await app.request(`/admin/api/images/${encodeURIComponent('dogs/100%.png')}`, { method: 'DELETE', auth: true });
+    expect(response.status).toBe(200);
+    const { trash } = await response.json();
+    expect(trash).toMatchObject({ path: 'dogs/100%.png', type: 'image' });
+    expect(await exists('dogs/100%.png')).toBe(false);
+
+    const entry = (await auditEntries()).find(e => e.action === 'image.delete');
+    expect(entry).toMatchObject({ target: 'dogs/100%.png', result: 'success' });
+
+    const restored = await app.request(`/admin/api/trash/${trash.id}/restore`, { method: 'POST', auth: true });
+    expect(restored.status).toBe(200);
+    expect(await exists('dogs/100%.png')).toBe(true);
+  });
+
+  test('目标已存在、参数无效或图片不存在时返回错误', async () => {
+    const patch = (from, body) => app.request(`/admin/api/images/${encodeURIComponent(from)}`, { method: 'PATCH', auth: true, json: body });
+    expect((await patch('cats/a.png', { to: 'dogs/a.png' })).status).toBe(409);
+    expect((await patch('cats/a.png', { to: '../outside.png' })).status).toBe(400);
+    expect((await patch('cats/missing.png', { to: 'dogs/b.png' })).status).toBe(404);
+    expect((await app.request('/admin/api/images/cats%2Fmissing.png', { method: 'DELETE', auth: true })).status).toBe(404);
+  });
+});
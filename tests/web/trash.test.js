@@ -0,0 +1,83 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { startServer, png } = require('../helpers/server');
+
+describe('回收站接口', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startServer({
+      images: {
+        'cats/a.png': png(10, 10, 'a'),
+        'cats/b.png': png(10, 10, 'b'),
+        'dogs/a.png': png(10, 10, 'dog'),
+        'dogs/b.png': png(10, 10, 'dog b')
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const listTrash = async () => (await (await app.request('/admin/api/trash', { auth: true })).json());
+  const deleteImage = async (encodedPath) => (await (await app.request(`/admin/api/images/${encodedPath}`, { method: 'DELETE', auth: true })).json()).trash;
+  const exists = relativePath => fs.pathExists(path.join(app.root, 'img', relativePath));
+
+  test('删除的图片和目录列在回收站中，最近删除的在前', async () => {
+    await app.request('/admin/api/images/cats%2Fa.png/tags', { method: 'PUT', auth: true, json: { tags: ['kept'] } });
+    await deleteImage('cats%2Fa.png');
+    expect((await app.request('/admin/api/directories/dogs', { method: 'DELETE', auth: true })).status).toBe(200);
+
+    const { items, retentionDays } = await listTrash();
+    expect(retentionDays).toBe(app.config.trash.retention_days);
+    expect(items.map(item => [item.path, item.type, item.images])).toEqual([['dogs', 'directory', 2], ['cats/a.png', 'image', 1]]);
+    expect(Date.parse(items[1].expiresAt) - Date.parse(items[1].deletedAt)).toBe(retentionDays * 86400000);
+
+    expect((await app.request('/api/cats/a.png')).status).toBe(404);
+    expect((await app.request('/api/dogs')).status).toBe(404);
+  });
+
+  test('恢复后回到原路径，标签一并恢复', async () => {
+    const { items } = await listTrash();
+    const image = items.find(item => item.path === 'cats/a.png');
+
+    const response = await app.request(`/admin/api/trash/${image.id}/restore`, { method: 'POST', auth: true });
+    expect(response.status).toBe(200);
+    expect((await response.json()).item).toMatchObject({ path: 'cats/a.png' });
+    expect((await app.request('/api/cats/a.png')).status).toBe(200);
+    expect((await (await app.request('/admin/api/images/cats%2Fa.png/tags', { auth: true })).json()).tags).toEqual(['kept']);
+
+    expect((await app.request(`/admin/api/trash/${image.id}/restore`, { method: 'POST', auth: true })).status).toBe(404);
+  });
+
+  test('原路径已存在时拒绝恢复', async () => {
+    const trash = await deleteImage('cats%2Fb.png');
+    await fs.outputFile(path.join(app.root, 'img', 'cats/b.png'), png(10, 10, 'new'));
+
+    expect((await app.request(`/admin/api/trash/${trash.id}/restore`, { method: 'POST', auth: true })).status).toBe(409);
+    expect((await listTrash()).items.some(item => item.id === trash.id)).toBe(true);
+  });
+
+  test('永久删除单个项目和清空回收站', async () => {
+    const { items } = await listTrash();
+    const directory = items.find(item => item.path === 'dogs');
+
+    const purged = await app.request(`/admin/api/trash/${directory.id}`, { method: 'DELETE', auth: true });
+    expect((await purged.json()).purged.map(item => item.path)).toEqual(['dogs']);
+    expect(await exists(`.trash/${directory.id}`)).toBe(false);
+    expect((await app.request(`/admin/api/trash/${directory.id}`, { method: 'DELETE', auth: true })).status).toBe(404);
+
+    const emptied = await app.request('/admin/api/trash', { method: 'DELETE', auth: true });
+    expect((await emptied.json()).purged.map(item => item.path)).toEqual(['cats/b.png']);
+    expect((await listTrash()).items).toEqual([]);
+  });
+
+  test('按操作需要不同的权限', async () => {
+    const { token } = await (await app.request('/admin/api/keys', { method: 'POST', auth: true, json: { label: 'reader', scopes: ['read'] } })).json();
+    const headers = { Authorization: `Bearer ${token}` };
+    expect((await app.request('/admin/api/trash', { headers })).status).toBe(200);
+    expect((await app.request('/admin/api/trash/x/restore', { method: 'POST', headers })).status).toBe(403);
+    expect((await app.request('/admin/api/trash', { method: 'DELETE', headers })).status).toBe(403);
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { startServer, png } = require('../helpers/server');
+
+describe('手动更新与增量扫描', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startServer({
+      images: {
+        'cats/a.png': png(10, 10, 'a'),
+        'cats/b.png': png(10, 10, 'b'),
+        'dogs/a.png': png(10, 10, 'dog'),
+        'birds/a.png': png(10, 10, 'bird')
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const image = relativePath => path.join(app.root, 'img', relativePath);
+
+  // 提交更新任务并等待完成
+  const runUpdate = async (query = '') => {
+    const response = await app.request(`/admin/api/update${query}`, { method: 'POST', auth: true });
+    expect(response.status).toBe(202);
+    const location = response.headers.get('location');
+    for (;;) {
+      const job = await (await app.request(location, { auth: true })).json();
+      if (job.status === 'completed' || job.status === 'failed') {
+        return job;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  };
+
+  test('没有变化时以增量模式完成', async () => {
+    const job = await runUpdate();
+    expect(job.status).toBe('completed');
+    expect(job.result).toMatchObject({ mode: 'incremental', images: 4, diff: { added: 0, removed: 0, modified: 0, unchanged: 4 } });
+  });
+
+  test('新增、删除和修改的图片出现在差异中并立即生效', async () => {
+    await fs.outputFile(image('cats/c.png'), png(10, 10, 'c'));
+    await fs.outputFile(image('cats/a.png'), png(20, 20, 'changed'));
+    await fs.remove(image('dogs/a.png'));
+
+    const { result } = await runUpdate();
+    expect(result.mode).toBe('incremental');
+    expect(result.diff).toMatchObject({
+      added: 1,
+      removed: 1,
+      modified: 1,
+      unchanged: 2,
+      paths: { added: ['cats/c.png'], removed: ['dogs/a.png'], modified: ['cats/a.png'] }
+    });
+
+    expect((await app.request('/api/cats/c.png')).status).toBe(200);
+    expect((await app.request('/api/dogs/a.png')).status).toBe(404);
+    const info = await (await app.request('/api/cats/a.png?type=json')).json();
+    expect(info).toMatchObject({ width: 20, height: 20 });
+  });
+
+  test('目录未变化时不重新读取其中的文件，全量扫描才能发现原地修改', async () => {
+    // 覆盖写入已有文件不改变目录的修改时间
+    await fs.writeFile(image('birds/a.png'), png(30, 30, 'bird'));
+
+    expect((await runUpdate()).result.diff.modified).toBe(0);
+
+    const { result } = await runUpdate('?full=1');
+    expect(result.mode).toBe('full');
+    expect(result.diff.paths.modified).toEqual(['birds/a.png']);
+  });
+
+  test('审计日志记录更新任务', async () => {
+    await app.server.auditLog.queue;
+    const lines = (await fs.readFile(path.join(app.root, 'audit.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.filter(line => line.action === 'update.run').length).toBe(4);
+  });
+});
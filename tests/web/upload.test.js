@@ -0,0 +1,73 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { startServer, png } = require('../helpers/server');
+const { createZip, createTar } = require('../helpers/archives');
+
+describe('上传接口', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startServer({ images: { 'cats/a.png': png(10, 10, 'a') } });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const upload = (files, directory = '') => {
+    const form = new FormData();
+    form.append('directory', directory);
+    for (const [name, data] of Object.entries(files)) {
+      form.append('files', new Blob([data]), name);
+    }
+    return app.request('/admin/api/upload', { method: 'POST', auth: true, body: form });
+  };
+
+  const exists = relativePath => fs.pathExists(path.join(app.root, 'img', relativePath));
+
+  test('同时上传图片、ZIP 和 tar.gz', async () => {
+    const zip = createZip([{ name: 'z/1.png', data: png(10, 10, 'z1'), deflate: true }, { name: '.hidden.png', data: png(10, 10, 'h') }]);
+    const tgz = zlib.gzipSync(createTar([{ name: 't/1.png', data: png(10, 10, 't1') }]));
+    const response = await upload({ 'b.png': png(10, 10, 'b'), 'photos.zip': zip, 'photos.tar.gz': tgz }, 'cats');
+    expect(response.status).toBe(200);
+
+    const body = await response.json();
+    expect(body).toMatchObject({ uploaded: 3, skipped: 1, failed: 0 });
+    expect(body.results.map(result => [result.entry, result.status, result.path])).toEqual([
+      [null, 'uploaded', 'cats/b.png'],
+      ['z/1.png', 'uploaded', 'cats/z/1.png'],
+      ['.hidden.png', 'skipped', undefined],
+      ['t/1.png', 'uploaded', 'cats/t/1.png']
+    ]);
+    expect(await exists('cats/z/1.png')).toBe(true);
+    expect(await exists('cats/t/1.png')).toBe(true);
+
+    const images = await (await app.request('/admin/api/images?directory=cats&limit=100', { auth: true })).json();
+    expect(JSON.stringify(images)).toContain('cats/t/1.png');
+  });
+
+  test('按文件名区分归档和图片，内容不符时拒绝', async () => {
+    const zip = createZip([{ name: 'x.png', data: png(10, 10, 'x') }]);
+    const tar = createTar([{ name: 'y.png', data: png(10, 10, 'y') }]);
+    const response = await upload({ 'zip.png': zip, 'image.zip': png(10, 10, 'i'), 'tar.zip': tar });
+    const body = await response.json();
+    expect(body).toMatchObject({ uploaded: 0, failed: 3 });
+    expect(body.results.map(result => [result.file, result.entry, result.status])).toEqual([
+      ['zip.png', null, 'failed'],
+      ['image.zip', null, 'failed'],
+      ['tar.zip', null, 'failed']
+    ]);
+    expect(body.results[1].error).toMatch(/not a zip archive/);
+    expect(body.results[2].error).toMatch(/tar archive/);
+    expect(await exists('x.png')).toBe(false);
+    expect(await exists('y.png')).toBe(false);
+  });
+
+  test('损坏的归档只产生一条失败结果', async () => {
+    const response = await upload({ 'broken.zip': Buffer.from('PK\x03\x04garbage') });
+    const body = await response.json();
+    expect(body).toMatchObject({ success: false, uploaded: 0, failed: 1 });
+    expect(body.results[0]).toMatchObject({ file: 'broken.zip', entry: null, status: 'failed' });
+  });
+});
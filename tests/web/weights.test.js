@@ -0,0 +1,54 @@
+const { startServer, png } = require('../helpers/server');
+
+describe('加权随机选取', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startServer({
+      images: {
+        'cats/a.png': png(10, 10, 'a'),
+        'cats/never.png': png(10, 10, 'never'),
+        'dogs/a.png': png(10, 10, 'dog'),
+        'birds/a.png': png(10, 10, 'bird'),
+        'birds/b.png': png(10, 10, 'bird2'),
+        'birds/c.png': png(10, 10, 'bird3')
+      },
+      configure: (config) => {
+        config.api.weights.directories = { cats: 3, dogs: 0 };
+        config.api.weights.images = { 'cats/never.png': 0 };
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await app.stop();
+  });
+
+  const pick = async (query = '') => (await (await app.request(`/api?type=json${query}`)).json());
+
+  test('权重为0的图片和目录不会被选中', async () => {
+    for (let i = 0; i < 30; i++) {
+      const { path } = await pick();
+      expect(path).not.toBe('/api/cats/never.png');
+      expect(path).not.toMatch(/^\/api\/dogs\//);
+    }
+  });
+
+  test('JSON响应包含有效权重和概率', async () => {
+    for (let i = 0; i < 10; i++) {
+      const { path, selection } = await pick();
+      // 有效权重 = 目录权重 × 图片权重，总权重为 3 + 1 × 3
+      if (path === '/api/cats/a.png') {
+        expect(selection).toEqual({ mode: 'image', weight: 3, probability: 0.5 });
+      } else {
+        expect(selection).toEqual({ mode: 'image', weight: 1, probability: expect.closeTo(1 / 6, 5) });
+      }
+    }
+  });
+
+  test('balance=dir 先按目录权重选目录', async () => {
+    const { selection } = await pick('&balance=dir');
+    expect(selection.mode).toBe('dir');
+    expect((await app.request('/api?type=json&balance=other')).status).toBe(400);
+  });
+});